@@ -0,0 +1,39 @@
+/**
+ * Cost Budget Configuration
+ *
+ * Spend caps (in USD) on model calls, checked before each generation against
+ * its estimated cost. A generation that would take a budget past the
+ * downgrade threshold runs on the fallback model; one the budget can't cover
+ * even on the fallback model is refused. 0 means no budget.
+ *
+ * Workspace owners can set tighter budgets of their own for their workspace.
+ */
+
+require('dotenv').config();
+
+const BUDGET_PERIODS = ['daily', 'monthly'];
+
+const budgetConfig = {
+  // Spend of one session, signed in or anonymous
+  session: {
+    daily: parseFloat(process.env.BUDGET_SESSION_DAILY_USD) || 0,
+    monthly: parseFloat(process.env.BUDGET_SESSION_MONTHLY_USD) || 0
+  },
+
+  // Spend of all sessions and API keys of a workspace
+  workspace: {
+    daily: parseFloat(process.env.BUDGET_WORKSPACE_DAILY_USD) || 0,
+    monthly: parseFloat(process.env.BUDGET_WORKSPACE_MONTHLY_USD) || 0
+  },
+
+  // Estimated cost of a single generation
+  perSummary: parseFloat(process.env.BUDGET_PER_SUMMARY_USD) || 0,
+
+  // Share of a budget after which generations use the fallback model
+  downgradeAt: parseFloat(process.env.BUDGET_DOWNGRADE_AT) || 0.8
+};
+
+module.exports = {
+  BUDGET_PERIODS,
+  budgetConfig
+};
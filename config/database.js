@@ -22,12 +22,9 @@ const config = {
     }
   },
   test: {
-    dialect: 'postgres',
-    database: 'meeting_summarizer_test',
-    username: 'postgres',
-    password: 'password',
-    host: 'localhost',
-    port: 5432,
+    // In-memory SQLite so the test suite needs no database server
+    dialect: 'sqlite',
+    storage: ':memory:',
     logging: false,
     pool: {
       max: 5,
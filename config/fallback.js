@@ -6,6 +6,7 @@
  */
 
 require('dotenv').config();
+const { getAvailableModels, getModelSlots } = require('./llm');
 
 // Fallback configuration
 const fallbackConfig = {
@@ -43,6 +44,18 @@ const fallbackConfig = {
     ]
   },
 
+  // Provider health: stop routing to a provider after repeated outages
+  providerHealth: {
+    failureThreshold: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 3,
+    cooldownMs: parseInt(process.env.PROVIDER_COOLDOWN_MS) || 60000,  // 1 minute
+    outageErrors: [
+      'SERVICE_UNAVAILABLE',
+      'TIMEOUT',
+      'NETWORK_ERROR',
+      'AUTHENTICATION_ERROR'
+    ]
+  },
+
   // Fallback triggers
   triggers: {
     // When to automatically use fallback model
@@ -108,22 +121,36 @@ const fallbackConfig = {
  * Fallback Decision Engine
  */
 class FallbackDecisionEngine {
-  constructor(config = fallbackConfig) {
+  constructor(config = fallbackConfig, models = getAvailableModels(), slots = getModelSlots()) {
     this.config = config;
     this.strategy = this.config.strategies[this.config.strategies.defaultStrategy];
+    this.models = models;
+    this.slots = slots;
+
+    // Consecutive outage count and cooldown per provider
+    this.providerState = new Map();
   }
 
   /**
-   * Decide which model to use based on context
+   * Decide which model slot and provider to use based on context
    */
   selectModel(context) {
+    const decision = this.selectModelSlot(context);
+    return this.applyProviderAvailability(decision);
+  }
+
+  /**
+   * Decide which model slot to use based on context
+   */
+  selectModelSlot(context) {
     const {
       summaryStyle,
       estimatedTokens,
       estimatedCost,
       userPreference,
       sessionHistory,
-      urgency = 'normal'
+      urgency = 'normal',
+      budgetLimited = false
     } = context;
 
     const decision = {
@@ -141,6 +168,15 @@ class FallbackDecisionEngine {
       return decision;
     }
 
+    // A budget close to its limit takes precedence over quality
+    if (budgetLimited) {
+      decision.model = 'fallback';
+      decision.reason = 'budget_limit';
+      decision.confidence = 1.0;
+      decision.fallbackReasons.push('budget_limit');
+      return decision;
+    }
+
     // Check complexity requirements
     if (estimatedTokens > this.config.tokenThresholds.complexSummaryTokens) {
       decision.model = 'primary';
@@ -235,8 +271,12 @@ class FallbackDecisionEngine {
     let avgFallbackTime = 0;
     let avgPrimaryTime = 0;
 
+    const fallbackNames = this.slots
+      .filter(slot => slot !== 'primary')
+      .map(slot => this.models[slot].name);
+
     recentSummaries.forEach(summary => {
-      if (summary.model.includes('8b')) { // Fallback model
+      if (fallbackNames.includes(summary.model)) { // Fallback model
         if (summary.status === 'completed') fallbackSuccessRate++;
         avgFallbackTime += summary.processingTime || 0;
       } else { // Primary model
@@ -272,6 +312,86 @@ class FallbackDecisionEngine {
     return history && history.length >= 3; // Need at least 3 data points
   }
 
+  /**
+   * Move the decision off a provider that is cooling down after outages
+   */
+  applyProviderAvailability(decision) {
+    const chosen = this.models[decision.model] || this.models.primary;
+
+    if (!this.isProviderAvailable(chosen.provider)) {
+      const alternate = this.slots.find(slot =>
+        slot !== decision.model && this.isProviderAvailable(this.models[slot].provider)
+      );
+
+      if (alternate) {
+        decision.fallbackReasons = [...(decision.fallbackReasons || []), `${chosen.provider}_unavailable`];
+        decision.model = alternate;
+        decision.reason = 'provider_unavailable';
+        decision.confidence = 0.9;
+      }
+    }
+
+    decision.provider = this.models[decision.model].provider;
+    decision.modelName = this.models[decision.model].name;
+    return decision;
+  }
+
+  /**
+   * Pick the slot to switch to after a failure, or null to stay put.
+   * Provider outages prefer a slot served by a different provider.
+   */
+  selectAlternateModel(currentModel, error) {
+    const currentProvider = this.models[currentModel]?.provider;
+    const candidates = this.slots.filter(slot =>
+      slot !== currentModel && this.isProviderAvailable(this.models[slot].provider)
+    );
+
+    if (this.isProviderOutage(error)) {
+      const otherProvider = candidates.find(slot => this.models[slot].provider !== currentProvider);
+      if (otherProvider) return otherProvider;
+    }
+
+    // Otherwise step down the slot order (primary -> fallback -> failover)
+    const currentIndex = this.slots.indexOf(currentModel);
+    return candidates.find(slot => this.slots.indexOf(slot) > currentIndex) || null;
+  }
+
+  /**
+   * Record the outcome of a provider call for health tracking
+   */
+  recordProviderResult(provider, success, error = null) {
+    const state = this.providerState.get(provider) || { failures: 0, unavailableUntil: 0 };
+
+    if (success) {
+      state.failures = 0;
+      state.unavailableUntil = 0;
+    } else if (this.isProviderOutage(error)) {
+      state.failures++;
+      if (state.failures >= this.config.providerHealth.failureThreshold) {
+        state.unavailableUntil = Date.now() + this.config.providerHealth.cooldownMs;
+        console.warn(`⚠️ Provider ${provider} marked unavailable for ${this.config.providerHealth.cooldownMs}ms`);
+      }
+    }
+
+    this.providerState.set(provider, state);
+  }
+
+  /**
+   * Check whether a provider is outside its outage cooldown
+   */
+  isProviderAvailable(provider) {
+    const state = this.providerState.get(provider);
+    return !state || state.unavailableUntil <= Date.now();
+  }
+
+  /**
+   * Determine if error means the provider itself is unreachable or misconfigured
+   */
+  isProviderOutage(error) {
+    if (!error) return false;
+    return this.config.providerHealth.outageErrors.includes(this.categorizeError(error));
+  }
+
   /**
    * Determine if error is retryable
    */
@@ -285,7 +405,11 @@ class FallbackDecisionEngine {
    */
   categorizeError(error) {
     if (error.status === 429) return 'RATE_LIMIT_EXCEEDED';
+    if (error.status === 401 || error.status === 403) return 'AUTHENTICATION_ERROR';
     if (error.status >= 500) return 'SERVICE_UNAVAILABLE';
+    if (error.type === 'SERVICE_UNAVAILABLE') return 'SERVICE_UNAVAILABLE';
+    if (error.type === 'NETWORK_ERROR') return 'NETWORK_ERROR';
+    if (error.type === 'TIMEOUT_ERROR') return 'TIMEOUT';
     if (error.message?.includes('timeout')) return 'TIMEOUT';
     if (error.message?.includes('network')) return 'NETWORK_ERROR';
     if (error.message?.includes('temporary')) return 'TEMPORARY_FAILURE';
@@ -313,7 +437,16 @@ class FallbackDecisionEngine {
         maxRetries: this.config.retryConfig.maxRetries,
         retryDelay: this.config.retryConfig.retryDelay
       },
-      triggers: this.config.triggers.autoFallbackConditions
+      triggers: this.config.triggers.autoFallbackConditions,
+      models: this.slots.reduce((acc, slot) => {
+        acc[slot] = { provider: this.models[slot].provider, name: this.models[slot].name };
+        return acc;
+      }, {}),
+      providers: [...new Set(this.slots.map(slot => this.models[slot].provider))].map(provider => ({
+        provider,
+        available: this.isProviderAvailable(provider),
+        consecutiveFailures: this.providerState.get(provider)?.failures || 0
+      }))
     };
   }
 }
@@ -1,36 +1,19 @@
 const Groq = require('groq-sdk');
+const { providerConfig, modelConfig, getModelSlots } = require('./llm');
 require('dotenv').config();
 
 // Groq API Configuration (modern SDK approach)
 const groqConfig = {
-  apiKey: process.env.GROQ_API_KEY,
+  apiKey: providerConfig.groq.apiKey,
   // Note: Modern groq-sdk handles baseURL automatically
-  timeout: parseInt(process.env.GROQ_TIMEOUT) || 30000,
+  timeout: providerConfig.groq.timeout,
   maxRetries: 3
 };
 
-// Model configurations
-const modelConfig = {
-  primary: {
-    name: process.env.GROQ_MODEL_PRIMARY || 'llama-3.3-70b-versatile',
-    maxTokens: parseInt(process.env.GROQ_MAX_TOKENS) || 32768,
-    temperature: parseFloat(process.env.GROQ_TEMPERATURE) || 0.1,
-    contextWindow: 131072, // 131K tokens
-    costPer1KTokens: {
-      input: 0.00059,  // $0.59 per 1M input tokens
-      output: 0.00079  // $0.79 per 1M output tokens
-    }
-  },
-  fallback: {
-    name: process.env.GROQ_MODEL_FALLBACK || 'llama-3.1-8b-instant',
-    maxTokens: parseInt(process.env.GROQ_MAX_TOKENS) || 32768,
-    temperature: parseFloat(process.env.GROQ_TEMPERATURE) || 0.1,
-    contextWindow: 131072, // 131K tokens
-    costPer1KTokens: {
-      input: 0.00018,  // $0.18 per 1M input tokens
-      output: 0.00018  // $0.18 per 1M output tokens
-    }
-  }
+// Model name used for connection tests: the first slot served by Groq
+const getGroqTestModel = () => {
+  const slot = getModelSlots().find(name => modelConfig[name].provider === 'groq');
+  return slot ? modelConfig[slot].name : 'llama-3.1-8b-instant';
 };
 
 // Initialize Groq client (modern SDK approach)
@@ -52,8 +35,6 @@ const initializeGroqClient = () => {
     });
 
     console.log('✅ Groq client initialized successfully (modern SDK)');
-    console.log(`📊 Primary model: ${modelConfig.primary.name}`);
-    console.log(`🔄 Fallback model: ${modelConfig.fallback.name}`);
 
     return groqClient;
   } catch (error) {
@@ -77,7 +58,7 @@ const testGroqConnection = async () => {
 
     // Modern SDK approach - simplified API call
     const completion = await groq.chat.completions.create({
-      model: modelConfig.primary.name,
+      model: getGroqTestModel(),
       messages: [
         {
           role: "user",
@@ -126,19 +107,6 @@ const testGroqConnection = async () => {
   }
 };
 
-// Calculate cost for token usage
-const calculateCost = (usage, modelType = 'primary') => {
-  if (!usage || !usage.prompt_tokens || !usage.completion_tokens) {
-    return 0;
-  }
-
-  const model = modelConfig[modelType];
-  const inputCost = (usage.prompt_tokens / 1000) * model.costPer1KTokens.input;
-  const outputCost = (usage.completion_tokens / 1000) * model.costPer1KTokens.output;
-  
-  return inputCost + outputCost;
-};
-
 // Validate environment configuration
 const validateGroqConfig = () => {
   const errors = [];
@@ -174,27 +142,10 @@ const validateGroqConfig = () => {
   };
 };
 
-// Get model information
-const getModelInfo = (modelType = 'primary') => {
-  return modelConfig[modelType];
-};
-
-// Get all available models
-const getAvailableModels = () => {
-  return {
-    primary: modelConfig.primary,
-    fallback: modelConfig.fallback
-  };
-};
-
 module.exports = {
   groqConfig,
-  modelConfig,
   initializeGroqClient,
   getGroqClient,
   testGroqConnection,
-  calculateCost,
-  validateGroqConfig,
-  getModelInfo,
-  getAvailableModels
+  validateGroqConfig
 };
@@ -0,0 +1,179 @@
+/**
+ * LLM Provider and Model Configuration
+ *
+ * Binds the model slots used by summary generation (primary, fallback and an
+ * optional failover) to a provider and model name. Providers are Groq, any
+ * OpenAI-compatible endpoint (vLLM, LM Studio, llama.cpp server) and a
+ * deterministic local stub for offline development.
+ */
+
+require('dotenv').config();
+
+// Provider connection settings
+const providerConfig = {
+  groq: {
+    type: 'groq',
+    apiKey: process.env.GROQ_API_KEY,
+    timeout: parseInt(process.env.GROQ_TIMEOUT) || 30000
+  },
+  openai: {
+    type: 'openai-compatible',
+    baseURL: process.env.OPENAI_COMPAT_BASE_URL || 'http://localhost:8000/v1',
+    apiKey: process.env.OPENAI_COMPAT_API_KEY || '',
+    timeout: parseInt(process.env.OPENAI_COMPAT_TIMEOUT) || 120000
+  },
+  local: {
+    type: 'local',
+    latency: parseInt(process.env.LOCAL_LLM_LATENCY) || 0
+  }
+};
+
+// Default model per provider when a slot doesn't name one
+const defaultModels = {
+  groq: 'llama-3.1-8b-instant',
+  openai: 'default',
+  local: 'local-stub'
+};
+
+// Known prices per 1K tokens; unlisted models (self-hosted, stub) are free
+const modelPricing = {
+  'llama-3.3-70b-versatile': { input: 0.00059, output: 0.00079 }, // $0.59 / $0.79 per 1M tokens
+  'llama-3.1-8b-instant': { input: 0.00018, output: 0.00018 }     // $0.18 per 1M tokens
+};
+
+// Slots in the order they are tried when a provider fails
+const SLOT_ORDER = ['primary', 'fallback', 'failover'];
+
+/**
+ * Cost per 1K tokens from an environment variable; 0 is a valid cost (e.g.
+ * self-hosted models), only an unset or invalid value uses the default
+ */
+const costFromEnv = (name, defaultCost) => {
+  const cost = parseFloat(process.env[name]);
+  return Number.isFinite(cost) && cost >= 0 ? cost : defaultCost;
+};
+
+/**
+ * Build a model slot from LLM_<SLOT>_* environment variables
+ */
+const buildModelSlot = (slot, defaults) => {
+  const prefix = `LLM_${slot.toUpperCase()}`;
+  const provider = process.env[`${prefix}_PROVIDER`] || defaults.provider;
+  // The default model name only applies to the default provider
+  const defaultName = provider === defaults.provider ? defaults.name : null;
+  const name = process.env[`${prefix}_MODEL`] || defaultName || defaultModels[provider];
+  const pricing = modelPricing[name] || { input: 0, output: 0 };
+
+  return {
+    slot,
+    provider,
+    name,
+    maxTokens: parseInt(process.env[`${prefix}_MAX_TOKENS`]) || parseInt(process.env.GROQ_MAX_TOKENS) || 32768,
+    temperature: parseFloat(process.env.GROQ_TEMPERATURE) || 0.1,
+    contextWindow: parseInt(process.env[`${prefix}_CONTEXT_WINDOW`]) || 131072, // 131K tokens
+    costPer1KTokens: {
+      input: costFromEnv(`${prefix}_COST_INPUT`, pricing.input),
+      output: costFromEnv(`${prefix}_COST_OUTPUT`, pricing.output)
+    }
+  };
+};
+
+// Model slot configurations
+const modelConfig = {
+  primary: buildModelSlot('primary', {
+    provider: 'groq',
+    name: process.env.GROQ_MODEL_PRIMARY || 'llama-3.3-70b-versatile'
+  }),
+  fallback: buildModelSlot('fallback', {
+    provider: 'groq',
+    name: process.env.GROQ_MODEL_FALLBACK || 'llama-3.1-8b-instant'
+  })
+};
+
+// Optional cross-provider failover slot
+if (process.env.LLM_FAILOVER_PROVIDER) {
+  modelConfig.failover = buildModelSlot('failover', {
+    provider: process.env.LLM_FAILOVER_PROVIDER
+  });
+}
+
+// Calculate cost for token usage
+const calculateCost = (usage, modelType = 'primary') => {
+  if (!usage || !usage.prompt_tokens || !usage.completion_tokens) {
+    return 0;
+  }
+
+  const model = modelConfig[modelType] || modelConfig.primary;
+  const inputCost = (usage.prompt_tokens / 1000) * model.costPer1KTokens.input;
+  const outputCost = (usage.completion_tokens / 1000) * model.costPer1KTokens.output;
+
+  return inputCost + outputCost;
+};
+
+// Get model information for a slot
+const getModelInfo = (modelType = 'primary') => {
+  return modelConfig[modelType] || modelConfig.primary;
+};
+
+// Get all configured model slots
+const getAvailableModels = () => {
+  return { ...modelConfig };
+};
+
+// Get configured slot names in failover order
+const getModelSlots = () => {
+  return SLOT_ORDER.filter(slot => modelConfig[slot]);
+};
+
+// Validate provider configuration for every configured slot
+const validateLLMConfig = () => {
+  const errors = [];
+  const warnings = [];
+
+  getModelSlots().forEach(slot => {
+    const { provider, name } = modelConfig[slot];
+    const settings = providerConfig[provider];
+
+    if (!settings) {
+      errors.push(`${slot} slot uses unknown provider '${provider}'`);
+      return;
+    }
+
+    if (provider === 'groq') {
+      if (!settings.apiKey) {
+        errors.push(`GROQ_API_KEY environment variable is missing (${slot} slot)`);
+      } else if (settings.apiKey === 'your_groq_api_key_here') {
+        errors.push(`GROQ_API_KEY is set to placeholder value (${slot} slot)`);
+      }
+    }
+
+    if (provider === 'openai' && !process.env.OPENAI_COMPAT_BASE_URL) {
+      warnings.push(`OPENAI_COMPAT_BASE_URL not set, ${slot} slot uses default: ${settings.baseURL}`);
+    }
+
+    if (provider === 'local') {
+      warnings.push(`${slot} slot uses the local stub provider (${name}); output is not model-generated`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    models: getModelSlots().reduce((acc, slot) => {
+      acc[slot] = { provider: modelConfig[slot].provider, name: modelConfig[slot].name };
+      return acc;
+    }, {})
+  };
+};
+
+module.exports = {
+  providerConfig,
+  modelConfig,
+  modelPricing,
+  calculateCost,
+  getModelInfo,
+  getAvailableModels,
+  getModelSlots,
+  validateLLMConfig
+};
@@ -0,0 +1,108 @@
+/**
+ * OpenID Connect Single Sign-On Configuration
+ *
+ * Authorization-code login against an OIDC identity provider. Identity
+ * claims map to an account, a workspace claim (or the issuer) to a workspace,
+ * and group claims to the member's role. For offline development the bundled
+ * mock identity provider can stand in for a real one.
+ */
+
+require('dotenv').config();
+
+const PORT = process.env.PORT || 3000;
+const BACKEND_URL = (process.env.BACKEND_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+const mockIdpEnabled = process.env.OIDC_MOCK_IDP === 'true' && process.env.NODE_ENV !== 'production';
+
+// Comma-separated list from an environment variable
+const listFromEnv = (name, defaults = []) => (process.env[name] ?
+  process.env[name].split(',').map(value => value.trim()).filter(Boolean) :
+  defaults);
+
+const oidcConfig = {
+  // The mock identity provider is served by this app under /mock-idp
+  issuer: (process.env.OIDC_ISSUER || (mockIdpEnabled ? `${BACKEND_URL}/mock-idp` : '')).replace(/\/+$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID || (mockIdpEnabled ? 'meeting-summarizer' : ''),
+  clientSecret: process.env.OIDC_CLIENT_SECRET || (mockIdpEnabled ? 'mock-idp-secret' : ''),
+  redirectUri: process.env.OIDC_REDIRECT_URI || `${BACKEND_URL}/api/auth/oidc/callback`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile groups',
+  timeout: parseInt(process.env.OIDC_TIMEOUT) || 10000,
+  // How long a started sign-in may take before its state is discarded
+  loginTtlMs: parseInt(process.env.OIDC_LOGIN_TTL_MS) || 10 * 60 * 1000,
+  // Accepted clock difference when checking token times
+  clockSkewSeconds: parseInt(process.env.OIDC_CLOCK_SKEW_SECONDS) || 60,
+  successRedirect: process.env.OIDC_SUCCESS_REDIRECT || '/',
+
+  // Claim names
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  workspaceClaim: process.env.OIDC_WORKSPACE_CLAIM || null, // e.g. a tenant or organization claim
+  workspaceName: process.env.OIDC_WORKSPACE_NAME || 'Single sign-on',
+
+  // Groups granting each role; the highest matching role wins. The mock
+  // identity provider's test users belong to the summarizer-* groups.
+  roleGroups: {
+    owner: listFromEnv('OIDC_OWNER_GROUPS', mockIdpEnabled ? ['summarizer-owners'] : []),
+    editor: listFromEnv('OIDC_EDITOR_GROUPS', mockIdpEnabled ? ['summarizer-editors'] : []),
+    viewer: listFromEnv('OIDC_VIEWER_GROUPS', mockIdpEnabled ? ['summarizer-viewers'] : [])
+  },
+  // Role without a matching group; 'none' refuses the sign-in
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || 'viewer',
+
+  mockIdp: {
+    enabled: mockIdpEnabled
+  }
+};
+
+// Roles from highest to lowest, the order groups are matched in
+const ROLE_PRECEDENCE = ['owner', 'editor', 'viewer'];
+
+// Whether single sign-on is configured
+const isOidcEnabled = () => Boolean(oidcConfig.issuer && oidcConfig.clientId);
+
+// Workspace role granted by a set of groups, or null when none is
+const roleForGroups = (groups = []) => {
+  const memberOf = new Set((Array.isArray(groups) ? groups : [groups]).map(String));
+  const role = ROLE_PRECEDENCE.find(candidate =>
+    oidcConfig.roleGroups[candidate].some(group => memberOf.has(group))
+  );
+
+  if (role) return role;
+  return ROLE_PRECEDENCE.includes(oidcConfig.defaultRole) ? oidcConfig.defaultRole : null;
+};
+
+// Validate the single sign-on configuration
+const validateOidcConfig = () => {
+  const errors = [];
+  const warnings = [];
+
+  if (!isOidcEnabled()) {
+    return { isValid: true, enabled: false, errors, warnings };
+  }
+
+  if (!oidcConfig.clientSecret) {
+    warnings.push('OIDC_CLIENT_SECRET is not set; the client authenticates with PKCE only');
+  }
+  if (oidcConfig.defaultRole !== 'none' && !ROLE_PRECEDENCE.includes(oidcConfig.defaultRole)) {
+    errors.push(`OIDC_DEFAULT_ROLE '${oidcConfig.defaultRole}' is not owner, editor, viewer or none`);
+  }
+  if (!ROLE_PRECEDENCE.some(role => oidcConfig.roleGroups[role].length > 0)) {
+    warnings.push(`No OIDC_*_GROUPS set; every signed-in member gets the ${oidcConfig.defaultRole} role`);
+  }
+  if (oidcConfig.mockIdp.enabled) {
+    warnings.push('Single sign-on uses the bundled mock identity provider; do not use it for real accounts');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    enabled: true,
+    errors,
+    warnings
+  };
+};
+
+module.exports = {
+  oidcConfig,
+  isOidcEnabled,
+  roleForGroups,
+  validateOidcConfig
+};
@@ -10,7 +10,7 @@ const fs = require('fs').promises;
 const isProduction = process.env.NODE_ENV === 'production';
 
 // File type validation
-const allowedTypes = ['.txt', '.md', '.doc', '.docx', '.pdf', '.rtf'];
+const allowedTypes = ['.txt', '.md', '.doc', '.docx', '.pdf', '.rtf', '.vtt', '.srt', '.json'];
 const allowedMimeTypes = [
   'text/plain',
   'text/markdown',
@@ -20,9 +20,20 @@ const allowedMimeTypes = [
   'application/rtf',
   'text/rtf',
   'application/vnd.ms-word',
-  'application/x-msword'
+  'application/x-msword',
+  // Caption files (Zoom, Teams, Meet exports)
+  'text/vtt',
+  'application/x-subrip',
+  'text/srt',
+  'application/srt',
+  // Zoom cloud recording transcript exports
+  'application/json'
 ];
 
+// Caption files are frequently reported with a generic MIME type
+const captionTypes = ['.vtt', '.srt'];
+const genericCaptionMimeTypes = ['text/plain', 'application/octet-stream', ''];
+
 /**
  * Local Storage Configuration (Development)
  */
@@ -65,7 +76,8 @@ const fileFilter = (req, file, cb) => {
   }
 
   // Check MIME type
-  if (!allowedMimeTypes.includes(mimeType)) {
+  const isGenericCaption = captionTypes.includes(fileExtension) && genericCaptionMimeTypes.includes(mimeType || '');
+  if (!allowedMimeTypes.includes(mimeType) && !isGenericCaption) {
     const error = new Error(`MIME type ${mimeType} not allowed.`);
     error.code = 'INVALID_MIME_TYPE';
     return cb(error, false);
@@ -39,7 +39,10 @@ const validateFileType = async (filePath, expectedMimeType) => {
       },
       'application/pdf': { extensions: ['pdf'], mimes: ['application/pdf'] },
       'application/rtf': { extensions: ['rtf'], mimes: ['application/rtf'] },
-      'text/rtf': { extensions: ['rtf'], mimes: ['application/rtf'] }
+      'text/rtf': { extensions: ['rtf'], mimes: ['application/rtf'] },
+      'text/vtt': { extensions: null, validateAsText: true },
+      'application/x-subrip': { extensions: null, validateAsText: true },
+      'application/json': { extensions: null, validateAsText: true }
     };
 
     const typeConfig = allowedTypes[expectedMimeType];
@@ -0,0 +1,84 @@
+/**
+ * Quota Middleware
+ *
+ * Refuses requests once the session's workspace (or the anonymous session's IP)
+ * has used up a monthly quota or a cost budget, with a 429 saying which limit
+ * and when it resets. Goes after session validation.
+ */
+
+const UsageQuotas = require('../services/usageQuotas');
+const CostBudgets = require('../services/costBudgets');
+const { ErrorTypes } = require('../services/errorHandler');
+const { sessionOwner } = require('../models/ownership');
+
+const usageQuotas = new UsageQuotas();
+const costBudgets = new CostBudgets();
+
+/**
+ * Respond 429 to a quota or budget error; returns false for other errors
+ */
+function sendQuotaError(res, error) {
+  if (error?.type !== ErrorTypes.QUOTA_ERROR) return false;
+
+  const limit = error.quota || error.budget;
+  if (limit.resetsAt) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((new Date(limit.resetsAt) - Date.now()) / 1000))));
+  }
+
+  res.status(429).json({
+    success: false,
+    error: error.message,
+    code: error.quota ? 'QUOTA_EXCEEDED' : 'BUDGET_EXCEEDED',
+    ...(error.quota ? { quota: error.quota } : { budget: error.budget })
+  });
+  return true;
+}
+
+/**
+ * Quota check for a route
+ *
+ * @param {Object|Function} needed - Amount each metric is about to use, or a
+ *   function of the request returning it (see UsageQuotas.checkQuota)
+ */
+function enforceQuota(needed) {
+  return async (req, res, next) => {
+    try {
+      await usageQuotas.checkQuota(
+        sessionOwner(req.session),
+        typeof needed === 'function' ? needed(req) : needed
+      );
+      next();
+    } catch (error) {
+      if (sendQuotaError(res, error)) return;
+
+      // Quotas are not checked when usage can't be read; the limiters still apply
+      console.error('❌ Quota check failed:', error.message);
+      next();
+    }
+  };
+}
+
+/**
+ * Refuse model calls once a budget of the session or its workspace is used
+ * up. The estimated cost of the call itself is checked when it is built.
+ */
+async function enforceBudget(req, res, next) {
+  try {
+    await costBudgets.planGeneration(
+      { session: req.session, workspaceId: req.session.workspaceId },
+      { primary: 0, fallback: 0 }
+    );
+    next();
+  } catch (error) {
+    if (sendQuotaError(res, error)) return;
+
+    console.error('❌ Budget check failed:', error.message);
+    next();
+  }
+}
+
+module.exports = {
+  enforceQuota,
+  enforceBudget,
+  sendQuotaError
+};
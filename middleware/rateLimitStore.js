@@ -0,0 +1,100 @@
+/**
+ * Rate Limit Stores
+ *
+ * Hit counters for express-rate-limit. The database store keeps each window
+ * in the rate_limit_counters table, so limits survive restarts and are shared
+ * by every process using the database. RATE_LIMIT_STORE=memory keeps the
+ * library's per-process memory store instead.
+ */
+
+const { MemoryStore } = require('express-rate-limit');
+
+// How often expired windows are removed from the database
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+class DatabaseStore {
+  /**
+   * @param {string} prefix - Limiter name, so limiters sharing the table keep separate counts
+   */
+  constructor(prefix) {
+    this.prefix = `${prefix}:`;
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter's options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+
+    this.pruneTimer = setInterval(() => {
+      this.counters().pruneExpired()
+        .catch(error => console.error('❌ Failed to prune rate limit counters:', error.message));
+    }, PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * The counter model, loaded on first use so this module stays cheap to require
+   */
+  counters() {
+    return require('../models').RateLimitCounter;
+  }
+
+  /**
+   * Hits and reset time of a client's current window
+   */
+  async get(key) {
+    const counter = await this.counters().findByPk(this.prefix + key);
+    if (!counter || counter.resetAt <= new Date()) return undefined;
+
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+
+  /**
+   * Count a hit, starting a new window when the last one ended
+   */
+  async increment(key) {
+    const { hits, resetAt } = await this.counters().hit(this.prefix + key, this.windowMs);
+    return { totalHits: hits, resetTime: resetAt };
+  }
+
+  /**
+   * Take back a hit (for skipped successful or failed requests)
+   */
+  async decrement(key) {
+    const { Op } = require('sequelize');
+    await this.counters().decrement({ hits: 1 }, {
+      where: { key: this.prefix + key, hits: { [Op.gt]: 0 } }
+    });
+  }
+
+  /**
+   * Forget a client's window
+   */
+  async resetKey(key) {
+    await this.counters().destroy({ where: { key: this.prefix + key } });
+  }
+
+  /**
+   * Stop pruning (server shutdown)
+   */
+  shutdown() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+/**
+ * Store for a limiter according to RATE_LIMIT_STORE (database by default)
+ */
+function createRateLimitStore(prefix) {
+  return process.env.RATE_LIMIT_STORE === 'memory' ?
+    new MemoryStore() :
+    new DatabaseStore(prefix);
+}
+
+module.exports = {
+  DatabaseStore,
+  createRateLimitStore
+};
@@ -6,7 +6,7 @@
  * - Security headers with Helmet
  * - CORS configuration
  * - Request logging and monitoring
- * - IP-based and session-based rate limiting
+ * - Rate limiting per IP, session, user, API key or workspace
  */
 
 const rateLimit = require('express-rate-limit');
@@ -14,24 +14,100 @@ const slowDown = require('express-slow-down');
 const helmet = require('helmet');
 const cors = require('cors');
 const securityMonitor = require('../services/securityMonitor');
+const { createRateLimitStore } = require('./rateLimitStore');
+const { identifyRequest } = require('./sessionMiddleware');
+
+// Identities a limit can count per, from most to least shared. A request
+// without the configured identity counts per the next one it has; API keys
+// count as their own session. Anonymous visitors always count per IP, since
+// anyone can start a new session.
+const RATE_LIMIT_KEYS = ['workspace', 'user', 'session', 'ip'];
 
 /**
- * Rate limiting configurations for different endpoints
+ * Rate limit key for a request: the identity the limit counts per
+ *
+ * @param {string} keyBy - workspace, user, session or ip
  */
-const rateLimitConfigs = {
-  // General API rate limiting
-  general: rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per windowMs
+const rateLimitKey = async (req, keyBy) => {
+  const identity = keyBy === 'ip' ? {} : await identifyRequest(req);
+  const signedIn = identity.userId || identity.workspaceId;
+  const keys = {
+    workspace: identity.workspaceId && `workspace:${identity.workspaceId}`,
+    user: identity.userId && `user:${identity.userId}`,
+    session: (identity.apiKeyId && `apikey:${identity.apiKeyId}`) ||
+      (signedIn && identity.sessionId && `session:${identity.sessionId}`),
+    ip: `ip:${req.ip}`
+  };
+
+  const levels = RATE_LIMIT_KEYS.slice(Math.max(0, RATE_LIMIT_KEYS.indexOf(keyBy)));
+  return levels.map(level => keys[level]).find(Boolean) || keys.ip;
+};
+
+/**
+ * Describe a window length for retryAfter messages
+ */
+const describeWindow = (windowMs) => {
+  const minutes = Math.round(windowMs / 60000);
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Build a rate limiter from defaults overridable by RATE_LIMIT_<ENV>_MAX,
+ * _WINDOW_MS and _KEY_BY. Counters live in the database unless
+ * RATE_LIMIT_STORE=memory; when the store fails, requests are let through.
+ * With skipSuccessfulRequests only failed requests (status 400 and up) count.
+ */
+const createRateLimiter = (name, { env, windowMs, max, keyBy, error, onLimit, skipSuccessfulRequests = false }) => {
+  const settings = {
+    windowMs: parseInt(process.env[`RATE_LIMIT_${env}_WINDOW_MS`]) || windowMs,
+    max: parseInt(process.env[`RATE_LIMIT_${env}_MAX`]) || max,
+    keyBy: process.env[`RATE_LIMIT_${env}_KEY_BY`] || keyBy
+  };
+  const retryAfter = describeWindow(settings.windowMs);
+
+  return rateLimit({
+    windowMs: settings.windowMs,
+    max: settings.max,
+    store: createRateLimitStore(name),
+    passOnStoreError: true,
+    skipSuccessfulRequests,
+    keyGenerator: (req) => rateLimitKey(req, settings.keyBy),
     message: {
-      error: 'Too many requests from this IP',
-      retryAfter: '15 minutes'
+      error,
+      retryAfter
     },
     standardHeaders: true,
     legacyHeaders: false,
-    handler: (req, res) => {
-      console.warn(`Rate limit exceeded for IP: ${req.ip} on ${req.path}`);
+    handler: async (req, res) => {
+      const limitedBy = await rateLimitKey(req, settings.keyBy);
+      console.warn(`${name} rate limit exceeded for ${limitedBy} on ${req.path}`);
+      if (onLimit) onLimit(req);
 
+      res.status(429).json({
+        success: false,
+        error,
+        limit: name,
+        limitedBy: limitedBy.split(':')[0],
+        retryAfter
+      });
+    },
+    requestPropertyName: 'rateLimit'
+  });
+};
+
+/**
+ * Rate limiting configurations for different endpoints
+ */
+const rateLimitConfigs = {
+  // General API rate limiting
+  general: createRateLimiter('general', {
+    env: 'GENERAL',
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // 100 requests per window
+    keyBy: 'session',
+    error: 'Too many requests, please try again later.',
+    onLimit: (req) => {
       // Log security event
       securityMonitor.logSecurityEvent(securityMonitor.constructor.EVENT_TYPES.RATE_LIMIT_EXCEEDED, {
         ip: req.ip,
@@ -40,93 +116,54 @@ const rateLimitConfigs = {
         userAgent: req.get('User-Agent'),
         limit: 'general'
       });
-
-      res.status(429).json({
-        success: false,
-        error: 'Too many requests from this IP, please try again later.',
-        retryAfter: '15 minutes'
-      });
     }
   }),
 
   // File upload rate limiting (more restrictive)
-  upload: rateLimit({
+  upload: createRateLimiter('upload', {
+    env: 'UPLOAD',
     windowMs: 60 * 60 * 1000, // 1 hour
-    max: 10, // Limit each IP to 10 uploads per hour
-    message: {
-      error: 'Too many file uploads from this IP',
-      retryAfter: '1 hour'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    handler: (req, res) => {
-      console.warn(`Upload rate limit exceeded for IP: ${req.ip}`);
-      res.status(429).json({
-        success: false,
-        error: 'Too many file uploads from this IP. Please wait before uploading again.',
-        retryAfter: '1 hour'
-      });
-    }
+    max: 10, // 10 uploads per hour
+    keyBy: 'user',
+    error: 'Too many file uploads. Please wait before uploading again.'
   }),
 
   // AI processing rate limiting (very restrictive)
-  aiProcessing: rateLimit({
+  aiProcessing: createRateLimiter('aiProcessing', {
+    env: 'AI',
     windowMs: 60 * 60 * 1000, // 1 hour
-    max: 5, // Limit each IP to 5 AI processing requests per hour
-    message: {
-      error: 'Too many AI processing requests from this IP',
-      retryAfter: '1 hour'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    handler: (req, res) => {
-      console.warn(`AI processing rate limit exceeded for IP: ${req.ip}`);
-      res.status(429).json({
-        success: false,
-        error: 'Too many AI processing requests from this IP. Please wait before generating more summaries.',
-        retryAfter: '1 hour'
-      });
-    }
+    max: 5, // 5 AI processing requests per hour
+    keyBy: 'user',
+    error: 'Too many AI processing requests. Please wait before generating more summaries.'
   }),
 
   // Email sending rate limiting
-  email: rateLimit({
+  email: createRateLimiter('email', {
+    env: 'EMAIL',
     windowMs: 60 * 60 * 1000, // 1 hour
-    max: 20, // Limit each IP to 20 emails per hour
-    message: {
-      error: 'Too many email requests from this IP',
-      retryAfter: '1 hour'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    handler: (req, res) => {
-      console.warn(`Email rate limit exceeded for IP: ${req.ip}`);
-      res.status(429).json({
-        success: false,
-        error: 'Too many email requests from this IP. Please wait before sending more emails.',
-        retryAfter: '1 hour'
-      });
-    }
+    max: 20, // 20 emails per hour
+    keyBy: 'user',
+    error: 'Too many email requests. Please wait before sending more emails.'
   }),
 
-  // Authentication attempts (very strict)
-  auth: rateLimit({
+  // Authentication attempts (very strict; per IP, as the caller isn't known yet)
+  auth: createRateLimiter('auth', {
+    env: 'AUTH',
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 5, // Limit each IP to 5 auth attempts per 15 minutes
-    message: {
-      error: 'Too many authentication attempts from this IP',
-      retryAfter: '15 minutes'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    handler: (req, res) => {
-      console.warn(`Auth rate limit exceeded for IP: ${req.ip}`);
-      res.status(429).json({
-        success: false,
-        error: 'Too many authentication attempts. Please wait before trying again.',
-        retryAfter: '15 minutes'
-      });
-    }
+    max: 5, // 5 auth attempts per 15 minutes
+    keyBy: 'ip',
+    error: 'Too many authentication attempts. Please wait before trying again.'
+  }),
+
+  // Single sign-on redirects (only failed attempts count: a sign-in takes two
+  // requests, and many people may share one IP)
+  sso: createRateLimiter('sso', {
+    env: 'SSO',
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // 5 failed single sign-on attempts per 15 minutes
+    keyBy: 'ip',
+    skipSuccessfulRequests: true,
+    error: 'Too many failed single sign-on attempts. Please wait before trying again.'
   })
 };
 
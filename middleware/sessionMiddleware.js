@@ -5,8 +5,15 @@
  * for the Meeting Summarizer application
  */
 
-const { UserSession } = require('../models');
-const { randomUUID } = require('crypto');
+const { UserSession, User, WorkspaceMember, ApiKey } = require('../models');
+const { randomUUID, timingSafeEqual } = require('crypto');
+
+// Lifetime of sessions signed in to an account; anonymous sessions last 24 hours
+const ACCOUNT_SESSION_DAYS = parseInt(process.env.AUTH_SESSION_DAYS) || 30;
+
+// Lifetime of the session an API key without an expiry acts through; a new one
+// is started when it ends
+const API_KEY_SESSION_DAYS = 365;
 
 /**
  * Generate a new session token
@@ -17,8 +24,10 @@ function generateSessionToken() {
 
 /**
  * Create a new user session
+ *
+ * @param {Object} fields - Values replacing the defaults (e.g. for API key sessions)
  */
-async function createSession(req, res) {
+async function createSession(req, res, fields = {}) {
   try {
     const sessionToken = generateSessionToken();
     
@@ -42,7 +51,8 @@ async function createSession(req, res) {
         summariesGenerated: 0,
         emailsSent: 0,
         totalCost: 0
-      }
+      },
+      ...fields
     });
 
     console.log(`✅ New session created: ${session.id}`);
@@ -63,6 +73,7 @@ async function findSessionByToken(sessionToken) {
     const session = await UserSession.findOne({
       where: {
         sessionToken: sessionToken,
+        apiKeyId: null, // API key sessions are only reached through their key
         isActive: true,
         expiresAt: {
           [require('sequelize').Op.gt]: new Date()
@@ -85,6 +96,189 @@ async function findSessionByToken(sessionToken) {
   }
 }
 
+/**
+ * Send a session's token to the client (header and cookie)
+ */
+function setSessionCookie(res, session) {
+  // Set session token in response header for client to store
+  res.setHeader('X-Session-Token', session.sessionToken);
+
+  // Also set as cookie for browser convenience
+  res.cookie('sessionToken', session.sessionToken, {
+    httpOnly: false, // Allow JavaScript access for frontend
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: new Date(session.expiresAt).getTime() - Date.now()
+  });
+}
+
+/**
+ * Attach a signed-in session's account, workspace and role to the request.
+ * A session whose account was disabled is ended.
+ *
+ * @returns {Promise<boolean>} False when the session can no longer be used
+ */
+async function attachAccount(req, session) {
+  req.user = null;
+  req.workspace = null;
+  req.workspaceRole = null;
+
+  if (!session.userId) return true;
+
+  const user = await User.findByPk(session.userId);
+  if (!user || !user.isActive) {
+    await session.deactivate();
+    return false;
+  }
+
+  let membership = session.workspaceId ?
+    await WorkspaceMember.findMembership(session.workspaceId, user.id) :
+    null;
+
+  // Removed from the workspace: continue in the account's first remaining one
+  if (!membership) {
+    [membership] = await WorkspaceMember.findByUser(user.id);
+    await session.update({ workspaceId: membership?.workspaceId || null });
+  }
+
+  req.user = user;
+  req.workspace = membership?.workspace || null;
+  req.workspaceRole = membership?.role || null;
+  return true;
+}
+
+/**
+ * Sign a session in to an account and workspace. The token is replaced so
+ * one handed out before sign-in can't be used to reach the account.
+ */
+async function signInSession(res, session, user, workspaceId) {
+  await session.update({
+    sessionToken: generateSessionToken(),
+    userId: user.id,
+    workspaceId,
+    expiresAt: new Date(Date.now() + ACCOUNT_SESSION_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  setSessionCookie(res, session);
+  console.log(`🔑 Session ${session.id} signed in to account ${user.id}`);
+  return session;
+}
+
+/**
+ * End a session (sign out)
+ */
+async function signOutSession(res, session) {
+  await session.deactivate();
+  res.clearCookie('sessionToken');
+  console.log(`👋 Session ${session.id} signed out`);
+}
+
+/**
+ * Remember a started single sign-on with the session, so the identity
+ * provider's callback is only accepted by the browser that started it
+ *
+ * @param {Object} login - { state, nonce, codeVerifier, returnTo }
+ */
+async function beginOidcLogin(session, login, ttlMs) {
+  await session.update({
+    sessionData: {
+      ...(session.sessionData || {}),
+      oidcLogin: { ...login, expiresAt: Date.now() + ttlMs }
+    }
+  });
+}
+
+/**
+ * Take the session's started single sign-on for a callback's state; it can
+ * be used once
+ *
+ * @returns {Promise<Object|null>} The login, or null when none matches or it expired
+ */
+async function takeOidcLogin(session, state) {
+  const { oidcLogin, ...sessionData } = session.sessionData || {};
+  if (!oidcLogin) return null;
+
+  await session.update({ sessionData });
+
+  const expected = Buffer.from(oidcLogin.state);
+  const actual = Buffer.from(typeof state === 'string' ? state : '');
+  const matches = actual.length === expected.length && timingSafeEqual(actual, expected);
+  return matches && oidcLogin.expiresAt > Date.now() ? oidcLogin : null;
+}
+
+/**
+ * API key sent with a request: Authorization: Bearer msk_... or X-API-Key
+ */
+function apiKeyFromRequest(req) {
+  if (req.headers['x-api-key']) return String(req.headers['x-api-key']);
+
+  const [scheme, value] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && ApiKey.looksLikeKey(value) ? value : null;
+}
+
+/**
+ * The session an API key acts through, started on its first use. Records it
+ * creates belong to the key's workspace.
+ */
+async function apiKeySession(req, apiKey) {
+  const session = await UserSession.findForApiKey(apiKey.id);
+  if (session) {
+    await session.update({ lastActivity: new Date() });
+    return session;
+  }
+
+  return await createSession(req, null, {
+    apiKeyId: apiKey.id,
+    workspaceId: apiKey.workspaceId,
+    expiresAt: apiKey.expiresAt || new Date(Date.now() + API_KEY_SESSION_DAYS * 24 * 60 * 60 * 1000)
+  });
+}
+
+/**
+ * Who a request comes from, for rate limits that run before session
+ * validation. The API key or session token is looked up without creating or
+ * touching a session, once per request.
+ *
+ * @returns {Promise<Object>} { apiKeyId, sessionId, userId, workspaceId }; empty for new visitors
+ */
+async function identifyRequest(req) {
+  if (req.identity) return req.identity;
+
+  let identity = {};
+  try {
+    const key = apiKeyFromRequest(req);
+    const sessionToken = req.headers['x-session-token'] ||
+                         req.body?.sessionToken ||
+                         req.query?.sessionToken ||
+                         req.cookies?.sessionToken;
+
+    if (key) {
+      const apiKey = await ApiKey.findByKey(key);
+      if (apiKey && apiKey.isUsable()) {
+        identity = { apiKeyId: apiKey.id, workspaceId: apiKey.workspaceId };
+      }
+    } else if (sessionToken) {
+      const session = await UserSession.findOne({
+        where: {
+          sessionToken,
+          apiKeyId: null,
+          isActive: true,
+          expiresAt: { [require('sequelize').Op.gt]: new Date() }
+        },
+        attributes: ['id', 'userId', 'workspaceId']
+      });
+      if (session) {
+        identity = { sessionId: session.id, userId: session.userId, workspaceId: session.workspaceId };
+      }
+    }
+  } catch (error) {
+    console.error('❌ Failed to identify request:', error.message);
+  }
+
+  req.identity = identity;
+  return identity;
+}
+
 /**
  * Session validation middleware
  * Creates a new session if none exists or if the existing one is invalid
@@ -92,6 +286,15 @@ async function findSessionByToken(sessionToken) {
 async function validateSession(req, res, next) {
   try {
     let session = null;
+
+    // API keys only work where validateSessionOrApiKey accepts them
+    if (apiKeyFromRequest(req)) {
+      return res.status(401).json({
+        success: false,
+        error: 'API keys are not accepted by this endpoint',
+        code: 'API_KEY_NOT_ACCEPTED'
+      });
+    }
     
     // Try to get session token from various sources
     const sessionToken = req.headers['x-session-token'] || 
@@ -104,20 +307,15 @@ async function validateSession(req, res, next) {
       session = await findSessionByToken(sessionToken);
     }
 
+    if (session && !(await attachAccount(req, session))) {
+      session = null;
+    }
+
     // If no valid session found, create a new one
     if (!session) {
       session = await createSession(req, res);
-      
-      // Set session token in response header for client to store
-      res.setHeader('X-Session-Token', session.sessionToken);
-      
-      // Also set as cookie for browser convenience
-      res.cookie('sessionToken', session.sessionToken, {
-        httpOnly: false, // Allow JavaScript access for frontend
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
-      });
+      await attachAccount(req, session);
+      setSessionCookie(res, session);
     }
 
     // Attach session to request object
@@ -138,6 +336,60 @@ async function validateSession(req, res, next) {
   }
 }
 
+/**
+ * Session validation that also accepts a workspace API key in place of a
+ * session. A key must hold the scope; requests without one are handled as by
+ * validateSession.
+ *
+ * @param {string} scope - read, upload, summaries:write or email:send
+ */
+function validateSessionOrApiKey(scope) {
+  return async (req, res, next) => {
+    const key = apiKeyFromRequest(req);
+    if (!key) {
+      return validateSession(req, res, next);
+    }
+
+    try {
+      const apiKey = await ApiKey.findByKey(key);
+      if (!apiKey || !apiKey.isUsable()) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid, expired or revoked API key',
+          code: 'INVALID_API_KEY'
+        });
+      }
+
+      await apiKey.update({ lastUsedAt: new Date(), lastUsedIp: req.ip });
+
+      if (!apiKey.hasScope(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `This API key lacks the ${scope} scope`,
+          code: 'INSUFFICIENT_SCOPE'
+        });
+      }
+
+      req.session = await apiKeySession(req, apiKey);
+      req.apiKey = apiKey;
+      req.user = null;
+      req.workspace = apiKey.workspace || null;
+      req.workspaceRole = null;
+
+      next();
+
+    } catch (error) {
+      console.error('❌ API key validation failed:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Session management failed',
+        message: 'Unable to validate API key'
+      });
+    }
+  };
+}
+
 /**
  * Optional session middleware - doesn't create session if none exists
  */
@@ -150,7 +402,7 @@ async function optionalSession(req, res, next) {
 
     if (sessionToken) {
       const session = await findSessionByToken(sessionToken);
-      if (session) {
+      if (session && await attachAccount(req, session)) {
         req.session = session;
       }
     }
@@ -164,6 +416,41 @@ async function optionalSession(req, res, next) {
   }
 }
 
+/**
+ * Require a session signed in to an account
+ */
+function requireAccount(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Sign in to an account first',
+      code: 'ACCOUNT_REQUIRED'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Require a minimum workspace role (viewer, editor, owner) of signed-in
+ * sessions; anonymous sessions own everything they can reach, API keys are
+ * limited by their scopes instead, and an account left without a workspace
+ * has no role
+ */
+function requireRole(minimumRole) {
+  return (req, res, next) => {
+    if (!req.user || WorkspaceMember.hasRole(req.workspaceRole, minimumRole)) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      error: `This needs the ${minimumRole} role in the workspace`,
+      code: 'FORBIDDEN'
+    });
+  };
+}
+
 /**
  * Update session workflow state
  */
@@ -265,11 +552,19 @@ async function extendSession(sessionId, additionalHours = 24) {
 }
 
 // Schedule periodic cleanup of expired sessions (every hour)
-setInterval(cleanupExpiredSessions, 60 * 60 * 1000);
+setInterval(cleanupExpiredSessions, 60 * 60 * 1000).unref();
 
 module.exports = {
   validateSession,
+  validateSessionOrApiKey,
   optionalSession,
+  identifyRequest,
+  requireAccount,
+  requireRole,
+  signInSession,
+  signOutSession,
+  beginOidcLogin,
+  takeOidcLogin,
   createSession,
   findSessionByToken,
   updateWorkflowState,
@@ -99,6 +99,88 @@ const sanitizeFileName = (fileName) => {
   return sanitized.trim();
 };
 
+/**
+ * Validator for user text that is placed into the system prompt: rejects
+ * markup that sanitizing would change and prompt injection attempts
+ */
+const checkPromptText = (label) => (value) => {
+  if (!value) return true;
+
+  const sanitized = sanitizeText(value);
+  if (sanitized.length !== value.length) {
+    throw new Error(`${label} contain invalid characters`);
+  }
+
+  // Check for potential prompt injection
+  const suspiciousPatterns = [
+    /ignore\s+previous\s+instructions/i,
+    /system\s*:/i,
+    /assistant\s*:/i,
+    /human\s*:/i,
+    /\[INST\]/i,
+    /\[\/INST\]/i
+  ];
+
+  for (const pattern of suspiciousPatterns) {
+    if (pattern.test(value)) {
+      throw new Error(`${label} contain potentially harmful content`);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Field rules of a summary template, at `prefix` (e.g. 'templates.*.' for imports)
+ */
+const summaryTemplateFields = (prefix = '', { partial = false } = {}) => {
+  const field = (name) => partial ? body(prefix + name).optional() : body(prefix + name);
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Template name is required and must be less than 100 characters')
+      .customSanitizer(sanitizeText),
+
+    body(prefix + 'description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must be less than 500 characters')
+      .customSanitizer(sanitizeText),
+
+    body(prefix + 'baseStyle')
+      .optional()
+      .isIn(['executive', 'action-items', 'technical', 'detailed'])
+      .withMessage('Base style must be executive, action-items, technical or detailed'),
+
+    body(prefix + 'promptFragment')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 4000 })
+      .withMessage('Prompt fragment must be less than 4000 characters')
+      .custom(checkPromptText('Prompt fragments')),
+
+    body(prefix + 'sections')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('sections must be an array of at most 20 section headings'),
+
+    body(prefix + 'sections.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Section headings must be between 1 and 100 characters')
+      .customSanitizer(sanitizeText),
+
+    body(prefix + 'targetLength')
+      .optional({ nullable: true })
+      .isIn(['brief', 'standard', 'comprehensive'])
+      .withMessage('Target length must be brief, standard or comprehensive')
+  ];
+};
+
 /**
  * Validation rules for different endpoints
  */
@@ -125,7 +207,12 @@ const validationRules = {
     body('fileSize')
       .optional()
       .isInt({ min: 1, max: 10485760 }) // 10MB max
-      .withMessage('File size must be between 1 byte and 10MB')
+      .withMessage('File size must be between 1 byte and 10MB'),
+
+    body('seriesId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid meeting series ID format')
   ],
 
   // Email validation
@@ -178,43 +265,597 @@ const validationRules = {
       .optional()
       .isLength({ max: 2000 })
       .withMessage('Custom instructions must be less than 2000 characters')
-      .custom((value) => {
-        if (!value) return true;
-        
-        const sanitized = sanitizeText(value);
-        if (sanitized.length !== value.length) {
-          throw new Error('Custom instructions contain invalid characters');
-        }
-        
-        // Check for potential prompt injection
-        const suspiciousPatterns = [
-          /ignore\s+previous\s+instructions/i,
-          /system\s*:/i,
-          /assistant\s*:/i,
-          /human\s*:/i,
-          /\[INST\]/i,
-          /\[\/INST\]/i
-        ];
-        
-        for (const pattern of suspiciousPatterns) {
-          if (pattern.test(value)) {
-            throw new Error('Instructions contain potentially harmful content');
-          }
-        }
-        
-        return true;
-      }),
+      .custom(checkPromptText('Custom instructions')),
     
     body('summaryStyle')
       .optional()
       .isIn(['executive', 'action-items', 'technical', 'detailed', 'bullet-points'])
       .withMessage('Invalid summary style'),
+
+    body('outputFormat')
+      .optional()
+      .isIn(['markdown', 'json'])
+      .withMessage('Output format must be markdown or json'),
+
+    // Overrides of the detected meeting type and industry; 'none' applies no template
+    body('meetingType')
+      .optional()
+      .isIn(['standup', 'retrospective', 'planning', 'review', 'auto', 'none'])
+      .withMessage('Meeting type must be standup, retrospective, planning, review, auto or none'),
+
+    body('industry')
+      .optional()
+      .isIn(['software', 'sales', 'marketing', 'finance', 'hr', 'auto', 'none'])
+      .withMessage('Industry must be software, sales, marketing, finance, hr, auto or none'),
     
+    body('templateId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid template ID format'),
+
+    body('length')
+      .optional()
+      .isIn(['brief', 'standard', 'comprehensive'])
+      .withMessage('Length must be brief, standard or comprehensive'),
+
+    body('transcriptId')
+      .isUUID()
+      .withMessage('Invalid transcript ID format')
+  ],
+
+  // Action item creation (added by hand)
+  actionItemCreate: [
+    body('transcriptId')
+      .isUUID()
+      .withMessage('Invalid transcript ID format'),
+
+    body('summaryId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Invalid summary ID format'),
+
+    body('task')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Task is required and must be less than 2000 characters')
+      .customSanitizer(sanitizeText),
+
+    body('owner')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Owner must be less than 255 characters')
+      .customSanitizer(sanitizeText),
+
+    body('dueDate')
+      .optional({ nullable: true })
+      .isISO8601({ strict: true })
+      .withMessage('Due date must be an ISO 8601 date (YYYY-MM-DD)'),
+
+    body('dueText')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Due text must be less than 255 characters')
+      .customSanitizer(sanitizeText),
+
+    body('priority')
+      .optional({ nullable: true })
+      .isIn(['high', 'medium', 'low'])
+      .withMessage('Priority must be high, medium or low'),
+
+    body('status')
+      .optional()
+      .isIn(['open', 'in_progress', 'done', 'cancelled'])
+      .withMessage('Invalid action item status')
+  ],
+
+  // Action item update
+  actionItemUpdate: [
+    body('task')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Task must be between 1 and 2000 characters')
+      .customSanitizer(sanitizeText),
+
+    body('owner')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Owner must be less than 255 characters')
+      .customSanitizer(sanitizeText),
+
+    body('dueDate')
+      .optional({ nullable: true })
+      .isISO8601({ strict: true })
+      .withMessage('Due date must be an ISO 8601 date (YYYY-MM-DD)'),
+
+    body('dueText')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Due text must be less than 255 characters')
+      .customSanitizer(sanitizeText),
+
+    body('priority')
+      .optional({ nullable: true })
+      .isIn(['high', 'medium', 'low'])
+      .withMessage('Priority must be high, medium or low'),
+
+    body('status')
+      .optional()
+      .isIn(['open', 'in_progress', 'done', 'cancelled'])
+      .withMessage('Invalid action item status')
+  ],
+
+  // Action item list filters
+  actionItemQuery: [
+    query('status')
+      .optional()
+      .isIn(['open', 'in_progress', 'done', 'cancelled'])
+      .withMessage('Invalid action item status'),
+
+    query('transcriptId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid transcript ID format'),
+
+    query('summaryId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid summary ID format'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a non-negative integer')
+  ],
+
+  // Decision recorded by hand
+  decisionCreate: [
+    body('transcriptId')
+      .isUUID()
+      .withMessage('Invalid transcript ID format'),
+
+    body('summaryId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Invalid summary ID format'),
+
+    body('text')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Decision text is required and must be less than 2000 characters')
+      .customSanitizer(sanitizeText),
+
+    body('rationale')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Rationale must be less than 2000 characters')
+      .customSanitizer(sanitizeText),
+
+    body('owner')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Owner must be less than 255 characters')
+      .customSanitizer(sanitizeText),
+
+    body('decidedOn')
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('Decision date must be an ISO 8601 date (YYYY-MM-DD)'),
+
+    body('supersedes')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('supersedes must be an array of decision IDs'),
+
+    body('supersedes.*')
+      .isUUID()
+      .withMessage('Invalid superseded decision ID format')
+  ],
+
+  // Decision update
+  decisionUpdate: [
+    body('text')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Decision text must be between 1 and 2000 characters')
+      .customSanitizer(sanitizeText),
+
+    body('rationale')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Rationale must be less than 2000 characters')
+      .customSanitizer(sanitizeText),
+
+    body('owner')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Owner must be less than 255 characters')
+      .customSanitizer(sanitizeText),
+
+    body('decidedOn')
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('Decision date must be an ISO 8601 date (YYYY-MM-DD)'),
+
+    body('status')
+      .optional()
+      .isIn(['active'])
+      .withMessage('Status can only be set to active; supersede a decision with POST /:id/supersede')
+  ],
+
+  // Decision supersession
+  decisionSupersede: [
+    body('supersededById')
+      .isUUID()
+      .withMessage('Invalid superseding decision ID format')
+  ],
+
+  // Decision search filters
+  decisionQuery: [
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Search text must be between 1 and 200 characters'),
+
+    query('status')
+      .optional()
+      .isIn(['active', 'superseded'])
+      .withMessage('Invalid decision status'),
+
+    query('transcriptId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid transcript ID format'),
+
+    query('summaryId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid summary ID format'),
+
+    query(['from', 'to'])
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('Date filters must be ISO 8601 dates (YYYY-MM-DD)'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a non-negative integer')
+  ],
+
+  // Search across transcripts, summaries, action items and decisions
+  searchQuery: [
+    query('q')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Search text must be between 2 and 200 characters'),
+
+    // Comma-separated document types
+    query('types')
+      .optional()
+      .customSanitizer(value => String(value).split(',').map(type => type.trim()).filter(Boolean))
+      .custom(types => types.every(type => ['transcript', 'summary', 'action_item', 'decision'].includes(type)))
+      .withMessage('Types must be a comma-separated list of transcript, summary, action_item and decision'),
+
+    query(['from', 'to'])
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('Date filters must be ISO 8601 dates (YYYY-MM-DD)'),
+
+    query('style')
+      .optional()
+      .isIn(['executive', 'action-items', 'technical', 'detailed', 'bullet-points'])
+      .withMessage('Invalid summary style'),
+
+    query('meetingType')
+      .optional()
+      .isIn(['standup', 'retrospective', 'planning', 'review'])
+      .withMessage('Meeting type must be standup, retrospective, planning or review'),
+
+    query('speaker')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Speaker must be between 1 and 100 characters'),
+
+    query('semantic')
+      .optional()
+      .isBoolean()
+      .withMessage('semantic must be a boolean')
+      .toBoolean(),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a non-negative integer')
+  ],
+
+  // Meeting series creation
+  seriesCreate: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Series name is required and must be less than 255 characters')
+      .customSanitizer(sanitizeText),
+
+    body('meetingType')
+      .optional({ nullable: true })
+      .isIn(['standup', 'retrospective', 'planning', 'review'])
+      .withMessage('Meeting type must be standup, retrospective, planning or review'),
+
+    body('transcriptIds')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('transcriptIds must be an array of transcript IDs'),
+
+    body('transcriptIds.*')
+      .isUUID()
+      .withMessage('Invalid transcript ID format')
+  ],
+
+  // Meeting series update
+  seriesUpdate: [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Series name must be between 1 and 255 characters')
+      .customSanitizer(sanitizeText),
+
+    body('meetingType')
+      .optional({ nullable: true })
+      .isIn(['standup', 'retrospective', 'planning', 'review'])
+      .withMessage('Meeting type must be standup, retrospective, planning or review')
+  ],
+
+  // Transcript assignment to a series
+  seriesTranscript: [
     body('transcriptId')
       .isUUID()
       .withMessage('Invalid transcript ID format')
   ],
 
+  // Series roll-up generation
+  seriesRollup: [
+    body('meetings')
+      .optional()
+      .isInt({ min: 2, max: 20 })
+      .withMessage('Meetings must be between 2 and 20'),
+
+    body('meetingType')
+      .optional()
+      .isIn(['standup', 'retrospective', 'planning', 'review'])
+      .withMessage('Meeting type must be standup, retrospective, planning or review'),
+
+    body('useFallback')
+      .optional()
+      .isBoolean()
+      .withMessage('useFallback must be a boolean')
+  ],
+
+  // Summary refinement with reviewer feedback
+  summaryRefine: [
+    body('feedback')
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 2000 })
+      .withMessage('Feedback must be between 3 and 2000 characters')
+      .custom(checkPromptText('Feedback notes')),
+
+    body('useFallback')
+      .optional()
+      .isBoolean()
+      .withMessage('useFallback must be a boolean')
+  ],
+
+  // Saving an edited summary
+  summaryEdit: [
+    body('content')
+      .isString()
+      .isLength({ min: 1, max: 50000 })
+      .withMessage('Summary content must be between 1 and 50000 characters')
+  ],
+
+  // Summary revision number (1 is the generated summary)
+  summaryRevision: [
+    param('revision')
+      .isInt({ min: 1 })
+      .withMessage('Revision must be a positive integer')
+      .toInt()
+  ],
+
+  // Revisions to compare; default to the previous and the current one
+  summaryDiff: [
+    query('from')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('from must be a positive revision number')
+      .toInt(),
+
+    query('to')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('to must be a positive revision number')
+      .toInt()
+  ],
+
+  // Question about a transcript
+  chatQuestion: [
+    body('question')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Question must be between 1 and 2000 characters')
+      .custom(checkPromptText('Questions')),
+
+    body('useFallback')
+      .optional()
+      .isBoolean()
+      .withMessage('useFallback must be a boolean')
+  ],
+
+  // Account sign-up; the email is only lowercased, addresses aren't otherwise rewritten
+  authRegister: [
+    body('email')
+      .isString()
+      .trim()
+      .isEmail()
+      .withMessage('A valid email address is required')
+      .isLength({ max: 255 })
+      .withMessage('Email must be less than 255 characters'),
+
+    body('password')
+      .isString()
+      .isLength({ min: 10, max: 128 })
+      .withMessage('Password must be between 10 and 128 characters'),
+
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters')
+      .customSanitizer(sanitizeText),
+
+    body('workspaceName')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Workspace name must be between 1 and 100 characters')
+      .customSanitizer(sanitizeText)
+  ],
+
+  authLogin: [
+    body('email')
+      .isString()
+      .trim()
+      .isEmail()
+      .withMessage('A valid email address is required'),
+
+    body('password')
+      .isString()
+      .isLength({ min: 1, max: 128 })
+      .withMessage('Password is required')
+  ],
+
+  passwordChange: [
+    body('currentPassword')
+      .isString()
+      .isLength({ min: 1, max: 128 })
+      .withMessage('Current password is required'),
+
+    body('newPassword')
+      .isString()
+      .isLength({ min: 10, max: 128 })
+      .withMessage('New password must be between 10 and 128 characters')
+  ],
+
+  workspaceCreate: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Workspace name is required and must be less than 100 characters')
+      .customSanitizer(sanitizeText)
+  ],
+
+  workspaceMemberAdd: [
+    body('email')
+      .isString()
+      .trim()
+      .isEmail()
+      .withMessage('A valid email address is required'),
+
+    body('role')
+      .optional()
+      .isIn(['viewer', 'editor', 'owner'])
+      .withMessage('Role must be viewer, editor or owner')
+  ],
+
+  workspaceMemberUpdate: [
+    body('role')
+      .isIn(['viewer', 'editor', 'owner'])
+      .withMessage('Role must be viewer, editor or owner')
+  ],
+
+  apiKeyCreate: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Key name is required and must be less than 100 characters')
+      .customSanitizer(sanitizeText),
+
+    body('scopes')
+      .isArray({ min: 1, max: 4 })
+      .withMessage('Scopes must be a non-empty array'),
+
+    body('scopes.*')
+      .isIn(['read', 'upload', 'summaries:write', 'email:send'])
+      .withMessage('Scopes must be read, upload, summaries:write or email:send'),
+
+    body('expiresInDays')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 730 })
+      .withMessage('Expiry must be between 1 and 730 days')
+      .toInt()
+  ],
+
+  // A workspace's own budgets in USD; null removes one
+  workspaceBudgets: [
+    body(['daily', 'monthly', 'perSummary'])
+      .optional({ nullable: true })
+      .isFloat({ min: 0.01, max: 1000000 })
+      .withMessage('Budgets must be amounts in USD of at least 0.01, or null to remove them')
+      .toFloat()
+  ],
+
+  // Spend report period
+  spendReport: [
+    query(['from', 'to'])
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .isISO8601({ strict: true })
+      .withMessage('from and to must be dates (YYYY-MM-DD)')
+  ],
+
+  // Summary template creation and update
+  summaryTemplateCreate: summaryTemplateFields(),
+
+  summaryTemplateUpdate: summaryTemplateFields('', { partial: true }),
+
+  // Summary template import: { templates: [...] } of exported templates
+  summaryTemplateImport: [
+    body('templates')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('templates must be an array of 1 to 50 exported templates'),
+
+    ...summaryTemplateFields('templates.*.')
+  ],
+
   // UUID parameter validation
   uuidParam: [
     param('id')
@@ -229,7 +870,17 @@ const validationRules = {
     param('summaryId')
       .optional()
       .isUUID()
-      .withMessage('Invalid summary ID format')
+      .withMessage('Invalid summary ID format'),
+
+    param('userId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid user ID format'),
+
+    param('keyId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid API key ID format')
   ],
 
   // Query parameter validation
@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Background job queue (summary generation and future async work)
+    await queryInterface.createTable('jobs', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      type: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('queued', 'running', 'completed', 'failed'),
+        defaultValue: 'queued',
+        allowNull: false
+      },
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'user_sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      transcriptId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      summaryId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      dedupeKey: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      progress: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: {}
+      },
+      result: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      maxAttempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 3,
+        allowNull: false
+      },
+      runAfter: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW,
+        allowNull: false
+      },
+      lockedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      lockedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('jobs', ['status', 'runAfter']);
+    await queryInterface.addIndex('jobs', ['sessionId']);
+    await queryInterface.addIndex('jobs', ['dedupeKey']);
+    await queryInterface.addIndex('jobs', ['lockedAt']);
+
+    console.log('✅ Jobs table created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('jobs');
+
+    console.log('✅ Jobs table dropped successfully');
+  }
+};
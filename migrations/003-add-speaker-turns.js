@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Parsed speaker turns (caption/platform imports and "Name:" prefixed text)
+    await queryInterface.addColumn('meeting_transcripts', 'speakerTurns', {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: []
+    });
+
+    console.log('✅ speakerTurns column added to meeting_transcripts');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('meeting_transcripts', 'speakerTurns');
+
+    console.log('✅ speakerTurns column removed from meeting_transcripts');
+  }
+};
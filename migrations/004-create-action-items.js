@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Action items extracted from summaries (or added by hand), tracked across meetings
+    await queryInterface.createTable('action_items', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'user_sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      transcriptId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'meeting_transcripts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      summaryId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'summaries',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      task: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      owner: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      dueDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+      },
+      dueText: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      priority: {
+        type: DataTypes.ENUM('high', 'medium', 'low'),
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('open', 'in_progress', 'done', 'cancelled'),
+        defaultValue: 'open',
+        allowNull: false
+      },
+      source: {
+        type: DataTypes.ENUM('summary', 'manual'),
+        defaultValue: 'summary',
+        allowNull: false
+      },
+      citations: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: []
+      },
+      mentions: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: []
+      },
+      lastMentionedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('action_items', ['sessionId', 'status']);
+    await queryInterface.addIndex('action_items', ['transcriptId']);
+    await queryInterface.addIndex('action_items', ['summaryId']);
+    await queryInterface.addIndex('action_items', ['dueDate']);
+
+    console.log('✅ Action items table created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('action_items');
+
+    console.log('✅ Action items table dropped successfully');
+  }
+};
@@ -0,0 +1,119 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Decision register: decisions from summaries (or recorded by hand), linked to the ones they supersede
+    await queryInterface.createTable('decisions', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'user_sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      transcriptId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'meeting_transcripts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      summaryId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'summaries',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      text: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      rationale: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      owner: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      decidedOn: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'superseded'),
+        defaultValue: 'active',
+        allowNull: false
+      },
+      supersededById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'decisions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      supersededAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      source: {
+        type: DataTypes.ENUM('summary', 'manual'),
+        defaultValue: 'summary',
+        allowNull: false
+      },
+      citations: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: []
+      },
+      reaffirmations: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: []
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('decisions', ['sessionId', 'status']);
+    await queryInterface.addIndex('decisions', ['transcriptId']);
+    await queryInterface.addIndex('decisions', ['summaryId']);
+    await queryInterface.addIndex('decisions', ['supersededById']);
+    await queryInterface.addIndex('decisions', ['decidedOn']);
+
+    console.log('✅ Decisions table created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('decisions');
+
+    console.log('✅ Decisions table dropped successfully');
+  }
+};
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Recurring meetings (weekly standups, retros) grouped into a series
+    await queryInterface.createTable('meeting_series', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'user_sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      meetingType: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      titleKey: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      attendees: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: []
+      },
+      detection: {
+        type: DataTypes.ENUM('manual', 'auto'),
+        defaultValue: 'manual',
+        allowNull: false
+      },
+      lastMeetingAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastRollup: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('meeting_series', ['sessionId']);
+    await queryInterface.addIndex('meeting_series', ['sessionId', 'titleKey']);
+
+    await queryInterface.addColumn('meeting_transcripts', 'seriesId', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'meeting_series',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('meeting_transcripts', ['seriesId']);
+
+    console.log('✅ Meeting series table and transcript seriesId column created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('meeting_transcripts', 'seriesId');
+    await queryInterface.dropTable('meeting_series');
+
+    console.log('✅ Meeting series table and transcript seriesId column dropped successfully');
+  }
+};
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // User-defined summary templates: base style plus prompt fragment, sections and target length
+    await queryInterface.createTable('summary_templates', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'user_sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      baseStyle: {
+        type: DataTypes.ENUM('executive', 'action-items', 'technical', 'detailed'),
+        defaultValue: 'executive',
+        allowNull: false
+      },
+      promptFragment: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      sections: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      targetLength: {
+        type: DataTypes.ENUM('brief', 'standard', 'comprehensive'),
+        allowNull: true
+      },
+      usageCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('summary_templates', ['sessionId']);
+
+    console.log('✅ Summary templates table created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('summary_templates');
+
+    console.log('✅ Summary templates table dropped successfully');
+  }
+};
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Questions asked about a transcript and their cited answers, with per-answer usage and cost
+    await queryInterface.createTable('chat_messages', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'user_sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      transcriptId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'meeting_transcripts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      role: {
+        type: DataTypes.ENUM('user', 'assistant'),
+        allowNull: false
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      citations: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: []
+      },
+      passages: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        defaultValue: []
+      },
+      aiModel: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      tokenUsage: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      cost: {
+        type: DataTypes.DECIMAL(10, 6),
+        allowNull: true,
+        defaultValue: 0
+      },
+      processingTime: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('chat_messages', ['transcriptId', 'sessionId']);
+    await queryInterface.addIndex('chat_messages', ['createdAt']);
+
+    console.log('✅ Chat messages table created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('chat_messages');
+
+    console.log('✅ Chat messages table dropped successfully');
+  }
+};
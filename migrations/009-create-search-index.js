@@ -0,0 +1,112 @@
+const { DataTypes } = require('sequelize');
+
+// Searchable text of each table; must match models/searchIndex.js for the indexes to be used
+const SEARCH_INDEXES = {
+  meeting_transcripts: `coalesce("content", '')`,
+  summaries: `coalesce("content", '')`,
+  action_items: `coalesce("task", '') || ' ' || coalesce("owner", '') || ' ' || coalesce("dueText", '')`,
+  decisions: `coalesce("text", '') || ' ' || coalesce("rationale", '') || ' ' || coalesce("owner", '')`
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Full-text search: expression GIN indexes (PostgreSQL; SQLite builds its FTS5 table at startup)
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      for (const [table, text] of Object.entries(SEARCH_INDEXES)) {
+        await queryInterface.sequelize.query(
+          `CREATE INDEX IF NOT EXISTS "${table}_search_idx" ON "${table}" USING GIN ((to_tsvector('english', ${text})))`
+        );
+      }
+    }
+
+    // Optional semantic search: embedded chunks of transcripts and summaries
+    await queryInterface.createTable('search_embeddings', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'user_sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      transcriptId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'meeting_transcripts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      docType: {
+        type: DataTypes.ENUM('transcript', 'summary'),
+        allowNull: false
+      },
+      docId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      chunkIndex: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      startLine: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      endLine: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      text: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      vector: {
+        type: DataTypes.JSONB,
+        allowNull: false
+      },
+      model: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('search_embeddings', ['sessionId']);
+    await queryInterface.addIndex('search_embeddings', ['docType', 'docId']);
+    await queryInterface.addIndex('search_embeddings', ['transcriptId']);
+
+    console.log('✅ Search indexes and embeddings table created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('search_embeddings');
+
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      for (const table of Object.keys(SEARCH_INDEXES)) {
+        await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "${table}_search_idx"`);
+      }
+    }
+
+    console.log('✅ Search indexes and embeddings table dropped successfully');
+  }
+};
@@ -0,0 +1,193 @@
+const { DataTypes } = require('sequelize');
+
+// Tables whose records a workspace owns directly (summaries and emails follow their transcript)
+const OWNED_TABLES = ['meeting_transcripts', 'summary_templates', 'action_items', 'decisions', 'meeting_series'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Accounts with password login
+    await queryInterface.createTable('users', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      passwordHash: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+        allowNull: false
+      },
+      lastLoginAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.createTable('workspaces', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      createdById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    // Workspace members and their roles
+    await queryInterface.createTable('workspace_members', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      workspaceId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'workspaces',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      role: {
+        type: DataTypes.ENUM('viewer', 'editor', 'owner'),
+        defaultValue: 'editor',
+        allowNull: false
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('workspace_members', ['workspaceId', 'userId'], { unique: true });
+    await queryInterface.addIndex('workspace_members', ['userId']);
+
+    // Signed-in sessions: their account and current workspace
+    await queryInterface.addColumn('user_sessions', 'userId', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('user_sessions', 'workspaceId', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('user_sessions', ['userId']);
+
+    // Workspace ownership next to the creating session
+    for (const table of OWNED_TABLES) {
+      await queryInterface.addColumn(table, 'workspaceId', {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'workspaces',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    await queryInterface.addIndex('meeting_transcripts', ['workspaceId']);
+    await queryInterface.addIndex('summary_templates', ['workspaceId']);
+    await queryInterface.addIndex('action_items', ['workspaceId', 'status']);
+    await queryInterface.addIndex('decisions', ['workspaceId', 'status']);
+    await queryInterface.addIndex('meeting_series', ['workspaceId', 'titleKey']);
+
+    console.log('✅ Users, workspaces and workspace ownership created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const table of OWNED_TABLES) {
+      await queryInterface.removeColumn(table, 'workspaceId');
+    }
+
+    await queryInterface.removeColumn('user_sessions', 'workspaceId');
+    await queryInterface.removeColumn('user_sessions', 'userId');
+
+    await queryInterface.dropTable('workspace_members');
+    await queryInterface.dropTable('workspaces');
+    await queryInterface.dropTable('users');
+
+    console.log('✅ Users, workspaces and workspace ownership dropped successfully');
+  }
+};
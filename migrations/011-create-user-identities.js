@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Single sign-on identities (issuer and subject) of an account
+    await queryInterface.createTable('user_identities', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      issuer: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      subject: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      groups: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      lastLoginAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('user_identities', ['issuer', 'subject'], { unique: true });
+    await queryInterface.addIndex('user_identities', ['userId']);
+
+    // Accounts created by single sign-on have no password
+    await queryInterface.changeColumn('users', 'passwordHash', {
+      type: DataTypes.STRING,
+      allowNull: true
+    });
+
+    // Workspaces managed by single sign-on
+    await queryInterface.addColumn('workspaces', 'ssoKey', {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true
+    });
+
+    console.log('✅ Single sign-on identities created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('workspaces', 'ssoKey');
+
+    await queryInterface.changeColumn('users', 'passwordHash', {
+      type: DataTypes.STRING,
+      allowNull: false
+    });
+
+    await queryInterface.dropTable('user_identities');
+
+    console.log('✅ Single sign-on identities dropped successfully');
+  }
+};
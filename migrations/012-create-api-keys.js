@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Workspace API keys, stored as SHA-256 hashes
+    await queryInterface.createTable('api_keys', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      workspaceId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'workspaces',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      prefix: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      keyHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+      },
+      scopes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: ['read']
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastUsedIp: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('api_keys', ['workspaceId']);
+
+    // The session each key acts through; it goes with its key so its token
+    // never becomes an ordinary session's
+    await queryInterface.addColumn('user_sessions', 'apiKeyId', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'api_keys',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    });
+
+    await queryInterface.addIndex('user_sessions', ['apiKeyId']);
+
+    console.log('✅ API keys created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('user_sessions', 'apiKeyId');
+    await queryInterface.dropTable('api_keys');
+
+    console.log('✅ API keys dropped successfully');
+  }
+};
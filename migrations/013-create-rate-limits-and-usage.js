@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Rate limit windows that survive restarts and are shared between processes
+    await queryInterface.createTable('rate_limit_counters', {
+      key: {
+        type: DataTypes.STRING,
+        primaryKey: true,
+        allowNull: false
+      },
+      hits: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      resetAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('rate_limit_counters', ['resetAt']);
+
+    // Monthly usage per workspace (or anonymous session) for quotas
+    await queryInterface.createTable('usage_counters', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      ownerKey: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      period: {
+        type: DataTypes.STRING(7),
+        allowNull: false
+      },
+      summaries: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      tokens: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      emails: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('usage_counters', ['ownerKey', 'period'], { unique: true });
+
+    console.log('✅ Rate limit and usage counters created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('usage_counters');
+    await queryInterface.dropTable('rate_limit_counters');
+
+    console.log('✅ Rate limit and usage counters dropped successfully');
+  }
+};
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Cost of every model call, for budgets and spend reports
+    await queryInterface.createTable('spend_records', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      sessionId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      workspaceId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      apiKeyId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      operation: {
+        type: DataTypes.ENUM('summary', 'refine', 'chat', 'rollup'),
+        allowNull: false
+      },
+      transcriptId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      summaryId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      summaryStyle: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      aiModel: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      modelSlot: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      inputTokens: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      outputTokens: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      cost: {
+        type: DataTypes.DECIMAL(10, 6),
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    });
+
+    await queryInterface.addIndex('spend_records', ['workspaceId', 'createdAt']);
+    await queryInterface.addIndex('spend_records', ['sessionId', 'createdAt']);
+
+    // Budgets a workspace owner set within the configured ones
+    await queryInterface.addColumn('workspaces', 'budgets', {
+      type: DataTypes.JSON,
+      allowNull: true
+    });
+
+    console.log('✅ Spend records created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('workspaces', 'budgets');
+    await queryInterface.dropTable('spend_records');
+
+    console.log('✅ Spend records dropped successfully');
+  }
+};
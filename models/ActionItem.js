@@ -0,0 +1,172 @@
+module.exports = (sequelize, DataTypes) => {
+  const ActionItem = sequelize.define('ActionItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true // Owning workspace once the session signed in; otherwise the session owns it
+    },
+    transcriptId: {
+      type: DataTypes.UUID,
+      allowNull: false // Meeting the item was raised in
+    },
+    summaryId: {
+      type: DataTypes.UUID,
+      allowNull: true // Null for items added by hand
+    },
+    task: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 2000]
+      }
+    },
+    owner: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: [0, 255]
+      }
+    },
+    dueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    dueText: {
+      type: DataTypes.STRING,
+      allowNull: true // Deadline as stated in the meeting ("next Friday")
+    },
+    priority: {
+      type: DataTypes.ENUM,
+      values: ['high', 'medium', 'low'],
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM,
+      values: ['open', 'in_progress', 'done', 'cancelled'],
+      defaultValue: 'open',
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.ENUM,
+      values: ['summary', 'manual'],
+      defaultValue: 'summary',
+      allowNull: false
+    },
+    citations: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: []
+    },
+    mentions: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: [] // [{ transcriptId, summaryId, line, excerpt, detectedStatus, detectedAt }]
+    },
+    lastMentionedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'action_items',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['sessionId', 'status']
+      },
+      {
+        fields: ['workspaceId', 'status']
+      },
+      {
+        fields: ['transcriptId']
+      },
+      {
+        fields: ['summaryId']
+      },
+      {
+        fields: ['dueDate']
+      }
+    ],
+    hooks: {
+      beforeSave: (item) => {
+        // completedAt follows the status, whichever way it was changed
+        if (item.changed('status')) {
+          item.completedAt = item.status === 'done' ? (item.completedAt || new Date()) : null;
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  ActionItem.prototype.isOpen = function() {
+    return this.status === 'open' || this.status === 'in_progress';
+  };
+
+  ActionItem.prototype.isOverdue = function(today = new Date().toISOString().split('T')[0]) {
+    return this.isOpen() && Boolean(this.dueDate) && this.dueDate < today;
+  };
+
+  /**
+   * Record that a later meeting referred to this item, applying the status
+   * it implied (if any) while the item is still open
+   */
+  ActionItem.prototype.recordMention = async function(mention) {
+    this.mentions = [...(this.mentions || []), { ...mention, detectedAt: new Date() }];
+    this.lastMentionedAt = new Date();
+
+    if (mention.detectedStatus && this.isOpen() && mention.detectedStatus !== this.status) {
+      this.status = mention.detectedStatus;
+    }
+
+    return await this.save();
+  };
+
+  ActionItem.prototype.toApiJSON = function() {
+    return {
+      id: this.id,
+      task: this.task,
+      owner: this.owner,
+      dueDate: this.dueDate,
+      dueText: this.dueText,
+      priority: this.priority,
+      status: this.status,
+      overdue: this.isOverdue(),
+      source: this.source,
+      transcriptId: this.transcriptId,
+      summaryId: this.summaryId,
+      citations: this.citations,
+      mentions: this.mentions,
+      lastMentionedAt: this.lastMentionedAt,
+      completedAt: this.completedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  };
+
+  // Class methods
+  ActionItem.findOpenByOwner = function(owner, options = {}) {
+    return this.findAll({
+      where: {
+        ...owner,
+        status: ['open', 'in_progress'],
+        ...options.where
+      },
+      order: [['dueDate', 'ASC'], ['createdAt', 'ASC']]
+    });
+  };
+
+  return ActionItem;
+};
@@ -0,0 +1,137 @@
+const { createHash, randomBytes } = require('crypto');
+
+// Scopes a key can hold: read everything in the workspace, upload meetings,
+// generate and edit summaries, send summary emails
+const SCOPES = ['read', 'upload', 'summaries:write', 'email:send'];
+
+// Keys look like msk_<43 random characters>; the prefix identifies them in lists
+const KEY_PREFIX = 'msk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+module.exports = (sequelize, DataTypes) => {
+  const ApiKey = sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true // Account that created the key; the key belongs to the workspace
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100]
+      }
+    },
+    prefix: {
+      type: DataTypes.STRING,
+      allowNull: false // First characters of the key, shown to tell keys apart
+    },
+    keyHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true // SHA-256 of the key; the key itself is only shown once
+    },
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: ['read']
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true // Never expires when null
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'api_keys',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['keyHash'],
+        unique: true
+      },
+      {
+        fields: ['workspaceId']
+      }
+    ]
+  });
+
+  // Instance methods
+  ApiKey.prototype.isUsable = function() {
+    return !this.revokedAt && (!this.expiresAt || new Date(this.expiresAt) > new Date());
+  };
+
+  ApiKey.prototype.hasScope = function(scope) {
+    return (this.scopes || []).includes(scope);
+  };
+
+  ApiKey.prototype.toApiJSON = function() {
+    const status = this.revokedAt ? 'revoked' : this.isUsable() ? 'active' : 'expired';
+
+    return {
+      id: this.id,
+      name: this.name,
+      prefix: this.prefix,
+      scopes: this.scopes || [],
+      status,
+      expiresAt: this.expiresAt,
+      lastUsedAt: this.lastUsedAt,
+      lastUsedIp: this.lastUsedIp,
+      revokedAt: this.revokedAt,
+      createdById: this.createdById,
+      createdAt: this.createdAt
+    };
+  };
+
+  // Class methods
+  ApiKey.generateKey = function() {
+    const key = `${KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+    return { key, prefix: key.slice(0, DISPLAY_PREFIX_LENGTH), keyHash: ApiKey.hashKey(key) };
+  };
+
+  ApiKey.hashKey = function(key) {
+    return createHash('sha256').update(String(key)).digest('hex');
+  };
+
+  ApiKey.looksLikeKey = function(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  };
+
+  ApiKey.findByKey = function(key) {
+    return this.findOne({
+      where: { keyHash: ApiKey.hashKey(key) },
+      include: ['workspace']
+    });
+  };
+
+  ApiKey.findByWorkspace = function(workspaceId) {
+    return this.findAll({
+      where: { workspaceId },
+      order: [['createdAt', 'DESC']]
+    });
+  };
+
+  ApiKey.SCOPES = SCOPES;
+
+  return ApiKey;
+};
@@ -0,0 +1,119 @@
+module.exports = (sequelize, DataTypes) => {
+  const ChatMessage = sequelize.define('ChatMessage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    transcriptId: {
+      type: DataTypes.UUID,
+      allowNull: false // Conversations are scoped to one meeting
+    },
+    role: {
+      type: DataTypes.ENUM,
+      values: ['user', 'assistant'],
+      allowNull: false
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    citations: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: [] // Resolved [L..] citations of an answer
+    },
+    passages: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: [] // Transcript line ranges the answer was given from: [{ startLine, endLine, score }]
+    },
+    aiModel: {
+      type: DataTypes.STRING,
+      allowNull: true // Answers only
+    },
+    tokenUsage: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: {
+        inputTokens: 0,
+        outputTokens: 0,
+        totalTokens: 0
+      }
+    },
+    cost: {
+      type: DataTypes.DECIMAL(10, 6),
+      allowNull: true,
+      defaultValue: 0
+    },
+    processingTime: {
+      type: DataTypes.INTEGER,
+      allowNull: true // milliseconds
+    }
+  }, {
+    tableName: 'chat_messages',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['transcriptId', 'sessionId']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ]
+  });
+
+  // Instance methods
+  ChatMessage.prototype.isAnswer = function() {
+    return this.role === 'assistant';
+  };
+
+  ChatMessage.prototype.toApiJSON = function() {
+    return {
+      id: this.id,
+      transcriptId: this.transcriptId,
+      role: this.role,
+      content: this.content,
+      citations: this.citations,
+      ...(this.isAnswer() && {
+        passages: this.passages,
+        aiModel: this.aiModel,
+        tokenUsage: this.tokenUsage,
+        cost: parseFloat(this.cost || 0),
+        processingTime: this.processingTime
+      }),
+      createdAt: this.createdAt
+    };
+  };
+
+  // Class methods
+  ChatMessage.findConversation = function(transcriptId, sessionId, options = {}) {
+    return this.findAll({
+      where: { transcriptId, sessionId },
+      order: [['createdAt', 'ASC']],
+      ...options
+    });
+  };
+
+  /**
+   * Most recent messages of a conversation, oldest first
+   */
+  ChatMessage.findRecent = async function(transcriptId, sessionId, limit = 10) {
+    const messages = await this.findAll({
+      where: { transcriptId, sessionId },
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+    return messages.reverse();
+  };
+
+  return ChatMessage;
+};
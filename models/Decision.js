@@ -0,0 +1,166 @@
+module.exports = (sequelize, DataTypes) => {
+  const Decision = sequelize.define('Decision', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true // Owning workspace once the session signed in; otherwise the session owns it
+    },
+    transcriptId: {
+      type: DataTypes.UUID,
+      allowNull: false // Meeting the decision was made in
+    },
+    summaryId: {
+      type: DataTypes.UUID,
+      allowNull: true // Null for decisions recorded by hand
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 2000]
+      }
+    },
+    rationale: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    owner: {
+      type: DataTypes.STRING,
+      allowNull: true, // Who made or announced the decision
+      validate: {
+        len: [0, 255]
+      }
+    },
+    decidedOn: {
+      type: DataTypes.DATEONLY,
+      allowNull: false // Meeting date
+    },
+    status: {
+      type: DataTypes.ENUM,
+      values: ['active', 'superseded'],
+      defaultValue: 'active',
+      allowNull: false
+    },
+    supersededById: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    supersededAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.ENUM,
+      values: ['summary', 'manual'],
+      defaultValue: 'summary',
+      allowNull: false
+    },
+    citations: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: []
+    },
+    reaffirmations: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: [] // Later meetings that restated it: [{ transcriptId, summaryId, decidedOn, text }]
+    }
+  }, {
+    tableName: 'decisions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['sessionId', 'status']
+      },
+      {
+        fields: ['workspaceId', 'status']
+      },
+      {
+        fields: ['transcriptId']
+      },
+      {
+        fields: ['summaryId']
+      },
+      {
+        fields: ['supersededById']
+      },
+      {
+        fields: ['decidedOn']
+      }
+    ]
+  });
+
+  // Instance methods
+  Decision.prototype.isActive = function() {
+    return this.status === 'active';
+  };
+
+  /**
+   * Mark this decision as replaced by a later one
+   */
+  Decision.prototype.supersede = async function(newer) {
+    this.status = 'superseded';
+    this.supersededById = newer.id;
+    this.supersededAt = new Date();
+    return await this.save();
+  };
+
+  /**
+   * Undo a supersession (e.g. one detected by mistake)
+   */
+  Decision.prototype.restore = async function() {
+    this.status = 'active';
+    this.supersededById = null;
+    this.supersededAt = null;
+    return await this.save();
+  };
+
+  Decision.prototype.recordReaffirmation = async function(reaffirmation) {
+    this.reaffirmations = [...(this.reaffirmations || []), reaffirmation];
+    return await this.save();
+  };
+
+  Decision.prototype.toApiJSON = function() {
+    return {
+      id: this.id,
+      text: this.text,
+      rationale: this.rationale,
+      owner: this.owner,
+      decidedOn: this.decidedOn,
+      status: this.status,
+      supersededById: this.supersededById,
+      supersededAt: this.supersededAt,
+      source: this.source,
+      transcriptId: this.transcriptId,
+      summaryId: this.summaryId,
+      citations: this.citations,
+      reaffirmations: this.reaffirmations,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  };
+
+  // Class methods
+  Decision.findActiveByOwner = function(owner, options = {}) {
+    return this.findAll({
+      where: {
+        ...owner,
+        status: 'active',
+        ...options.where
+      },
+      order: [['decidedOn', 'ASC'], ['createdAt', 'ASC']]
+    });
+  };
+
+  return Decision;
+};
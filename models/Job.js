@@ -0,0 +1,221 @@
+module.exports = (sequelize, DataTypes) => {
+  const Job = sequelize.define('Job', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    status: {
+      type: DataTypes.ENUM,
+      values: ['queued', 'running', 'completed', 'failed'],
+      defaultValue: 'queued',
+      allowNull: false
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    transcriptId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    summaryId: {
+      type: DataTypes.UUID,
+      allowNull: true // Set once the worker creates the summary record
+    },
+    dedupeKey: {
+      type: DataTypes.STRING,
+      allowNull: true // Jobs sharing a key are not queued twice while active
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    progress: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: {}
+    },
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    runAfter: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+      allowNull: false
+    },
+    lockedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true // Refreshed by the worker while running; stale locks are recovered
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'jobs',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'runAfter']
+      },
+      {
+        fields: ['sessionId']
+      },
+      {
+        fields: ['dedupeKey']
+      },
+      {
+        fields: ['lockedAt']
+      }
+    ]
+  });
+
+  // Instance methods
+  Job.prototype.markCompleted = async function(result) {
+    this.status = 'completed';
+    this.result = result;
+    this.error = null;
+    this.lockedBy = null;
+    this.lockedAt = null;
+    this.completedAt = new Date();
+
+    return await this.save();
+  };
+
+  Job.prototype.markFailed = async function(errorMessage) {
+    this.status = 'failed';
+    this.error = errorMessage;
+    this.lockedBy = null;
+    this.lockedAt = null;
+    this.completedAt = new Date();
+
+    return await this.save();
+  };
+
+  Job.prototype.requeue = async function(errorMessage, delayMs = 0) {
+    this.status = 'queued';
+    this.error = errorMessage;
+    this.lockedBy = null;
+    this.lockedAt = null;
+    this.runAfter = new Date(Date.now() + delayMs);
+
+    return await this.save();
+  };
+
+  Job.prototype.hasAttemptsLeft = function() {
+    return this.attempts < this.maxAttempts;
+  };
+
+  Job.prototype.toStatusJSON = function() {
+    return {
+      id: this.id,
+      type: this.type,
+      status: this.status,
+      transcriptId: this.transcriptId,
+      summaryId: this.summaryId,
+      progress: this.progress,
+      result: this.result,
+      error: this.error,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt
+    };
+  };
+
+  // Class methods
+  Job.findActiveByDedupeKey = function(dedupeKey) {
+    return this.findOne({
+      where: {
+        dedupeKey,
+        status: ['queued', 'running']
+      },
+      order: [['createdAt', 'ASC']]
+    });
+  };
+
+  /**
+   * Atomically claim the oldest runnable job for a worker.
+   * The conditional update ensures two workers never run the same job.
+   */
+  Job.claimNext = async function(workerId, types) {
+    const { Op } = require('sequelize');
+    const candidate = await this.findOne({
+      where: {
+        status: 'queued',
+        type: types,
+        runAfter: { [Op.lte]: new Date() }
+      },
+      order: [['runAfter', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    if (!candidate) {
+      return null;
+    }
+
+    const now = new Date();
+    const [claimed] = await this.update({
+      status: 'running',
+      lockedBy: workerId,
+      lockedAt: now,
+      startedAt: now,
+      attempts: sequelize.literal('"attempts" + 1')
+    }, {
+      where: { id: candidate.id, status: 'queued' }
+    });
+
+    return claimed === 1 ? await this.findByPk(candidate.id) : null;
+  };
+
+  Job.findStale = function(staleBefore) {
+    const { Op } = require('sequelize');
+    return this.findAll({
+      where: {
+        status: 'running',
+        lockedAt: { [Op.lt]: staleBefore }
+      }
+    });
+  };
+
+  return Job;
+};
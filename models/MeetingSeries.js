@@ -0,0 +1,112 @@
+module.exports = (sequelize, DataTypes) => {
+  const MeetingSeries = sequelize.define('MeetingSeries', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true // Owning workspace once the session signed in; otherwise the session owns it
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 255]
+      }
+    },
+    meetingType: {
+      type: DataTypes.STRING,
+      allowNull: true // Key of PromptTemplates.getMeetingTypeTemplates (standup, retrospective, ...)
+    },
+    titleKey: {
+      type: DataTypes.STRING,
+      allowNull: true // Normalized meeting title later meetings are matched against
+    },
+    attendees: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: []
+    },
+    detection: {
+      type: DataTypes.ENUM,
+      values: ['manual', 'auto'],
+      defaultValue: 'manual',
+      allowNull: false
+    },
+    lastMeetingAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastRollup: {
+      type: DataTypes.JSONB,
+      allowNull: true // Most recent roll-up summary across the series' meetings
+    }
+  }, {
+    tableName: 'meeting_series',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['sessionId']
+      },
+      {
+        fields: ['sessionId', 'titleKey']
+      },
+      {
+        fields: ['workspaceId', 'titleKey']
+      }
+    ]
+  });
+
+  // Instance methods
+
+  /**
+   * Add a meeting's attendees to the series, keeping first-seen order
+   */
+  MeetingSeries.prototype.addAttendees = function(names = []) {
+    const known = new Set((this.attendees || []).map(name => name.toLowerCase()));
+    const added = [];
+    for (const name of names) {
+      const key = name ? name.toLowerCase() : null;
+      if (key && !known.has(key)) {
+        known.add(key);
+        added.push(name);
+      }
+    }
+    if (added.length > 0) {
+      this.attendees = [...(this.attendees || []), ...added];
+    }
+    return added;
+  };
+
+  MeetingSeries.prototype.toApiJSON = function() {
+    return {
+      id: this.id,
+      name: this.name,
+      meetingType: this.meetingType,
+      attendees: this.attendees,
+      detection: this.detection,
+      lastMeetingAt: this.lastMeetingAt,
+      lastRollupAt: this.lastRollup?.generatedAt || null,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  };
+
+  // Class methods
+  MeetingSeries.findByOwner = function(owner) {
+    return this.findAll({
+      where: { ...owner },
+      order: [['lastMeetingAt', 'DESC'], ['createdAt', 'DESC']]
+    });
+  };
+
+  return MeetingSeries;
+};
@@ -44,7 +44,8 @@ module.exports = (sequelize, DataTypes) => {
         isIn: [['text/plain', 'text/markdown', 'application/msword',
                 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
                 'application/pdf', 'application/rtf', 'text/rtf',
-                'application/vnd.ms-word', 'application/x-msword']]
+                'application/vnd.ms-word', 'application/x-msword',
+                'text/vtt', 'application/x-subrip', 'application/json']]
       }
     },
     content: {
@@ -62,8 +63,7 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.INTEGER,
       allowNull: true,
       validate: {
-        min: 0,
-        max: 131072 // Groq context limit
+        min: 0 // Transcripts above the context window are summarized in chunks
       }
     },
     status: {
@@ -81,9 +81,22 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       defaultValue: {}
     },
+    speakerTurns: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: [] // [{ index, line, speaker, text, start, end, startMs, endMs, cueCount }]
+    },
     sessionId: {
       type: DataTypes.UUID,
       allowNull: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true // Owning workspace once the session signed in; otherwise the session owns it
+    },
+    seriesId: {
+      type: DataTypes.UUID,
+      allowNull: true // Recurring meeting series (standup, retro, ...) this meeting belongs to
     }
   }, {
     tableName: 'meeting_transcripts',
@@ -95,6 +108,12 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['sessionId']
       },
+      {
+        fields: ['workspaceId']
+      },
+      {
+        fields: ['seriesId']
+      },
       {
         fields: ['createdAt']
       }
@@ -124,6 +143,19 @@ module.exports = (sequelize, DataTypes) => {
     return await this.save();
   };
 
+  MeetingTranscript.prototype.hasSpeakerTurns = function() {
+    return Array.isArray(this.speakerTurns) && this.speakerTurns.length > 0;
+  };
+
+  /**
+   * Date the meeting took place: the stated meeting date, else the upload time
+   */
+  MeetingTranscript.prototype.getMeetingDate = function() {
+    const stated = this.metadata?.date ? new Date(this.metadata.date) : null;
+    if (stated && !Number.isNaN(stated.getTime())) return stated;
+    return this.createdAt ? new Date(this.createdAt) : new Date();
+  };
+
   MeetingTranscript.prototype.setContent = async function(content) {
     this.content = content;
     this.contentLength = content ? content.length : 0;
@@ -139,9 +171,9 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
-  MeetingTranscript.findBySession = function(sessionId) {
+  MeetingTranscript.findByOwner = function(owner) {
     return this.findAll({
-      where: { sessionId },
+      where: { ...owner },
       order: [['createdAt', 'DESC']],
       include: ['summaries']
     });
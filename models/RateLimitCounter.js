@@ -0,0 +1,63 @@
+module.exports = (sequelize, DataTypes) => {
+  const RateLimitCounter = sequelize.define('RateLimitCounter', {
+    key: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false // Limiter name and the identity it counts, e.g. aiProcessing:user:<id>
+    },
+    hits: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    resetAt: {
+      type: DataTypes.DATE,
+      allowNull: false // End of the current window
+    }
+  }, {
+    tableName: 'rate_limit_counters',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['resetAt']
+      }
+    ]
+  });
+
+  // Class methods
+
+  /**
+   * Atomically count a hit on a key, starting a new window when the current
+   * one has ended. A single upsert, so concurrent hits are never lost.
+   *
+   * @returns {Promise<{hits: number, resetAt: Date}>} The stored count and window end
+   */
+  RateLimitCounter.hit = async function(key, windowMs) {
+    const { QueryTypes } = require('sequelize');
+    const now = new Date();
+    // The leading comment keeps Sequelize's SQLite dialect from running this as
+    // a plain INSERT, which would drop the RETURNING row
+    const [counter] = await sequelize.query(
+      `/* rate limit hit */ INSERT INTO rate_limit_counters ("key", "hits", "resetAt") VALUES (:key, 1, :resetAt)
+       ON CONFLICT ("key") DO UPDATE SET
+         "hits" = CASE WHEN rate_limit_counters."resetAt" <= :now THEN 1 ELSE rate_limit_counters."hits" + 1 END,
+         "resetAt" = CASE WHEN rate_limit_counters."resetAt" <= :now THEN :resetAt ELSE rate_limit_counters."resetAt" END
+       RETURNING "hits", "resetAt"`,
+      {
+        replacements: { key, now, resetAt: new Date(now.getTime() + windowMs) },
+        type: QueryTypes.SELECT
+      }
+    );
+
+    return { hits: Number(counter.hits), resetAt: new Date(counter.resetAt) };
+  };
+
+  RateLimitCounter.pruneExpired = function() {
+    const { Op } = require('sequelize');
+    return this.destroy({
+      where: { resetAt: { [Op.lte]: new Date() } }
+    });
+  };
+
+  return RateLimitCounter;
+};
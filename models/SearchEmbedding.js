@@ -0,0 +1,75 @@
+module.exports = (sequelize, DataTypes) => {
+  const SearchEmbedding = sequelize.define('SearchEmbedding', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    transcriptId: {
+      type: DataTypes.UUID,
+      allowNull: false // Meeting the embedded text belongs to
+    },
+    docType: {
+      type: DataTypes.ENUM,
+      values: ['transcript', 'summary'],
+      allowNull: false
+    },
+    docId: {
+      type: DataTypes.UUID,
+      allowNull: false // Transcript or summary id
+    },
+    chunkIndex: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    startLine: {
+      type: DataTypes.INTEGER,
+      allowNull: false // 1-based lines of the document the chunk covers
+    },
+    endLine: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    vector: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    model: {
+      type: DataTypes.STRING,
+      allowNull: false // Vectors of different models are not comparable
+    }
+  }, {
+    tableName: 'search_embeddings',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['sessionId']
+      },
+      {
+        fields: ['docType', 'docId']
+      },
+      {
+        fields: ['transcriptId']
+      }
+    ]
+  });
+
+  // Class methods
+  SearchEmbedding.findByDocuments = function(transcriptIds, model) {
+    return this.findAll({
+      where: { transcriptId: transcriptIds, model },
+      order: [['docId', 'ASC'], ['chunkIndex', 'ASC']]
+    });
+  };
+
+  return SearchEmbedding;
+};
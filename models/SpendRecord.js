@@ -0,0 +1,119 @@
+// Model calls that cost money, and the dimensions spend is reported by
+const OPERATIONS = ['summary', 'refine', 'chat', 'rollup'];
+const REPORT_DIMENSIONS = {
+  model: ['aiModel'],
+  style: ['summaryStyle'],
+  user: ['userId', 'apiKeyId'],
+  operation: ['operation']
+};
+
+module.exports = (sequelize, DataTypes) => {
+  const SpendRecord = sequelize.define('SpendRecord', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true // Session that spent it; kept when the session is deleted
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true // Null for anonymous sessions
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    apiKeyId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    operation: {
+      type: DataTypes.ENUM,
+      values: OPERATIONS,
+      allowNull: false
+    },
+    transcriptId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    summaryId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    summaryStyle: {
+      type: DataTypes.STRING,
+      allowNull: true // Style of the summary generated or refined
+    },
+    aiModel: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    modelSlot: {
+      type: DataTypes.STRING,
+      allowNull: true // primary, fallback, ...
+    },
+    inputTokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    outputTokens: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    cost: {
+      type: DataTypes.DECIMAL(10, 6),
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'spend_records',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['workspaceId', 'createdAt']
+      },
+      {
+        fields: ['sessionId', 'createdAt']
+      }
+    ]
+  });
+
+  // Class methods
+  SpendRecord.totalSince = async function(where, since) {
+    const { Op } = require('sequelize');
+    const total = await this.sum('cost', {
+      where: { ...where, createdAt: { [Op.gte]: since } }
+    });
+    return Number(total || 0);
+  };
+
+  SpendRecord.getBreakdown = function(where, dimension) {
+    const fields = REPORT_DIMENSIONS[dimension];
+
+    return this.findAll({
+      attributes: [
+        ...fields,
+        [sequelize.fn('COUNT', sequelize.col('id')), 'calls'],
+        [sequelize.fn('SUM', sequelize.col('inputTokens')), 'inputTokens'],
+        [sequelize.fn('SUM', sequelize.col('outputTokens')), 'outputTokens'],
+        [sequelize.fn('SUM', sequelize.col('cost')), 'cost']
+      ],
+      where,
+      group: fields,
+      order: [[sequelize.fn('SUM', sequelize.col('cost')), 'DESC']],
+      raw: true
+    });
+  };
+
+  SpendRecord.OPERATIONS = OPERATIONS;
+  SpendRecord.REPORT_DIMENSIONS = Object.keys(REPORT_DIMENSIONS);
+
+  return SpendRecord;
+};
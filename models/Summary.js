@@ -36,7 +36,8 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: 'llama-3.3-70b-versatile',
       validate: {
-        isIn: [['llama-3.3-70b-versatile', 'llama-3.1-8b-instant']]
+        // Any configured provider model (see config/llm.js)
+        notEmpty: true
       }
     },
     processingTime: {
@@ -128,13 +129,15 @@ module.exports = (sequelize, DataTypes) => {
   });
 
   // Instance methods
-  Summary.prototype.updateContent = async function(newContent, editType = 'manual_edit') {
-    const editHistory = this.editHistory || [];
-    editHistory.push({
+  // details: extra fields for the history entry (e.g. the feedback behind an 'ai_refine')
+  Summary.prototype.updateContent = async function(newContent, editType = 'manual_edit', details = {}) {
+    // A new array so the JSONB change is detected
+    const editHistory = [...(this.editHistory || []), {
       timestamp: new Date(),
       previousContent: this.content,
-      editType: editType
-    });
+      editType: editType,
+      ...details
+    }];
     
     this.content = newContent;
     this.editHistory = editHistory;
@@ -143,6 +146,11 @@ module.exports = (sequelize, DataTypes) => {
     return await this.save();
   };
 
+  // Finished summaries (generated or since edited) can be edited, refined and restored
+  Summary.prototype.isEditable = function() {
+    return ['completed', 'edited'].includes(this.status) && Boolean(this.content);
+  };
+
   Summary.prototype.markCompleted = async function(processingTime, tokenUsage, cost) {
     this.status = 'completed';
     this.processingTime = processingTime;
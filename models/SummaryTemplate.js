@@ -0,0 +1,142 @@
+// Version of the portable JSON a template is exported as
+const TEMPLATE_EXPORT_FORMAT = 'meeting-summarizer/summary-template';
+const TEMPLATE_EXPORT_VERSION = 1;
+
+module.exports = (sequelize, DataTypes) => {
+  const SummaryTemplate = sequelize.define('SummaryTemplate', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: true // Creating session; owns the template until it signs in to a workspace
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true // Owning workspace; only its members can use, edit or export the template
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100]
+      }
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    baseStyle: {
+      type: DataTypes.ENUM,
+      values: ['executive', 'action-items', 'technical', 'detailed'], // Keys of PromptTemplates.getStylePrompts
+      defaultValue: 'executive',
+      allowNull: false
+    },
+    promptFragment: {
+      type: DataTypes.TEXT,
+      allowNull: true, // Added to the system prompt after the base style
+      validate: {
+        len: [0, 4000]
+      }
+    },
+    sections: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [] // Section headings the summary is laid out in, in order
+    },
+    targetLength: {
+      type: DataTypes.ENUM,
+      values: ['brief', 'standard', 'comprehensive'], // Keys of PromptTemplates.getQualityGuidelines
+      allowNull: true
+    },
+    usageCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'summary_templates',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['sessionId']
+      },
+      {
+        fields: ['workspaceId']
+      }
+    ]
+  });
+
+  // Instance methods
+  SummaryTemplate.prototype.recordUsage = async function() {
+    this.usageCount = (this.usageCount || 0) + 1;
+    this.lastUsedAt = new Date();
+    return await this.save();
+  };
+
+  /**
+   * What the prompt engine needs to apply the template
+   */
+  SummaryTemplate.prototype.toPromptJSON = function() {
+    return {
+      id: this.id,
+      name: this.name,
+      promptFragment: this.promptFragment,
+      sections: this.sections || [],
+      targetLength: this.targetLength
+    };
+  };
+
+  /**
+   * Portable form for sharing; importing it creates a new template
+   */
+  SummaryTemplate.prototype.toExportJSON = function() {
+    return {
+      format: TEMPLATE_EXPORT_FORMAT,
+      version: TEMPLATE_EXPORT_VERSION,
+      name: this.name,
+      description: this.description,
+      baseStyle: this.baseStyle,
+      promptFragment: this.promptFragment,
+      sections: this.sections || [],
+      targetLength: this.targetLength
+    };
+  };
+
+  SummaryTemplate.prototype.toApiJSON = function() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      baseStyle: this.baseStyle,
+      promptFragment: this.promptFragment,
+      sections: this.sections || [],
+      targetLength: this.targetLength,
+      usageCount: this.usageCount,
+      lastUsedAt: this.lastUsedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  };
+
+  // Class methods
+  SummaryTemplate.findByOwner = function(owner) {
+    return this.findAll({
+      where: { ...owner },
+      order: [['name', 'ASC']]
+    });
+  };
+
+  SummaryTemplate.EXPORT_FORMAT = TEMPLATE_EXPORT_FORMAT;
+  SummaryTemplate.EXPORT_VERSION = TEMPLATE_EXPORT_VERSION;
+
+  return SummaryTemplate;
+};
@@ -0,0 +1,84 @@
+// Metered usage counted against monthly quotas
+const METRICS = ['summaries', 'tokens', 'emails'];
+
+module.exports = (sequelize, DataTypes) => {
+  const UsageCounter = sequelize.define('UsageCounter', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    ownerKey: {
+      type: DataTypes.STRING,
+      allowNull: false // workspace:<id>, or ip:<address> (session:<id> if unknown) for anonymous sessions
+    },
+    period: {
+      type: DataTypes.STRING(7),
+      allowNull: false // Calendar month (UTC), YYYY-MM
+    },
+    summaries: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    tokens: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    emails: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'usage_counters',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['ownerKey', 'period'],
+        unique: true
+      }
+    ]
+  });
+
+  // Instance methods
+  UsageCounter.prototype.getUsage = function() {
+    return METRICS.reduce((usage, metric) => {
+      usage[metric] = Number(this[metric] || 0);
+      return usage;
+    }, {});
+  };
+
+  // Class methods
+  UsageCounter.ownerKey = function(owner) {
+    if (owner.workspaceId) return `workspace:${owner.workspaceId}`;
+    return owner.ipAddress ? `ip:${owner.ipAddress}` : `session:${owner.sessionId}`;
+  };
+
+  UsageCounter.currentPeriod = function(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+  };
+
+  UsageCounter.findUsage = function(ownerKey, period = UsageCounter.currentPeriod()) {
+    return this.findOne({
+      where: { ownerKey, period }
+    });
+  };
+
+  UsageCounter.record = async function(ownerKey, increments, period = UsageCounter.currentPeriod()) {
+    const amounts = METRICS.filter(metric => increments[metric] > 0);
+    if (amounts.length === 0) return;
+
+    await this.findOrCreate({ where: { ownerKey, period } });
+    await this.increment(
+      amounts.reduce((by, metric) => ({ ...by, [metric]: Math.round(increments[metric]) }), {}),
+      { where: { ownerKey, period } }
+    );
+  };
+
+  UsageCounter.METRICS = METRICS;
+
+  return UsageCounter;
+};
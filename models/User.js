@@ -0,0 +1,106 @@
+const { randomBytes, scrypt, timingSafeEqual } = require('crypto');
+const { promisify } = require('util');
+
+const scryptAsync = promisify(scrypt);
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+module.exports = (sequelize, DataTypes) => {
+  const User = sequelize.define('User', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      validate: {
+        isEmail: true
+      },
+      set(value) {
+        this.setDataValue('email', String(value).trim().toLowerCase());
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: [0, 100]
+      }
+    },
+    passwordHash: {
+      type: DataTypes.STRING,
+      allowNull: true // scrypt$N$r$p$salt$hash, never returned by the API; null for single sign-on accounts
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      allowNull: false
+    },
+    lastLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'users',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['email'],
+        unique: true
+      }
+    ]
+  });
+
+  // Instance methods
+  User.prototype.setPassword = async function(password) {
+    this.passwordHash = await User.hashPassword(password);
+  };
+
+  User.prototype.verifyPassword = async function(password) {
+    const [scheme, N, r, p, salt, hash] = (this.passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(String(password), Buffer.from(salt, 'base64'), expected.length, {
+      N: parseInt(N),
+      r: parseInt(r),
+      p: parseInt(p)
+    });
+
+    return timingSafeEqual(expected, actual);
+  };
+
+  User.prototype.toApiJSON = function() {
+    return {
+      id: this.id,
+      email: this.email,
+      name: this.name,
+      lastLoginAt: this.lastLoginAt,
+      hasPassword: Boolean(this.passwordHash),
+      createdAt: this.createdAt
+    };
+  };
+
+  // Class methods
+  User.hashPassword = async function(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(String(password), salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+  };
+
+  User.findByEmail = function(email) {
+    return this.findOne({
+      where: { email: String(email).trim().toLowerCase() }
+    });
+  };
+
+  return User;
+};
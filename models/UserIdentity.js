@@ -0,0 +1,68 @@
+module.exports = (sequelize, DataTypes) => {
+  const UserIdentity = sequelize.define('UserIdentity', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    issuer: {
+      type: DataTypes.STRING,
+      allowNull: false // OpenID Connect issuer URL
+    },
+    subject: {
+      type: DataTypes.STRING,
+      allowNull: false // 'sub' claim, stable per issuer
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true // Email claim at the last sign-in
+    },
+    groups: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [] // Group claim at the last sign-in
+    },
+    lastLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'user_identities',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['issuer', 'subject'],
+        unique: true
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  // Instance methods
+  UserIdentity.prototype.toApiJSON = function() {
+    return {
+      issuer: this.issuer,
+      subject: this.subject,
+      email: this.email,
+      groups: this.groups || [],
+      lastLoginAt: this.lastLoginAt
+    };
+  };
+
+  // Class methods
+  UserIdentity.findByClaims = function(issuer, subject) {
+    return this.findOne({
+      where: { issuer, subject },
+      include: ['user']
+    });
+  };
+
+  return UserIdentity;
+};
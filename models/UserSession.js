@@ -59,6 +59,18 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.UUID,
       allowNull: true
     },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true // Signed-in account; anonymous sessions have none
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true // Workspace the session works in; it owns what the session creates
+    },
+    apiKeyId: {
+      type: DataTypes.UUID,
+      allowNull: true // API key this session acts for; such sessions have no usable token
+    },
     preferences: {
       type: DataTypes.JSONB,
       allowNull: true,
@@ -97,6 +109,12 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['workflowState']
+      },
+      {
+        fields: ['userId']
+      },
+      {
+        fields: ['apiKeyId']
       }
     ],
     hooks: {
@@ -155,6 +173,14 @@ module.exports = (sequelize, DataTypes) => {
     return await this.save();
   };
 
+  UserSession.prototype.isApiKeySession = function() {
+    return Boolean(this.apiKeyId);
+  };
+
+  UserSession.prototype.isAuthenticated = function() {
+    return Boolean(this.userId);
+  };
+
   UserSession.prototype.isExpired = function() {
     return new Date() > this.expiresAt;
   };
@@ -176,6 +202,7 @@ module.exports = (sequelize, DataTypes) => {
     return this.findOne({
       where: {
         sessionToken,
+        apiKeyId: null,
         isActive: true,
         expiresAt: { [Op.gt]: new Date() }
       },
@@ -183,6 +210,17 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  UserSession.findForApiKey = function(apiKeyId) {
+    const { Op } = require('sequelize');
+    return this.findOne({
+      where: {
+        apiKeyId,
+        isActive: true,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+  };
+
   UserSession.findActive = function() {
     const { Op } = require('sequelize');
     return this.findAll({
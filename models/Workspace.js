@@ -0,0 +1,54 @@
+module.exports = (sequelize, DataTypes) => {
+  const Workspace = sequelize.define('Workspace', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100]
+      }
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true // User who created the workspace; ownership itself is a member role
+    },
+    ssoKey: {
+      type: DataTypes.STRING,
+      allowNull: true, // Issuer and workspace claim of a workspace managed by single sign-on
+      unique: true
+    },
+    budgets: {
+      type: DataTypes.JSON,
+      allowNull: true // The owner's own { daily, monthly, perSummary } budgets in USD, within the configured ones
+    }
+  }, {
+    tableName: 'workspaces',
+    timestamps: true
+  });
+
+  // Instance methods
+  Workspace.prototype.toApiJSON = function(role = null) {
+    return {
+      id: this.id,
+      name: this.name,
+      role,
+      singleSignOn: Boolean(this.ssoKey),
+      createdAt: this.createdAt
+    };
+  };
+
+  // Class methods
+  Workspace.findBySsoKey = function(ssoKey) {
+    return this.findOne({
+      where: { ssoKey }
+    });
+  };
+
+  return Workspace;
+};
@@ -0,0 +1,85 @@
+// Member roles from least to most access: viewers read, editors also change
+// the workspace's meetings, owners also manage members
+const ROLES = ['viewer', 'editor', 'owner'];
+
+module.exports = (sequelize, DataTypes) => {
+  const WorkspaceMember = sequelize.define('WorkspaceMember', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    role: {
+      type: DataTypes.ENUM,
+      values: ROLES,
+      defaultValue: 'editor',
+      allowNull: false
+    }
+  }, {
+    tableName: 'workspace_members',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['workspaceId', 'userId'],
+        unique: true
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  // Instance methods
+  WorkspaceMember.prototype.hasRole = function(minimum) {
+    return WorkspaceMember.hasRole(this.role, minimum);
+  };
+
+  WorkspaceMember.prototype.toApiJSON = function() {
+    return {
+      userId: this.userId,
+      email: this.user?.email,
+      name: this.user?.name,
+      role: this.role,
+      joinedAt: this.createdAt
+    };
+  };
+
+  // Class methods
+  WorkspaceMember.hasRole = function(role, minimum) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minimum) && ROLES.includes(role);
+  };
+
+  WorkspaceMember.findMembership = function(workspaceId, userId) {
+    return this.findOne({
+      where: { workspaceId, userId },
+      include: ['workspace']
+    });
+  };
+
+  WorkspaceMember.findByUser = function(userId) {
+    return this.findAll({
+      where: { userId },
+      include: ['workspace'],
+      order: [['createdAt', 'ASC']]
+    });
+  };
+
+  WorkspaceMember.countOwners = function(workspaceId) {
+    return this.count({
+      where: { workspaceId, role: 'owner' }
+    });
+  };
+
+  WorkspaceMember.ROLES = ROLES;
+
+  return WorkspaceMember;
+};
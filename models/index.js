@@ -1,11 +1,27 @@
 const { sequelize } = require('../config/database');
 const { DataTypes } = require('sequelize');
+const { ensureSearchIndex } = require('./searchIndex');
 
 // Import all models
 const MeetingTranscript = require('./MeetingTranscript')(sequelize, DataTypes);
 const Summary = require('./Summary')(sequelize, DataTypes);
 const EmailRecord = require('./EmailRecord')(sequelize, DataTypes);
 const UserSession = require('./UserSession')(sequelize, DataTypes);
+const Job = require('./Job')(sequelize, DataTypes);
+const ActionItem = require('./ActionItem')(sequelize, DataTypes);
+const Decision = require('./Decision')(sequelize, DataTypes);
+const MeetingSeries = require('./MeetingSeries')(sequelize, DataTypes);
+const SummaryTemplate = require('./SummaryTemplate')(sequelize, DataTypes);
+const ChatMessage = require('./ChatMessage')(sequelize, DataTypes);
+const SearchEmbedding = require('./SearchEmbedding')(sequelize, DataTypes);
+const User = require('./User')(sequelize, DataTypes);
+const Workspace = require('./Workspace')(sequelize, DataTypes);
+const WorkspaceMember = require('./WorkspaceMember')(sequelize, DataTypes);
+const UserIdentity = require('./UserIdentity')(sequelize, DataTypes);
+const ApiKey = require('./ApiKey')(sequelize, DataTypes);
+const RateLimitCounter = require('./RateLimitCounter')(sequelize, DataTypes);
+const UsageCounter = require('./UsageCounter')(sequelize, DataTypes);
+const SpendRecord = require('./SpendRecord')(sequelize, DataTypes);
 
 // Define associations (will be set up after sync)
 const defineAssociations = () => {
@@ -41,6 +57,229 @@ const defineAssociations = () => {
     foreignKey: 'sessionId',
     as: 'session'
   });
+
+  // Recurring meetings are grouped into a series
+  MeetingSeries.hasMany(MeetingTranscript, {
+    foreignKey: 'seriesId',
+    as: 'transcripts'
+  });
+
+  MeetingTranscript.belongsTo(MeetingSeries, {
+    foreignKey: 'seriesId',
+    as: 'series'
+  });
+
+  UserSession.hasMany(MeetingSeries, {
+    foreignKey: 'sessionId',
+    as: 'meetingSeries'
+  });
+
+  // Background jobs belong to the session that queued them
+  UserSession.hasMany(Job, {
+    foreignKey: 'sessionId',
+    as: 'jobs'
+  });
+
+  Job.belongsTo(UserSession, {
+    foreignKey: 'sessionId',
+    as: 'session'
+  });
+
+  // Action items are raised in a meeting, usually by its summary
+  MeetingTranscript.hasMany(ActionItem, {
+    foreignKey: 'transcriptId',
+    as: 'actionItems'
+  });
+
+  ActionItem.belongsTo(MeetingTranscript, {
+    foreignKey: 'transcriptId',
+    as: 'transcript'
+  });
+
+  Summary.hasMany(ActionItem, {
+    foreignKey: 'summaryId',
+    as: 'actionItems'
+  });
+
+  ActionItem.belongsTo(Summary, {
+    foreignKey: 'summaryId',
+    as: 'summary'
+  });
+
+  UserSession.hasMany(ActionItem, {
+    foreignKey: 'sessionId',
+    as: 'actionItems'
+  });
+
+  // Decisions are made in a meeting and may be superseded by a later decision
+  MeetingTranscript.hasMany(Decision, {
+    foreignKey: 'transcriptId',
+    as: 'decisions'
+  });
+
+  Decision.belongsTo(MeetingTranscript, {
+    foreignKey: 'transcriptId',
+    as: 'transcript'
+  });
+
+  Summary.hasMany(Decision, {
+    foreignKey: 'summaryId',
+    as: 'decisions'
+  });
+
+  Decision.belongsTo(Summary, {
+    foreignKey: 'summaryId',
+    as: 'summary'
+  });
+
+  Decision.belongsTo(Decision, {
+    foreignKey: 'supersededById',
+    as: 'supersededBy'
+  });
+
+  Decision.hasMany(Decision, {
+    foreignKey: 'supersededById',
+    as: 'supersedes'
+  });
+
+  UserSession.hasMany(Decision, {
+    foreignKey: 'sessionId',
+    as: 'decisions'
+  });
+
+  // User-defined summary templates are owned by a session
+  UserSession.hasMany(SummaryTemplate, {
+    foreignKey: 'sessionId',
+    as: 'summaryTemplates'
+  });
+
+  SummaryTemplate.belongsTo(UserSession, {
+    foreignKey: 'sessionId',
+    as: 'session'
+  });
+
+  // Q&A conversations about a meeting, kept per session
+  MeetingTranscript.hasMany(ChatMessage, {
+    foreignKey: 'transcriptId',
+    as: 'chatMessages'
+  });
+
+  ChatMessage.belongsTo(MeetingTranscript, {
+    foreignKey: 'transcriptId',
+    as: 'transcript'
+  });
+
+  UserSession.hasMany(ChatMessage, {
+    foreignKey: 'sessionId',
+    as: 'chatMessages'
+  });
+
+  // Embedded transcript and summary chunks for semantic search
+  MeetingTranscript.hasMany(SearchEmbedding, {
+    foreignKey: 'transcriptId',
+    as: 'searchEmbeddings'
+  });
+
+  SearchEmbedding.belongsTo(MeetingTranscript, {
+    foreignKey: 'transcriptId',
+    as: 'transcript'
+  });
+
+  // Accounts belong to workspaces through a membership with a role
+  User.hasMany(WorkspaceMember, {
+    foreignKey: 'userId',
+    as: 'memberships'
+  });
+
+  WorkspaceMember.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+
+  Workspace.hasMany(WorkspaceMember, {
+    foreignKey: 'workspaceId',
+    as: 'members'
+  });
+
+  WorkspaceMember.belongsTo(Workspace, {
+    foreignKey: 'workspaceId',
+    as: 'workspace'
+  });
+
+  // Single sign-on identities of an account
+  User.hasMany(UserIdentity, {
+    foreignKey: 'userId',
+    as: 'identities'
+  });
+
+  UserIdentity.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+
+  // Signed-in sessions work in one of their account's workspaces
+  User.hasMany(UserSession, {
+    foreignKey: 'userId',
+    as: 'sessions'
+  });
+
+  UserSession.belongsTo(User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+
+  UserSession.belongsTo(Workspace, {
+    foreignKey: 'workspaceId',
+    as: 'workspace'
+  });
+
+  // Workspace API keys act through a session of their own
+  Workspace.hasMany(ApiKey, {
+    foreignKey: 'workspaceId',
+    as: 'apiKeys'
+  });
+
+  ApiKey.belongsTo(Workspace, {
+    foreignKey: 'workspaceId',
+    as: 'workspace'
+  });
+
+  ApiKey.hasMany(UserSession, {
+    foreignKey: 'apiKeyId',
+    as: 'sessions'
+  });
+
+  // Workspaces own meetings (and through them summaries and emails), templates,
+  // action items, decisions and series
+  Workspace.hasMany(MeetingTranscript, {
+    foreignKey: 'workspaceId',
+    as: 'transcripts'
+  });
+
+  MeetingTranscript.belongsTo(Workspace, {
+    foreignKey: 'workspaceId',
+    as: 'workspace'
+  });
+
+  Workspace.hasMany(SummaryTemplate, {
+    foreignKey: 'workspaceId',
+    as: 'summaryTemplates'
+  });
+
+  Workspace.hasMany(ActionItem, {
+    foreignKey: 'workspaceId',
+    as: 'actionItems'
+  });
+
+  Workspace.hasMany(Decision, {
+    foreignKey: 'workspaceId',
+    as: 'decisions'
+  });
+
+  Workspace.hasMany(MeetingSeries, {
+    foreignKey: 'workspaceId',
+    as: 'meetingSeries'
+  });
 };
 
 // Don't initialize associations immediately - do it after sync
@@ -82,6 +321,9 @@ const initializeDatabase = async () => {
     // Set up associations after sync
     defineAssociations();
 
+    // Full-text search over transcripts, summaries, action items and decisions
+    await ensureSearchIndex(sequelize);
+
     console.log('🚀 Database initialized successfully.');
     return true;
   } catch (error) {
@@ -96,6 +338,21 @@ module.exports = {
   Summary,
   EmailRecord,
   UserSession,
+  Job,
+  ActionItem,
+  Decision,
+  MeetingSeries,
+  SummaryTemplate,
+  ChatMessage,
+  SearchEmbedding,
+  User,
+  Workspace,
+  WorkspaceMember,
+  UserIdentity,
+  ApiKey,
+  RateLimitCounter,
+  UsageCounter,
+  SpendRecord,
   syncDatabase,
   initializeDatabase
 };
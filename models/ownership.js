@@ -0,0 +1,62 @@
+/**
+ * Record ownership
+ *
+ * Transcripts, templates, action items, decisions and series belong to the
+ * workspace of the session that created them, or to the session itself while
+ * it is anonymous. Summaries and email records belong to their transcript.
+ * These helpers build the where-clauses and fields for both cases.
+ */
+
+// Models whose records carry their own sessionId/workspaceId owner columns
+const OWNED_MODELS = ['MeetingTranscript', 'SummaryTemplate', 'ActionItem', 'Decision', 'MeetingSeries'];
+
+/**
+ * Where-clause for the records a session can reach
+ */
+const sessionOwner = (session) => (session.workspaceId ?
+  { workspaceId: session.workspaceId } :
+  { sessionId: session.id, workspaceId: null });
+
+/**
+ * Where-clause for the records with the same owner as a record
+ */
+const recordOwner = (record) => (record.workspaceId ?
+  { workspaceId: record.workspaceId } :
+  { sessionId: record.sessionId, workspaceId: null });
+
+/**
+ * Owner columns for a record the session creates
+ */
+const ownerFields = (session) => ({
+  sessionId: session.id,
+  workspaceId: session.workspaceId || null
+});
+
+/**
+ * Whether a record has an owner at all (records of deleted anonymous sessions don't)
+ */
+const hasOwner = (record) => Boolean(record.workspaceId || record.sessionId);
+
+/**
+ * Whether a session can reach a record
+ */
+const isOwnedBy = (record, session) => (session.workspaceId ?
+  record.workspaceId === session.workspaceId :
+  !record.workspaceId && record.sessionId === session.id);
+
+/**
+ * Whether two records have the same owner
+ */
+const sameOwner = (a, b) => (a.workspaceId || b.workspaceId ?
+  a.workspaceId === b.workspaceId :
+  Boolean(a.sessionId) && a.sessionId === b.sessionId);
+
+module.exports = {
+  OWNED_MODELS,
+  sessionOwner,
+  recordOwner,
+  ownerFields,
+  hasOwner,
+  isOwnedBy,
+  sameOwner
+};
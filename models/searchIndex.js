@@ -0,0 +1,134 @@
+/**
+ * Full-text search indexes
+ *
+ * The searchable documents are transcripts, summaries, action items and
+ * decisions. PostgreSQL searches them through expression GIN indexes on
+ * to_tsvector(); SQLite (development) keeps a copy of their text in an FTS5
+ * table that triggers on the source tables keep up to date.
+ */
+
+// Text search configuration (PostgreSQL) used for stemming; inlined into SQL, so letters only
+const SEARCH_LANGUAGE = /^[a-z_]+$/.test(process.env.SEARCH_LANGUAGE || '') ? process.env.SEARCH_LANGUAGE : 'english';
+
+// SQLite FTS5 table holding the searchable text of every document
+const FTS_TABLE = 'search_fts';
+
+// Searchable document types: source table, text columns and the column naming their meeting
+const SEARCH_DOCUMENTS = {
+  transcript: { table: 'meeting_transcripts', columns: ['content'], transcriptColumn: 'id' },
+  summary: { table: 'summaries', columns: ['content'], transcriptColumn: 'transcriptId' },
+  action_item: { table: 'action_items', columns: ['task', 'owner', 'dueText'], transcriptColumn: 'transcriptId' },
+  decision: { table: 'decisions', columns: ['text', 'rationale', 'owner'], transcriptColumn: 'transcriptId' }
+};
+
+// Mode set up by ensureSearchIndex: 'postgres', 'fts5' or 'like'
+let searchMode = null;
+
+/**
+ * SQL expression for a document's searchable text ("d" is the row alias;
+ * null leaves the columns unqualified, as index expressions need)
+ */
+const textExpression = (type, alias = 'd') => SEARCH_DOCUMENTS[type].columns
+  .map(column => `coalesce(${alias ? `${alias}.` : ''}"${column}", '')`)
+  .join(` || ' ' || `);
+
+/**
+ * PostgreSQL tsvector of a document; queries must use this exact expression to hit the index
+ */
+const tsvectorExpression = (type, alias = 'd') =>
+  `to_tsvector('${SEARCH_LANGUAGE}', ${textExpression(type, alias)})`;
+
+/**
+ * Create the GIN indexes for PostgreSQL full-text search
+ */
+const ensurePostgresIndexes = async (sequelize) => {
+  for (const [type, document] of Object.entries(SEARCH_DOCUMENTS)) {
+    const expression = tsvectorExpression(type, null);
+    await sequelize.query(
+      `CREATE INDEX IF NOT EXISTS "${document.table}_search_idx" ON "${document.table}" USING GIN ((${expression}))`
+    );
+  }
+};
+
+/**
+ * (Re)build the SQLite FTS5 table and the triggers that keep it in sync.
+ * Development databases are recreated by sync({ force: true }), so the
+ * table is rebuilt from the source tables every time.
+ */
+const ensureSqliteIndex = async (sequelize) => {
+  await sequelize.query(`DROP TABLE IF EXISTS ${FTS_TABLE}`);
+  await sequelize.query(
+    `CREATE VIRTUAL TABLE ${FTS_TABLE} USING fts5(body, doc_type UNINDEXED, doc_id UNINDEXED, transcript_id UNINDEXED, tokenize = 'porter unicode61')`
+  );
+
+  for (const [type, document] of Object.entries(SEARCH_DOCUMENTS)) {
+    const insertRow = (alias) =>
+      `INSERT INTO ${FTS_TABLE} (body, doc_type, doc_id, transcript_id) VALUES (${textExpression(type, alias)}, '${type}', ${alias}.id, ${alias}."${document.transcriptColumn}");`;
+    const deleteRow = `DELETE FROM ${FTS_TABLE} WHERE doc_type = '${type}' AND doc_id = OLD.id;`;
+
+    await sequelize.query(`DROP TRIGGER IF EXISTS ${document.table}_search_ai`);
+    await sequelize.query(`DROP TRIGGER IF EXISTS ${document.table}_search_au`);
+    await sequelize.query(`DROP TRIGGER IF EXISTS ${document.table}_search_ad`);
+    await sequelize.query(`CREATE TRIGGER ${document.table}_search_ai AFTER INSERT ON "${document.table}" BEGIN ${insertRow('NEW')} END`);
+    await sequelize.query(`CREATE TRIGGER ${document.table}_search_au AFTER UPDATE ON "${document.table}" BEGIN ${deleteRow} ${insertRow('NEW')} END`);
+    await sequelize.query(`CREATE TRIGGER ${document.table}_search_ad AFTER DELETE ON "${document.table}" BEGIN ${deleteRow} END`);
+
+    await sequelize.query(
+      `INSERT INTO ${FTS_TABLE} (body, doc_type, doc_id, transcript_id) SELECT ${textExpression(type)}, '${type}', d.id, d."${document.transcriptColumn}" FROM "${document.table}" d`
+    );
+  }
+};
+
+/**
+ * Set up full-text search for the connected database. Failures are logged;
+ * without FTS5 (or on other databases) search falls back to LIKE matching.
+ *
+ * @returns {Promise<string>} 'postgres', 'fts5' or 'like'
+ */
+const ensureSearchIndex = async (sequelize) => {
+  const dialect = sequelize.getDialect();
+
+  if (dialect === 'postgres') {
+    // Full-text queries work without the indexes, only slower
+    searchMode = 'postgres';
+    try {
+      await ensurePostgresIndexes(sequelize);
+      console.log('🔎 PostgreSQL full-text search indexes ready');
+    } catch (error) {
+      console.warn(`⚠️ Full-text search indexes could not be created: ${error.message}`);
+    }
+    return searchMode;
+  }
+
+  searchMode = 'like';
+  if (dialect === 'sqlite') {
+    try {
+      await ensureSqliteIndex(sequelize);
+      searchMode = 'fts5';
+      console.log('🔎 SQLite FTS5 search index rebuilt');
+    } catch (error) {
+      console.warn(`⚠️ SQLite FTS5 unavailable, search uses LIKE matching: ${error.message}`);
+    }
+  }
+
+  return searchMode;
+};
+
+/**
+ * Search mode of the connected database; PostgreSQL full-text search needs
+ * no table of its own, so it is used even before the indexes exist
+ */
+const getSearchMode = (sequelize) => {
+  if (searchMode) return searchMode;
+  return sequelize.getDialect() === 'postgres' ? 'postgres' : 'like';
+};
+
+module.exports = {
+  SEARCH_LANGUAGE,
+  SEARCH_DOCUMENTS,
+  FTS_TABLE,
+  textExpression,
+  tsvectorExpression,
+  ensureSearchIndex,
+  getSearchMode
+};
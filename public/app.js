@@ -1,4 +1,11 @@
 // Meeting Summarizer Frontend Application
+
+// Escape text for insertion into HTML
+const escapeHTML = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
 class MeetingSummarizer {
     constructor() {
         this.currentSection = 'upload-section';
@@ -94,6 +101,24 @@ class MeetingSummarizer {
         // Button events
         document.getElementById('generate-btn').addEventListener('click', () => this.generateSummary());
         document.getElementById('edit-btn').addEventListener('click', () => this.toggleEdit());
+        document.getElementById('refine-btn').addEventListener('click', () => this.refineSummary());
+        document.getElementById('history-btn').addEventListener('click', () => this.toggleRevisionHistory());
+        document.getElementById('revision-list').addEventListener('click', (e) => this.handleRevisionClick(e));
+
+        // Clicking a cited summary point highlights its source in the transcript
+        document.getElementById('summary-content').addEventListener('click', (e) => {
+            this.handleCitationClick(e);
+        });
+
+        // Questions about the meeting; cited answers highlight their source too
+        document.getElementById('chat-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.askQuestion();
+        });
+        document.getElementById('chat-clear-btn').addEventListener('click', () => this.clearChat());
+        document.getElementById('chat-messages').addEventListener('click', (e) => {
+            this.handleCitationClick(e);
+        });
 
 
         // Navigation events - use page reload for complete state reset
@@ -275,6 +300,8 @@ class MeetingSummarizer {
         this.uploadedFile = null;
         this.generatedSummary = null;
         this.currentTranscript = null;
+        this.transcriptLines = null;
+        this.speakerTurns = null;
 
         // Reset file input
         const fileInput = document.getElementById('file-input');
@@ -290,8 +317,8 @@ class MeetingSummarizer {
             <div class="upload-icon">📄</div>
             <p>Drag and drop your meeting transcript here</p>
             <p class="upload-subtitle">or click to browse files</p>
-            <p class="upload-subtitle" style="font-size: 0.8em; color: #6c757d;">Supported: .txt, .md, .doc, .docx, .pdf, .rtf (max 10MB)</p>
-            <input type="file" id="file-input" accept=".txt,.md,.doc,.docx,.pdf,.rtf,application/pdf,text/plain,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document" hidden>
+            <p class="upload-subtitle" style="font-size: 0.8em; color: #6c757d;">Supported: .txt, .md, .doc, .docx, .pdf, .rtf, .vtt, .srt, .json (max 10MB)</p>
+            <input type="file" id="file-input" accept=".txt,.md,.doc,.docx,.pdf,.rtf,.vtt,.srt,.json,application/pdf,text/plain,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document" hidden>
             <button type="button" id="browse-btn" class="btn btn-primary">Browse Files</button>
         `;
 
@@ -325,6 +352,9 @@ class MeetingSummarizer {
         // Reset form states
         document.getElementById('summary-style').value = 'executive';
         document.getElementById('custom-instructions').value = '';
+        document.getElementById('summary-length').value = '';
+        document.getElementById('meeting-type').value = 'auto';
+        document.getElementById('industry').value = 'auto';
         document.getElementById('email-template').value = 'default';
 
         // Clear any metadata displays
@@ -333,6 +363,11 @@ class MeetingSummarizer {
             metadataDiv.remove();
         }
 
+        const sourceDiv = document.getElementById('transcript-source');
+        if (sourceDiv) {
+            sourceDiv.remove();
+        }
+
         // Reset character counter
         this.updateCharacterCount(0);
 
@@ -379,11 +414,11 @@ class MeetingSummarizer {
         if (!file) return;
 
         // Validate file type
-        const allowedTypes = ['.txt', '.md', '.doc', '.docx', '.pdf', '.rtf'];
+        const allowedTypes = ['.txt', '.md', '.doc', '.docx', '.pdf', '.rtf', '.vtt', '.srt', '.json'];
         const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
 
         if (!allowedTypes.includes(fileExtension)) {
-            this.showStatus('Please select a valid file type (.txt, .md, .doc, .docx, .pdf, .rtf)', 'error');
+            this.showStatus('Please select a valid file type (.txt, .md, .doc, .docx, .pdf, .rtf, .vtt, .srt, .json)', 'error');
             return;
         }
 
@@ -508,6 +543,18 @@ class MeetingSummarizer {
             <strong>Status:</strong> ${transcript.status}
         `;
         fileInfo.classList.remove('hidden');
+
+        this.showDetectedMeetingContext(transcript);
+    }
+
+    showDetectedMeetingContext(detected = {}) {
+        // Name the detected template in the "Auto-detect" option of each override select
+        [['meeting-type', detected.meetingType], ['industry', detected.industry]].forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            const autoOption = select.querySelector('option[value="auto"]');
+            const match = value && select.querySelector(`option[value="${value}"]`);
+            autoOption.textContent = match ? `Auto-detect (${match.textContent})` : 'Auto-detect (none found)';
+        });
     }
 
     async loadTranscript(transcriptId) {
@@ -705,6 +752,9 @@ class MeetingSummarizer {
                 transcriptId: this.currentTranscript.id,
                 summaryStyle: document.getElementById('summary-style').value,
                 customInstructions: document.getElementById('custom-instructions').value,
+                length: document.getElementById('summary-length').value || null,
+                meetingType: document.getElementById('meeting-type').value,
+                industry: document.getElementById('industry').value,
                 sessionToken: this.sessionToken
             };
 
@@ -755,6 +805,7 @@ class MeetingSummarizer {
             if (response.ok) {
                 const data = await response.json();
                 instructions = data.instructions;
+                this.showDetectedMeetingContext(data.detected);
             } else {
                 // Fallback to localStorage
                 const saved = localStorage.getItem(`instructions_${this.currentTranscript.id}`);
@@ -766,6 +817,9 @@ class MeetingSummarizer {
             if (instructions) {
                 document.getElementById('summary-style').value = instructions.summaryStyle || 'executive';
                 document.getElementById('custom-instructions').value = instructions.customInstructions || '';
+                document.getElementById('summary-length').value = instructions.length || '';
+                document.getElementById('meeting-type').value = instructions.meetingType || 'auto';
+                document.getElementById('industry').value = instructions.industry || 'auto';
 
                 this.handleStyleChange(instructions.summaryStyle || 'executive');
                 this.updateCharacterCount(instructions.customInstructions?.length || 0);
@@ -798,11 +852,14 @@ class MeetingSummarizer {
                 transcriptId: this.currentTranscript.id,
                 summaryStyle: document.getElementById('summary-style').value,
                 customInstructions: document.getElementById('custom-instructions').value,
+                length: document.getElementById('summary-length').value || undefined,
+                meetingType: document.getElementById('meeting-type').value,
+                industry: document.getElementById('industry').value,
                 urgency: 'normal'
             };
 
-            // Make API call to generate summary
-            const response = await fetch('/api/summaries/generate', {
+            // Stream the summary so it fills in while it is being generated
+            const response = await fetch('/api/summaries/generate/stream', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -811,9 +868,11 @@ class MeetingSummarizer {
                 body: JSON.stringify(requestData)
             });
 
-            const result = await response.json();
+            const result = response.ok ?
+                await this.readSummaryStream(response) :
+                await response.json();
 
-            if (!response.ok) {
+            if (!response.ok || !result.success) {
                 // Handle error response
                 if (result.error && result.error.userMessage) {
                     // User-friendly error from error handling system
@@ -836,6 +895,10 @@ class MeetingSummarizer {
                 // Show additional information if available
                 this.displaySummaryMetadata(result.summary);
 
+                // Show the transcript so cited points can be traced to their source
+                await this.loadTranscriptSource();
+                await this.loadChat();
+
                 this.showSection('summary-section');
                 this.showStatus('Summary generated successfully!', 'success');
             } else {
@@ -851,6 +914,75 @@ class MeetingSummarizer {
         }
     }
 
+    /**
+     * Read a Server-Sent Events summary stream, rendering deltas as they arrive.
+     * Resolves with the payload of the final `complete` or `error` event.
+     */
+    async readSummaryStream(response) {
+        const summaryContent = document.getElementById('summary-content');
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let streamed = '';
+        let finalEvent = null;
+
+        summaryContent.innerHTML = '';
+        this.showSection('summary-section');
+
+        const handleEvent = (event, data) => {
+            switch (event) {
+                case 'delta':
+                    streamed += data.content;
+                    summaryContent.innerHTML = this.formatSummaryForDisplay(streamed);
+                    break;
+                case 'retry':
+                    // The previous attempt failed mid-stream (or failed the grounding check); start over
+                    streamed = '';
+                    summaryContent.innerHTML = '';
+                    if (data.reason === 'grounding') {
+                        this.showStatus('Re-checking names, dates and figures against the transcript...', 'info');
+                    } else if (data.reason === 'length') {
+                        this.showStatus('Adjusting the summary to the requested length...', 'info');
+                    }
+                    break;
+                case 'progress':
+                    this.showStatus(`Summarizing long transcript (${data.phase} ${data.completed}/${data.total})...`, 'info');
+                    break;
+                case 'complete':
+                    finalEvent = data;
+                    break;
+                case 'error':
+                    finalEvent = { success: false, error: data.error };
+                    break;
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const frame = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let event = 'message';
+                let data = '';
+                frame.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                });
+
+                if (data) handleEvent(event, JSON.parse(data));
+            }
+        }
+
+        return finalEvent || { success: false, error: 'Summary stream ended unexpectedly' };
+    }
+
     /**
      * Format summary content for display with proper HTML formatting
      */
@@ -859,6 +991,9 @@ class MeetingSummarizer {
 
         // Convert markdown-style formatting to HTML
         let formatted = content
+            // Convert source citations ([L12], [L12-L15], [00:12:05]) into clickable chips
+            .replace(/\[((?:L\d+|\d{1,2}:\d{2}(?::\d{2})?)(?:\s*[-–]\s*(?:L?\d+|\d{1,2}:\d{2}(?::\d{2})?))?(?:\s*[,;]\s*(?:L\d+|\d{1,2}:\d{2}(?::\d{2})?)(?:\s*[-–]\s*(?:L?\d+|\d{1,2}:\d{2}(?::\d{2})?))?)*)\]/g,
+                '<button type="button" class="citation" contenteditable="false" data-refs="$1" title="Show source in transcript">$1</button>')
             // Convert headers
             .replace(/^### (.*$)/gm, '<h3>$1</h3>')
             .replace(/^## (.*$)/gm, '<h2>$1</h2>')
@@ -878,6 +1013,130 @@ class MeetingSummarizer {
         return formatted;
     }
 
+    /**
+     * Load the transcript lines and speaker turns that citations point to
+     * and render them below the summary
+     */
+    async loadTranscriptSource() {
+        if (!this.currentTranscript) return;
+
+        try {
+            const response = await fetch(`/api/upload/${this.currentTranscript.id}/content`);
+            if (!response.ok) return;
+
+            const data = await response.json();
+            this.transcriptLines = data.content.split('\n');
+            this.speakerTurns = data.speakerTurns || [];
+            this.renderTranscriptSource();
+        } catch (error) {
+            console.error('Load transcript source error:', error);
+        }
+    }
+
+    /**
+     * Render the numbered transcript panel used for citation highlighting
+     */
+    renderTranscriptSource() {
+        let sourceDiv = document.getElementById('transcript-source');
+        if (!sourceDiv) {
+            sourceDiv = document.createElement('div');
+            sourceDiv.id = 'transcript-source';
+            sourceDiv.className = 'transcript-source';
+
+            const summaryContent = document.getElementById('summary-content');
+            summaryContent.parentNode.insertBefore(sourceDiv, summaryContent.nextSibling);
+        }
+
+        const linesHTML = this.transcriptLines.map((line, index) => `
+            <div class="transcript-line" data-line="${index + 1}">
+                <span class="transcript-line-number">${index + 1}</span>
+                <span class="transcript-line-text">${escapeHTML(line) || '&nbsp;'}</span>
+            </div>
+        `).join('');
+
+        sourceDiv.innerHTML = `
+            <h4 class="transcript-source-title">Transcript <small>Click a cited point to see its source</small></h4>
+            <div class="transcript-source-lines">${linesHTML}</div>
+        `;
+    }
+
+    /**
+     * Highlight the transcript passage behind a clicked citation or cited bullet
+     */
+    handleCitationClick(e) {
+        const chip = e.target.closest('.citation');
+        const item = e.target.closest('li');
+        if (!chip && !item) return;
+
+        // A chip shows just its own source; a bullet shows all of its citations
+        const chips = chip ? [chip] : [...item.querySelectorAll('.citation')];
+        if (chips.length === 0 || !this.transcriptLines) return;
+
+        const ranges = chips.flatMap(element => this.resolveCitationRefs(element.dataset.refs));
+        this.highlightTranscriptLines(ranges);
+    }
+
+    /**
+     * Turn a citation label ("L3, L40-L42" or "00:12:05-00:13:40") into line ranges
+     */
+    resolveCitationRefs(refs) {
+        const toMs = (value) => {
+            const parts = value.split(':').map(Number);
+            while (parts.length < 3) parts.unshift(0);
+            return ((parts[0] * 60 + parts[1]) * 60 + parts[2]) * 1000;
+        };
+
+        return refs.split(/\s*[,;]\s*/).map(part => {
+            const [from, to = from] = part.split(/\s*[-–]\s*/);
+
+            if (from.startsWith('L')) {
+                return { start: parseInt(from.slice(1), 10), end: parseInt(to.replace(/^L/, ''), 10) };
+            }
+
+            // Timestamp citations cover the speaker turns they overlap
+            const startMs = toMs(from);
+            const endMs = toMs(to);
+            const turns = (this.speakerTurns || []).filter((turn, index) => {
+                const next = this.speakerTurns[index + 1];
+                const turnEnd = Math.max(turn.endMs ?? turn.startMs, next?.startMs ?? turn.startMs);
+                return turn.startMs <= endMs && (turnEnd > startMs || turn.startMs === startMs);
+            });
+
+            return turns.length > 0 ?
+                { start: turns[0].line, end: turns[turns.length - 1].line } :
+                null;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Highlight transcript line ranges and scroll the first into view
+     */
+    highlightTranscriptLines(ranges) {
+        const sourceDiv = document.getElementById('transcript-source');
+        if (!sourceDiv) return;
+
+        sourceDiv.querySelectorAll('.transcript-line.highlighted').forEach(line => {
+            line.classList.remove('highlighted');
+        });
+
+        let first = null;
+        ranges.forEach(({ start, end }) => {
+            for (let line = Math.min(start, end); line <= Math.max(start, end); line++) {
+                const element = sourceDiv.querySelector(`.transcript-line[data-line="${line}"]`);
+                if (element) {
+                    element.classList.add('highlighted');
+                    first = first || element;
+                }
+            }
+        });
+
+        if (first) {
+            first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else {
+            this.showStatus('The cited lines are not in this transcript', 'error');
+        }
+    }
+
     /**
      * Display summary metadata (user-relevant information only)
      */
@@ -906,6 +1165,17 @@ class MeetingSummarizer {
             `;
         }
 
+        // Details the grounding check could not find in the transcript
+        const unsupported = summary.analysis?.grounding?.unsupported || [];
+        if (unsupported.length > 0) {
+            metadataHTML += `
+                <div class="metadata-item">
+                    <span class="metadata-label">Verify:</span>
+                    <span class="metadata-value" title="Not found in the transcript">${unsupported.map(claim => claim.text).join(', ')}</span>
+                </div>
+            `;
+        }
+
         // Generation timestamp
         const generatedAt = new Date().toLocaleString();
         metadataHTML += `
@@ -944,7 +1214,172 @@ class MeetingSummarizer {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
-    toggleEdit() {
+    /**
+     * Send reviewer feedback on the current summary back to the model and show the revision
+     */
+    async refineSummary() {
+        const feedbackInput = document.getElementById('refine-feedback');
+        const refineBtn = document.getElementById('refine-btn');
+        const feedback = feedbackInput.value.trim();
+
+        if (!this.generatedSummary?.id) {
+            this.showStatus('Generate a summary before refining it', 'error');
+            return;
+        }
+
+        if (feedback.length < 3) {
+            this.showStatus('Describe what should change in the summary', 'error');
+            return;
+        }
+
+        try {
+            refineBtn.disabled = true;
+            refineBtn.textContent = 'Refining...';
+            this.showStatus('Refining summary with your feedback...', 'info');
+
+            const response = await fetch(`/api/summaries/${this.generatedSummary.id}/refine`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Session-Token': this.sessionToken
+                },
+                body: JSON.stringify({ feedback })
+            });
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to refine summary');
+            }
+
+            this.generatedSummary = result.summary;
+            document.getElementById('summary-content').innerHTML = this.formatSummaryForDisplay(result.summary.content);
+            this.displaySummaryMetadata(result.summary);
+            feedbackInput.value = '';
+            this.showStatus(`Summary refined (revision ${result.summary.revision})`, 'success');
+            this.refreshRevisionHistory();
+
+        } catch (error) {
+            console.error('Error refining summary:', error);
+            this.showStatus(error.message || 'Error refining summary. Please try again.', 'error');
+        } finally {
+            refineBtn.disabled = false;
+            refineBtn.textContent = 'Refine Summary';
+        }
+    }
+
+    /**
+     * Load the session's earlier questions about the current transcript
+     */
+    async loadChat() {
+        if (!this.currentTranscript) return;
+
+        try {
+            const response = await fetch(`/api/chat/${this.currentTranscript.id}/messages`, {
+                headers: { 'X-Session-Token': this.sessionToken }
+            });
+            if (!response.ok) return;
+
+            const result = await response.json();
+            const messagesDiv = document.getElementById('chat-messages');
+            messagesDiv.innerHTML = '';
+            result.messages.forEach(message => this.appendChatMessage(message));
+        } catch (error) {
+            console.error('Load chat error:', error);
+        }
+    }
+
+    /**
+     * Ask a question about the current transcript and show the cited answer
+     */
+    async askQuestion() {
+        const questionInput = document.getElementById('chat-question');
+        const askBtn = document.getElementById('chat-ask-btn');
+        const question = questionInput.value.trim();
+
+        if (!this.currentTranscript) {
+            this.showStatus('Upload a transcript before asking about it', 'error');
+            return;
+        }
+
+        if (!question) return;
+
+        try {
+            askBtn.disabled = true;
+            askBtn.textContent = 'Asking...';
+            this.appendChatMessage({ role: 'user', content: question });
+            questionInput.value = '';
+
+            const response = await fetch(`/api/chat/${this.currentTranscript.id}/messages`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Session-Token': this.sessionToken
+                },
+                body: JSON.stringify({ question })
+            });
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to answer question');
+            }
+
+            this.appendChatMessage(result.answer);
+
+        } catch (error) {
+            console.error('Error asking question:', error);
+            this.showStatus(error.message || 'Error answering question. Please try again.', 'error');
+        } finally {
+            askBtn.disabled = false;
+            askBtn.textContent = 'Ask';
+        }
+    }
+
+    /**
+     * Render a question or answer; answers get citation chips and their cost
+     */
+    appendChatMessage(message) {
+        const messagesDiv = document.getElementById('chat-messages');
+
+        const element = document.createElement('div');
+        element.className = `chat-message ${message.role}`;
+
+        if (message.role === 'assistant') {
+            const tokens = message.tokenUsage?.totalTokens || 0;
+            element.innerHTML = this.formatSummaryForDisplay(escapeHTML(message.content)).replace(/contenteditable="false" /g, '') +
+                `<span class="chat-message-meta">${tokens} tokens · $${(message.cost || 0).toFixed(4)}</span>`;
+        } else {
+            element.textContent = message.content;
+        }
+
+        messagesDiv.appendChild(element);
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    }
+
+    /**
+     * Delete the conversation about the current transcript
+     */
+    async clearChat() {
+        if (!this.currentTranscript) return;
+
+        try {
+            const response = await fetch(`/api/chat/${this.currentTranscript.id}/messages`, {
+                method: 'DELETE',
+                headers: { 'X-Session-Token': this.sessionToken }
+            });
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to clear conversation');
+            }
+
+            document.getElementById('chat-messages').innerHTML = '';
+        } catch (error) {
+            console.error('Error clearing chat:', error);
+            this.showStatus(error.message || 'Error clearing conversation', 'error');
+        }
+    }
+
+    async toggleEdit() {
         const summaryContent = document.getElementById('summary-content');
         const editBtn = document.getElementById('edit-btn');
         
@@ -952,8 +1387,7 @@ class MeetingSummarizer {
             summaryContent.contentEditable = 'false';
             summaryContent.style.backgroundColor = '#fafafa';
             editBtn.textContent = 'Edit Summary';
-            this.generatedSummary = summaryContent.textContent;
-            this.showStatus('Summary saved', 'success');
+            await this.saveSummaryEdit(this.summaryHtmlToMarkdown(summaryContent));
         } else {
             summaryContent.contentEditable = 'true';
             summaryContent.style.backgroundColor = 'white';
@@ -964,6 +1398,226 @@ class MeetingSummarizer {
 
 
 
+    /**
+     * Save the edited summary text as a new revision
+     */
+    async saveSummaryEdit(content) {
+        if (!this.generatedSummary?.id) return;
+
+        try {
+            const response = await fetch(`/api/summaries/${this.generatedSummary.id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Session-Token': this.sessionToken
+                },
+                body: JSON.stringify({ content })
+            });
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to save summary');
+            }
+
+            this.generatedSummary.content = result.summary.content;
+            this.showStatus(result.message, 'success');
+            this.refreshRevisionHistory();
+
+        } catch (error) {
+            console.error('Error saving summary:', error);
+            this.showStatus(error.message || 'Error saving summary. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Turn the rendered (and possibly edited) summary back into the markdown
+     * formatSummaryForDisplay produced it from
+     */
+    summaryHtmlToMarkdown(element) {
+        const walk = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+            if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+            const inner = () => Array.from(node.childNodes).map(walk).join('');
+            switch (node.tagName) {
+                case 'BR': return '\n';
+                case 'H1': return `# ${inner()}`;
+                case 'H2': return `## ${inner()}`;
+                case 'H3': return `### ${inner()}`;
+                case 'LI': return `• ${inner()}`;
+                case 'P': return `${inner()}\n\n`;
+                // Lines added while editing become divs
+                case 'DIV': return `\n${inner()}`;
+                case 'BUTTON': return node.classList.contains('citation') ? `[${node.dataset.refs}]` : inner();
+                default: return inner();
+            }
+        };
+
+        return walk(element).replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Show or hide the revision history panel
+     */
+    toggleRevisionHistory() {
+        const panel = document.getElementById('revision-panel');
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            this.loadRevisions();
+        }
+    }
+
+    /**
+     * Reload the revision list if the panel is open
+     */
+    refreshRevisionHistory() {
+        if (!document.getElementById('revision-panel').classList.contains('hidden')) {
+            this.loadRevisions();
+        }
+    }
+
+    /**
+     * List the summary's revisions with compare and restore actions
+     */
+    async loadRevisions() {
+        const list = document.getElementById('revision-list');
+        if (!this.generatedSummary?.id) return;
+
+        try {
+            const response = await fetch(`/api/summaries/${this.generatedSummary.id}/revisions`, {
+                headers: { 'X-Session-Token': this.sessionToken }
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to load revisions');
+            }
+
+            list.innerHTML = '';
+            result.revisions.slice().reverse().forEach(revision => {
+                const item = document.createElement('li');
+
+                const info = document.createElement('span');
+                info.className = 'revision-info';
+                info.textContent = `Revision ${revision.revision} · ${revision.label}` +
+                    (revision.restoredRevision ? ` (from revision ${revision.restoredRevision})` : '') +
+                    ` · ${new Date(revision.timestamp).toLocaleString()} · ${revision.wordCount} words` +
+                    (revision.current ? ' · current' : '');
+                if (revision.feedback) {
+                    const feedback = document.createElement('span');
+                    feedback.className = 'revision-feedback';
+                    feedback.textContent = `Feedback: ${revision.feedback}`;
+                    info.appendChild(feedback);
+                }
+                item.appendChild(info);
+
+                if (revision.revision > 1) {
+                    item.appendChild(this.createRevisionButton('Changes', 'diff', revision.revision));
+                }
+                if (!revision.current) {
+                    item.appendChild(this.createRevisionButton('Compare with current', 'compare', revision.revision));
+                    item.appendChild(this.createRevisionButton('Restore', 'restore', revision.revision));
+                }
+                list.appendChild(item);
+            });
+
+            document.getElementById('revision-diff').classList.add('hidden');
+
+        } catch (error) {
+            console.error('Error loading revisions:', error);
+            this.showStatus(error.message || 'Error loading revision history', 'error');
+        }
+    }
+
+    createRevisionButton(label, action, revision) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary';
+        button.textContent = label;
+        button.dataset.action = action;
+        button.dataset.revision = revision;
+        return button;
+    }
+
+    handleRevisionClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const revision = parseInt(button.dataset.revision, 10);
+        if (button.dataset.action === 'diff') {
+            this.showRevisionDiff(revision - 1, revision);
+        } else if (button.dataset.action === 'compare') {
+            this.showRevisionDiff(revision);
+        } else if (button.dataset.action === 'restore') {
+            this.restoreRevision(revision);
+        }
+    }
+
+    /**
+     * Show the word-level changes between two revisions (to defaults to current)
+     */
+    async showRevisionDiff(from, to = null) {
+        const diffDiv = document.getElementById('revision-diff');
+        const params = new URLSearchParams({ from });
+        if (to) params.set('to', to);
+
+        try {
+            const response = await fetch(`/api/summaries/${this.generatedSummary.id}/diff?${params}`, {
+                headers: { 'X-Session-Token': this.sessionToken }
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to compare revisions');
+            }
+
+            const { diff } = result;
+            diffDiv.innerHTML = '';
+
+            const heading = document.createElement('strong');
+            heading.textContent = `Revision ${diff.from.revision} → ${diff.to.revision}: +${diff.stats.added} / -${diff.stats.removed} words\n\n`;
+            diffDiv.appendChild(heading);
+
+            diff.changes.forEach(change => {
+                const tag = change.type === 'insert' ? 'ins' : change.type === 'delete' ? 'del' : 'span';
+                const element = document.createElement(tag);
+                element.textContent = change.text;
+                diffDiv.appendChild(element);
+            });
+
+            diffDiv.classList.remove('hidden');
+
+        } catch (error) {
+            console.error('Error comparing revisions:', error);
+            this.showStatus(error.message || 'Error comparing revisions', 'error');
+        }
+    }
+
+    /**
+     * Make an earlier revision the current content (as a new revision)
+     */
+    async restoreRevision(revision) {
+        if (!confirm(`Restore revision ${revision}? The current content stays in the history.`)) return;
+
+        try {
+            const response = await fetch(`/api/summaries/${this.generatedSummary.id}/revisions/${revision}/restore`, {
+                method: 'POST',
+                headers: { 'X-Session-Token': this.sessionToken }
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || 'Failed to restore revision');
+            }
+
+            this.generatedSummary.content = result.summary.content;
+            document.getElementById('summary-content').innerHTML = this.formatSummaryForDisplay(result.summary.content);
+            this.showStatus(result.message, 'success');
+            this.loadRevisions();
+
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            this.showStatus(error.message || 'Error restoring revision', 'error');
+        }
+    }
+
     showEmailSection() {
         // Pre-fill email subject with intelligent subject line
         if (this.generatedSummary && this.generatedSummary.content) {
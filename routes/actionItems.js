@@ -0,0 +1,309 @@
+/**
+ * Action Item API Routes
+ *
+ * Action items extracted from summaries (or added by hand), scoped to the
+ * current session or its workspace, plus an open-items view across all of
+ * its meetings
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateSession, requireRole } = require('../middleware/sessionMiddleware');
+const { ActionItem, MeetingTranscript, Summary } = require('../models');
+const { sessionOwner, ownerFields } = require('../models/ownership');
+const ActionItemTracker = require('../services/actionItemTracker');
+const {
+  validationRules,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const actionItemTracker = new ActionItemTracker();
+
+const EDITABLE_FIELDS = ['task', 'owner', 'dueDate', 'dueText', 'priority', 'status'];
+
+/**
+ * Load an action item owned by the session
+ */
+async function findSessionItem(id, session) {
+  return await ActionItem.findOne({
+    where: { id, ...sessionOwner(session) }
+  });
+}
+
+/**
+ * Fill in dueDate from a stated deadline when only the text was given
+ */
+function resolveDueDate(fields) {
+  if (fields.dueText && fields.dueDate === undefined) {
+    fields.dueDate = actionItemTracker.parseDueDate(fields.dueText);
+  }
+  return fields;
+}
+
+/**
+ * Open items across the session's meetings, grouped by owner
+ * GET /api/action-items/open
+ */
+router.get('/open',
+  validateSession,
+  async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.owner) where.owner = req.query.owner;
+
+    const items = await ActionItem.findOpenByOwner(sessionOwner(req.session), { where });
+    const today = new Date().toISOString().split('T')[0];
+
+    const byOwner = {};
+    for (const item of items) {
+      const owner = item.owner || 'Unassigned';
+      (byOwner[owner] = byOwner[owner] || []).push(item.toApiJSON());
+    }
+
+    res.json({
+      success: true,
+      total: items.length,
+      overdue: items.filter(item => item.isOverdue(today)).length,
+      items: items.map(item => item.toApiJSON()),
+      byOwner
+    });
+
+  } catch (error) {
+    console.error('Get open action items error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve open action items'
+    });
+  }
+});
+
+/**
+ * List action items
+ * GET /api/action-items?status=&owner=&transcriptId=&summaryId=
+ */
+router.get('/',
+  validateSession,
+  validationRules.actionItemQuery,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { status, owner, transcriptId, summaryId, limit = 50, offset = 0 } = req.query;
+
+    const where = { ...sessionOwner(req.session) };
+    if (status) where.status = status;
+    if (owner) where.owner = owner;
+    if (transcriptId) where.transcriptId = transcriptId;
+    if (summaryId) where.summaryId = summaryId;
+
+    const items = await ActionItem.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      items: items.rows.map(item => item.toApiJSON()),
+      pagination: {
+        total: items.count,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: items.count > parseInt(offset) + parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('List action items error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve action items'
+    });
+  }
+});
+
+/**
+ * Get a single action item
+ * GET /api/action-items/:id
+ */
+router.get('/:id',
+  validateSession,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const item = await findSessionItem(req.params.id, req.session);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Action item not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      item: item.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Get action item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve action item'
+    });
+  }
+});
+
+/**
+ * Add an action item by hand
+ * POST /api/action-items
+ */
+router.post('/',
+  validateSession,
+  requireRole('editor'),
+  validationRules.actionItemCreate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { transcriptId, summaryId } = req.body;
+
+    const transcript = await MeetingTranscript.findOne({
+      where: { id: transcriptId, ...sessionOwner(req.session) }
+    });
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found or access denied'
+      });
+    }
+
+    if (summaryId) {
+      const summary = await Summary.findOne({ where: { id: summaryId, transcriptId } });
+      if (!summary) {
+        return res.status(404).json({
+          success: false,
+          error: 'Summary not found for this transcript'
+        });
+      }
+    }
+
+    const fields = resolveDueDate(pickEditable(req.body));
+    const item = await ActionItem.create({
+      ...fields,
+      ...ownerFields(req.session),
+      transcriptId,
+      summaryId: summaryId || null,
+      source: 'manual'
+    });
+
+    console.log(`📝 Action item added manually: ${item.id}`);
+
+    res.status(201).json({
+      success: true,
+      item: item.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Create action item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create action item'
+    });
+  }
+});
+
+/**
+ * Update an action item (owner, due date, status, ...)
+ * PATCH /api/action-items/:id
+ */
+router.patch('/:id',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  validationRules.actionItemUpdate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const item = await findSessionItem(req.params.id, req.session);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Action item not found or access denied'
+      });
+    }
+
+    const fields = resolveDueDate(pickEditable(req.body));
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Nothing to update; editable fields are ${EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    await item.update(fields);
+
+    res.json({
+      success: true,
+      item: item.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Update action item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update action item'
+    });
+  }
+});
+
+/**
+ * Delete an action item
+ * DELETE /api/action-items/:id
+ */
+router.delete('/:id',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const item = await findSessionItem(req.params.id, req.session);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Action item not found or access denied'
+      });
+    }
+
+    await item.destroy();
+
+    res.json({
+      success: true,
+      message: 'Action item deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete action item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete action item'
+    });
+  }
+});
+
+/**
+ * Editable fields present in a request body
+ */
+function pickEditable(body) {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+module.exports = router;
@@ -0,0 +1,302 @@
+/**
+ * Account API Routes
+ *
+ * Sign-up, sign-in (password or OpenID Connect single sign-on) and sign-out.
+ * Signing up or in from an anonymous session upgrades it: the records it
+ * created move into the account's workspace.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  validateSession,
+  requireAccount,
+  createSession,
+  signInSession,
+  signOutSession,
+  beginOidcLogin,
+  takeOidcLogin
+} = require('../middleware/sessionMiddleware');
+const { rateLimitConfigs } = require('../middleware/security');
+const { oidcConfig } = require('../config/oidc');
+const AccountService = require('../services/accountService');
+const OidcService = require('../services/oidcService');
+const {
+  validationRules,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const accountService = new AccountService();
+const oidcService = new OidcService();
+
+/**
+ * Account state of a session as returned by the API
+ */
+function formatAccount(session, user, membership) {
+  return {
+    user: user ? user.toApiJSON() : null,
+    workspace: membership?.workspace ? membership.workspace.toApiJSON(membership.role) : null,
+    session: {
+      token: session.sessionToken,
+      expiresAt: session.expiresAt,
+      anonymous: !session.userId
+    }
+  };
+}
+
+/**
+ * Sign a session in, moving its records into the workspace if it was anonymous
+ */
+async function upgradeSession(res, session, user, membership) {
+  const claimed = session.userId ?
+    null :
+    await accountService.claimSessionRecords(session.id, membership.workspaceId);
+
+  await signInSession(res, session, user, membership.workspaceId);
+  return claimed;
+}
+
+/**
+ * The session to sign in to an account with. A session signed in to another
+ * account is ended rather than reused.
+ */
+async function accountSession(req, res, user) {
+  if (req.user && req.user.id !== user.id) {
+    await signOutSession(res, req.session);
+    return await createSession(req, res);
+  }
+  return req.session;
+}
+
+/**
+ * Where to send the browser after single sign-on: a path on this site only
+ */
+function safeReturnTo(returnTo) {
+  return typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ?
+    returnTo :
+    oidcConfig.successRedirect;
+}
+
+/**
+ * Respond with an account error's status, or 500
+ */
+function sendAccountError(res, error, fallback) {
+  if (error.status && (error.status < 500 || error.code)) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.code && { code: error.code })
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+}
+
+/**
+ * Create an account (and its workspace) from the current session
+ * POST /api/auth/register
+ */
+router.post('/register',
+  rateLimitConfigs.auth,
+  validateSession,
+  validationRules.authRegister,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    if (req.user) {
+      return res.status(409).json({
+        success: false,
+        error: 'Already signed in; sign out before creating another account'
+      });
+    }
+
+    const { user, membership } = await accountService.register(req.body);
+    const claimed = await upgradeSession(res, req.session, user, membership);
+
+    res.status(201).json({
+      success: true,
+      ...formatAccount(req.session, user, membership),
+      claimed
+    });
+
+  } catch (error) {
+    console.error('Register error:', error);
+    sendAccountError(res, error, 'Failed to create account');
+  }
+});
+
+/**
+ * Sign in; an anonymous session's records move into the account's workspace
+ * POST /api/auth/login
+ */
+router.post('/login',
+  rateLimitConfigs.auth,
+  validateSession,
+  validationRules.authLogin,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { user, membership } = await accountService.authenticate(req.body);
+    const session = await accountSession(req, res, user);
+    const claimed = await upgradeSession(res, session, user, membership);
+
+    res.json({
+      success: true,
+      ...formatAccount(session, user, membership),
+      claimed
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    sendAccountError(res, error, 'Failed to sign in');
+  }
+});
+
+/**
+ * Start single sign-on: redirect to the identity provider
+ * GET /api/auth/oidc/login?returnTo=/path
+ */
+router.get('/oidc/login',
+  rateLimitConfigs.sso,
+  validateSession,
+  async (req, res) => {
+  try {
+    if (!oidcService.isEnabled()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Single sign-on is not configured',
+        code: 'SSO_DISABLED'
+      });
+    }
+
+    const { authorizationUrl, ...login } = await oidcService.createLoginRequest();
+    await beginOidcLogin(req.session, {
+      ...login,
+      returnTo: safeReturnTo(req.query.returnTo)
+    }, oidcConfig.loginTtlMs);
+
+    res.redirect(302, authorizationUrl);
+
+  } catch (error) {
+    console.error('Single sign-on start error:', error);
+    sendAccountError(res, error, 'Failed to start single sign-on');
+  }
+});
+
+/**
+ * Finish single sign-on: the identity provider redirects back here with a code
+ * GET /api/auth/oidc/callback?code=&state=
+ */
+router.get('/oidc/callback',
+  rateLimitConfigs.sso,
+  validateSession,
+  async (req, res) => {
+  try {
+    const login = await takeOidcLogin(req.session, req.query.state);
+    if (!login) {
+      return res.status(400).json({
+        success: false,
+        error: 'Single sign-on expired or was started in another browser; please start again',
+        code: 'SSO_INVALID_STATE'
+      });
+    }
+
+    if (req.query.error || !req.query.code) {
+      return res.status(401).json({
+        success: false,
+        error: req.query.error_description || req.query.error || 'Identity provider returned no code',
+        code: 'SSO_REJECTED'
+      });
+    }
+
+    const identity = await oidcService.completeLogin({
+      code: req.query.code,
+      codeVerifier: login.codeVerifier,
+      nonce: login.nonce
+    });
+    const { user, membership } = await accountService.signInWithIdentity(identity);
+    const session = await accountSession(req, res, user);
+    await upgradeSession(res, session, user, membership);
+
+    console.log(`🔐 Single sign-on for account ${user.id} as ${membership.role}`);
+    res.redirect(302, login.returnTo);
+
+  } catch (error) {
+    console.error('Single sign-on callback error:', error);
+    sendAccountError(res, error, 'Single sign-on failed');
+  }
+});
+
+/**
+ * Sign out; the session ends and its records stay with the workspace
+ * POST /api/auth/logout
+ */
+router.post('/logout',
+  validateSession,
+  async (req, res) => {
+  try {
+    await signOutSession(res, req.session);
+
+    res.json({
+      success: true,
+      message: 'Signed out'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    sendAccountError(res, error, 'Failed to sign out');
+  }
+});
+
+/**
+ * Current account, workspace and role (anonymous sessions have no account)
+ * GET /api/auth/me
+ */
+router.get('/me',
+  validateSession,
+  async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...formatAccount(req.session, req.user, req.workspace && {
+        workspace: req.workspace,
+        role: req.workspaceRole
+      }),
+      workspaces: req.user ? await accountService.listWorkspaces(req.user) : []
+    });
+
+  } catch (error) {
+    console.error('Get account error:', error);
+    sendAccountError(res, error, 'Failed to retrieve account');
+  }
+});
+
+/**
+ * Change the account's password
+ * POST /api/auth/password
+ */
+router.post('/password',
+  rateLimitConfigs.auth,
+  validateSession,
+  requireAccount,
+  validationRules.passwordChange,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await accountService.changePassword(req.user, req.body.currentPassword, req.body.newPassword);
+
+    res.json({
+      success: true,
+      message: 'Password changed'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    sendAccountError(res, error, 'Failed to change password');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+/**
+ * Transcript Chat API Routes
+ *
+ * Questions about one meeting, answered from its transcript with citations
+ * to line ranges. The conversation is kept per session and transcript.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateSession } = require('../middleware/sessionMiddleware');
+const { rateLimitConfigs } = require('../middleware/security');
+const { enforceQuota, enforceBudget, sendQuotaError } = require('../middleware/quotaMiddleware');
+const { ChatMessage, MeetingTranscript } = require('../models');
+const { sessionOwner } = require('../models/ownership');
+const SummaryService = require('../services/summaryService');
+const { ErrorTypes } = require('../services/errorHandler');
+const {
+  validationRules,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const summaryService = new SummaryService();
+
+/**
+ * Load a transcript owned by the session
+ */
+async function findSessionTranscript(id, session) {
+  return await MeetingTranscript.findOne({
+    where: { id, ...sessionOwner(session) }
+  });
+}
+
+/**
+ * Get the conversation about a transcript
+ * GET /api/chat/:id/messages
+ */
+router.get('/:id/messages',
+  validateSession,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const transcript = await findSessionTranscript(req.params.id, req.session);
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found or access denied'
+      });
+    }
+
+    const messages = await ChatMessage.findConversation(transcript.id, req.session.id);
+    const answers = messages.filter(message => message.isAnswer());
+
+    res.json({
+      success: true,
+      transcriptId: transcript.id,
+      messages: messages.map(message => message.toApiJSON()),
+      usage: {
+        questions: answers.length,
+        totalTokens: answers.reduce((sum, message) => sum + (message.tokenUsage?.totalTokens || 0), 0),
+        totalCost: answers.reduce((sum, message) => sum + parseFloat(message.cost || 0), 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get chat messages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve conversation'
+    });
+  }
+});
+
+/**
+ * Ask a question about a transcript
+ * POST /api/chat/:id/messages
+ */
+router.post('/:id/messages',
+  rateLimitConfigs.aiProcessing,
+  validateSession,
+  validationRules.uuidParam,
+  validationRules.chatQuestion,
+  handleValidationErrors,
+  enforceQuota({ tokens: 0 }),
+  enforceBudget,
+  async (req, res) => {
+  try {
+    const transcript = await findSessionTranscript(req.params.id, req.session);
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found or access denied'
+      });
+    }
+
+    const { question, useFallback = false } = req.body;
+    const exchange = await summaryService.answerQuestion(transcript.id, question, {
+      sessionId: req.session.id,
+      useFallback
+    });
+
+    res.status(201).json({
+      success: true,
+      question: exchange.question.toApiJSON(),
+      answer: exchange.answer.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Chat question error:', error);
+    if (sendQuotaError(res, error)) return;
+
+    // Transcripts that are still processing or empty can't be asked about
+    const notReady = error.type === ErrorTypes.TRANSCRIPT_ERROR || error.type === ErrorTypes.CONTENT_ERROR;
+    res.status(notReady ? 409 : 500).json({
+      success: false,
+      error: notReady ? error.message : 'Failed to answer question',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Clear the conversation about a transcript
+ * DELETE /api/chat/:id/messages
+ */
+router.delete('/:id/messages',
+  validateSession,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const transcript = await findSessionTranscript(req.params.id, req.session);
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found or access denied'
+      });
+    }
+
+    const deleted = await summaryService.transcriptChat.clearConversation(transcript.id, req.session.id);
+
+    res.json({
+      success: true,
+      message: 'Conversation cleared',
+      deleted
+    });
+
+  } catch (error) {
+    console.error('Clear chat messages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear conversation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,340 @@
+/**
+ * Decision Log API Routes
+ *
+ * Searchable register of the decisions made across the session's meetings,
+ * with the history of decisions that superseded one another
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateSession, requireRole } = require('../middleware/sessionMiddleware');
+const { Decision, MeetingTranscript, Summary } = require('../models');
+const { sessionOwner, ownerFields } = require('../models/ownership');
+const DecisionLog = require('../services/decisionLog');
+const {
+  validationRules,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const decisionLog = new DecisionLog();
+
+const EDITABLE_FIELDS = ['text', 'rationale', 'owner', 'decidedOn'];
+
+/**
+ * Load a decision owned by the session
+ */
+async function findSessionDecision(id, session) {
+  return await Decision.findOne({
+    where: { id, ...sessionOwner(session) }
+  });
+}
+
+/**
+ * Decision as returned by the API, with the meeting it was made in
+ */
+function formatDecision(decision) {
+  const transcript = decision.transcript;
+  return {
+    ...decision.toApiJSON(),
+    meeting: transcript ? {
+      id: transcript.id,
+      title: transcript.metadata?.meetingTitle || transcript.originalName,
+      createdAt: transcript.createdAt
+    } : undefined
+  };
+}
+
+/**
+ * Search decisions
+ * GET /api/decisions?q=&status=&owner=&transcriptId=&summaryId=&from=&to=
+ */
+router.get('/',
+  validateSession,
+  validationRules.decisionQuery,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const decisions = await decisionLog.search(sessionOwner(req.session), req.query);
+
+    res.json({
+      success: true,
+      decisions: decisions.rows.map(formatDecision),
+      pagination: {
+        total: decisions.count,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: decisions.count > parseInt(offset) + parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Search decisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve decisions'
+    });
+  }
+});
+
+/**
+ * Get a decision with the decisions it replaced and was replaced by
+ * GET /api/decisions/:id
+ */
+router.get('/:id',
+  validateSession,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const decision = await findSessionDecision(req.params.id, req.session);
+
+    if (!decision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Decision not found or access denied'
+      });
+    }
+
+    const history = await decisionLog.getHistory(decision);
+
+    res.json({
+      success: true,
+      decision: decision.toApiJSON(),
+      current: history[history.length - 1].toApiJSON(),
+      history: history.map(item => item.toApiJSON())
+    });
+
+  } catch (error) {
+    console.error('Get decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve decision'
+    });
+  }
+});
+
+/**
+ * Record a decision by hand
+ * POST /api/decisions
+ */
+router.post('/',
+  validateSession,
+  requireRole('editor'),
+  validationRules.decisionCreate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { transcriptId, summaryId, supersedes = [] } = req.body;
+
+    const transcript = await MeetingTranscript.findOne({
+      where: { id: transcriptId, ...sessionOwner(req.session) }
+    });
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found or access denied'
+      });
+    }
+
+    if (summaryId) {
+      const summary = await Summary.findOne({ where: { id: summaryId, transcriptId } });
+      if (!summary) {
+        return res.status(404).json({
+          success: false,
+          error: 'Summary not found for this transcript'
+        });
+      }
+    }
+
+    const previous = await Decision.findAll({
+      where: { id: supersedes, ...sessionOwner(req.session) }
+    });
+
+    if (previous.length !== supersedes.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Superseded decision not found or access denied'
+      });
+    }
+
+    const decision = await Decision.create({
+      ...pickEditable(req.body),
+      decidedOn: req.body.decidedOn || transcript.getMeetingDate().toISOString().split('T')[0],
+      ...ownerFields(req.session),
+      transcriptId,
+      summaryId: summaryId || null,
+      source: 'manual'
+    });
+
+    for (const item of previous) {
+      await item.supersede(decision);
+    }
+
+    console.log(`⚖️ Decision recorded manually: ${decision.id}`);
+
+    res.status(201).json({
+      success: true,
+      decision: decision.toApiJSON(),
+      superseded: previous.map(item => item.id)
+    });
+
+  } catch (error) {
+    console.error('Create decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record decision'
+    });
+  }
+});
+
+/**
+ * Mark a decision as superseded by a later one
+ * POST /api/decisions/:id/supersede
+ */
+router.post('/:id/supersede',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  validationRules.decisionSupersede,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const decision = await findSessionDecision(req.params.id, req.session);
+    const newer = await findSessionDecision(req.body.supersededById, req.session);
+
+    if (!decision || !newer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Decision not found or access denied'
+      });
+    }
+
+    if (await decisionLog.wouldCycle(decision, newer)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A decision cannot be superseded by itself or a decision it replaced'
+      });
+    }
+
+    await decision.supersede(newer);
+
+    res.json({
+      success: true,
+      decision: decision.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Supersede decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to supersede decision'
+    });
+  }
+});
+
+/**
+ * Update a decision; status "active" undoes a supersession
+ * PATCH /api/decisions/:id
+ */
+router.patch('/:id',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  validationRules.decisionUpdate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const decision = await findSessionDecision(req.params.id, req.session);
+
+    if (!decision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Decision not found or access denied'
+      });
+    }
+
+    const fields = pickEditable(req.body);
+    if (Object.keys(fields).length === 0 && req.body.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: `Nothing to update; editable fields are ${EDITABLE_FIELDS.join(', ')} and status`
+      });
+    }
+
+    if (Object.keys(fields).length > 0) {
+      await decision.update(fields);
+    }
+    if (req.body.status === 'active' && !decision.isActive()) {
+      await decision.restore();
+    }
+
+    res.json({
+      success: true,
+      decision: decision.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Update decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update decision'
+    });
+  }
+});
+
+/**
+ * Delete a decision; decisions it had superseded become active again
+ * DELETE /api/decisions/:id
+ */
+router.delete('/:id',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const decision = await findSessionDecision(req.params.id, req.session);
+
+    if (!decision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Decision not found or access denied'
+      });
+    }
+
+    const replaced = await Decision.findAll({ where: { supersededById: decision.id } });
+    for (const item of replaced) {
+      await item.restore();
+    }
+
+    await decision.destroy();
+
+    res.json({
+      success: true,
+      message: 'Decision deleted successfully',
+      restored: replaced.map(item => item.id)
+    });
+
+  } catch (error) {
+    console.error('Delete decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete decision'
+    });
+  }
+});
+
+/**
+ * Editable fields present in a request body
+ */
+function pickEditable(body) {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+module.exports = router;
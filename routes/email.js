@@ -11,9 +11,12 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { validateSession } = require('../middleware/sessionMiddleware');
+const { validateSessionOrApiKey, requireRole } = require('../middleware/sessionMiddleware');
+const { enforceQuota } = require('../middleware/quotaMiddleware');
 const emailService = require('../services/emailService');
+const UsageQuotas = require('../services/usageQuotas');
 const { Summary, EmailRecord, MeetingTranscript } = require('../models');
+const { isOwnedBy, sessionOwner } = require('../models/ownership');
 const {
   validationRules,
   handleValidationErrors,
@@ -21,6 +24,8 @@ const {
   preventSQLInjection
 } = require('../middleware/validation');
 
+const usageQuotas = new UsageQuotas();
+
 /**
  * @route POST /api/email/send-summary
  * @desc Send summary via email
@@ -28,7 +33,7 @@ const {
  */
 // Email preview endpoint
 router.post('/preview-summary',
-  validateSession,
+  validateSessionOrApiKey('read'),
   preventSQLInjection,
   sanitizeRequestBody,
   validationRules.email,
@@ -45,7 +50,7 @@ router.post('/preview-summary',
         }]
       });
 
-      if (!summary) {
+      if (!summary || !isOwnedBy(summary.transcript, req.session)) {
         return res.status(404).json({
           success: false,
           error: 'Summary not found'
@@ -82,11 +87,13 @@ router.post('/preview-summary',
 );
 
 router.post('/send-summary',
-  validateSession,
+  validateSessionOrApiKey('email:send'),
+  requireRole('editor'),
   preventSQLInjection,
   sanitizeRequestBody,
   validationRules.email,
   handleValidationErrors,
+  enforceQuota(req => ({ emails: req.body.recipients.length })),
   async (req, res) => {
     try {
 
@@ -119,7 +126,7 @@ router.post('/send-summary',
       }
 
       // Check if summary belongs to current session
-      if (summary.transcript.sessionId !== req.session.id) {
+      if (!isOwnedBy(summary.transcript, req.session)) {
         return res.status(403).json({
           success: false,
           error: 'Access denied'
@@ -146,6 +153,7 @@ router.post('/send-summary',
             emailsSent: (currentStats.emailsSent || 0) + 1
           }
         });
+        await usageQuotas.record(sessionOwner(req.session), { emails: recipients.length });
 
         res.json({
           success: true,
@@ -182,7 +190,7 @@ router.post('/send-summary',
  * @access Private
  */
 router.get('/status/:emailRecordId',
-  validateSession,
+  validateSessionOrApiKey('read'),
   async (req, res) => {
     try {
       const { emailRecordId } = req.params;
@@ -206,7 +214,7 @@ router.get('/status/:emailRecordId',
       }
 
       // Check access permissions
-      if (emailRecord.Summary.transcript.sessionId !== req.session.id) {
+      if (!isOwnedBy(emailRecord.Summary.transcript, req.session)) {
         return res.status(403).json({
           success: false,
           error: 'Access denied'
@@ -245,7 +253,7 @@ router.get('/status/:emailRecordId',
  * @access Private
  */
 router.get('/service-status',
-  validateSession,
+  validateSessionOrApiKey('read'),
   async (req, res) => {
     try {
       const status = await emailService.getStatus();
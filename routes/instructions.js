@@ -1,9 +1,16 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { MeetingTranscript, UserSession } = require('../models');
+const { MeetingTranscript, SummaryTemplate } = require('../models');
+const { sessionOwner, isOwnedBy } = require('../models/ownership');
+const { optionalSession, requireRole } = require('../middleware/sessionMiddleware');
+const PromptTemplates = require('../services/promptTemplates');
 
 const router = express.Router();
 
+// 'auto' applies the detected template, 'none' applies none
+const MEETING_TYPE_CHOICES = [...Object.keys(PromptTemplates.getMeetingTypeTemplates()), 'auto', 'none'];
+const INDUSTRY_CHOICES = [...Object.keys(PromptTemplates.getIndustryTemplates()), 'auto', 'none'];
+
 // Validation middleware for instructions
 const validateInstructions = [
   body('transcriptId').isUUID().withMessage('Valid transcript ID is required'),
@@ -11,31 +18,18 @@ const validateInstructions = [
     .withMessage('Invalid summary style'),
   body('customInstructions').optional().isLength({ max: 1000 })
     .withMessage('Custom instructions must be 1000 characters or less'),
+  body('meetingType').optional().isIn(MEETING_TYPE_CHOICES)
+    .withMessage(`Meeting type must be one of: ${MEETING_TYPE_CHOICES.join(', ')}`),
+  body('industry').optional().isIn(INDUSTRY_CHOICES)
+    .withMessage(`Industry must be one of: ${INDUSTRY_CHOICES.join(', ')}`),
+  body('length').optional({ nullable: true }).isIn(Object.keys(PromptTemplates.getQualityGuidelines()))
+    .withMessage('Length must be brief, standard or comprehensive'),
   body('sessionToken').optional().isLength({ min: 32, max: 128 })
     .withMessage('Invalid session token format')
 ];
 
-// Session middleware
-const validateSession = async (req, res, next) => {
-  try {
-    const sessionToken = req.headers['x-session-token'] || req.body.sessionToken;
-    
-    if (sessionToken) {
-      const session = await UserSession.findByToken(sessionToken);
-      if (session) {
-        req.session = session;
-      }
-    }
-    
-    next();
-  } catch (error) {
-    console.error('Session validation error:', error);
-    next(); // Continue without session
-  }
-};
-
 // Save instructions for a transcript
-router.post('/save', validateSession, validateInstructions, async (req, res) => {
+router.post('/save', optionalSession, requireRole('editor'), validateInstructions, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -46,7 +40,7 @@ router.post('/save', validateSession, validateInstructions, async (req, res) =>
       });
     }
 
-    const { transcriptId, summaryStyle, customInstructions } = req.body;
+    const { transcriptId, summaryStyle, customInstructions, meetingType = 'auto', industry = 'auto', length = null } = req.body;
 
     // Verify transcript exists and belongs to session (if session provided)
     const transcript = await MeetingTranscript.findByPk(transcriptId);
@@ -58,7 +52,7 @@ router.post('/save', validateSession, validateInstructions, async (req, res) =>
     }
 
     // Check session ownership if session is provided
-    if (req.session && transcript.sessionId !== req.session.id) {
+    if (req.session && !isOwnedBy(transcript, req.session)) {
       return res.status(403).json({ 
         error: 'Access denied to this transcript',
         code: 'ACCESS_DENIED'
@@ -72,6 +66,9 @@ router.post('/save', validateSession, validateInstructions, async (req, res) =>
         instructions: {
           summaryStyle,
           customInstructions,
+          meetingType,
+          industry,
+          length,
           savedAt: new Date(),
           sessionId: req.session?.id
         }
@@ -84,8 +81,12 @@ router.post('/save', validateSession, validateInstructions, async (req, res) =>
       instructions: {
         summaryStyle,
         customInstructions,
+        meetingType,
+        industry,
+        length,
         characterCount: customInstructions?.length || 0
-      }
+      },
+      detected: getDetected(transcript)
     });
 
   } catch (error) {
@@ -98,7 +99,7 @@ router.post('/save', validateSession, validateInstructions, async (req, res) =>
 });
 
 // Get instructions for a transcript
-router.get('/:transcriptId', validateSession, async (req, res) => {
+router.get('/:transcriptId', optionalSession, async (req, res) => {
   try {
     const { transcriptId } = req.params;
 
@@ -118,7 +119,7 @@ router.get('/:transcriptId', validateSession, async (req, res) => {
     }
 
     // Check session ownership if session is provided
-    if (req.session && transcript.sessionId !== req.session.id) {
+    if (req.session && !isOwnedBy(transcript, req.session)) {
       return res.status(403).json({ 
         error: 'Access denied to this transcript',
         code: 'ACCESS_DENIED'
@@ -132,9 +133,13 @@ router.get('/:transcriptId', validateSession, async (req, res) => {
       instructions: {
         summaryStyle: instructions.summaryStyle || 'executive',
         customInstructions: instructions.customInstructions || '',
+        meetingType: instructions.meetingType || 'auto',
+        industry: instructions.industry || 'auto',
+        length: instructions.length || null,
         characterCount: instructions.customInstructions?.length || 0,
         savedAt: instructions.savedAt || null
-      }
+      },
+      detected: getDetected(transcript)
     });
 
   } catch (error) {
@@ -146,9 +151,11 @@ router.get('/:transcriptId', validateSession, async (req, res) => {
   }
 });
 
-// Get instruction templates
-router.get('/templates/list', (req, res) => {
+// Get instruction templates, with the session's own summary templates
+router.get('/templates/list', optionalSession, async (req, res) => {
   try {
+    const customTemplates = req.session ? await SummaryTemplate.findByOwner(sessionOwner(req.session)) : [];
+
     const templates = {
       styles: {
         executive: {
@@ -172,6 +179,16 @@ router.get('/templates/list', (req, res) => {
           template: 'Please provide a comprehensive summary including:\n• Full context and background\n• All discussion points covered\n• Different perspectives shared\n• Complete decision-making process'
         }
       },
+      meetingTypes: listTemplates(PromptTemplates.getMeetingTypeTemplates()),
+      industries: listTemplates(PromptTemplates.getIndustryTemplates()),
+      lengths: Object.fromEntries(Object.entries(PromptTemplates.getQualityGuidelines())
+        .map(([key, guidelines]) => [key, { targetWords: guidelines.targetWords }])),
+      custom: customTemplates.map(template => ({
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        baseStyle: template.baseStyle
+      })),
       examples: {
         'meeting-notes': {
           name: 'Meeting Notes',
@@ -264,4 +281,22 @@ router.post('/validate', validateInstructions, (req, res) => {
   }
 });
 
+// Meeting type and industry detected at upload, with their confidence
+function getDetected(transcript) {
+  const classification = transcript.metadata?.classification;
+  return {
+    meetingType: transcript.metadata?.meetingType || null,
+    industry: transcript.metadata?.industry || null,
+    confidence: classification ? {
+      meetingType: classification.meetingType.confidence,
+      industry: classification.industry.confidence
+    } : null
+  };
+}
+
+// Template keys and display names for the override selects
+function listTemplates(templates) {
+  return Object.fromEntries(Object.entries(templates).map(([key, template]) => [key, { name: template.name }]));
+}
+
 module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * Background Job API Routes
+ *
+ * Status endpoint for jobs queued by other routes (e.g. summary generation)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateSessionOrApiKey } = require('../middleware/sessionMiddleware');
+const { Job } = require('../models');
+const {
+  validationRules,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+/**
+ * Get job status (and result once completed)
+ * GET /api/jobs/:id
+ */
+router.get('/:id',
+  validateSessionOrApiKey('read'),
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const job = await Job.findOne({
+      where: {
+        id: req.params.id,
+        sessionId: req.session.id
+      }
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: job.toStatusJSON()
+    });
+
+  } catch (error) {
+    console.error('Get job status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job status'
+    });
+  }
+});
+
+module.exports = router;
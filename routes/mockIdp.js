@@ -0,0 +1,303 @@
+/**
+ * Mock OpenID Connect Identity Provider
+ *
+ * A minimal identity provider for offline development and end-to-end checks
+ * of single sign-on: discovery, an authorization page with test users, the
+ * token, key set and userinfo endpoints. Mounted at /mock-idp only when
+ * OIDC_MOCK_IDP=true outside production. Responses follow the OAuth error
+ * format rather than the API's, as a real provider's would.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { createHash, generateKeyPairSync, randomBytes, sign } = require('crypto');
+const { oidcConfig } = require('../config/oidc');
+
+// Test users; their groups match the default OIDC_*_GROUPS of the mock
+const MOCK_USERS = [
+  { sub: 'mock-alice', email: 'alice@example.com', name: 'Alice Owner', groups: ['summarizer-owners'], org: 'example' },
+  { sub: 'mock-bob', email: 'bob@example.com', name: 'Bob Editor', groups: ['summarizer-editors'], org: 'example' },
+  { sub: 'mock-carol', email: 'carol@example.com', name: 'Carol Viewer', groups: ['summarizer-viewers'], org: 'example' },
+  { sub: 'mock-dave', email: 'dave@example.com', name: 'Dave Outsider', groups: [], org: 'elsewhere' }
+];
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 300;
+
+// Issued authorization codes and access tokens (single process, in memory)
+const codes = new Map();
+const accessTokens = new Map();
+
+let signingKey = null;
+
+/**
+ * The provider's RSA signing key, generated on first use
+ */
+function getSigningKey() {
+  if (!signingKey) {
+    const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    signingKey = {
+      kid: randomBytes(8).toString('hex'),
+      privateKey,
+      jwk: publicKey.export({ format: 'jwk' })
+    };
+  }
+  return signingKey;
+}
+
+/**
+ * Sign claims as an RS256 JWT
+ */
+function signToken(claims) {
+  const { kid, privateKey } = getSigningKey();
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(claims)}`;
+
+  return `${input}.${sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+/**
+ * Test user by subject or email
+ */
+function findMockUser(hint) {
+  const value = String(hint || '').toLowerCase();
+  return MOCK_USERS.find(user => user.sub === value || user.email === value);
+}
+
+/**
+ * Escape text for the authorization page
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Check an authorization request's client and redirect URI
+ */
+function checkAuthorizationRequest(params) {
+  if (params.client_id !== oidcConfig.clientId) return 'Unknown client_id';
+  if (params.redirect_uri !== oidcConfig.redirectUri) return 'redirect_uri is not registered for this client';
+  return null;
+}
+
+/**
+ * Redirect back to the client with a code for a test user
+ */
+function approve(res, params, user) {
+  for (const [unused, grant] of codes) {
+    if (grant.expiresAt < Date.now()) codes.delete(unused);
+  }
+
+  const code = randomBytes(24).toString('base64url');
+  codes.set(code, {
+    user,
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    nonce: params.nonce,
+    scope: params.scope || 'openid',
+    codeChallenge: params.code_challenge,
+    codeChallengeMethod: params.code_challenge_method || 'plain',
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const url = new URL(params.redirect_uri);
+  url.searchParams.set('code', code);
+  if (params.state) url.searchParams.set('state', params.state);
+  res.redirect(302, url.toString());
+}
+
+/**
+ * Redirect back to the client with an OAuth error
+ */
+function deny(res, params, error, description) {
+  const url = new URL(params.redirect_uri);
+  url.searchParams.set('error', error);
+  url.searchParams.set('error_description', description);
+  if (params.state) url.searchParams.set('state', params.state);
+  res.redirect(302, url.toString());
+}
+
+/**
+ * Handle an authorization request (GET shows the page, POST picks a user)
+ */
+function authorize(params, res) {
+  const problem = checkAuthorizationRequest(params);
+  if (problem) {
+    return res.status(400).type('text').send(problem);
+  }
+
+  if (params.response_type !== 'code') {
+    return deny(res, params, 'unsupported_response_type', 'Only the authorization code flow is supported');
+  }
+
+  // login_hint (or the page's button) picks the test user without a prompt
+  const choice = params.user || params.login_hint;
+  if (choice === 'deny') {
+    return deny(res, params, 'access_denied', 'The user denied access');
+  }
+  if (choice) {
+    const user = findMockUser(choice);
+    return user ?
+      approve(res, params, user) :
+      deny(res, params, 'access_denied', `No test user ${choice}`);
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'response_type', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .filter(name => params[name])
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join('');
+  const buttons = MOCK_USERS
+    .map(user => `<button name="user" value="${escapeHtml(user.sub)}">${escapeHtml(user.name)} &lt;${escapeHtml(user.email)}&gt; ${escapeHtml(user.groups.join(', ') || 'no groups')}</button>`)
+    .join('<br>');
+
+  res.type('html').send(`<!DOCTYPE html>
+<html><head><title>Mock identity provider</title></head>
+<body style="font-family: sans-serif; max-width: 40em; margin: 3em auto">
+<h1>Mock identity provider</h1>
+<p>Sign in to Meeting Summarizer as a test user:</p>
+<form method="post" action="authorize">${hidden}${buttons}</form>
+<form method="post" action="authorize">${hidden}<button name="user" value="deny">Deny</button></form>
+</body></html>`);
+}
+
+/**
+ * Client credentials from Basic authentication or the form body
+ */
+function clientCredentials(req) {
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  if (scheme === 'Basic' && encoded) {
+    const [id, secret] = Buffer.from(encoded, 'base64').toString('utf8').split(':');
+    return { clientId: decodeURIComponent(id || ''), clientSecret: decodeURIComponent(secret || '') };
+  }
+  return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+}
+
+/**
+ * Identity claims of a test user
+ */
+function userClaims(user) {
+  return {
+    sub: user.sub,
+    email: user.email,
+    email_verified: true,
+    name: user.name,
+    groups: user.groups,
+    org: user.org
+  };
+}
+
+/**
+ * Discovery document
+ * GET /mock-idp/.well-known/openid-configuration
+ */
+router.get('/.well-known/openid-configuration', (req, res) => {
+  const issuer = oidcConfig.issuer;
+
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256', 'plain'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups'],
+    claims_supported: ['sub', 'email', 'email_verified', 'name', 'groups', 'org']
+  });
+});
+
+/**
+ * Signing keys
+ * GET /mock-idp/jwks
+ */
+router.get('/jwks', (req, res) => {
+  const { kid, jwk } = getSigningKey();
+  res.json({ keys: [{ ...jwk, kid, use: 'sig', alg: 'RS256' }] });
+});
+
+/**
+ * Authorization page
+ * GET /mock-idp/authorize?client_id=&redirect_uri=&response_type=code&state=&nonce=&login_hint=
+ * POST /mock-idp/authorize (user chosen on the page)
+ */
+router.get('/authorize', (req, res) => authorize(req.query, res));
+router.post('/authorize', (req, res) => authorize(req.body, res));
+
+/**
+ * Exchange a code for tokens
+ * POST /mock-idp/token
+ */
+router.post('/token', (req, res) => {
+  const tokenError = (error, description, status = 400) =>
+    res.status(status).json({ error, error_description: description });
+
+  const { clientId, clientSecret } = clientCredentials(req);
+  if (clientId !== oidcConfig.clientId || (oidcConfig.clientSecret && clientSecret !== oidcConfig.clientSecret)) {
+    return tokenError('invalid_client', 'Client authentication failed', 401);
+  }
+  if (req.body.grant_type !== 'authorization_code') {
+    return tokenError('unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId) {
+    return tokenError('invalid_grant', 'Unknown, used or expired code');
+  }
+  if (grant.redirectUri !== req.body.redirect_uri) {
+    return tokenError('invalid_grant', 'redirect_uri does not match the authorization request');
+  }
+
+  if (grant.codeChallenge) {
+    const verifier = String(req.body.code_verifier || '');
+    const challenge = grant.codeChallengeMethod === 'S256' ?
+      createHash('sha256').update(verifier).digest('base64url') :
+      verifier;
+    if (challenge !== grant.codeChallenge) {
+      return tokenError('invalid_grant', 'PKCE verification failed');
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, { user: grant.user, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    scope: grant.scope,
+    id_token: signToken({
+      iss: oidcConfig.issuer,
+      aud: clientId,
+      iat: now,
+      exp: now + TOKEN_TTL_SECONDS,
+      ...(grant.nonce && { nonce: grant.nonce }),
+      ...userClaims(grant.user)
+    })
+  });
+});
+
+/**
+ * Claims of the access token's user
+ * GET /mock-idp/userinfo
+ */
+router.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const grant = accessTokens.get(token);
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    accessTokens.delete(token);
+    return res.status(401).json({ error: 'invalid_token', error_description: 'Unknown or expired access token' });
+  }
+
+  res.json(userClaims(grant.user));
+});
+
+module.exports = router;
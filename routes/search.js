@@ -0,0 +1,58 @@
+/**
+ * Search API Routes
+ *
+ * Full-text (and optionally semantic) search across the session's
+ * transcripts, summaries, action items and decisions
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateSession } = require('../middleware/sessionMiddleware');
+const { sessionOwner } = require('../models/ownership');
+const SearchService = require('../services/searchService');
+const {
+  validationRules,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const searchService = new SearchService();
+
+/**
+ * Search meetings
+ * GET /api/search?q=&types=&from=&to=&style=&meetingType=&speaker=&semantic=&limit=&offset=
+ */
+router.get('/',
+  validateSession,
+  validationRules.searchQuery,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const search = await searchService.search(sessionOwner(req.session), req.query);
+
+    res.json({
+      success: true,
+      query: req.query.q,
+      results: search.results,
+      pagination: {
+        total: search.total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: search.total > parseInt(offset) + parseInt(limit)
+      },
+      search: {
+        mode: search.mode,
+        semantic: search.semantic
+      }
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Search failed'
+    });
+  }
+});
+
+module.exports = router;
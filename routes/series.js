@@ -0,0 +1,422 @@
+/**
+ * Meeting Series API Routes
+ *
+ * Recurring meetings (standups, retros) grouped into a series, either by
+ * explicit assignment or detected from matching titles and attendees, and
+ * roll-up summaries across a series' latest meetings
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateSession, requireRole } = require('../middleware/sessionMiddleware');
+const { rateLimitConfigs } = require('../middleware/security');
+const { enforceQuota, enforceBudget, sendQuotaError } = require('../middleware/quotaMiddleware');
+const { MeetingSeries, MeetingTranscript } = require('../models');
+const { sessionOwner, ownerFields } = require('../models/ownership');
+const MeetingSeriesService = require('../services/meetingSeries');
+const SummaryService = require('../services/summaryService');
+const { ErrorTypes } = require('../services/errorHandler');
+const {
+  validationRules,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const meetingSeries = new MeetingSeriesService();
+const summaryService = new SummaryService();
+
+/**
+ * Load a series owned by the session
+ */
+async function findSessionSeries(id, session) {
+  return await MeetingSeries.findOne({
+    where: { id, ...sessionOwner(session) }
+  });
+}
+
+/**
+ * Meetings of a series, oldest first
+ */
+async function findSeriesTranscripts(series) {
+  const transcripts = await MeetingTranscript.findAll({
+    where: { seriesId: series.id },
+    attributes: ['id', 'originalName', 'metadata', 'status', 'createdAt']
+  });
+
+  return transcripts
+    .sort((a, b) => a.getMeetingDate() - b.getMeetingDate())
+    .map(transcript => ({
+      id: transcript.id,
+      originalName: transcript.originalName,
+      title: transcript.metadata?.meetingTitle || null,
+      date: transcript.getMeetingDate().toISOString().split('T')[0],
+      status: transcript.status,
+      createdAt: transcript.createdAt
+    }));
+}
+
+/**
+ * List the session's meeting series
+ * GET /api/series
+ */
+router.get('/',
+  validateSession,
+  async (req, res) => {
+  try {
+    const seriesList = await MeetingSeries.findByOwner(sessionOwner(req.session));
+    const counts = await Promise.all(seriesList.map(series =>
+      MeetingTranscript.count({ where: { seriesId: series.id } })));
+
+    res.json({
+      success: true,
+      series: seriesList.map((series, index) => ({
+        ...series.toApiJSON(),
+        meetingCount: counts[index]
+      }))
+    });
+
+  } catch (error) {
+    console.error('List meeting series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve meeting series'
+    });
+  }
+});
+
+/**
+ * Create a series, optionally with its first meetings
+ * POST /api/series
+ */
+router.post('/',
+  validateSession,
+  requireRole('editor'),
+  validationRules.seriesCreate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { name, meetingType, transcriptIds = [] } = req.body;
+
+    const transcripts = await MeetingTranscript.findAll({
+      where: { id: transcriptIds, ...sessionOwner(req.session) }
+    });
+
+    if (transcripts.length !== transcriptIds.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found or access denied'
+      });
+    }
+
+    const series = await MeetingSeries.create({
+      ...ownerFields(req.session),
+      name,
+      meetingType: meetingType || meetingSeries.inferMeetingType(name),
+      titleKey: meetingSeries.normalizeTitle(name) || null,
+      detection: 'manual'
+    });
+
+    for (const transcript of transcripts) {
+      await meetingSeries.addTranscript(series, transcript);
+    }
+
+    console.log(`🔁 Meeting series created: ${series.name} (${series.id})`);
+
+    res.status(201).json({
+      success: true,
+      series: series.toApiJSON(),
+      transcripts: await findSeriesTranscripts(series)
+    });
+
+  } catch (error) {
+    console.error('Create meeting series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create meeting series'
+    });
+  }
+});
+
+/**
+ * Get a series with its meetings
+ * GET /api/series/:id
+ */
+router.get('/:id',
+  validateSession,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const series = await findSessionSeries(req.params.id, req.session);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting series not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      series: series.toApiJSON(),
+      transcripts: await findSeriesTranscripts(series)
+    });
+
+  } catch (error) {
+    console.error('Get meeting series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve meeting series'
+    });
+  }
+});
+
+/**
+ * Rename a series or change its meeting type
+ * PATCH /api/series/:id
+ */
+router.patch('/:id',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  validationRules.seriesUpdate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const series = await findSessionSeries(req.params.id, req.session);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting series not found or access denied'
+      });
+    }
+
+    const { name, meetingType } = req.body;
+    if (name !== undefined) series.name = name;
+    if (meetingType !== undefined) series.meetingType = meetingType;
+    await series.save();
+
+    res.json({
+      success: true,
+      series: series.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Update meeting series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update meeting series'
+    });
+  }
+});
+
+/**
+ * Delete a series; its meetings are kept but no longer grouped
+ * DELETE /api/series/:id
+ */
+router.delete('/:id',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const series = await findSessionSeries(req.params.id, req.session);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting series not found or access denied'
+      });
+    }
+
+    await MeetingTranscript.update({ seriesId: null }, { where: { seriesId: series.id } });
+    await series.destroy();
+
+    res.json({
+      success: true,
+      message: 'Meeting series deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete meeting series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete meeting series'
+    });
+  }
+});
+
+/**
+ * Add a meeting to a series
+ * POST /api/series/:id/transcripts
+ */
+router.post('/:id/transcripts',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  validationRules.seriesTranscript,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const series = await findSessionSeries(req.params.id, req.session);
+    const transcript = await MeetingTranscript.findOne({
+      where: { id: req.body.transcriptId, ...sessionOwner(req.session) }
+    });
+
+    if (!series || !transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting series or transcript not found or access denied'
+      });
+    }
+
+    await meetingSeries.addTranscript(series, transcript);
+
+    res.json({
+      success: true,
+      series: series.toApiJSON(),
+      transcripts: await findSeriesTranscripts(series)
+    });
+
+  } catch (error) {
+    console.error('Add transcript to series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add transcript to series'
+    });
+  }
+});
+
+/**
+ * Remove a meeting from a series
+ * DELETE /api/series/:id/transcripts/:transcriptId
+ */
+router.delete('/:id/transcripts/:transcriptId',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const series = await findSessionSeries(req.params.id, req.session);
+    const transcript = series && await MeetingTranscript.findOne({
+      where: { id: req.params.transcriptId, ...sessionOwner(req.session), seriesId: series.id }
+    });
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found in this meeting series'
+      });
+    }
+
+    await meetingSeries.removeTranscript(transcript);
+
+    res.json({
+      success: true,
+      series: series.toApiJSON(),
+      transcripts: await findSeriesTranscripts(series)
+    });
+
+  } catch (error) {
+    console.error('Remove transcript from series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove transcript from series'
+    });
+  }
+});
+
+/**
+ * Generate a roll-up across the series' latest meetings
+ * POST /api/series/:id/rollup
+ */
+router.post('/:id/rollup',
+  rateLimitConfigs.aiProcessing,
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  validationRules.seriesRollup,
+  handleValidationErrors,
+  enforceQuota({ tokens: 0 }),
+  enforceBudget,
+  async (req, res) => {
+  try {
+    const series = await findSessionSeries(req.params.id, req.session);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting series not found or access denied'
+      });
+    }
+
+    const { meetings, meetingType, useFallback = false } = req.body;
+    const rollup = await summaryService.generateSeriesRollup(series, {
+      meetings,
+      meetingType,
+      useFallback,
+      sessionId: req.session.id
+    });
+
+    res.json({
+      success: true,
+      series: series.toApiJSON(),
+      rollup
+    });
+
+  } catch (error) {
+    console.error('Series roll-up error:', error);
+    if (sendQuotaError(res, error)) return;
+
+    const tooFewMeetings = error.type === ErrorTypes.CONTENT_ERROR;
+    res.status(tooFewMeetings ? 400 : 500).json({
+      success: false,
+      error: tooFewMeetings ? error.message : 'Failed to generate series roll-up'
+    });
+  }
+});
+
+/**
+ * Get the most recent roll-up of a series
+ * GET /api/series/:id/rollup
+ */
+router.get('/:id/rollup',
+  validateSession,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const series = await findSessionSeries(req.params.id, req.session);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Meeting series not found or access denied'
+      });
+    }
+
+    if (!series.lastRollup) {
+      return res.status(404).json({
+        success: false,
+        error: 'No roll-up has been generated for this series yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      series: series.toApiJSON(),
+      rollup: series.lastRollup
+    });
+
+  } catch (error) {
+    console.error('Get series roll-up error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve series roll-up'
+    });
+  }
+});
+
+module.exports = router;
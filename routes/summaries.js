@@ -8,8 +8,15 @@
 const express = require('express');
 const router = express.Router();
 const SummaryService = require('../services/summaryService');
-const { validateSession, updateWorkflowState } = require('../middleware/sessionMiddleware');
-const { MeetingTranscript, Summary } = require('../models');
+const SummarySchema = require('../services/summarySchema');
+const SummaryRevisions = require('../services/summaryRevisions');
+const { jobQueue } = require('../services/jobQueue');
+const { ErrorTypes } = require('../services/errorHandler');
+const { validateSession, validateSessionOrApiKey, requireRole, updateWorkflowState } = require('../middleware/sessionMiddleware');
+const { enforceQuota, enforceBudget, sendQuotaError } = require('../middleware/quotaMiddleware');
+const { rateLimitConfigs } = require('../middleware/security');
+const { MeetingTranscript, Summary, SummaryTemplate, Job } = require('../models');
+const { sessionOwner } = require('../models/ownership');
 const {
   validationRules,
   handleValidationErrors,
@@ -18,23 +25,126 @@ const {
 } = require('../middleware/validation');
 
 const summaryService = new SummaryService();
+const summaryRevisions = new SummaryRevisions();
+
+// Interval for SSE keep-alive comments so proxies don't drop idle streams
+const STREAM_HEARTBEAT_MS = parseInt(process.env.SUMMARY_STREAM_HEARTBEAT_MS) || 15000;
+
+/**
+ * Shape a generated summary for API responses
+ */
+function formatGeneratedSummary(result) {
+  return {
+    id: result.id,
+    content: result.content,
+    summaryStyle: result.summaryStyle,
+    processingTime: result.processingTime,
+    tokenUsage: result.tokenUsage,
+    cost: result.cost,
+    model: result.model,
+    createdAt: result.createdAt,
+    // Add processed response data
+    quality: result.quality,
+    structure: result.structure,
+    citations: result.citations,
+    structuredSummary: result.structuredSummary,
+    meetingContext: result.metadata?.meetingContext,
+    actionItemTracking: result.actionItemTracking,
+    decisionLog: result.decisionLog,
+    analysis: result.analysis,
+    formats: result.formats,
+    validation: result.validation
+  };
+}
+
+/**
+ * Dedupe key shared by summary jobs for the same transcript, style, variant
+ * settings (see SummaryService#getSummaryVariant) and template
+ */
+function summaryJobKey(transcriptId, summaryStyle, variant, templateId) {
+  const settings = Object.values(variant).map(value => value || 'default').join(':');
+  return `summary_generation:${transcriptId}:${summaryStyle}:${settings}${templateId ? `:${templateId}` : ''}`;
+}
+
+/**
+ * Load a summary template owned by the session (or its workspace)
+ */
+async function findSessionTemplate(id, session) {
+  return await SummaryTemplate.findOne({
+    where: { id, ...sessionOwner(session) }
+  });
+}
+
+/**
+ * Load a summary whose transcript belongs to the session (or its workspace)
+ */
+async function findSessionSummary(id, session) {
+  return await Summary.findOne({
+    where: { id },
+    include: [{
+      model: MeetingTranscript,
+      as: 'transcript',
+      where: sessionOwner(session),
+      attributes: ['id']
+    }]
+  });
+}
+
+/**
+ * Shape an already completed summary for API responses
+ */
+function formatExistingSummary(summary) {
+  return {
+    id: summary.id,
+    content: summary.content,
+    summaryStyle: summary.summaryStyle,
+    createdAt: summary.createdAt,
+    processingTime: summary.processingTime,
+    tokenUsage: summary.tokenUsage,
+    cost: summary.cost
+  };
+}
+
+// Summary generation runs on the background job worker
+jobQueue.registerHandler('summary_generation', async (payload, context) => {
+  const { reused, summary } = await summaryService.runGenerationJob(payload, context);
+
+  return {
+    reused,
+    summary: reused ? formatExistingSummary(summary) : formatGeneratedSummary(summary)
+  };
+}, {
+  // A restart mid-generation leaves the summary record behind; close it out
+  onInterrupted: (job) => summaryService.abandonSummary(job.summaryId, 'Generation was interrupted by a server restart')
+});
 
 /**
- * Generate a new summary for a transcript
+ * Queue summary generation for a transcript
  * POST /api/summaries/generate
+ *
+ * Returns 202 with a job id; poll GET /api/jobs/:id for the result.
  */
 router.post('/generate',
-  validateSession,
+  rateLimitConfigs.aiProcessing,
+  validateSessionOrApiKey('summaries:write'),
+  requireRole('editor'),
   preventSQLInjection,
   sanitizeRequestBody,
   validationRules.summaryGeneration,
   handleValidationErrors,
+  enforceQuota({ summaries: 1, tokens: 0 }),
+  enforceBudget,
   async (req, res) => {
   try {
     const {
       transcriptId,
-      summaryStyle = 'executive',
+      summaryStyle: requestedStyle = 'executive',
+      templateId,
+      length,
       customInstructions = '',
+      outputFormat,
+      meetingType,
+      industry,
       useFallback = false,
       forceModel = null,
       urgency = 'normal'
@@ -52,7 +162,7 @@ router.post('/generate',
     const transcript = await MeetingTranscript.findOne({
       where: {
         id: transcriptId,
-        sessionId: req.session.id
+        ...sessionOwner(req.session)
       }
     });
 
@@ -63,109 +173,257 @@ router.post('/generate',
       });
     }
 
-    // Check if summary already exists
-    const existingSummary = await Summary.findOne({
-      where: {
-        transcriptId: transcriptId,
-        summaryStyle: summaryStyle,
-        status: ['completed', 'generating']
-      }
-    });
+    // A template brings its own base style
+    const template = templateId ? await findSessionTemplate(templateId, req.session) : null;
 
-    if (existingSummary && existingSummary.status === 'generating') {
-      return res.status(409).json({
+    if (templateId && !template) {
+      return res.status(404).json({
         success: false,
-        error: 'Summary generation already in progress',
-        summaryId: existingSummary.id
+        error: 'Summary template not found or access denied'
       });
     }
 
-    if (existingSummary && existingSummary.status === 'completed') {
+    const summaryStyle = template ? template.baseStyle : requestedStyle;
+    const variant = summaryService.getSummaryVariant(transcript, req.body);
+
+    // Return an existing summary without queueing (templated summaries are always generated)
+    const existingSummary = template ? null :
+      await summaryService.findMatchingSummary(transcriptId, summaryStyle, variant, 'completed');
+
+    if (existingSummary) {
       return res.status(200).json({
         success: true,
         message: 'Summary already exists',
-        summary: {
-          id: existingSummary.id,
-          content: existingSummary.content,
-          summaryStyle: existingSummary.summaryStyle,
-          createdAt: existingSummary.createdAt,
-          processingTime: existingSummary.processingTime,
-          tokenUsage: existingSummary.tokenUsage,
-          cost: existingSummary.cost
-        }
+        summary: formatExistingSummary(existingSummary)
       });
     }
 
-    console.log(`🚀 Starting summary generation for transcript ${transcriptId}`);
-
-    // Generate summary with fallback options
-    const result = await summaryService.generateSummary(transcriptId, {
+    // The worker owns the in-progress check; an active job for the same key is returned as-is
+    const { job, created } = await jobQueue.enqueue('summary_generation', {
+      transcriptId,
       summaryStyle,
+      templateId,
+      length,
       customInstructions,
-      sessionToken: req.session.sessionToken,
+      outputFormat,
+      meetingType,
+      industry,
       useFallback,
       forceModel,
       urgency
+    }, {
+      sessionId: req.session.id,
+      transcriptId,
+      dedupeKey: summaryJobKey(transcriptId, summaryStyle, variant, templateId)
     });
 
-    // Update session workflow state
-    await updateWorkflowState(req.session.id, 'summary');
+    const statusUrl = `/api/jobs/${job.id}`;
 
-    res.status(201).json({
+    res.status(202).location(statusUrl).json({
       success: true,
-      message: 'Summary generated successfully',
-      summary: {
-        id: result.id,
-        content: result.content,
-        summaryStyle: result.summaryStyle,
-        processingTime: result.processingTime,
-        tokenUsage: result.tokenUsage,
-        cost: result.cost,
-        model: result.model,
-        createdAt: result.createdAt,
-        // Add processed response data
-        quality: result.quality,
-        structure: result.structure,
-        analysis: result.analysis,
-        formats: result.formats,
-        validation: result.validation
-      }
+      message: created ? 'Summary generation queued' : 'Summary generation already queued',
+      jobId: job.id,
+      statusUrl,
+      job: job.toStatusJSON()
     });
 
   } catch (error) {
     console.error('Summary generation error:', error);
 
-    // Handle specific error types
-    const errorMessage = error?.message || error?.toString() || 'Unknown error';
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue summary generation',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Generate a new summary and stream token deltas over Server-Sent Events
+ * POST /api/summaries/generate/stream
+ *
+ * Events: start, progress, delta, retry, complete, error. The final text is
+ * processed and persisted exactly as with /generate before `complete` is sent.
+ * Structured (JSON) output is not streamed; only `complete` carries content.
+ */
+router.post('/generate/stream',
+  rateLimitConfigs.aiProcessing,
+  validateSessionOrApiKey('summaries:write'),
+  requireRole('editor'),
+  preventSQLInjection,
+  sanitizeRequestBody,
+  validationRules.summaryGeneration,
+  handleValidationErrors,
+  enforceQuota({ summaries: 1, tokens: 0 }),
+  enforceBudget,
+  async (req, res) => {
+  const {
+    transcriptId,
+    summaryStyle: requestedStyle = 'executive',
+    templateId,
+    length,
+    customInstructions = '',
+    outputFormat,
+    meetingType,
+    industry,
+    useFallback = false,
+    forceModel = null,
+    urgency = 'normal'
+  } = req.body;
+
+  let existingSummary = null;
+  let summaryStyle = requestedStyle;
+  try {
+    // Verify transcript exists and belongs to session
+    const transcript = await MeetingTranscript.findOne({
+      where: {
+        id: transcriptId,
+        ...sessionOwner(req.session)
+      }
+    });
 
-    if (errorMessage.includes('Rate limit')) {
-      return res.status(429).json({
+    if (!transcript) {
+      return res.status(404).json({
         success: false,
-        error: 'Rate limit exceeded. Please try again in a moment.',
-        retryAfter: 60
+        error: 'Transcript not found or access denied'
       });
     }
 
-    if (errorMessage.includes('API key')) {
-      return res.status(503).json({
+    // A template brings its own base style
+    const template = templateId ? await findSessionTemplate(templateId, req.session) : null;
+
+    if (templateId && !template) {
+      return res.status(404).json({
         success: false,
-        error: 'AI service temporarily unavailable. Please try again later.'
+        error: 'Summary template not found or access denied'
       });
     }
 
-    res.status(500).json({
+    if (template) summaryStyle = template.baseStyle;
+    const variant = summaryService.getSummaryVariant(transcript, req.body);
+
+    // Templated summaries are always generated, never served from an earlier one
+    existingSummary = await summaryService.findMatchingSummary(
+      transcriptId, summaryStyle, variant, template ? 'generating' : ['completed', 'generating']
+    );
+
+    const activeJob = await Job.findActiveByDedupeKey(summaryJobKey(transcriptId, summaryStyle, variant, templateId));
+
+    if ((existingSummary && existingSummary.status === 'generating') || activeJob) {
+      return res.status(409).json({
+        success: false,
+        error: 'Summary generation already in progress',
+        summaryId: existingSummary?.id,
+        jobId: activeJob?.id
+      });
+    }
+  } catch (error) {
+    console.error('Summary stream setup error:', error);
+    return res.status(500).json({
       success: false,
-      error: 'Failed to generate summary',
-      details: process.env.NODE_ENV === 'development' ? errorMessage : undefined
+      error: 'Failed to start summary generation'
     });
   }
+
+  // Open the event stream
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Generation keeps running if the client goes away so the summary is still persisted.
+  // Only the response reports an aborted SSE connection; it also closes after res.end()
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableEnded) clientGone = true;
+  });
+
+  const send = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  if (existingSummary) {
+    send('complete', {
+      success: true,
+      message: 'Summary already exists',
+      summary: formatExistingSummary(existingSummary)
+    });
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => {
+    if (!clientGone) res.write(': keep-alive\n\n');
+  }, STREAM_HEARTBEAT_MS);
+
+  try {
+    console.log(`🚀 Starting streamed summary generation for transcript ${transcriptId}`);
+
+    const result = await summaryService.generateSummary(transcriptId, {
+      summaryStyle,
+      templateId,
+      length,
+      customInstructions,
+      outputFormat,
+      meetingType,
+      industry,
+      sessionId: req.session.id,
+      useFallback,
+      forceModel,
+      urgency,
+      onStart: (info) => send('start', info),
+      onProgress: (progress) => send('progress', progress),
+      onDelta: (content) => send('delta', { content }),
+      onRetry: (info) => send('retry', info)
+    });
+
+    // Update session workflow state
+    await updateWorkflowState(req.session.id, 'summary');
+
+    send('complete', {
+      success: true,
+      message: 'Summary generated successfully',
+      summary: formatGeneratedSummary(result)
+    });
+
+  } catch (error) {
+    // SummaryService rejects with a pending user-facing error response
+    const failure = await Promise.resolve(error).catch(err => err);
+    console.error('Streamed summary generation error:', failure?.error?.message || failure?.message);
+
+    send('error', {
+      success: false,
+      error: failure?.error?.message || 'Failed to generate summary',
+      type: failure?.error?.type,
+      errorId: failure?.error?.errorId
+    });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+/**
+ * Published schema for structured (JSON) summaries
+ * GET /api/summaries/schema
+ */
+router.get('/schema', (req, res) => {
+  res.json({
+    success: true,
+    version: SummarySchema.SCHEMA_VERSION,
+    schema: SummarySchema.SUMMARY_SCHEMA
+  });
 });
 
 /**
  * Get summary in specific format
  * GET /api/summaries/:id/format/:format
  */
-router.get('/:id/format/:format', validateSession, async (req, res) => {
+router.get('/:id/format/:format', validateSessionOrApiKey('read'), async (req, res) => {
   try {
     const { id, format } = req.params;
 
@@ -173,7 +431,8 @@ router.get('/:id/format/:format', validateSession, async (req, res) => {
       where: { id },
       include: [{
         model: MeetingTranscript,
-        where: { sessionId: req.session.id },
+        as: 'transcript',
+        where: sessionOwner(req.session),
         attributes: ['id', 'originalName', 'createdAt']
       }]
     });
@@ -201,7 +460,8 @@ router.get('/:id/format/:format', validateSession, async (req, res) => {
       ui: 'application/json',
       email: 'text/plain',
       text: 'text/plain',
-      markdown: 'text/markdown'
+      markdown: 'text/markdown',
+      json: 'application/json'
     };
 
     res.set('Content-Type', contentTypes[format] || 'application/json');
@@ -233,7 +493,7 @@ router.get('/:id/format/:format', validateSession, async (req, res) => {
  * Get summary by ID
  * GET /api/summaries/:id
  */
-router.get('/:id', validateSession, async (req, res) => {
+router.get('/:id', validateSessionOrApiKey('read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -241,7 +501,8 @@ router.get('/:id', validateSession, async (req, res) => {
       where: { id },
       include: [{
         model: MeetingTranscript,
-        where: { sessionId: req.session.id },
+        as: 'transcript',
+        where: sessionOwner(req.session),
         attributes: ['id', 'originalName', 'createdAt']
       }]
     });
@@ -267,7 +528,10 @@ router.get('/:id', validateSession, async (req, res) => {
         aiModel: summary.aiModel,
         createdAt: summary.createdAt,
         updatedAt: summary.updatedAt,
-        transcript: summary.MeetingTranscript
+        citations: summary.metadata?.citations,
+        outputFormat: summary.metadata?.outputFormat || 'markdown',
+        structuredSummary: summary.metadata?.structuredSummary || null,
+        transcript: summary.transcript
       }
     });
 
@@ -280,11 +544,302 @@ router.get('/:id', validateSession, async (req, res) => {
   }
 });
 
+/**
+ * Revise a summary with reviewer feedback; the previous content is kept as
+ * an 'ai_refine' revision in its edit history
+ * POST /api/summaries/:id/refine
+ */
+router.post('/:id/refine',
+  rateLimitConfigs.aiProcessing,
+  validateSessionOrApiKey('summaries:write'),
+  requireRole('editor'),
+  preventSQLInjection,
+  sanitizeRequestBody,
+  validationRules.uuidParam,
+  validationRules.summaryRefine,
+  handleValidationErrors,
+  enforceQuota({ tokens: 0 }),
+  enforceBudget,
+  async (req, res) => {
+  try {
+    const summary = await findSessionSummary(req.params.id, req.session);
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary not found or access denied'
+      });
+    }
+
+    const { feedback, useFallback = false } = req.body;
+    const refined = await summaryService.refineSummary(summary, {
+      feedback,
+      useFallback,
+      sessionId: req.session.id
+    });
+
+    res.json({
+      success: true,
+      summary: {
+        ...formatGeneratedSummary(refined),
+        status: summary.status,
+        revision: refined.revision
+      }
+    });
+
+  } catch (error) {
+    console.error('Summary refine error:', error);
+    if (sendQuotaError(res, error)) return;
+
+    const notRefinable = error.type === ErrorTypes.VALIDATION_ERROR;
+    res.status(notRefinable ? 409 : 500).json({
+      success: false,
+      error: notRefinable ? error.message : 'Failed to refine summary',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Save an edit of the summary content as a new revision
+ * PUT /api/summaries/:id
+ */
+router.put('/:id',
+  validateSessionOrApiKey('summaries:write'),
+  requireRole('editor'),
+  sanitizeRequestBody,
+  validationRules.uuidParam,
+  validationRules.summaryEdit,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const summary = await findSessionSummary(req.params.id, req.session);
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary not found or access denied'
+      });
+    }
+
+    if (!summary.isEditable()) {
+      return res.status(409).json({
+        success: false,
+        error: `Only completed summaries can be edited (status: ${summary.status})`
+      });
+    }
+
+    const { content } = req.body;
+    const unchanged = content === summary.content;
+    if (!unchanged) {
+      await summaryService.reviseContent(summary, content, 'manual_edit');
+    }
+
+    res.json({
+      success: true,
+      message: unchanged ? 'No changes to save' : 'Summary saved',
+      summary: {
+        id: summary.id,
+        content: summary.content,
+        status: summary.status,
+        revision: summaryRevisions.count(summary),
+        updatedAt: summary.updatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Save summary edit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save summary'
+    });
+  }
+});
+
+/**
+ * List a summary's revisions, oldest first
+ * GET /api/summaries/:id/revisions
+ */
+router.get('/:id/revisions',
+  validateSessionOrApiKey('read'),
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const summary = await findSessionSummary(req.params.id, req.session);
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      summaryId: summary.id,
+      revisions: summaryRevisions.list(summary)
+    });
+
+  } catch (error) {
+    console.error('List summary revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve summary revisions'
+    });
+  }
+});
+
+/**
+ * Word-level diff between two revisions
+ * GET /api/summaries/:id/diff?from=1&to=3
+ *
+ * `to` defaults to the current revision and `from` to the one before it.
+ */
+router.get('/:id/diff',
+  validateSessionOrApiKey('read'),
+  validationRules.uuidParam,
+  validationRules.summaryDiff,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const summary = await findSessionSummary(req.params.id, req.session);
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary not found or access denied'
+      });
+    }
+
+    const to = req.query.to || summaryRevisions.count(summary);
+    const from = req.query.from || Math.max(1, to - 1);
+    const diff = summaryRevisions.diff(summary, from, to);
+
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        error: `Revision not found; this summary has revisions 1 to ${summaryRevisions.count(summary)}`
+      });
+    }
+
+    res.json({
+      success: true,
+      summaryId: summary.id,
+      diff
+    });
+
+  } catch (error) {
+    console.error('Summary diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare summary revisions'
+    });
+  }
+});
+
+/**
+ * Get a revision with its content
+ * GET /api/summaries/:id/revisions/:revision
+ */
+router.get('/:id/revisions/:revision',
+  validateSessionOrApiKey('read'),
+  validationRules.uuidParam,
+  validationRules.summaryRevision,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const summary = await findSessionSummary(req.params.id, req.session);
+    const revision = summary && summaryRevisions.get(summary, req.params.revision);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary revision not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      summaryId: summary.id,
+      revision
+    });
+
+  } catch (error) {
+    console.error('Get summary revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve summary revision'
+    });
+  }
+});
+
+/**
+ * Restore an earlier revision; it becomes a new revision so later ones are kept
+ * POST /api/summaries/:id/revisions/:revision/restore
+ */
+router.post('/:id/revisions/:revision/restore',
+  validateSessionOrApiKey('summaries:write'),
+  requireRole('editor'),
+  validationRules.uuidParam,
+  validationRules.summaryRevision,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const summary = await findSessionSummary(req.params.id, req.session);
+    const revision = summary && summaryRevisions.get(summary, req.params.revision);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary revision not found or access denied'
+      });
+    }
+
+    if (!summary.isEditable()) {
+      return res.status(409).json({
+        success: false,
+        error: `Only completed summaries can be restored (status: ${summary.status})`
+      });
+    }
+
+    if (revision.current) {
+      return res.status(400).json({
+        success: false,
+        error: `Revision ${revision.revision} is already the current content`
+      });
+    }
+
+    await summaryService.reviseContent(summary, revision.content, 'restore', {
+      restoredRevision: revision.revision
+    });
+
+    res.json({
+      success: true,
+      message: `Revision ${revision.revision} restored`,
+      summary: {
+        id: summary.id,
+        content: summary.content,
+        status: summary.status,
+        revision: summaryRevisions.count(summary),
+        updatedAt: summary.updatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore summary revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore summary revision'
+    });
+  }
+});
+
 /**
  * Get all summaries for current session
  * GET /api/summaries
  */
-router.get('/', validateSession, async (req, res) => {
+router.get('/', validateSessionOrApiKey('read'), async (req, res) => {
   try {
     const { style, status, limit = 50, offset = 0 } = req.query;
 
@@ -296,7 +851,8 @@ router.get('/', validateSession, async (req, res) => {
       where: whereClause,
       include: [{
         model: MeetingTranscript,
-        where: { sessionId: req.session.id },
+        as: 'transcript',
+        where: sessionOwner(req.session),
         attributes: ['id', 'originalName', 'createdAt', 'fileSize']
       }],
       order: [['createdAt', 'DESC']],
@@ -315,7 +871,7 @@ router.get('/', validateSession, async (req, res) => {
         cost: summary.cost,
         aiModel: summary.aiModel,
         createdAt: summary.createdAt,
-        transcript: summary.MeetingTranscript
+        transcript: summary.transcript
       })),
       pagination: {
         total: summaries.count,
@@ -338,7 +894,7 @@ router.get('/', validateSession, async (req, res) => {
  * Delete summary
  * DELETE /api/summaries/:id
  */
-router.delete('/:id', validateSession, async (req, res) => {
+router.delete('/:id', validateSessionOrApiKey('summaries:write'), requireRole('editor'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -346,7 +902,8 @@ router.delete('/:id', validateSession, async (req, res) => {
       where: { id },
       include: [{
         model: MeetingTranscript,
-        where: { sessionId: req.session.id }
+        as: 'transcript',
+        where: sessionOwner(req.session)
       }]
     });
 
@@ -377,7 +934,7 @@ router.delete('/:id', validateSession, async (req, res) => {
  * Get fallback system statistics
  * GET /api/summaries/stats/fallback
  */
-router.get('/stats/fallback', validateSession, async (req, res) => {
+router.get('/stats/fallback', validateSessionOrApiKey('read'), async (req, res) => {
   try {
     const fallbackStats = summaryService.getFallbackStats();
     const fallbackConfig = summaryService.getFallbackConfig();
@@ -446,7 +1003,7 @@ router.post('/stats/fallback/reset', validateSession, async (req, res) => {
  * Get generation statistics
  * GET /api/summaries/stats/generation
  */
-router.get('/stats/generation', validateSession, async (req, res) => {
+router.get('/stats/generation', validateSessionOrApiKey('read'), async (req, res) => {
   try {
     const { timeframe = '24h' } = req.query;
 
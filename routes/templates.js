@@ -0,0 +1,330 @@
+/**
+ * Summary Template API Routes
+ *
+ * User-defined summary templates (base style, prompt fragment, section
+ * outline and target length) owned by the session or its workspace, and
+ * their export and import as JSON for sharing
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateSession, requireRole } = require('../middleware/sessionMiddleware');
+const { SummaryTemplate } = require('../models');
+const { sessionOwner, ownerFields } = require('../models/ownership');
+const PromptTemplates = require('../services/promptTemplates');
+const {
+  validationRules,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const EDITABLE_FIELDS = ['name', 'description', 'baseStyle', 'promptFragment', 'sections', 'targetLength'];
+
+/**
+ * Load a template owned by the session (or its workspace)
+ */
+async function findSessionTemplate(id, session) {
+  return await SummaryTemplate.findOne({
+    where: { id, ...sessionOwner(session) }
+  });
+}
+
+/**
+ * Accept a single exported template as well as { templates: [...] }
+ */
+function normalizeImport(req, res, next) {
+  if (req.body && !Array.isArray(req.body.templates)) {
+    req.body = { templates: [req.body] };
+  }
+  next();
+}
+
+/**
+ * List the session's templates with the base styles and lengths they can use
+ * GET /api/templates
+ */
+router.get('/',
+  validateSession,
+  async (req, res) => {
+  try {
+    const templates = await SummaryTemplate.findByOwner(sessionOwner(req.session));
+    const styles = PromptTemplates.getStylePrompts();
+    const lengths = PromptTemplates.getQualityGuidelines();
+
+    res.json({
+      success: true,
+      templates: templates.map(template => template.toApiJSON()),
+      baseStyles: Object.fromEntries(Object.entries(styles).map(([key, style]) => [key, { name: style.name }])),
+      targetLengths: Object.fromEntries(Object.entries(lengths).map(([key, length]) => [key, { targetWords: length.targetWords }]))
+    });
+
+  } catch (error) {
+    console.error('List summary templates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve summary templates'
+    });
+  }
+});
+
+/**
+ * Create a template
+ * POST /api/templates
+ */
+router.post('/',
+  validateSession,
+  requireRole('editor'),
+  validationRules.summaryTemplateCreate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const template = await SummaryTemplate.create({
+      ...pickEditable(req.body),
+      ...ownerFields(req.session)
+    });
+
+    console.log(`📐 Summary template created: ${template.name} (${template.id})`);
+
+    res.status(201).json({
+      success: true,
+      template: template.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Create summary template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create summary template'
+    });
+  }
+});
+
+/**
+ * Export all of the session's templates
+ * GET /api/templates/export
+ */
+router.get('/export',
+  validateSession,
+  async (req, res) => {
+  try {
+    const templates = await SummaryTemplate.findByOwner(sessionOwner(req.session));
+
+    res.attachment('summary-templates.json').json({
+      format: SummaryTemplate.EXPORT_FORMAT,
+      version: SummaryTemplate.EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      templates: templates.map(template => template.toExportJSON())
+    });
+
+  } catch (error) {
+    console.error('Export summary templates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export summary templates'
+    });
+  }
+});
+
+/**
+ * Import exported templates as new templates of the session
+ * POST /api/templates/import
+ */
+router.post('/import',
+  validateSession,
+  requireRole('editor'),
+  normalizeImport,
+  validationRules.summaryTemplateImport,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const unsupported = req.body.templates.findIndex(item =>
+      (item.format && item.format !== SummaryTemplate.EXPORT_FORMAT) ||
+      (item.version && item.version > SummaryTemplate.EXPORT_VERSION));
+
+    if (unsupported !== -1) {
+      return res.status(400).json({
+        success: false,
+        error: `Template ${unsupported + 1} is not a supported summary template export (expected format "${SummaryTemplate.EXPORT_FORMAT}", version ${SummaryTemplate.EXPORT_VERSION})`
+      });
+    }
+
+    const templates = [];
+    for (const item of req.body.templates) {
+      templates.push(await SummaryTemplate.create({
+        ...pickEditable(item),
+        ...ownerFields(req.session)
+      }));
+    }
+
+    console.log(`📐 Imported ${templates.length} summary templates`);
+
+    res.status(201).json({
+      success: true,
+      templates: templates.map(template => template.toApiJSON())
+    });
+
+  } catch (error) {
+    console.error('Import summary templates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import summary templates'
+    });
+  }
+});
+
+/**
+ * Get a template
+ * GET /api/templates/:id
+ */
+router.get('/:id',
+  validateSession,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const template = await findSessionTemplate(req.params.id, req.session);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary template not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      template: template.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Get summary template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve summary template'
+    });
+  }
+});
+
+/**
+ * Export a single template
+ * GET /api/templates/:id/export
+ */
+router.get('/:id/export',
+  validateSession,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const template = await findSessionTemplate(req.params.id, req.session);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary template not found or access denied'
+      });
+    }
+
+    const fileName = template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'summary-template';
+    res.attachment(`${fileName}.json`).json(template.toExportJSON());
+
+  } catch (error) {
+    console.error('Export summary template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export summary template'
+    });
+  }
+});
+
+/**
+ * Update a template
+ * PATCH /api/templates/:id
+ */
+router.patch('/:id',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  validationRules.summaryTemplateUpdate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const template = await findSessionTemplate(req.params.id, req.session);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary template not found or access denied'
+      });
+    }
+
+    const fields = pickEditable(req.body);
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Nothing to update; editable fields are ${EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    await template.update(fields);
+
+    res.json({
+      success: true,
+      template: template.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Update summary template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update summary template'
+    });
+  }
+});
+
+/**
+ * Delete a template; summaries generated with it are kept
+ * DELETE /api/templates/:id
+ */
+router.delete('/:id',
+  validateSession,
+  requireRole('editor'),
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const template = await findSessionTemplate(req.params.id, req.session);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary template not found or access denied'
+      });
+    }
+
+    await template.destroy();
+
+    res.json({
+      success: true,
+      message: 'Summary template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete summary template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete summary template'
+    });
+  }
+});
+
+/**
+ * Editable fields present in a request body
+ */
+function pickEditable(body) {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+module.exports = router;
@@ -7,8 +7,14 @@ const { body, validationResult } = require('express-validator');
 const mammoth = require('mammoth');
 const pdfParse = require('pdf-parse');
 const docxParser = require('docx-parser');
-const { MeetingTranscript, UserSession } = require('../models');
-const { validateSession, updateWorkflowState, updateSessionStats, findSessionByToken } = require('../middleware/sessionMiddleware');
+const CaptionParser = require('../services/captionParser');
+const TranscriptImporter = require('../services/transcriptImporter');
+const SpeakerAnalytics = require('../services/speakerAnalytics');
+const MeetingSeriesService = require('../services/meetingSeries');
+const MeetingClassifier = require('../services/meetingClassifier');
+const { MeetingTranscript, MeetingSeries, UserSession } = require('../models');
+const { sessionOwner, ownerFields } = require('../models/ownership');
+const { validateSessionOrApiKey, requireRole, updateWorkflowState, updateSessionStats, findSessionByToken } = require('../middleware/sessionMiddleware');
 const {
   validationRules,
   handleValidationErrors,
@@ -22,6 +28,19 @@ const {
 } = require('../middleware/fileSecurity');
 
 const router = express.Router();
+const captionParser = new CaptionParser();
+const transcriptImporter = new TranscriptImporter({ captionParser });
+const speakerAnalytics = new SpeakerAnalytics({ captionParser });
+const meetingSeries = new MeetingSeriesService();
+const meetingClassifier = new MeetingClassifier();
+
+// Load a transcript owned by the session (or its workspace)
+const findSessionTranscript = async (id, session, options = {}) => {
+  return await MeetingTranscript.findOne({
+    where: { id, ...sessionOwner(session) },
+    ...options
+  });
+};
 
 // Ensure uploads directory exists
 const ensureUploadsDir = async () => {
@@ -49,7 +68,7 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['.txt', '.md', '.doc', '.docx', '.pdf', '.rtf'];
+  const allowedTypes = ['.txt', '.md', '.doc', '.docx', '.pdf', '.rtf', '.vtt', '.srt', '.json'];
   const allowedMimeTypes = [
     'text/plain',
     'text/markdown',
@@ -60,7 +79,12 @@ const fileFilter = (req, file, cb) => {
     'text/rtf',
     // Additional MIME types for better compatibility
     'application/vnd.ms-word',
-    'application/x-msword'
+    'application/x-msword',
+    // Caption files (Zoom, Teams, Meet exports)
+    ...CaptionParser.CAPTION_MIME_TYPES.vtt,
+    ...CaptionParser.CAPTION_MIME_TYPES.srt,
+    // Zoom cloud recording transcript exports
+    'application/json'
   ];
 
   // Sanitize original filename
@@ -82,8 +106,11 @@ const fileFilter = (req, file, cb) => {
     return cb(new Error('File size exceeds 10MB limit'), false);
   }
 
+  // Caption files are frequently reported as text/plain or application/octet-stream
+  const isCaption = captionParser.detectFormat(file.originalname, mimeType) !== null;
+
   // Check both extension and MIME type for security
-  if (allowedTypes.includes(fileExtension) && allowedMimeTypes.includes(mimeType)) {
+  if (allowedTypes.includes(fileExtension) && (allowedMimeTypes.includes(mimeType) || isCaption)) {
     // Additional security: check for executable extensions hidden in filename
     const dangerousPatterns = /\.(exe|bat|cmd|com|pif|scr|vbs|js|jar|app|deb|pkg|dmg)$/i;
     if (dangerousPatterns.test(file.originalname)) {
@@ -92,7 +119,7 @@ const fileFilter = (req, file, cb) => {
 
     cb(null, true);
   } else {
-    cb(new Error(`Invalid file type. Only .txt, .md, .doc, .docx files are allowed. Received: ${fileExtension} (${mimeType})`), false);
+    cb(new Error(`Invalid file type. Only ${allowedTypes.join(', ')} files are allowed. Received: ${fileExtension} (${mimeType})`), false);
   }
 };
 
@@ -111,7 +138,7 @@ const upload = multer({
 // File content extraction (for text files)
 const extractFileContent = async (filePath, mimeType) => {
   try {
-    if (mimeType === 'text/plain' || mimeType === 'text/markdown') {
+    if (mimeType === 'text/plain' || mimeType === 'text/markdown' || mimeType === 'application/json') {
       const content = await fs.readFile(filePath, 'utf8');
       return {
         content: content.trim(),
@@ -120,6 +147,34 @@ const extractFileContent = async (filePath, mimeType) => {
       };
     }
 
+    // Handle WebVTT / SubRip caption files
+    const captionFormat = captionParser.detectFormat(filePath, mimeType);
+    if (captionFormat) {
+      const raw = await fs.readFile(filePath, 'utf8');
+      const parsed = captionParser.parse(raw, captionFormat);
+
+      if (parsed.segments.length === 0) {
+        throw new Error(`No caption cues found in ${captionFormat.toUpperCase()} file`);
+      }
+
+      console.log(`✅ Parsed ${parsed.stats.cueCount} ${captionFormat.toUpperCase()} cues into ${parsed.stats.segmentCount} segments`);
+
+      return {
+        content: parsed.content,
+        contentLength: parsed.content.length,
+        tokenCount: Math.ceil(parsed.content.length / 4),
+        // Segment timestamps and speakers point summaries back into the recording
+        segments: parsed.segments,
+        metadata: {
+          captions: parsed.stats,
+          ...transcriptImporter.buildMeetingMetadata({
+            attendees: parsed.stats.speakers,
+            durationMs: parsed.stats.durationMs
+          })
+        }
+      };
+    }
+
     // Handle .docx files with mammoth
     if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
       try {
@@ -328,7 +383,7 @@ Please convert this document to a plain text format for reliable processing.`;
     }
 
     // For other file types, return empty but processable content
-    const emptyContent = `[File uploaded: ${path.basename(filePath)}]\n\nContent extraction not supported for this file type. Supported formats: .txt, .md, .doc, .docx, .pdf, .rtf`;
+    const emptyContent = `[File uploaded: ${path.basename(filePath)}]\n\nContent extraction not supported for this file type. Supported formats: .txt, .md, .doc, .docx, .pdf, .rtf, .vtt, .srt`;
     return {
       content: emptyContent,
       contentLength: emptyContent.length,
@@ -346,7 +401,8 @@ Please convert this document to a plain text format for reliable processing.`;
 
 // Main file upload endpoint
 router.post('/',
-  validateSession,
+  validateSessionOrApiKey('upload'),
+  requireRole('editor'),
   preventSQLInjection,
   sanitizeRequestBody,
   upload.single('transcript'),
@@ -361,9 +417,29 @@ router.post('/',
       });
     }
 
+    // An explicitly chosen series must belong to this session
+    if (req.body.seriesId) {
+      const series = await MeetingSeries.findOne({
+        where: { id: req.body.seriesId, ...sessionOwner(req.session) }
+      });
+
+      if (!series) {
+        await secureCleanup(req.file.path);
+
+        return res.status(404).json({
+          error: 'Meeting series not found',
+          code: 'SERIES_NOT_FOUND'
+        });
+      }
+    }
+
     // Perform comprehensive security check
     console.log(`🔒 Performing security check on uploaded file: ${req.file.originalname}`);
-    const securityCheck = await performSecurityCheck(req.file.path, req.file.mimetype);
+    // Caption files arrive with generic MIME types; normalize before validation
+    const captionFormat = captionParser.detectFormat(req.file.originalname, req.file.mimetype);
+    const mimeType = captionFormat ? captionParser.getMimeType(captionFormat) : req.file.mimetype;
+
+    const securityCheck = await performSecurityCheck(req.file.path, mimeType);
 
     if (!securityCheck.safe) {
       console.error(`❌ Security check failed for file: ${req.file.originalname}`, securityCheck.reason);
@@ -382,7 +458,47 @@ router.post('/',
     console.log(`✅ Security check passed for file: ${req.file.originalname}`);
 
     // Extract file content
-    const contentData = await extractFileContent(req.file.path, req.file.mimetype);
+    let contentData = await extractFileContent(req.file.path, mimeType);
+
+    // Zoom / Teams / Meet transcript exports are normalized into speaker turns
+    if (!captionFormat) {
+      const imported = transcriptImporter.normalize(contentData.content, mimeType);
+
+      if (imported) {
+        console.log(`✅ Imported ${imported.stats.platform} transcript: ${imported.stats.turnCount} speaker turns, ${imported.attendees.length} attendees`);
+        contentData = {
+          content: imported.content,
+          contentLength: imported.content.length,
+          tokenCount: Math.ceil(imported.content.length / 4),
+          segments: imported.segments,
+          metadata: {
+            source: imported.stats,
+            ...(imported.title && { meetingTitle: imported.title }),
+            ...(imported.date && { date: imported.date.split('T')[0] }),
+            ...transcriptImporter.buildMeetingMetadata(imported)
+          }
+        };
+      } else if (mimeType === 'application/json') {
+        await secureCleanup(req.file.path);
+
+        return res.status(400).json({
+          error: 'Unsupported JSON transcript format',
+          code: 'UNSUPPORTED_FORMAT',
+          details: 'JSON uploads must be a Zoom cloud recording transcript with a timeline.'
+        });
+      }
+    }
+
+    // Detect meeting type and industry so their prompt templates apply without being picked
+    const classification = meetingClassifier.enabled && contentData.content ?
+      meetingClassifier.classify(contentData.content, {
+        title: contentData.metadata?.meetingTitle || req.file.originalname
+      }) :
+      null;
+
+    if (classification) {
+      console.log(`🏷️ Classified as meeting type: ${classification.meetingType.value || 'none'} (${classification.meetingType.confidence}), industry: ${classification.industry.value || 'none'} (${classification.industry.confidence})`);
+    }
 
     // Create database record
     const transcript = await MeetingTranscript.create({
@@ -390,20 +506,36 @@ router.post('/',
       originalName: req.file.originalname,
       filePath: req.file.path,
       fileSize: req.file.size,
-      mimeType: req.file.mimetype,
+      mimeType: mimeType,
       content: contentData.content,
       contentLength: contentData.contentLength,
       tokenCount: contentData.tokenCount,
+      // Caption/platform imports carry turns; plain text is parsed from "Name:" prefixes
+      speakerTurns: contentData.segments || speakerAnalytics.parseSpeakerTurns(contentData.content || ''),
       status: contentData.content ? 'processed' : 'uploaded',
-      sessionId: req.session.id,
+      ...ownerFields(req.session),
       metadata: {
         uploadedAt: new Date(),
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
-        originalPath: req.file.originalname
+        originalPath: req.file.originalname,
+        ...contentData.metadata,
+        ...(classification && {
+          meetingType: classification.meetingType.value,
+          industry: classification.industry.value,
+          classification
+        })
       }
     });
 
+    // Group recurring meetings: the chosen series, or one matched by title and attendees
+    let series = null;
+    try {
+      series = await meetingSeries.assignTranscript(transcript, { seriesId: req.body.seriesId });
+    } catch (seriesError) {
+      console.error('Meeting series assignment error:', seriesError.message);
+    }
+
     // Update session workflow state
     await updateWorkflowState(req.session.id, 'instructions');
     await updateSessionStats(req.session.id, { transcriptsProcessed: (req.session.statistics?.transcriptsProcessed || 0) + 1 });
@@ -418,10 +550,18 @@ router.post('/',
         status: transcript.status,
         contentLength: transcript.contentLength,
         tokenCount: transcript.tokenCount,
-        uploadedAt: transcript.createdAt
+        uploadedAt: transcript.createdAt,
+        captions: transcript.metadata?.captions,
+        source: transcript.metadata?.source,
+        attendees: transcript.metadata?.attendees,
+        duration: transcript.metadata?.duration,
+        meetingType: transcript.metadata?.meetingType || null,
+        industry: transcript.metadata?.industry || null,
+        classification: transcript.metadata?.classification || null,
+        series: series ? { id: series.id, name: series.name, detection: series.detection } : null
       },
       session: {
-        token: req.session.sessionToken,
+        token: req.apiKey ? null : req.session.sessionToken,
         workflowState: req.session.workflowState
       }
     });
@@ -446,10 +586,10 @@ router.post('/',
 });
 
 // Get transcript by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validateSessionOrApiKey('read'), async (req, res) => {
   try {
-    const transcript = await MeetingTranscript.findByPk(req.params.id, {
-      include: ['summaries', 'session']
+    const transcript = await findSessionTranscript(req.params.id, req.session, {
+      include: ['summaries']
     });
 
     if (!transcript) {
@@ -468,7 +608,13 @@ router.get('/:id', async (req, res) => {
         contentLength: transcript.contentLength,
         tokenCount: transcript.tokenCount,
         uploadedAt: transcript.createdAt,
-        summaries: transcript.summaries?.length || 0
+        summaries: transcript.summaries?.length || 0,
+        captions: transcript.metadata?.captions,
+        source: transcript.metadata?.source,
+        attendees: transcript.metadata?.attendees,
+        duration: transcript.metadata?.duration,
+        meetingType: transcript.metadata?.meetingType || null,
+        industry: transcript.metadata?.industry || null
       }
     });
 
@@ -482,9 +628,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // Get transcript content
-router.get('/:id/content', async (req, res) => {
+router.get('/:id/content', validateSessionOrApiKey('read'), async (req, res) => {
   try {
-    const transcript = await MeetingTranscript.findByPk(req.params.id);
+    const transcript = await findSessionTranscript(req.params.id, req.session);
 
     if (!transcript) {
       return res.status(404).json({
@@ -503,7 +649,9 @@ router.get('/:id/content', async (req, res) => {
     res.json({
       content: transcript.content,
       contentLength: transcript.contentLength,
-      tokenCount: transcript.tokenCount
+      tokenCount: transcript.tokenCount,
+      // Speaker turns with timestamps; caption and platform imports map one turn per content line
+      speakerTurns: transcript.speakerTurns
     });
 
   } catch (error) {
@@ -515,10 +663,49 @@ router.get('/:id/content', async (req, res) => {
   }
 });
 
+// Get per-speaker analytics (talk time, turns, interruptions)
+router.get('/:id/speakers', validateSessionOrApiKey('read'), async (req, res) => {
+  try {
+    const transcript = await findSessionTranscript(req.params.id, req.session);
+
+    if (!transcript) {
+      return res.status(404).json({
+        error: 'Transcript not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    // Transcripts stored before turns were parsed fall back to the content
+    const turns = transcript.hasSpeakerTurns() ?
+      transcript.speakerTurns :
+      speakerAnalytics.parseSpeakerTurns(transcript.content || '');
+
+    if (turns.length === 0) {
+      return res.status(400).json({
+        error: 'No speakers found in transcript',
+        code: 'NO_SPEAKERS',
+        details: 'Speaker analytics need caption files, platform exports or "Name: text" lines.'
+      });
+    }
+
+    res.json({
+      transcriptId: transcript.id,
+      ...speakerAnalytics.analyze(turns)
+    });
+
+  } catch (error) {
+    console.error('Get speakers error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve speaker analytics',
+      code: 'SPEAKERS_ERROR'
+    });
+  }
+});
+
 // Delete transcript
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validateSessionOrApiKey('upload'), requireRole('editor'), async (req, res) => {
   try {
-    const transcript = await MeetingTranscript.findByPk(req.params.id);
+    const transcript = await findSessionTranscript(req.params.id, req.session);
 
     if (!transcript) {
       return res.status(404).json({
@@ -563,7 +750,7 @@ router.get('/session/:sessionToken', async (req, res) => {
       });
     }
 
-    const transcripts = await MeetingTranscript.findBySession(session.id);
+    const transcripts = await MeetingTranscript.findByOwner(sessionOwner(session));
 
     res.json({
       transcripts: transcripts.map(t => ({
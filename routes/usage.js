@@ -0,0 +1,76 @@
+/**
+ * Usage API Routes
+ *
+ * This month's summaries, model tokens and emails against the monthly
+ * quotas of the session's workspace (or of the anonymous session's IP), spend
+ * against the cost budgets, and spend reports
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateSession, validateSessionOrApiKey, requireAccount, requireRole } = require('../middleware/sessionMiddleware');
+const { sessionOwner } = require('../models/ownership');
+const UsageQuotas = require('../services/usageQuotas');
+const CostBudgets = require('../services/costBudgets');
+const {
+  validationRules,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const usageQuotas = new UsageQuotas();
+const costBudgets = new CostBudgets();
+
+/**
+ * Current usage, quotas and budgets
+ * GET /api/usage
+ */
+router.get('/', validateSessionOrApiKey('read'), async (req, res) => {
+  try {
+    const usage = await usageQuotas.getUsage(sessionOwner(req.session));
+    const budgets = await costBudgets.getStatus({ session: req.session, workspaceId: req.session.workspaceId });
+
+    res.json({
+      success: true,
+      usage,
+      budgets
+    });
+
+  } catch (error) {
+    console.error('Usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load usage'
+    });
+  }
+});
+
+/**
+ * Spend by model, summary style, user and operation (signed-in workspace
+ * owners only; it names the workspace's accounts)
+ * GET /api/usage/spend?from=&to=
+ */
+router.get('/spend',
+  validateSession,
+  requireAccount,
+  requireRole('owner'),
+  validationRules.spendReport,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const report = await costBudgets.getSpendReport(sessionOwner(req.session), req.query);
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    console.error('Spend report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build spend report'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,348 @@
+/**
+ * Workspace API Routes
+ *
+ * Workspaces of the signed-in account, switching the session between them,
+ * managing members and their roles (owner, editor, viewer), the
+ * workspace's API keys and its cost budgets
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateSession, requireAccount } = require('../middleware/sessionMiddleware');
+const { ApiKey } = require('../models');
+const AccountService = require('../services/accountService');
+const CostBudgets = require('../services/costBudgets');
+const {
+  validationRules,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const accountService = new AccountService();
+const costBudgets = new CostBudgets();
+
+/**
+ * Respond with an account error's status, or 500
+ */
+function sendWorkspaceError(res, error, fallback) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+}
+
+/**
+ * List the account's workspaces
+ * GET /api/workspaces
+ */
+router.get('/',
+  validateSession,
+  requireAccount,
+  async (req, res) => {
+  try {
+    const workspaces = await accountService.listWorkspaces(req.user);
+
+    res.json({
+      success: true,
+      currentWorkspaceId: req.session.workspaceId,
+      workspaces
+    });
+
+  } catch (error) {
+    console.error('List workspaces error:', error);
+    sendWorkspaceError(res, error, 'Failed to retrieve workspaces');
+  }
+});
+
+/**
+ * Create a workspace owned by the account
+ * POST /api/workspaces
+ */
+router.post('/',
+  validateSession,
+  requireAccount,
+  validationRules.workspaceCreate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const membership = await accountService.createWorkspace(req.user, req.body.name);
+
+    res.status(201).json({
+      success: true,
+      workspace: membership.workspace.toApiJSON(membership.role)
+    });
+
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    sendWorkspaceError(res, error, 'Failed to create workspace');
+  }
+});
+
+/**
+ * Work in another of the account's workspaces
+ * POST /api/workspaces/:id/switch
+ */
+router.post('/:id/switch',
+  validateSession,
+  requireAccount,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const membership = await accountService.requireMembership(req.params.id, req.user.id);
+    await req.session.update({ workspaceId: membership.workspaceId });
+
+    res.json({
+      success: true,
+      workspace: membership.workspace.toApiJSON(membership.role)
+    });
+
+  } catch (error) {
+    console.error('Switch workspace error:', error);
+    sendWorkspaceError(res, error, 'Failed to switch workspace');
+  }
+});
+
+/**
+ * List a workspace's members
+ * GET /api/workspaces/:id/members
+ */
+router.get('/:id/members',
+  validateSession,
+  requireAccount,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await accountService.requireMembership(req.params.id, req.user.id);
+    const members = await accountService.listMembers(req.params.id);
+
+    res.json({
+      success: true,
+      members: members.map(member => member.toApiJSON())
+    });
+
+  } catch (error) {
+    console.error('List members error:', error);
+    sendWorkspaceError(res, error, 'Failed to retrieve members');
+  }
+});
+
+/**
+ * Add an existing account to the workspace (owners only)
+ * POST /api/workspaces/:id/members
+ */
+router.post('/:id/members',
+  validateSession,
+  requireAccount,
+  validationRules.uuidParam,
+  validationRules.workspaceMemberAdd,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await accountService.requireMembership(req.params.id, req.user.id, 'owner');
+    const member = await accountService.addMember(req.params.id, req.body.email, req.body.role);
+
+    res.status(201).json({
+      success: true,
+      member: member.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Add member error:', error);
+    sendWorkspaceError(res, error, 'Failed to add member');
+  }
+});
+
+/**
+ * Change a member's role (owners only)
+ * PATCH /api/workspaces/:id/members/:userId
+ */
+router.patch('/:id/members/:userId',
+  validateSession,
+  requireAccount,
+  validationRules.uuidParam,
+  validationRules.workspaceMemberUpdate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await accountService.requireMembership(req.params.id, req.user.id, 'owner');
+    const member = await accountService.updateMemberRole(req.params.id, req.params.userId, req.body.role);
+
+    res.json({
+      success: true,
+      member: member.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Update member error:', error);
+    sendWorkspaceError(res, error, 'Failed to update member');
+  }
+});
+
+/**
+ * Remove a member (owners), or leave the workspace (any member)
+ * DELETE /api/workspaces/:id/members/:userId
+ */
+router.delete('/:id/members/:userId',
+  validateSession,
+  requireAccount,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    await accountService.requireMembership(req.params.id, req.user.id, leaving ? 'viewer' : 'owner');
+    await accountService.removeMember(req.params.id, req.params.userId);
+
+    res.json({
+      success: true,
+      message: leaving ? 'Left the workspace' : 'Member removed'
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    sendWorkspaceError(res, error, 'Failed to remove member');
+  }
+});
+
+/**
+ * List the workspace's API keys (owners only; keys are never shown again)
+ * GET /api/workspaces/:id/api-keys
+ */
+router.get('/:id/api-keys',
+  validateSession,
+  requireAccount,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await accountService.requireMembership(req.params.id, req.user.id, 'owner');
+    const apiKeys = await ApiKey.findByWorkspace(req.params.id);
+
+    res.json({
+      success: true,
+      scopes: ApiKey.SCOPES,
+      apiKeys: apiKeys.map(apiKey => apiKey.toApiJSON())
+    });
+
+  } catch (error) {
+    console.error('List API keys error:', error);
+    sendWorkspaceError(res, error, 'Failed to retrieve API keys');
+  }
+});
+
+/**
+ * Create an API key (owners only); the response is the only time the key is shown
+ * POST /api/workspaces/:id/api-keys
+ */
+router.post('/:id/api-keys',
+  validateSession,
+  requireAccount,
+  validationRules.uuidParam,
+  validationRules.apiKeyCreate,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await accountService.requireMembership(req.params.id, req.user.id, 'owner');
+    const { apiKey, key } = await accountService.createApiKey(req.params.id, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      apiKey: apiKey.toApiJSON(),
+      key,
+      message: 'Store this key now; it cannot be shown again'
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    sendWorkspaceError(res, error, 'Failed to create API key');
+  }
+});
+
+/**
+ * Revoke an API key (owners only)
+ * DELETE /api/workspaces/:id/api-keys/:keyId
+ */
+router.delete('/:id/api-keys/:keyId',
+  validateSession,
+  requireAccount,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await accountService.requireMembership(req.params.id, req.user.id, 'owner');
+    const apiKey = await accountService.revokeApiKey(req.params.id, req.params.keyId);
+
+    res.json({
+      success: true,
+      apiKey: apiKey.toApiJSON()
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    sendWorkspaceError(res, error, 'Failed to revoke API key');
+  }
+});
+
+/**
+ * The workspace's cost budgets: its own, the ones in effect and this period's spend
+ * GET /api/workspaces/:id/budgets
+ */
+router.get('/:id/budgets',
+  validateSession,
+  requireAccount,
+  validationRules.uuidParam,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const membership = await accountService.requireMembership(req.params.id, req.user.id);
+    const status = await costBudgets.getStatus({ workspaceId: req.params.id });
+
+    res.json({
+      success: true,
+      budgets: membership.workspace?.budgets || {},
+      ...status
+    });
+
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    sendWorkspaceError(res, error, 'Failed to retrieve budgets');
+  }
+});
+
+/**
+ * Set the workspace's own budgets (owners only); null removes one
+ * PUT /api/workspaces/:id/budgets
+ */
+router.put('/:id/budgets',
+  validateSession,
+  requireAccount,
+  validationRules.uuidParam,
+  validationRules.workspaceBudgets,
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    await accountService.requireMembership(req.params.id, req.user.id, 'owner');
+    const workspace = await accountService.updateBudgets(req.params.id, req.body);
+    const status = await costBudgets.getStatus({ workspaceId: workspace.id });
+
+    res.json({
+      success: true,
+      budgets: workspace.budgets || {},
+      ...status
+    });
+
+  } catch (error) {
+    console.error('Update budgets error:', error);
+    sendWorkspaceError(res, error, 'Failed to update budgets');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Single Sign-On Check Script
+ * Runs the OpenID Connect login end to end against a running server with the
+ * bundled mock identity provider (OIDC_MOCK_IDP=true), without a browser:
+ *
+ *   node scripts/oidc-check.js [test user email] [server URL]
+ */
+
+const email = process.argv[2] || 'alice@example.com';
+const baseUrl = (process.argv[3] || process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+console.log(`🔐 Meeting Summarizer - Single Sign-On Check (${email} at ${baseUrl})\n`);
+
+/**
+ * Session token from a response's cookie, if it set one
+ */
+function sessionCookie(response) {
+  const cookies = response.headers.getSetCookie ? response.headers.getSetCookie() : [];
+  const match = cookies.map(cookie => cookie.match(/^sessionToken=([^;]+)/)).find(Boolean);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * GET a URL without following redirects, sending the session cookie
+ */
+async function step(description, url, sessionToken) {
+  const response = await fetch(url, {
+    redirect: 'manual',
+    headers: sessionToken ? { Cookie: `sessionToken=${encodeURIComponent(sessionToken)}` } : {}
+  });
+
+  const location = response.headers.get('location');
+  if (response.status !== 302 || !location) {
+    const body = await response.text();
+    throw new Error(`${description}: expected a redirect, got HTTP ${response.status} ${body}`);
+  }
+
+  console.log(`✅ ${description} → ${location.split('?')[0]}`);
+  return { location: new URL(location, url).toString(), sessionToken: sessionCookie(response) || sessionToken };
+}
+
+async function checkSingleSignOn() {
+  // 1. The app sends the browser to the identity provider
+  const start = await step('Start single sign-on', `${baseUrl}/api/auth/oidc/login?returnTo=/`);
+
+  // 2. The mock provider signs the test user in and sends the browser back
+  const authorizeUrl = new URL(start.location);
+  authorizeUrl.searchParams.set('login_hint', email);
+  const authorized = await step('Sign in at the identity provider', authorizeUrl.toString());
+
+  // 3. The app exchanges the code and signs the session in
+  const callback = await step('Complete the callback', authorized.location, start.sessionToken);
+
+  // 4. The session now belongs to the account
+  const response = await fetch(`${baseUrl}/api/auth/me`, {
+    headers: { 'X-Session-Token': callback.sessionToken }
+  });
+  const account = await response.json();
+
+  if (!account.user) {
+    throw new Error(`Session is not signed in: ${JSON.stringify(account)}`);
+  }
+
+  console.log(`✅ Signed in as ${account.user.email} in "${account.workspace.name}" (${account.workspace.role})`);
+  console.log('\n🎉 Single sign-on works end to end');
+}
+
+checkSingleSignOn().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -16,7 +16,9 @@ const {
 // Import database models and configuration
 const { initializeDatabase, sequelize } = require('./models');
 const { testConnection } = require('./config/database');
-const { validateGroqConfig } = require('./config/groq');
+const { validateLLMConfig } = require('./config/llm');
+const { oidcConfig, validateOidcConfig } = require('./config/oidc');
+const { jobQueue } = require('./services/jobQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -40,6 +42,9 @@ app.use(requestLogger);
 // Security monitoring for suspicious patterns
 app.use(securityMonitor);
 
+// Cookies identify the session that general rate limits count per
+app.use(cookieParser());
+
 // General rate limiting and slow down
 app.use(rateLimitConfigs.general);
 app.use(slowDownConfig);
@@ -49,7 +54,6 @@ console.log('✅ Security middleware initialized');
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(cookieParser());
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
@@ -91,8 +95,9 @@ app.get('/health', async (req, res) => {
     // Check database connection
     const dbConnected = await testConnection();
 
-    // Check Groq configuration
-    const groqValidation = validateGroqConfig();
+    // Check LLM provider configuration
+    const llmValidation = validateLLMConfig();
+    const oidcValidation = validateOidcConfig();
 
     // Check error handling system status
     const errorStats = errorHandler.getErrorStats('1h');
@@ -103,7 +108,7 @@ app.get('/health', async (req, res) => {
       loggedErrors: errorHandler.errorLog.length
     };
 
-    const overallStatus = dbConnected ? (groqValidation.isValid ? 'OK' : 'WARNING') : 'ERROR';
+    const overallStatus = dbConnected ? (llmValidation.isValid ? 'OK' : 'WARNING') : 'ERROR';
 
     const health = {
       status: overallStatus,
@@ -114,17 +119,20 @@ app.get('/health', async (req, res) => {
           status: dbConnected ? 'connected' : 'disconnected',
           type: 'SQLite'
         },
-        groq: {
-          status: groqValidation.isValid ? 'configured' : 'not_configured',
-          primaryModel: groqValidation.config.primaryModel,
-          fallbackModel: groqValidation.config.fallbackModel,
-          apiKey: groqValidation.config.apiKey
+        llm: {
+          status: llmValidation.isValid ? 'configured' : 'not_configured',
+          models: llmValidation.models,
+          errors: llmValidation.errors
+        },
+        singleSignOn: {
+          status: !oidcValidation.enabled ? 'disabled' : oidcValidation.isValid ? 'configured' : 'misconfigured',
+          errors: oidcValidation.errors
         },
         errorHandling: errorSystemHealth
       }
     };
 
-    // Return 200 if database is connected, even if Groq is not configured (WARNING)
+    // Return 200 if database is connected, even if no LLM provider is configured (WARNING)
     // Return 503 only when critical services like the database are unavailable
     res.status(dbConnected ? 200 : 503).json(health);
 
@@ -144,12 +152,46 @@ console.log('🔗 Configuring API routes with security...');
 // File upload routes (most restrictive)
 app.use('/api/upload', rateLimitConfigs.upload, require('./routes/upload'));
 
-// Summary generation routes (AI processing - very restrictive)
-app.use('/api/summaries', rateLimitConfigs.aiProcessing, require('./routes/summaries'));
+// Summary routes (generating and refining are AI processing, limited per route)
+app.use('/api/summaries', require('./routes/summaries'));
 
 // Email routes (moderately restrictive)
 app.use('/api/email', rateLimitConfigs.email, require('./routes/email'));
 
+// Background job status (general rate limiting)
+app.use('/api/jobs', require('./routes/jobs'));
+
+// Action items tracked across meetings (general rate limiting)
+app.use('/api/action-items', require('./routes/actionItems'));
+
+// Decision log across meetings (general rate limiting)
+app.use('/api/decisions', require('./routes/decisions'));
+
+// Recurring meeting series and roll-ups (generating a roll-up is AI processing, limited per route)
+app.use('/api/series', require('./routes/series'));
+
+// Questions about a transcript (asking is AI processing, limited per route)
+app.use('/api/chat', require('./routes/chat'));
+
+// Search across meetings (general rate limiting)
+app.use('/api/search', require('./routes/search'));
+
+// Accounts and workspaces (sign-in attempts are limited per route)
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/workspaces', require('./routes/workspaces'));
+
+// Usage, quotas, budgets and spend reports (general rate limiting)
+app.use('/api/usage', require('./routes/usage'));
+
+// Bundled OpenID Connect identity provider for offline single sign-on (never in production)
+if (oidcConfig.mockIdp.enabled) {
+  app.use('/mock-idp', require('./routes/mockIdp'));
+  console.log('🧪 Mock identity provider enabled at /mock-idp');
+}
+
+// User-defined summary templates (general rate limiting)
+app.use('/api/templates', require('./routes/templates'));
+
 // Instructions and error routes (general rate limiting)
 app.use('/api/instructions', require('./routes/instructions'));
 app.use('/api/errors', require('./routes/errors'));
@@ -182,6 +224,11 @@ const startServer = async () => {
       process.exit(1);
     }
 
+    // Start background job worker (set JOB_WORKER_ENABLED=false to run web-only)
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+      await jobQueue.start();
+    }
+
     // Start server
     app.listen(PORT, () => {
       console.log('✅ Database connected and synchronized');
@@ -201,6 +248,7 @@ const startServer = async () => {
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down server...');
   try {
+    await jobQueue.stop();
     await sequelize.close();
     console.log('✅ Database connection closed');
     process.exit(0);
@@ -213,6 +261,7 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
   try {
+    await jobQueue.stop();
     await sequelize.close();
     console.log('✅ Database connection closed');
     process.exit(0);
@@ -0,0 +1,379 @@
+/**
+ * Account Service
+ *
+ * Accounts, workspaces, their members, API keys and budgets. Signing up or in from an anonymous
+ * session upgrades it: the meetings, templates, action items, decisions and
+ * series it created move into the account's workspace, so they outlive the
+ * session.
+ */
+
+const { sequelize, User, Workspace, WorkspaceMember, UserIdentity, ApiKey, UserSession, ...models } = require('../models');
+const { OWNED_MODELS } = require('../models/ownership');
+const { ErrorTypes } = require('./errorHandler');
+
+/**
+ * Error with the API status it maps to
+ */
+function accountError(message, type, status) {
+  const error = new Error(message);
+  error.type = type;
+  error.status = status;
+  return error;
+}
+
+class AccountService {
+  /**
+   * Create an account with its own workspace
+   *
+   * @param {Object} details - { email, password, name, workspaceName }
+   * @returns {Promise<Object>} { user, membership }
+   */
+  async register({ email, password, name, workspaceName }) {
+    if (await User.findByEmail(email)) {
+      throw accountError('An account with this email already exists', ErrorTypes.VALIDATION_ERROR, 409);
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const user = User.build({ email, name: name || null });
+      await user.setPassword(password);
+      await user.save({ transaction });
+
+      const membership = await this.createWorkspace(user, workspaceName || `${name || user.email.split('@')[0]}'s workspace`, { transaction });
+      console.log(`👤 Account created: ${user.id}`);
+
+      return { user, membership };
+    });
+  }
+
+  /**
+   * Check an email and password
+   *
+   * @returns {Promise<Object>} { user, membership } with the workspace to sign in to
+   */
+  async authenticate({ email, password }) {
+    const user = await User.findByEmail(email);
+
+    // The same error for unknown accounts and wrong passwords
+    if (!user || !user.isActive || !(await user.verifyPassword(password))) {
+      throw accountError('Invalid email or password', ErrorTypes.AUTHENTICATION_ERROR, 401);
+    }
+
+    await user.update({ lastLoginAt: new Date() });
+    return { user, membership: await this.defaultMembership(user) };
+  }
+
+  /**
+   * Sign in with a single sign-on identity. The identity's account is found
+   * by issuer and subject, linked by verified email or created; its groups
+   * set the role in the workspace its claims name, at every sign-in.
+   *
+   * @param {Object} identity - From OidcService.describeIdentity
+   * @returns {Promise<Object>} { user, membership }
+   */
+  async signInWithIdentity(identity) {
+    return await sequelize.transaction(async (transaction) => {
+      const user = await this.findIdentityUser(identity, transaction);
+      if (!user.isActive) {
+        throw accountError('This account is disabled', ErrorTypes.AUTHENTICATION_ERROR, 401);
+      }
+
+      let workspace = await Workspace.findBySsoKey(identity.workspaceKey);
+      if (!workspace) {
+        workspace = await Workspace.create({
+          name: identity.workspaceName,
+          ssoKey: identity.workspaceKey,
+          createdById: user.id
+        }, { transaction });
+        console.log(`🏢 Single sign-on workspace created: ${workspace.id}`);
+      }
+
+      let membership = await WorkspaceMember.findOne({
+        where: { workspaceId: workspace.id, userId: user.id },
+        transaction
+      });
+
+      // Groups are authoritative: losing them removes the membership
+      if (!identity.role) {
+        if (membership) await membership.destroy({ transaction });
+        throw accountError('Your groups at the identity provider do not grant access to this workspace', ErrorTypes.PERMISSION_ERROR, 403);
+      }
+
+      if (!membership) {
+        membership = await WorkspaceMember.create({
+          workspaceId: workspace.id,
+          userId: user.id,
+          role: identity.role
+        }, { transaction });
+      } else if (membership.role !== identity.role) {
+        await membership.update({ role: identity.role }, { transaction });
+      }
+
+      await user.update({ lastLoginAt: new Date() }, { transaction });
+      membership.workspace = workspace;
+      return { user, membership };
+    });
+  }
+
+  /**
+   * The account of a single sign-on identity, linking or creating it on the
+   * first sign-in. An existing account is only linked by a verified email.
+   */
+  async findIdentityUser(identity, transaction) {
+    const { issuer, subject, email, emailVerified, name, groups } = identity;
+    const linked = await UserIdentity.findByClaims(issuer, subject);
+
+    if (linked) {
+      await linked.update({ email, groups, lastLoginAt: new Date() }, { transaction });
+      return linked.user;
+    }
+
+    if (!email) {
+      throw accountError('The identity provider did not share an email address', ErrorTypes.VALIDATION_ERROR, 403);
+    }
+
+    let user = await User.findByEmail(email);
+    if (user && !emailVerified) {
+      throw accountError('An account with this email already exists and the identity provider has not verified the email', ErrorTypes.VALIDATION_ERROR, 409);
+    }
+
+    if (!user) {
+      user = await User.create({ email, name }, { transaction });
+      console.log(`👤 Account created by single sign-on: ${user.id}`);
+    }
+
+    await UserIdentity.create({
+      userId: user.id,
+      issuer,
+      subject,
+      email,
+      groups,
+      lastLoginAt: new Date()
+    }, { transaction });
+
+    return user;
+  }
+
+  /**
+   * The workspace an account signs in to: its oldest membership, or a new
+   * workspace when it was removed from all of them
+   */
+  async defaultMembership(user) {
+    const [membership] = await WorkspaceMember.findByUser(user.id);
+    return membership || await this.createWorkspace(user, `${user.name || user.email.split('@')[0]}'s workspace`);
+  }
+
+  /**
+   * Create a workspace owned by an account
+   *
+   * @returns {Promise<Object>} The owner's WorkspaceMember, with its workspace
+   */
+  async createWorkspace(user, name, options = {}) {
+    const workspace = await Workspace.create({ name, createdById: user.id }, options);
+    const membership = await WorkspaceMember.create({
+      workspaceId: workspace.id,
+      userId: user.id,
+      role: 'owner'
+    }, options);
+
+    membership.workspace = workspace;
+    return membership;
+  }
+
+  /**
+   * Move an anonymous session's records into a workspace
+   *
+   * @returns {Promise<Object>} Records moved per model
+   */
+  async claimSessionRecords(sessionId, workspaceId) {
+    return await sequelize.transaction(async (transaction) => {
+      const claimed = {};
+      for (const modelName of OWNED_MODELS) {
+        const [count] = await models[modelName].update(
+          { workspaceId },
+          { where: { sessionId, workspaceId: null }, transaction }
+        );
+        claimed[modelName] = count;
+      }
+
+      const total = Object.values(claimed).reduce((sum, count) => sum + count, 0);
+      if (total > 0) {
+        console.log(`📦 Moved ${total} records of session ${sessionId} into workspace ${workspaceId}`);
+      }
+      return claimed;
+    });
+  }
+
+  /**
+   * An account's membership of a workspace
+   *
+   * @param {string} minimumRole - Role the action needs; fails with 403 below it
+   */
+  async requireMembership(workspaceId, userId, minimumRole = 'viewer') {
+    const membership = await WorkspaceMember.findMembership(workspaceId, userId);
+
+    if (!membership) {
+      throw accountError('Workspace not found', ErrorTypes.PERMISSION_ERROR, 404);
+    }
+    if (!membership.hasRole(minimumRole)) {
+      throw accountError(`This needs the ${minimumRole} role in the workspace`, ErrorTypes.PERMISSION_ERROR, 403);
+    }
+
+    return membership;
+  }
+
+  /**
+   * Workspaces of an account with its role in each
+   */
+  async listWorkspaces(user) {
+    const memberships = await WorkspaceMember.findByUser(user.id);
+    return memberships.map(membership => membership.workspace.toApiJSON(membership.role));
+  }
+
+  /**
+   * Members of a workspace
+   */
+  async listMembers(workspaceId) {
+    return await WorkspaceMember.findAll({
+      where: { workspaceId },
+      include: ['user'],
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Add an existing account to a workspace
+   */
+  async addMember(workspaceId, email, role = 'editor') {
+    const user = await User.findByEmail(email);
+    if (!user || !user.isActive) {
+      throw accountError('No account with this email', ErrorTypes.VALIDATION_ERROR, 404);
+    }
+
+    if (await WorkspaceMember.findMembership(workspaceId, user.id)) {
+      throw accountError('Already a member of this workspace', ErrorTypes.VALIDATION_ERROR, 409);
+    }
+
+    const membership = await WorkspaceMember.create({ workspaceId, userId: user.id, role });
+    membership.user = user;
+    return membership;
+  }
+
+  /**
+   * Change a member's role; a workspace always keeps an owner
+   */
+  async updateMemberRole(workspaceId, userId, role) {
+    const membership = await this.findMember(workspaceId, userId);
+
+    if (membership.role === 'owner' && role !== 'owner' && await WorkspaceMember.countOwners(workspaceId) <= 1) {
+      throw accountError('A workspace needs at least one owner', ErrorTypes.VALIDATION_ERROR, 409);
+    }
+
+    return await membership.update({ role });
+  }
+
+  /**
+   * Remove a member (or leave); a workspace always keeps an owner
+   */
+  async removeMember(workspaceId, userId) {
+    const membership = await this.findMember(workspaceId, userId);
+
+    if (membership.role === 'owner' && await WorkspaceMember.countOwners(workspaceId) <= 1) {
+      throw accountError('A workspace needs at least one owner', ErrorTypes.VALIDATION_ERROR, 409);
+    }
+
+    await membership.destroy();
+    return membership;
+  }
+
+  /**
+   * A member of a workspace, with their account
+   */
+  async findMember(workspaceId, userId) {
+    const membership = await WorkspaceMember.findOne({
+      where: { workspaceId, userId },
+      include: ['user']
+    });
+
+    if (!membership) {
+      throw accountError('Member not found', ErrorTypes.VALIDATION_ERROR, 404);
+    }
+    return membership;
+  }
+
+  /**
+   * Create a workspace API key. The key itself is only returned here; the
+   * workspace keeps its hash.
+   *
+   * @param {Object} details - { name, scopes, expiresInDays }
+   * @returns {Promise<Object>} { apiKey, key }
+   */
+  async createApiKey(workspaceId, user, { name, scopes, expiresInDays }) {
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+    const apiKey = await ApiKey.create({
+      workspaceId,
+      createdById: user.id,
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    console.log(`🔑 API key ${apiKey.prefix}… created for workspace ${workspaceId}`);
+    return { apiKey, key };
+  }
+
+  /**
+   * Revoke a workspace API key and end the session it acts through
+   */
+  async revokeApiKey(workspaceId, apiKeyId) {
+    const apiKey = await ApiKey.findOne({ where: { id: apiKeyId, workspaceId } });
+    if (!apiKey) {
+      throw accountError('API key not found', ErrorTypes.VALIDATION_ERROR, 404);
+    }
+
+    if (!apiKey.revokedAt) {
+      await apiKey.update({ revokedAt: new Date() });
+      await UserSession.update({ isActive: false }, { where: { apiKeyId } });
+      console.log(`🚫 API key ${apiKey.prefix}… revoked`);
+    }
+    return apiKey;
+  }
+
+  /**
+   * Set or remove (null) a workspace's own daily, monthly and per-summary budgets
+   */
+  async updateBudgets(workspaceId, changes) {
+    const workspace = await Workspace.findByPk(workspaceId);
+    if (!workspace) {
+      throw accountError('Workspace not found', ErrorTypes.PERMISSION_ERROR, 404);
+    }
+
+    const budgets = { ...(workspace.budgets || {}) };
+    for (const name of ['daily', 'monthly', 'perSummary']) {
+      if (changes[name] === null) delete budgets[name];
+      else if (changes[name] !== undefined) budgets[name] = changes[name];
+    }
+
+    await workspace.update({ budgets: Object.keys(budgets).length ? budgets : null });
+    console.log(`💰 Budgets of workspace ${workspaceId} updated`);
+    return workspace;
+  }
+
+  /**
+   * Replace an account's password after checking the current one
+   */
+  async changePassword(user, currentPassword, newPassword) {
+    if (!user.passwordHash) {
+      throw accountError('This account signs in with single sign-on and has no password', ErrorTypes.VALIDATION_ERROR, 409);
+    }
+    if (!(await user.verifyPassword(currentPassword))) {
+      throw accountError('Current password is incorrect', ErrorTypes.AUTHENTICATION_ERROR, 401);
+    }
+
+    await user.setPassword(newPassword);
+    await user.save();
+  }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,327 @@
+/**
+ * Action Item Tracker
+ *
+ * Turns the action items of a completed summary into ActionItem records and
+ * follows open items across later meetings: when a later transcript in the
+ * same series mentions an open item, the mention is recorded and a status
+ * it implies ("that's done", "still working on it") is applied.
+ */
+
+const { Op } = require('sequelize');
+const { ActionItem, MeetingTranscript } = require('../models');
+const TextMatcher = require('./textMatcher');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Status implied by how a later meeting talks about an item
+const NEGATED_DONE_PATTERN = /\b(?:not|isn'?t|aren'?t|hasn'?t|haven'?t|wasn'?t|never|almost|nearly)\s+(?:yet\s+)?(?:been\s+)?(?:done|finished|completed?|shipped|sent|merged|closed|resolved|delivered|fixed)\b/i;
+const DONE_PATTERN = /\b(?:done|finished|completed?|shipped|sent (?:it|them|out)|merged|closed|resolved|wrapped up|took care of|delivered|fixed|signed off)\b/i;
+const IN_PROGRESS_PATTERN = /\b(?:working on|in progress|started|halfway|still|underway|ongoing|drafting|almost|nearly|blocked|waiting on)\b/i;
+const CANCELLED_PATTERN = /\b(?:cancel(?:l?ed)?|dropp(?:ed|ing) (?:it|that|this)|no longer (?:needed|necessary)|won'?t (?:do|be doing)|not doing (?:it|that)|scrapp?(?:ed)?|deprioriti[sz]ed)\b/i;
+
+const HIGH_PRIORITY_PATTERN = /\b(?:urgent|asap|critical|blocker|blocking|high[- ]priority|top priority|immediately)\b/i;
+const LOW_PRIORITY_PATTERN = /\b(?:low[- ]priority|nice to have|when possible|no rush|eventually)\b/i;
+
+class ActionItemTracker {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.ACTION_ITEM_TRACKING !== 'false';
+    // Share of an item's keywords a transcript line must contain to count as a mention
+    this.matchThreshold = options.matchThreshold || parseFloat(process.env.ACTION_ITEM_MATCH_THRESHOLD) || 0.6;
+    this.textMatcher = new TextMatcher();
+  }
+
+  /**
+   * Record a completed summary's action items and update open items from
+   * earlier meetings in the same series that this transcript mentions
+   *
+   * @param {Object} transcript - MeetingTranscript instance
+   * @param {Object} summary - { id }
+   * @param {Array} extractedItems - structure.actionItems ({ action, owner, deadline, priority, citations })
+   * @returns {Promise<Object>} { created, carriedOver, mentioned, statusChanges }
+   */
+  async syncFromSummary(transcript, summary, extractedItems = []) {
+    const stats = { created: 0, carriedOver: 0, mentioned: 0, statusChanges: [] };
+    if (!this.enabled) return stats;
+
+    const referenceDate = transcript.getMeetingDate();
+    const openItems = await this.findSeriesOpenItems(transcript);
+
+    // Earlier open items this meeting talks about
+    const mentions = this.detectMentions(openItems, transcript.content || '');
+    for (const mention of mentions) {
+      const previousStatus = mention.item.status;
+      await mention.item.recordMention({
+        transcriptId: transcript.id,
+        summaryId: summary.id,
+        line: mention.line,
+        excerpt: mention.excerpt,
+        detectedStatus: mention.detectedStatus
+      });
+      stats.mentioned++;
+      if (mention.item.status !== previousStatus) {
+        stats.statusChanges.push({ id: mention.item.id, task: mention.item.task, from: previousStatus, to: mention.item.status });
+      }
+    }
+
+    // Another summary of the same transcript (e.g. a different style) must not duplicate items
+    const existing = await ActionItem.findAll({ where: { transcriptId: transcript.id } });
+
+    for (const extracted of extractedItems) {
+      const task = (extracted.action || extracted.text || '').trim();
+      if (!task) continue;
+
+      if (existing.some(item => this.similarity(item.task, task) >= this.matchThreshold)) continue;
+
+      // Re-listed open items are carried over rather than duplicated
+      const carried = openItems.find(item => item.isOpen() && this.similarity(item.task, task) >= this.matchThreshold);
+      if (carried) {
+        await this.carryOver(carried, extracted, transcript, summary, referenceDate);
+        stats.carriedOver++;
+        continue;
+      }
+
+      const item = await ActionItem.create({
+        sessionId: transcript.sessionId,
+        workspaceId: transcript.workspaceId,
+        transcriptId: transcript.id,
+        summaryId: summary.id,
+        task,
+        owner: this.cleanValue(extracted.owner),
+        dueText: this.cleanValue(extracted.deadline),
+        dueDate: this.parseDueDate(extracted.deadline, referenceDate),
+        priority: extracted.priority || this.inferPriority(`${task} ${extracted.deadline || ''}`),
+        citations: extracted.citations || [],
+        source: 'summary'
+      });
+      existing.push(item);
+      stats.created++;
+    }
+
+    console.log(`🎯 Action items: ${stats.created} created, ${stats.carriedOver} carried over, ${stats.mentioned} mentioned in later meeting`);
+    return stats;
+  }
+
+  /**
+   * Update a carried-over item with an owner or deadline the new meeting stated
+   */
+  async carryOver(item, extracted, transcript, summary, referenceDate) {
+    const owner = this.cleanValue(extracted.owner);
+    const dueText = this.cleanValue(extracted.deadline);
+
+    if (owner) item.owner = owner;
+    if (dueText) {
+      item.dueText = dueText;
+      item.dueDate = this.parseDueDate(dueText, referenceDate) || item.dueDate;
+    }
+
+    return await item.recordMention({
+      transcriptId: transcript.id,
+      summaryId: summary.id,
+      line: extracted.citations?.[0]?.startLine || null,
+      excerpt: (extracted.action || '').slice(0, 200),
+      detectedStatus: null,
+      carriedOver: true
+    });
+  }
+
+  /**
+   * Open items raised in earlier meetings of the transcript's series
+   */
+  async findSeriesOpenItems(transcript) {
+    if (!transcript.seriesId) return [];
+
+    const earlier = await MeetingTranscript.findAll({
+      where: {
+        seriesId: transcript.seriesId,
+        id: { [Op.ne]: transcript.id },
+        createdAt: { [Op.lt]: transcript.createdAt || new Date() }
+      },
+      attributes: ['id']
+    });
+
+    if (earlier.length === 0) return [];
+
+    return await ActionItem.findAll({
+      where: {
+        transcriptId: earlier.map(other => other.id),
+        status: ['open', 'in_progress']
+      },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Find transcript lines that refer to open items
+   *
+   * @param {Array} items - Open ActionItem instances
+   * @param {string} content - Transcript text
+   * @returns {Array} [{ item, line, excerpt, score, detectedStatus }]
+   */
+  detectMentions(items, content) {
+    const lines = content.split('\n');
+    const lineWords = lines.map(line => new Set(this.keywords(line)));
+    const mentions = [];
+
+    items.forEach(item => {
+      const keywords = [...new Set(this.keywords(item.task))];
+      if (keywords.length < 2) return;
+
+      let best = null;
+      lines.forEach((line, index) => {
+        // A mention can span a short exchange; a single line wins ties with the two-line window
+        const window = new Set([...lineWords[index], ...(lineWords[index + 1] || [])]);
+        const candidates = [
+          { span: 1, hits: keywords.filter(keyword => lineWords[index].has(keyword)).length },
+          { span: 2, hits: keywords.filter(keyword => window.has(keyword)).length }
+        ];
+
+        candidates.forEach(({ span, hits }) => {
+          const score = hits / keywords.length;
+          const better = !best || score > best.score || (score === best.score && span < best.span);
+          if (score >= this.matchThreshold && better) {
+            best = { index, span, score };
+          }
+        });
+      });
+
+      if (!best) return;
+
+      const line = lines[best.index];
+      const next = lines[best.index + 1] || '';
+      // A short reply right after the mention ("Done.") carries the status
+      const isShortReply = next.split(/\s+/).filter(Boolean).length <= 8;
+      const detectedStatus = best.span === 2 ?
+        this.detectStatus(`${line} ${next}`) :
+        this.detectStatus(line) || (isShortReply ? this.detectStatus(next) : null);
+
+      mentions.push({
+        item,
+        line: best.index + 1,
+        excerpt: line.trim().slice(0, 200),
+        score: Math.round(best.score * 100) / 100,
+        detectedStatus
+      });
+    });
+
+    return mentions;
+  }
+
+  /**
+   * Status implied by a mention, or null if it only refers to the item
+   */
+  detectStatus(text) {
+    if (CANCELLED_PATTERN.test(text)) return 'cancelled';
+    if (NEGATED_DONE_PATTERN.test(text)) return 'in_progress';
+    if (DONE_PATTERN.test(text)) return 'done';
+    if (IN_PROGRESS_PATTERN.test(text)) return 'in_progress';
+    return null;
+  }
+
+  /**
+   * Keyword overlap between two item descriptions (0-1)
+   */
+  similarity(a, b) {
+    return this.textMatcher.similarity(a, b);
+  }
+
+  /**
+   * Significant lowercase word stems of a text
+   */
+  keywords(text) {
+    return this.textMatcher.keywords(text);
+  }
+
+  /**
+   * Priority implied by the wording of an item
+   */
+  inferPriority(text) {
+    if (HIGH_PRIORITY_PATTERN.test(text)) return 'high';
+    if (LOW_PRIORITY_PATTERN.test(text)) return 'low';
+    return null;
+  }
+
+  /**
+   * Trim extracted owner/deadline values; "not stated" and similar become null
+   */
+  cleanValue(value) {
+    if (typeof value !== 'string') return null;
+    const cleaned = value.replace(/[*_]/g, '').replace(/\s+/g, ' ').trim();
+    return cleaned && !/^(?:n\/?a|none|tbd|unknown|unassigned|not (?:stated|specified|assigned))$/i.test(cleaned) ?
+      cleaned :
+      null;
+  }
+
+  /**
+   * Resolve a stated deadline to YYYY-MM-DD. Handles ISO and numeric dates,
+   * "October 14" / "14 Oct", today/tomorrow, weekdays, "end of (the)
+   * week/month" and "next week".
+   *
+   * @returns {string|null}
+   */
+  parseDueDate(text, referenceDate = new Date()) {
+    const value = this.cleanValue(text);
+    if (!value) return null;
+
+    const lower = value.toLowerCase();
+    const reference = new Date(Date.UTC(referenceDate.getUTCFullYear(), referenceDate.getUTCMonth(), referenceDate.getUTCDate()));
+    const addDays = (days) => new Date(reference.getTime() + days * 86400000);
+    const format = (date) => date.toISOString().split('T')[0];
+    const build = (year, month, day) => {
+      const date = new Date(Date.UTC(year, month, day));
+      return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+    };
+    // Dates without a year fall on or after the meeting
+    const upcoming = (month, day) => {
+      const date = build(reference.getUTCFullYear(), month, day);
+      if (!date) return null;
+      return date < reference ? build(reference.getUTCFullYear() + 1, month, day) : date;
+    };
+
+    let match = lower.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    if (match) {
+      const date = build(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+      return date ? format(date) : null;
+    }
+
+    match = lower.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+    if (match) {
+      const year = match[3] ? (match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3])) : null;
+      const date = year ? build(year, Number(match[1]) - 1, Number(match[2])) : upcoming(Number(match[1]) - 1, Number(match[2]));
+      return date ? format(date) : null;
+    }
+
+    const monthPattern = `(${MONTHS.join('|')})[a-z]*\\.?`;
+    match = lower.match(new RegExp(`\\b${monthPattern}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`)) ||
+      lower.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${monthPattern}(?:,?\\s+(\\d{4}))?\\b`));
+    if (match) {
+      const monthFirst = Number.isNaN(Number(match[1]));
+      const month = MONTHS.indexOf((monthFirst ? match[1] : match[2]).slice(0, 3));
+      const day = Number(monthFirst ? match[2] : match[1]);
+      const date = match[3] ? build(Number(match[3]), month, day) : upcoming(month, day);
+      return date ? format(date) : null;
+    }
+
+    if (/\btoday\b|\beod\b|end of (?:the )?day/.test(lower)) return format(reference);
+    if (/\btomorrow\b/.test(lower)) return format(addDays(1));
+
+    if (/end of (?:the )?month/.test(lower)) {
+      return format(new Date(Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth() + 1, 0)));
+    }
+
+    // Weekdays resolve to their next occurrence after the meeting ("by Friday", "next Tuesday")
+    const daysUntil = (weekday) => ((weekday - reference.getUTCDay() + 7) % 7) || 7;
+
+    if (/end of (?:the )?week|\beow\b/.test(lower)) return format(addDays((5 - reference.getUTCDay() + 7) % 7));
+    if (/\bnext week\b/.test(lower)) return format(addDays(daysUntil(1)));
+
+    match = lower.match(new RegExp(`\\b(${WEEKDAYS.join('|')})\\b`));
+    if (match) {
+      return format(addDays(daysUntil(WEEKDAYS.indexOf(match[1]))));
+    }
+
+    return null;
+  }
+}
+
+module.exports = ActionItemTracker;
@@ -0,0 +1,257 @@
+/**
+ * Caption File Parser
+ *
+ * Parses WebVTT (.vtt) and SubRip (.srt) caption exports from Zoom, Teams
+ * and Meet into speaker segments. Cue numbering and markup are removed,
+ * consecutive cues from the same speaker are merged, and every segment
+ * keeps its start/end time and speaker label so summaries and the UI can
+ * point back into the recording.
+ */
+
+// MIME types browsers and OSes report for caption files
+const CAPTION_MIME_TYPES = {
+  vtt: ['text/vtt'],
+  srt: ['application/x-subrip', 'text/srt', 'application/srt']
+};
+
+// Caption files are often reported generically; accepted only with a caption extension
+const GENERIC_CAPTION_MIME_TYPES = ['text/plain', 'application/octet-stream', ''];
+
+const TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const VOICE_TAG_PATTERN = /^<v(?:\.[^\s>]+)*\s+([^>]+)>/i;
+const SPEAKER_PREFIX_PATTERN = /^(?:-\s*)?([A-ZÀ-ɏ][\wÀ-ɏ.'\-]*(?:\s+[\wÀ-ɏ.'\-]+){0,4}):\s+(.+)$/;
+const BRACKET_SPEAKER_PATTERN = /^\[([^\]]{1,60})\]\s*(.+)$/;
+
+class CaptionParser {
+  constructor(options = {}) {
+    // Cues further apart than this start a new segment even for the same speaker
+    this.maxMergeGapMs = options.maxMergeGapMs || parseInt(process.env.CAPTION_MERGE_GAP_MS) || 5000;
+  }
+
+  /**
+   * Detect caption format from file name and MIME type
+   *
+   * @returns {string|null} 'vtt', 'srt' or null
+   */
+  detectFormat(fileName = '', mimeType = '') {
+    const extension = (fileName.split('.').pop() || '').toLowerCase();
+
+    if (CAPTION_MIME_TYPES.vtt.includes(mimeType)) return 'vtt';
+    if (CAPTION_MIME_TYPES.srt.includes(mimeType)) return 'srt';
+
+    if (['vtt', 'srt'].includes(extension) && GENERIC_CAPTION_MIME_TYPES.includes(mimeType || '')) {
+      return extension;
+    }
+
+    return null;
+  }
+
+  /**
+   * Canonical MIME type for a caption format
+   */
+  getMimeType(format) {
+    return CAPTION_MIME_TYPES[format][0];
+  }
+
+  /**
+   * Parse caption text into transcript content and segment metadata
+   *
+   * @param {string} text - Raw caption file contents
+   * @param {string} format - 'vtt' or 'srt'
+   * @returns {Object} { content, segments, stats }
+   */
+  parse(text, format) {
+    const cues = format === 'vtt' ? this.parseVTT(text) : this.parseSRT(text);
+    const segments = this.mergeCues(cues);
+
+    // One transcript line per segment; `line` maps content back to the segment
+    const lines = segments.map((segment, index) => {
+      segment.index = index;
+      segment.line = index + 1;
+      return segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text;
+    });
+
+    const speakers = [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+    const durationMs = segments.length > 0 ? segments[segments.length - 1].endMs : 0;
+
+    return {
+      content: lines.join('\n'),
+      segments,
+      stats: {
+        format,
+        cueCount: cues.length,
+        segmentCount: segments.length,
+        speakers,
+        durationMs,
+        duration: this.formatTimestamp(durationMs)
+      }
+    };
+  }
+
+  /**
+   * Parse WebVTT cues
+   */
+  parseVTT(text) {
+    const blocks = this.splitBlocks(text);
+    const cues = [];
+
+    blocks.forEach(lines => {
+      // Skip the header and NOTE/STYLE/REGION blocks
+      if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+      const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+      if (timingIndex === -1) return;
+
+      const cue = this.buildCue(lines[timingIndex], lines.slice(timingIndex + 1));
+      if (cue) cues.push(cue);
+    });
+
+    return cues;
+  }
+
+  /**
+   * Parse SubRip cues
+   */
+  parseSRT(text) {
+    const blocks = this.splitBlocks(text);
+    const cues = [];
+
+    blocks.forEach(lines => {
+      // Cue number, then timing line, then text
+      const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+      if (timingIndex === -1) return;
+
+      const cue = this.buildCue(lines[timingIndex], lines.slice(timingIndex + 1));
+      if (cue) cues.push(cue);
+    });
+
+    return cues;
+  }
+
+  /**
+   * Split caption text into blank-line separated blocks of trimmed lines
+   */
+  splitBlocks(text) {
+    return text
+      .replace(/^﻿/, '')
+      .replace(/\r\n?/g, '\n')
+      .split(/\n\s*\n/)
+      .map(block => block.split('\n').map(line => line.trim()).filter(Boolean))
+      .filter(lines => lines.length > 0);
+  }
+
+  /**
+   * Build a cue from its timing line and payload lines
+   */
+  buildCue(timingLine, payloadLines) {
+    const [, start, end] = timingLine.match(TIMING_PATTERN);
+    let speaker = null;
+
+    const textParts = payloadLines.map(line => {
+      // WebVTT voice tags (<v Jane Doe>) carry the speaker
+      const voice = line.match(VOICE_TAG_PATTERN);
+      if (voice) {
+        speaker = speaker || voice[1].trim();
+      }
+      return this.stripMarkup(line);
+    }).filter(Boolean);
+
+    let text = textParts.join(' ').replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    // "Jane Doe: text" or "[Jane Doe] text" prefixes
+    if (!speaker) {
+      const prefixed = text.match(SPEAKER_PREFIX_PATTERN) || text.match(BRACKET_SPEAKER_PATTERN);
+      if (prefixed) {
+        speaker = prefixed[1].trim();
+        text = prefixed[2].trim();
+      }
+    }
+
+    return {
+      startMs: this.parseTimestamp(start),
+      endMs: this.parseTimestamp(end),
+      speaker,
+      text
+    };
+  }
+
+  /**
+   * Remove VTT/SRT markup and decode entities
+   */
+  stripMarkup(line) {
+    return line
+      .replace(/\{\\[^}]*\}/g, '')        // SRT/ASS positioning ({\an8})
+      .replace(/<[^>]*>/g, '')            // Voice, class, styling and inline timestamp tags
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lrm;|&rlm;/g, '')
+      .trim();
+  }
+
+  /**
+   * Merge consecutive cues from the same speaker into segments
+   */
+  mergeCues(cues) {
+    const segments = [];
+
+    cues.forEach(cue => {
+      const previous = segments[segments.length - 1];
+      const sameSpeaker = previous && cue.speaker && previous.speaker === cue.speaker;
+
+      if (sameSpeaker && cue.startMs - previous.endMs <= this.maxMergeGapMs) {
+        previous.text = `${previous.text} ${cue.text}`;
+        previous.endMs = Math.max(previous.endMs, cue.endMs);
+        previous.end = this.formatTimestamp(previous.endMs);
+        previous.cueCount++;
+        return;
+      }
+
+      segments.push({
+        start: this.formatTimestamp(cue.startMs),
+        end: this.formatTimestamp(cue.endMs),
+        startMs: cue.startMs,
+        endMs: cue.endMs,
+        speaker: cue.speaker,
+        text: cue.text,
+        cueCount: 1
+      });
+    });
+
+    return segments;
+  }
+
+  /**
+   * Parse "HH:MM:SS.mmm", "MM:SS.mmm" or SRT "HH:MM:SS,mmm" into milliseconds
+   */
+  parseTimestamp(value) {
+    const [clock, fraction = '0'] = value.replace(',', '.').split('.');
+    const parts = clock.split(':').map(Number);
+    while (parts.length < 3) parts.unshift(0);
+
+    const [hours, minutes, seconds] = parts;
+    const millis = parseInt(fraction.padEnd(3, '0').slice(0, 3), 10);
+
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000 + millis;
+  }
+
+  /**
+   * Format milliseconds as HH:MM:SS.mmm
+   */
+  formatTimestamp(ms) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    const millis = ms % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(millis, 3)}`;
+  }
+}
+
+CaptionParser.CAPTION_MIME_TYPES = CAPTION_MIME_TYPES;
+CaptionParser.GENERIC_CAPTION_MIME_TYPES = GENERIC_CAPTION_MIME_TYPES;
+
+module.exports = CaptionParser;
@@ -0,0 +1,228 @@
+/**
+ * Cost Budgets
+ *
+ * Records what every model call costs and keeps sessions and workspaces
+ * within their daily, monthly and per-summary budgets (see config/budgets).
+ * Before a generation its estimated cost is checked against each budget:
+ * past the downgrade threshold the fallback model is used, and a budget that
+ * can't cover even the fallback model refuses the generation. Spend reports
+ * break the recorded cost down by model, summary style, user and operation.
+ */
+
+const { Op } = require('sequelize');
+const { SpendRecord, Workspace, User, ApiKey } = require('../models');
+const { BUDGET_PERIODS, budgetConfig } = require('../config/budgets');
+const { ErrorTypes } = require('./errorHandler');
+
+/**
+ * Round a USD amount for reports
+ */
+const usd = (amount) => Math.round(Number(amount || 0) * 1e6) / 1e6;
+
+class CostBudgets {
+  constructor(config = budgetConfig) {
+    this.config = config;
+  }
+
+  /**
+   * Start of the current day or month (UTC)
+   */
+  getPeriodStart(period, now = new Date()) {
+    return period === 'daily' ?
+      new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())) :
+      new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  /**
+   * Start of the next day or month (UTC), when a budget resets
+   */
+  getPeriodEnd(period, now = new Date()) {
+    return period === 'daily' ?
+      new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)) :
+      new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  }
+
+  /**
+   * A workspace's budget: the configured one, lowered by the owner's own if set
+   */
+  getWorkspaceLimit(workspace, name) {
+    const configured = name === 'perSummary' ? this.config.perSummary : this.config.workspace[name];
+    const own = Number(workspace?.budgets?.[name]) || 0;
+    if (!own) return configured;
+    return configured ? Math.min(configured, own) : own;
+  }
+
+  /**
+   * Spend against every budget of a session and its workspace
+   *
+   * @param {Object} scope - { session, workspaceId }; either may be missing
+   * @returns {Promise<Object>} { budgets: [{ scope, period, limit, spent, remaining, resetsAt }], perSummary, downgradeAt }
+   */
+  async getStatus({ session, workspaceId }) {
+    const workspace = workspaceId ? await Workspace.findByPk(workspaceId) : null;
+    const owners = [
+      session && { scope: 'session', where: { sessionId: session.id }, limits: this.config.session },
+      workspace && {
+        scope: 'workspace',
+        where: { workspaceId: workspace.id },
+        limits: { daily: this.getWorkspaceLimit(workspace, 'daily'), monthly: this.getWorkspaceLimit(workspace, 'monthly') }
+      }
+    ].filter(Boolean);
+
+    const budgets = [];
+    for (const owner of owners) {
+      for (const period of BUDGET_PERIODS) {
+        const limit = owner.limits[period] || null;
+        const spent = await SpendRecord.totalSince(owner.where, this.getPeriodStart(period));
+        budgets.push({
+          scope: owner.scope,
+          period,
+          limit,
+          spent: usd(spent),
+          remaining: limit === null ? null : usd(Math.max(0, limit - spent)),
+          resetsAt: this.getPeriodEnd(period)
+        });
+      }
+    }
+
+    const perSummary = workspace ? this.getWorkspaceLimit(workspace, 'perSummary') : this.config.perSummary;
+    return { budgets, perSummary: perSummary || null, downgradeAt: this.config.downgradeAt };
+  }
+
+  /**
+   * Check a generation's estimated cost against the budgets
+   *
+   * @param {Object} scope - { session, workspaceId }
+   * @param {Object} estimates - Estimated cost (USD) on each model: { primary, fallback }
+   * @returns {Promise<Object>} { downgrade, reasons, estimates }; downgrade means use the fallback model
+   * @throws {Error} QUOTA_ERROR with `budget` details when a budget can't cover the generation
+   */
+  async planGeneration(scope, estimates) {
+    const status = await this.getStatus(scope);
+    const reasons = [];
+
+    for (const budget of status.budgets) {
+      if (budget.limit === null) continue;
+
+      if (budget.remaining <= 0 || estimates.fallback > budget.remaining) {
+        throw this.budgetError(`The ${budget.scope} ${budget.period} budget of $${budget.limit} is used up ($${budget.spent} spent); it resets on ${budget.resetsAt.toISOString().slice(0, 10)}`, budget);
+      }
+      if (budget.spent + estimates.primary > budget.limit * status.downgradeAt) {
+        reasons.push(`${budget.scope}_${budget.period}_budget`);
+      }
+    }
+
+    if (status.perSummary) {
+      if (estimates.fallback > status.perSummary) {
+        throw this.budgetError(`This generation is estimated to cost $${usd(estimates.fallback)}, over the per-summary budget of $${status.perSummary}`, {
+          scope: 'summary',
+          period: null,
+          limit: status.perSummary,
+          estimated: usd(estimates.fallback)
+        });
+      }
+      if (estimates.primary > status.perSummary) {
+        reasons.push('per_summary_budget');
+      }
+    }
+
+    return { downgrade: reasons.length > 0, reasons, estimates };
+  }
+
+  /**
+   * Error for a generation a budget refuses (not a 429, so jobs don't retry it)
+   */
+  budgetError(message, budget) {
+    const error = new Error(message);
+    error.type = ErrorTypes.QUOTA_ERROR;
+    error.budget = budget;
+    return error;
+  }
+
+  /**
+   * Record the cost of a model call. Failures are logged and never fail the
+   * call that was already paid for.
+   *
+   * @param {Object} session - UserSession that made the call, if known
+   * @param {Object} owner - Owner of the record it was for: { workspaceId } or { sessionId }
+   * @param {Object} entry - { operation, transcriptId, summaryId, summaryStyle, aiModel, modelSlot, inputTokens, outputTokens, cost }
+   */
+  async record(session, owner, entry) {
+    try {
+      await SpendRecord.create({
+        sessionId: session?.id || owner.sessionId || null,
+        workspaceId: owner.workspaceId || null,
+        userId: session?.userId || null,
+        apiKeyId: session?.apiKeyId || null,
+        ...entry,
+        cost: usd(entry.cost)
+      });
+    } catch (error) {
+      console.error('❌ Failed to record spend:', error.message);
+    }
+  }
+
+  /**
+   * Spend of a workspace (or anonymous session) broken down by model,
+   * summary style, user and operation
+   *
+   * @param {Object} owner - { workspaceId } or { sessionId } (see models/ownership)
+   * @param {Object} range - { from, to } YYYY-MM-DD dates, both included; defaults to the current month
+   * @returns {Promise<Object>} Report with totals and one breakdown per dimension
+   */
+  async getSpendReport(owner, { from, to } = {}) {
+    const since = from ? new Date(`${from}T00:00:00Z`) : this.getPeriodStart('monthly');
+    const until = to ? this.getPeriodEnd('daily', new Date(`${to}T00:00:00Z`)) : new Date();
+    const where = { ...owner, createdAt: { [Op.gte]: since, [Op.lt]: until } };
+
+    const breakdowns = {};
+    for (const dimension of SpendRecord.REPORT_DIMENSIONS) {
+      const rows = await SpendRecord.getBreakdown(where, dimension);
+      breakdowns[dimension] = rows.map(row => ({
+        ...row,
+        calls: Number(row.calls),
+        inputTokens: Number(row.inputTokens || 0),
+        outputTokens: Number(row.outputTokens || 0),
+        cost: usd(row.cost)
+      }));
+    }
+
+    const byUser = await this.labelUsers(breakdowns.user);
+
+    return {
+      from: since,
+      until,
+      totalCost: usd(breakdowns.operation.reduce((sum, row) => sum + row.cost, 0)),
+      calls: breakdowns.operation.reduce((sum, row) => sum + row.calls, 0),
+      byModel: breakdowns.model.map(({ aiModel, ...row }) => ({ model: aiModel, ...row })),
+      byStyle: breakdowns.style.map(({ summaryStyle, ...row }) => ({ style: summaryStyle, ...row })),
+      byUser,
+      byOperation: breakdowns.operation
+    };
+  }
+
+  /**
+   * Name the accounts and API keys of a by-user breakdown
+   */
+  async labelUsers(rows) {
+    const userIds = rows.map(row => row.userId).filter(Boolean);
+    const apiKeyIds = rows.map(row => row.apiKeyId).filter(Boolean);
+    const users = userIds.length ? await User.findAll({ where: { id: userIds }, attributes: ['id', 'email', 'name'] }) : [];
+    const apiKeys = apiKeyIds.length ? await ApiKey.findAll({ where: { id: apiKeyIds }, attributes: ['id', 'name', 'prefix'] }) : [];
+
+    return rows.map(({ userId, apiKeyId, ...row }) => {
+      const user = users.find(candidate => candidate.id === userId);
+      const apiKey = apiKeys.find(candidate => candidate.id === apiKeyId);
+
+      if (apiKeyId) {
+        return { type: 'apiKey', id: apiKeyId, name: apiKey ? `${apiKey.name} (${apiKey.prefix}…)` : 'Deleted API key', ...row };
+      }
+      if (userId) {
+        return { type: 'user', id: userId, name: user ? user.name || user.email : 'Deleted account', email: user?.email || null, ...row };
+      }
+      return { type: 'anonymous', id: null, name: 'Anonymous sessions', ...row };
+    });
+  }
+}
+
+module.exports = CostBudgets;
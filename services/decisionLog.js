@@ -0,0 +1,249 @@
+/**
+ * Decision Log
+ *
+ * Keeps a register of the decisions made across a session's meetings.
+ * Decisions extracted from a completed summary are recorded with their
+ * rationale, owner, meeting and date; a later decision on the same topic
+ * that changes it supersedes the earlier one, while one that merely restates
+ * it is recorded as a reaffirmation.
+ */
+
+const { Op } = require('sequelize');
+const { Decision, MeetingTranscript, sequelize } = require('../models');
+const { recordOwner, hasOwner } = require('../models/ownership');
+const TextMatcher = require('./textMatcher');
+
+// Wording that says a decision replaces an earlier one
+const CHANGE_PATTERN = /\b(?:instead|no longer|switch(?:ed|ing)?|chang(?:e|ed|ing)|revers(?:e|ed|ing)|revert(?:ed|ing)?|replac(?:e|ed|ing)|mov(?:e|ed|ing) (?:to|from|back)|postpon(?:e|ed)|push(?:ed)? (?:back|out)|delay(?:ed)?|cancel(?:l?ed)?|overturn(?:ed)?|rather than|drop(?:ped)?|updated?|revised?)\b/i;
+
+// "..., because ..." / "... since ..." / "... — so that ..."
+const RATIONALE_PATTERN = /\s*(?:[—–-]\s*|[,;]\s*|\s)(?:because|since|due to|given(?: that)?|so that|in order to|as a result of)\s+(.+)$/i;
+
+// Trailing "(Jane)" / "(decided by Jane Doe)" attribution in markdown summaries
+const OWNER_PATTERN = /\s*\((?:decided by|per|owner:?)?\s*(\p{Lu}[\p{L}.'’-]*(?:\s+\p{Lu}[\p{L}.'’-]*)?)\)\s*$/u;
+
+// Decision wording that says nothing about the topic
+const DECISION_STOP_WORDS = ['decided', 'decide', 'decision', 'agreed', 'agree', 'going', 'team', 'instead', 'will'];
+
+class DecisionLog {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.DECISION_LOG !== 'false';
+    // Topic overlap at which a later decision is compared against an earlier one
+    this.supersedeThreshold = options.supersedeThreshold || parseFloat(process.env.DECISION_SUPERSEDE_THRESHOLD) || 0.5;
+    // Overlap at which a decision with no change wording restates an earlier one
+    this.restatementThreshold = 0.85;
+    this.textMatcher = new TextMatcher({ stopWords: DECISION_STOP_WORDS });
+  }
+
+  /**
+   * Record a completed summary's decisions, superseding or reaffirming
+   * earlier decisions of the session on the same topic
+   *
+   * @param {Object} transcript - MeetingTranscript instance
+   * @param {Object} summary - { id }
+   * @param {Array} extractedDecisions - structure.decisions ({ text, madeBy, rationale, citations })
+   * @returns {Promise<Object>} { created, reaffirmed, superseded: [{ id, text, supersededById }] }
+   */
+  async recordFromSummary(transcript, summary, extractedDecisions = []) {
+    const stats = { created: 0, reaffirmed: 0, superseded: [] };
+    if (!this.enabled || extractedDecisions.length === 0) return stats;
+
+    const decidedOn = transcript.getMeetingDate().toISOString().split('T')[0];
+    // Another summary of the same transcript must not record its decisions twice
+    const existing = await Decision.findAll({ where: { transcriptId: transcript.id } });
+    const earlier = hasOwner(transcript) ?
+      await Decision.findActiveByOwner(recordOwner(transcript), {
+        where: {
+          transcriptId: { [Op.ne]: transcript.id },
+          decidedOn: { [Op.lte]: decidedOn }
+        }
+      }) :
+      [];
+
+    for (const extracted of extractedDecisions) {
+      const parsed = this.parseDecision(extracted);
+      if (!parsed.text) continue;
+
+      if (existing.some(decision => this.similarity(decision.text, parsed.text) >= this.restatementThreshold)) continue;
+
+      const related = earlier
+        .filter(decision => decision.isActive())
+        .map(decision => ({ decision, relation: this.relate(decision.text, parsed.text) }))
+        .filter(({ relation }) => relation);
+
+      const restated = related.find(({ relation }) => relation === 'restates');
+      if (restated) {
+        await restated.decision.recordReaffirmation({
+          transcriptId: transcript.id,
+          summaryId: summary.id,
+          decidedOn,
+          text: parsed.text
+        });
+        stats.reaffirmed++;
+        continue;
+      }
+
+      const decision = await Decision.create({
+        ...parsed,
+        sessionId: transcript.sessionId,
+        workspaceId: transcript.workspaceId,
+        transcriptId: transcript.id,
+        summaryId: summary.id,
+        decidedOn,
+        citations: extracted.citations || [],
+        source: 'summary'
+      });
+      existing.push(decision);
+      stats.created++;
+
+      for (const { decision: previous } of related) {
+        await previous.supersede(decision);
+        stats.superseded.push({ id: previous.id, text: previous.text, supersededById: decision.id });
+      }
+    }
+
+    console.log(`⚖️ Decisions: ${stats.created} recorded, ${stats.reaffirmed} reaffirmed, ${stats.superseded.length} superseded`);
+    return stats;
+  }
+
+  /**
+   * Split an extracted decision into text, rationale and owner
+   */
+  parseDecision(extracted) {
+    let text = (extracted.text || '').replace(/[*_]/g, '').replace(/\s+/g, ' ').trim();
+    let owner = extracted.madeBy || null;
+    let rationale = extracted.rationale || null;
+
+    const ownerMatch = text.match(OWNER_PATTERN);
+    if (ownerMatch) {
+      owner = owner || ownerMatch[1];
+      text = text.slice(0, ownerMatch.index).trim();
+    }
+
+    const rationaleMatch = text.match(RATIONALE_PATTERN);
+    if (rationaleMatch && rationaleMatch.index > 0) {
+      rationale = rationale || rationaleMatch[1].replace(/[.\s]+$/, '');
+      text = text.slice(0, rationaleMatch.index).trim();
+    }
+
+    return { text: text.replace(/[,;:]+$/, ''), rationale, owner };
+  }
+
+  /**
+   * How a later decision relates to an earlier one: 'restates' it,
+   * 'supersedes' it, or null when they are about different things.
+   * A changed figure or date ("launch on March 17" after "launch on
+   * March 3") counts as a change even when the wording is identical.
+   */
+  relate(earlierText, laterText) {
+    const score = this.similarity(earlierText, laterText);
+    if (score < this.supersedeThreshold) return null;
+
+    const changed = CHANGE_PATTERN.test(laterText) || !this.sameFigures(earlierText, laterText);
+    if (changed) return 'supersedes';
+    return score >= this.restatementThreshold ? 'restates' : 'supersedes';
+  }
+
+  /**
+   * Whether two texts mention the same numbers (dates, amounts, versions)
+   */
+  sameFigures(a, b) {
+    const figures = (text) => [...new Set(text.match(/\d+(?:[.,:]\d+)*/g) || [])].sort().join('|');
+    return figures(a) === figures(b);
+  }
+
+  similarity(a, b) {
+    return this.textMatcher.similarity(a, b);
+  }
+
+  /**
+   * The chain of decisions a decision belongs to, oldest first: the ones
+   * it (transitively) superseded, itself, and the ones that replaced it
+   */
+  async getHistory(decision) {
+    const history = [decision];
+    const seen = new Set([decision.id]);
+
+    // Walk back through everything this decision replaced
+    let frontier = [decision.id];
+    while (frontier.length > 0) {
+      const previous = await Decision.findAll({
+        where: { supersededById: frontier, id: { [Op.notIn]: [...seen] } }
+      });
+      previous.forEach(item => seen.add(item.id));
+      history.unshift(...previous);
+      frontier = previous.map(item => item.id);
+    }
+
+    // Walk forward to the decision currently in force
+    let current = decision;
+    while (current.supersededById && !seen.has(current.supersededById)) {
+      current = await Decision.findByPk(current.supersededById);
+      if (!current) break;
+      seen.add(current.id);
+      history.push(current);
+    }
+
+    return history.sort((a, b) =>
+      String(a.decidedOn).localeCompare(String(b.decidedOn)) || new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Whether superseding a decision by another would make the chain circular:
+   * the replacement is the decision itself or was (transitively) replaced by it
+   */
+  async wouldCycle(decision, newer) {
+    const seen = new Set();
+    let current = newer;
+    while (current && !seen.has(current.id)) {
+      if (current.id === decision.id) return true;
+      seen.add(current.id);
+      current = current.supersededById ? await Decision.findByPk(current.supersededById) : null;
+    }
+    return false;
+  }
+
+  /**
+   * Search the decisions of a session or workspace
+   *
+   * @param {Object} owner - Where-clause from models/ownership (sessionOwner)
+   * @param {Object} filters - { q, status, owner, transcriptId, summaryId, from, to, limit, offset }
+   */
+  async search(owner, filters = {}) {
+    const where = { ...owner };
+    if (filters.status) where.status = filters.status;
+    if (filters.owner) where.owner = filters.owner;
+    if (filters.transcriptId) where.transcriptId = filters.transcriptId;
+    if (filters.summaryId) where.summaryId = filters.summaryId;
+
+    if (filters.from || filters.to) {
+      where.decidedOn = {};
+      if (filters.from) where.decidedOn[Op.gte] = filters.from;
+      if (filters.to) where.decidedOn[Op.lte] = filters.to;
+    }
+
+    if (filters.q) {
+      const like = sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like;
+      const pattern = `%${filters.q.replace(/[%_\\]/g, '\\$&')}%`;
+      where[Op.or] = [
+        { text: { [like]: pattern } },
+        { rationale: { [like]: pattern } },
+        { owner: { [like]: pattern } }
+      ];
+    }
+
+    return await Decision.findAndCountAll({
+      where,
+      include: [{
+        model: MeetingTranscript,
+        as: 'transcript',
+        attributes: ['id', 'originalName', 'metadata', 'createdAt']
+      }],
+      order: [['decidedOn', 'DESC'], ['createdAt', 'DESC']],
+      limit: parseInt(filters.limit) || 50,
+      offset: parseInt(filters.offset) || 0
+    });
+  }
+}
+
+module.exports = DecisionLog;
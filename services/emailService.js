@@ -15,6 +15,9 @@ const handlebars = require('handlebars');
 const { getTransporter, getEmailConfig, verifyEmailConfig } = require('../config/email');
 const { EmailRecord } = require('../models');
 
+// Transcript citations ([L12], [L12-L15], [00:12:05]) mean nothing without the transcript
+const CITATION_PATTERN = /[ \t]*\[(?:L\d+|\d{1,2}:\d{2}(?::\d{2})?)(?:\s*[-–,;]\s*(?:L?\d+|\d{1,2}:\d{2}(?::\d{2})?))*\]/g;
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -272,6 +275,7 @@ class EmailService {
   prepareSummaryEmailData(summaryData, options = {}) {
     const date = new Date().toLocaleDateString();
     const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    const content = (summaryData.content || '').replace(CITATION_PATTERN, '');
     
     // Prepare template data
     const numericProcessingTimeSec = Number(summaryData.processingTime || 0) / 1000;
@@ -290,12 +294,12 @@ class EmailService {
       summaryStyle: this.formatSummaryStyle(summaryData.summaryStyle),
 
       // Content
-      summaryContent: this.cleanSummaryContent(summaryData.content),
-      summaryContentText: this.stripHtml(summaryData.content),
+      summaryContent: this.cleanSummaryContent(content),
+      summaryContentText: this.stripHtml(content),
       customInstructions: summaryData.customInstructions,
 
       // Action items - only extract if not already present in content
-      actionItems: this.shouldExtractActionItems(summaryData.content) ? this.extractActionItems(summaryData.content) : null,
+      actionItems: this.shouldExtractActionItems(content) ? this.extractActionItems(content) : null,
 
       // Quality insights (only if meaningful to end users)
       qualityInsights: summaryData.quality ? {
@@ -0,0 +1,205 @@
+/**
+ * Embedding Index
+ *
+ * Optional semantic search. Transcripts and their latest summaries are cut
+ * into chunks of lines, embedded with the configured provider (a local
+ * OpenAI-compatible embedding server, or the offline stub) and stored in
+ * the database. Documents are embedded on the first search after they were
+ * created or updated, and queries are ranked by cosine similarity.
+ */
+
+const { getProvider } = require('./providers');
+const { MeetingTranscript, SearchEmbedding, Summary } = require('../models');
+
+class EmbeddingIndex {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.SEARCH_EMBEDDINGS === 'true';
+    this.providerName = options.provider || process.env.SEARCH_EMBEDDING_PROVIDER || 'local';
+    this.model = options.model || process.env.SEARCH_EMBEDDING_MODEL ||
+      (this.providerName === 'local' ? 'local-hash' : 'nomic-embed-text');
+    // Lines per embedded chunk, and the similarity a chunk needs to count as a match
+    this.chunkLines = parseInt(process.env.SEARCH_EMBEDDING_CHUNK_LINES) || 12;
+    this.minScore = parseFloat(process.env.SEARCH_SEMANTIC_MIN_SCORE) || 0.35;
+    // Texts sent per embedding request
+    this.batchSize = 32;
+  }
+
+  /**
+   * Chunks most similar to a query, best chunk per document
+   *
+   * @param {string} query - Search text
+   * @param {Array} transcripts - Transcripts to search (with their latest summaries)
+   * @param {number} limit - Maximum documents
+   * @returns {Promise<Array>} [{ type, id, transcriptId, startLine, endLine, text, score }]
+   */
+  async search(query, transcripts, limit = 20) {
+    if (transcripts.length === 0) return [];
+
+    await this.ensureIndexed(transcripts);
+
+    const [queryVector] = await this.embed([query]);
+    const chunks = await SearchEmbedding.findByDocuments(transcripts.map(transcript => transcript.id), this.model);
+
+    const best = new Map();
+    chunks.forEach(chunk => {
+      const score = this.cosineSimilarity(queryVector, chunk.vector);
+      const current = best.get(chunk.docId);
+      if (score >= this.minScore && (!current || score > current.score)) {
+        best.set(chunk.docId, {
+          type: chunk.docType,
+          id: chunk.docId,
+          transcriptId: chunk.transcriptId,
+          startLine: chunk.startLine,
+          endLine: chunk.endLine,
+          text: chunk.text,
+          score
+        });
+      }
+    });
+
+    return [...best.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Embed the transcripts and their latest completed summaries that have no
+   * embeddings for the current model or changed since they were embedded
+   *
+   * @param {Array} transcripts - MeetingTranscript instances (id, sessionId, updatedAt)
+   * @returns {Promise<number>} Chunks embedded
+   */
+  async ensureIndexed(transcripts) {
+    const transcriptIds = transcripts.map(transcript => transcript.id);
+    const summaries = await Summary.findAll({
+      where: { transcriptId: transcriptIds, status: ['completed', 'edited'] },
+      attributes: ['id', 'transcriptId', 'content', 'updatedAt'],
+      order: [['updatedAt', 'DESC']]
+    });
+
+    // Only each meeting's latest summary is searched semantically
+    const latestSummaries = new Map();
+    summaries.forEach(summary => {
+      if (!latestSummaries.has(summary.transcriptId)) latestSummaries.set(summary.transcriptId, summary);
+    });
+
+    const sessionIds = new Map(transcripts.map(transcript => [transcript.id, transcript.sessionId]));
+    const documents = [
+      ...transcripts.map(transcript => ({ docType: 'transcript', document: transcript, transcriptId: transcript.id })),
+      ...[...latestSummaries.values()].map(summary => ({ docType: 'summary', document: summary, transcriptId: summary.transcriptId }))
+    ];
+
+    const indexed = await SearchEmbedding.findAll({
+      where: { transcriptId: transcriptIds },
+      attributes: ['docType', 'docId', 'model', 'createdAt']
+    });
+    const indexedAt = new Map();
+    indexed.forEach(row => {
+      const time = row.model === this.model ? new Date(row.createdAt).getTime() : -Infinity;
+      indexedAt.set(row.docId, Math.min(indexedAt.get(row.docId) ?? Infinity, time));
+    });
+
+    // Embeddings of replaced summaries are no longer searched
+    const currentIds = new Set(documents.map(({ document }) => document.id));
+    const outdated = [...indexedAt.keys()].filter(docId => !currentIds.has(docId));
+
+    const stale = documents.filter(({ document }) =>
+      !indexedAt.has(document.id) || indexedAt.get(document.id) < new Date(document.updatedAt).getTime());
+
+    if (outdated.length > 0 || stale.length > 0) {
+      await SearchEmbedding.destroy({
+        where: { docId: [...outdated, ...stale.map(({ document }) => document.id)] }
+      });
+    }
+
+    // Transcript content is only loaded for the transcripts that need embedding
+    const staleTranscriptIds = stale.filter(({ docType }) => docType === 'transcript').map(({ document }) => document.id);
+    const contents = new Map(staleTranscriptIds.length > 0 ?
+      (await MeetingTranscript.findAll({ where: { id: staleTranscriptIds }, attributes: ['id', 'content'] }))
+        .map(transcript => [transcript.id, transcript.content]) :
+      []);
+
+    let embedded = 0;
+    for (const { docType, document, transcriptId } of stale) {
+      const content = docType === 'transcript' ? contents.get(document.id) : document.content;
+      const chunks = this.chunkDocument(content || '');
+      if (chunks.length === 0) continue;
+
+      const vectors = await this.embed(chunks.map(chunk => chunk.text));
+      await SearchEmbedding.bulkCreate(chunks.map((chunk, index) => ({
+        ...chunk,
+        sessionId: sessionIds.get(transcriptId) || null,
+        transcriptId,
+        docType,
+        docId: document.id,
+        vector: vectors[index],
+        model: this.model
+      })));
+      embedded += chunks.length;
+    }
+
+    if (embedded > 0) {
+      console.log(`🧭 Embedded ${embedded} chunks from ${stale.length} documents with ${this.model}`);
+    }
+    return embedded;
+  }
+
+  /**
+   * Split a document into chunks of lines
+   *
+   * @returns {Array<Object>} [{ chunkIndex, startLine, endLine, text }] with 1-based lines
+   */
+  chunkDocument(content) {
+    const lines = content.split('\n');
+    const chunks = [];
+
+    for (let start = 0; start < lines.length; start += this.chunkLines) {
+      const text = lines.slice(start, start + this.chunkLines).join('\n').trim();
+      if (text) {
+        chunks.push({
+          chunkIndex: chunks.length,
+          startLine: start + 1,
+          endLine: Math.min(lines.length, start + this.chunkLines),
+          text
+        });
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Embed texts in batches with the configured provider
+   */
+  async embed(texts) {
+    const provider = getProvider(this.providerName);
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const result = await provider.embed({ model: this.model, input: texts.slice(i, i + this.batchSize) });
+      vectors.push(...result.embeddings);
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Cosine similarity of two vectors (0 when either is empty or of another size)
+   */
+  cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+}
+
+module.exports = EmbeddingIndex;
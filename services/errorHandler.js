@@ -145,6 +145,9 @@ class ErrorHandler {
    * Categorize error based on type and context
    */
   categorizeError(error) {
+    // Quota errors carry their type; they only clear when the quota resets
+    if (error.type === ErrorTypes.QUOTA_ERROR) return ErrorTypes.QUOTA_ERROR;
+
     // HTTP/API errors
     if (error.status) {
       if (error.status === 401) return ErrorTypes.AUTHENTICATION_ERROR;
@@ -367,7 +370,7 @@ class ErrorHandler {
       
       [ErrorTypes.QUOTA_ERROR]: {
         message: 'Usage quota exceeded',
-        details: 'You have reached your usage limit for summary generation.',
+        details: 'You have reached a usage quota or spending budget.',
         suggestions: [
           'Wait until your quota resets',
           'Consider upgrading your plan',
@@ -687,6 +690,7 @@ class UserFeedbackSystem {
         message: errorResult.error.message,
         type: errorResult.error.type,
         severity: errorResult.error.severity,
+        retryable: errorResult.error.retryable,
         userMessage: this.formatUserMessage(errorResult.error),
         actions: this.generateUserActions(errorResult.error),
         support: this.generateSupportInfo(errorResult.error),
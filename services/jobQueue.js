@@ -0,0 +1,248 @@
+/**
+ * Background Job Queue
+ *
+ * Database-backed queue with an in-process worker loop. Jobs are claimed
+ * with a conditional update, hold a lock that the worker refreshes while
+ * they run, and are recovered when a lock goes stale (e.g. the server
+ * restarted mid-job): requeued while attempts remain, failed otherwise.
+ */
+
+const os = require('os');
+const { Job } = require('../models');
+
+class JobQueue {
+  constructor(options = {}) {
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+    this.pollInterval = options.pollInterval || parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 1;
+    this.staleAfter = options.staleAfter || parseInt(process.env.JOB_STALE_AFTER_MS) || 2 * 60 * 1000; // 2 minutes
+    this.retryDelay = options.retryDelay || parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000;
+
+    this.handlers = new Map();
+    this.running = new Map(); // jobId -> promise
+    this.timer = null;
+    this.started = false;
+    this.polling = false;
+    this.lastRecovery = 0;
+  }
+
+  /**
+   * Register a handler for a job type
+   *
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, context) => result
+   * @param {Object} hooks
+   * @param {Function} hooks.onInterrupted - async (job) => void, called when a stale job is recovered
+   */
+  registerHandler(type, handler, hooks = {}) {
+    this.handlers.set(type, { handler, ...hooks });
+  }
+
+  /**
+   * Add a job to the queue. If a job with the same dedupe key is still
+   * queued or running, that job is returned instead of a new one.
+   *
+   * @returns {Promise<{job: Object, created: boolean}>}
+   */
+  async enqueue(type, payload, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    if (options.dedupeKey) {
+      const existing = await Job.findActiveByDedupeKey(options.dedupeKey);
+      if (existing) {
+        return { job: existing, created: false };
+      }
+    }
+
+    const job = await Job.create({
+      type,
+      payload,
+      sessionId: options.sessionId || null,
+      transcriptId: options.transcriptId || null,
+      dedupeKey: options.dedupeKey || null,
+      maxAttempts: options.maxAttempts || 3
+    });
+
+    console.log(`📥 Queued ${type} job: ${job.id}`);
+
+    // Pick it up without waiting for the next poll
+    if (this.started) {
+      setImmediate(() => this.poll());
+    }
+
+    return { job, created: true };
+  }
+
+  /**
+   * Start the worker loop after recovering jobs interrupted by a restart
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    await this.recoverStaleJobs({ startup: true });
+    this.schedule();
+
+    console.log(`👷 Job worker ${this.workerId} started (concurrency ${this.concurrency})`);
+  }
+
+  /**
+   * Stop polling and wait for in-flight jobs to finish
+   */
+  async stop() {
+    this.started = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.running.size > 0) {
+      console.log(`⏳ Waiting for ${this.running.size} running job(s) to finish...`);
+      await Promise.allSettled([...this.running.values()]);
+    }
+
+    console.log('👷 Job worker stopped');
+  }
+
+  /**
+   * Schedule the next poll
+   */
+  schedule() {
+    if (!this.started) return;
+    this.timer = setTimeout(async () => {
+      await this.poll();
+      this.schedule();
+    }, this.pollInterval);
+  }
+
+  /**
+   * Claim and start jobs up to the concurrency limit
+   */
+  async poll() {
+    if (!this.started || this.polling) return;
+    this.polling = true;
+
+    try {
+      // Periodically recover jobs whose worker went away
+      if (Date.now() - this.lastRecovery > this.staleAfter / 2) {
+        await this.recoverStaleJobs();
+      }
+
+      while (this.running.size < this.concurrency) {
+        const job = await Job.claimNext(this.workerId, [...this.handlers.keys()]);
+        if (!job) break;
+
+        const execution = this.execute(job).finally(() => this.running.delete(job.id));
+        this.running.set(job.id, execution);
+      }
+    } catch (error) {
+      console.error('❌ Job poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run a claimed job, keeping its lock fresh until it settles
+   */
+  async execute(job) {
+    const { handler } = this.handlers.get(job.type);
+    console.log(`▶️ Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    const heartbeat = setInterval(() => {
+      Job.update({ lockedAt: new Date() }, { where: { id: job.id, lockedBy: this.workerId } })
+        .catch(error => console.error(`❌ Job heartbeat failed for ${job.id}:`, error.message));
+    }, Math.max(1000, Math.floor(this.staleAfter / 3)));
+
+    const context = {
+      job,
+      staleAfter: this.staleAfter,
+      setSummaryId: (summaryId) => job.update({ summaryId }),
+      updateProgress: (progress) => job.update({ progress: { ...job.progress, ...progress } })
+    };
+
+    try {
+      const result = await handler(job.payload, context);
+      await job.markCompleted(result);
+      console.log(`✅ Job ${job.id} completed`);
+    } catch (error) {
+      const message = error?.message || String(error);
+
+      if (error?.retryable && job.hasAttemptsLeft()) {
+        await job.requeue(message, this.retryDelay * job.attempts);
+        console.warn(`🔁 Job ${job.id} failed, requeued: ${message}`);
+      } else {
+        await job.markFailed(message);
+        console.error(`❌ Job ${job.id} failed: ${message}`);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Requeue or fail running jobs whose lock has gone stale.
+   * On startup, jobs locked by this worker id belong to a previous process.
+   */
+  async recoverStaleJobs({ startup = false } = {}) {
+    this.lastRecovery = Date.now();
+
+    const stale = await Job.findStale(new Date(Date.now() - this.staleAfter));
+    if (startup) {
+      const orphaned = await Job.findAll({ where: { status: 'running', lockedBy: this.workerId } });
+      orphaned.forEach(job => {
+        if (!stale.some(existing => existing.id === job.id)) stale.push(job);
+      });
+    }
+
+    for (const job of stale) {
+      const hooks = this.handlers.get(job.type) || {};
+
+      try {
+        if (hooks.onInterrupted) {
+          await hooks.onInterrupted(job);
+        }
+
+        if (job.hasAttemptsLeft()) {
+          await job.requeue('Interrupted before completion; requeued');
+          console.warn(`🔁 Recovered interrupted job ${job.id}, requeued`);
+        } else {
+          await job.markFailed('Interrupted before completion; no attempts left');
+          console.warn(`⚠️ Recovered interrupted job ${job.id}, marked failed`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to recover job ${job.id}:`, error.message);
+      }
+    }
+
+    return stale.length;
+  }
+
+  /**
+   * Get queue statistics
+   */
+  async getStats() {
+    const counts = await Job.count({ group: ['status'] });
+
+    return {
+      workerId: this.workerId,
+      started: this.started,
+      running: this.running.size,
+      concurrency: this.concurrency,
+      byStatus: counts.reduce((acc, row) => {
+        acc[row.status] = row.count;
+        return acc;
+      }, {})
+    };
+  }
+}
+
+// Shared queue instance for the process
+const jobQueue = new JobQueue();
+
+module.exports = {
+  JobQueue,
+  jobQueue
+};
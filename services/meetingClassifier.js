@@ -0,0 +1,127 @@
+/**
+ * Meeting Classifier
+ *
+ * Scores a transcript against the meeting type and industry templates of
+ * PromptTemplates by their keyword lists (and, for meeting types, the
+ * meeting title) so the matching instructions can be applied to the summary
+ * prompt without the user having to pick them.
+ */
+
+const PromptTemplates = require('./promptTemplates');
+
+// Meeting titles that identify a meeting type template
+const MEETING_TYPE_TITLE_PATTERNS = {
+  standup: /\b(?:stand[- ]?ups?|daily scrum|scrum|daily sync|dsu)\b/i,
+  retrospective: /\b(?:retros?|retrospectives?|post[- ]?mortem)\b/i,
+  planning: /\b(?:planning|kick[- ]?off|roadmap)\b/i,
+  review: /\b(?:review|demo|showcase)\b/i
+};
+
+// Score added to a meeting type whose pattern matches the title
+const TITLE_BOOST = 0.4;
+
+// Keyword hits per 1,000 words at which density stops adding to the score
+const SATURATION_DENSITY = 10;
+
+class MeetingClassifier {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.MEETING_CLASSIFIER !== 'false';
+    // Score a template needs before it is applied automatically
+    this.minConfidence = options.minConfidence || parseFloat(process.env.MEETING_CLASSIFIER_MIN_CONFIDENCE) || 0.35;
+  }
+
+  /**
+   * Detect the meeting type and industry of a transcript
+   *
+   * @param {string} content - Transcript text
+   * @param {Object} options - { title }
+   * @returns {Object} { meetingType: { value, confidence, scores }, industry: {...}, classifiedAt }
+   */
+  classify(content = '', options = {}) {
+    const wordCount = (content.match(/\S+/g) || []).length;
+    const titleType = this.classifyTitle(options.title);
+
+    const meetingTypeScores = this.scoreTemplates(PromptTemplates.getMeetingTypeTemplates(), content, wordCount);
+    if (titleType) {
+      meetingTypeScores[titleType] = Math.min(1, round(meetingTypeScores[titleType] + TITLE_BOOST));
+    }
+
+    const industryScores = this.scoreTemplates(PromptTemplates.getIndustryTemplates(), content, wordCount);
+
+    return {
+      meetingType: this.pick(meetingTypeScores),
+      industry: this.pick(industryScores),
+      classifiedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Meeting type a title names, or null
+   */
+  classifyTitle(title = '') {
+    if (!title) return null;
+    const templates = PromptTemplates.getMeetingTypeTemplates();
+    const type = Object.keys(MEETING_TYPE_TITLE_PATTERNS)
+      .find(key => templates[key] && MEETING_TYPE_TITLE_PATTERNS[key].test(title));
+    return type || null;
+  }
+
+  /**
+   * Score (0-1) of each template: share of its keywords that occur at all,
+   * weighted by how often they occur relative to the transcript length
+   */
+  scoreTemplates(templates, content, wordCount) {
+    const scores = {};
+
+    for (const [key, template] of Object.entries(templates)) {
+      const keywords = template.keywords || [];
+      if (keywords.length === 0 || wordCount === 0) {
+        scores[key] = 0;
+        continue;
+      }
+
+      let matched = 0;
+      let hits = 0;
+      for (const keyword of keywords) {
+        const count = (content.match(this.keywordPattern(keyword)) || []).length;
+        if (count > 0) matched++;
+        hits += count;
+      }
+
+      const coverage = matched / keywords.length;
+      const density = Math.min(1, (hits * 1000 / wordCount) / SATURATION_DENSITY);
+      scores[key] = round(coverage * (0.6 + 0.4 * density));
+    }
+
+    return scores;
+  }
+
+  /**
+   * Whole-word, case-insensitive pattern for a keyword and its inflections
+   * ("deploy" also matches "deploys", "deployed", "deploying")
+   */
+  keywordPattern(keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`\\b${escaped}(?:e?s|e?d|ing|[a-z]?(?:ed|ing)|ers?)?\\b`, 'gi');
+  }
+
+  /**
+   * Highest scoring template, or null when none is confident enough
+   */
+  pick(scores) {
+    const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const confidence = best ? best[1] : 0;
+
+    return {
+      value: best && confidence >= this.minConfidence ? best[0] : null,
+      confidence,
+      scores
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = MeetingClassifier;
@@ -0,0 +1,334 @@
+/**
+ * Meeting Series Service
+ *
+ * Groups recurring meetings (weekly standups, sprint retros) into a
+ * MeetingSeries, either by explicit assignment or by matching a new
+ * transcript's title and attendees against the session's earlier meetings,
+ * and gathers what a roll-up across the last N meetings of a series needs:
+ * per-meeting digests, action item carry-over and blockers that keep coming
+ * back.
+ */
+
+const { Op } = require('sequelize');
+const { MeetingSeries, MeetingTranscript, Summary, ActionItem } = require('../models');
+const { recordOwner, hasOwner } = require('../models/ownership');
+const MeetingClassifier = require('./meetingClassifier');
+const TextMatcher = require('./textMatcher');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// File names that say nothing about which meeting it was
+const GENERIC_TITLES = new Set([
+  'transcript', 'meeting', 'meeting notes', 'notes', 'recording', 'captions', 'subtitles', 'untitled',
+  'audio', 'video', 'call', 'chat', 'zoom', 'teams', 'meet', 'export', 'download'
+]);
+
+// Lines that report something holding work up
+const BLOCKER_PATTERN = /\b(?:block(?:ed|er|ers|ing)?|imped\w*|stuck|waiting (?:on|for)|depend(?:s|ing)? on|can'?t (?:proceed|move forward|continue)|held up|bottleneck)\b/i;
+
+class MeetingSeriesService {
+  constructor(options = {}) {
+    this.autoDetect = options.autoDetect ?? process.env.MEETING_SERIES_AUTO_DETECT !== 'false';
+    // Share of the smaller attendee list two untitled meetings must have in common
+    this.attendeeOverlap = options.attendeeOverlap || parseFloat(process.env.MEETING_SERIES_ATTENDEE_OVERLAP) || 0.8;
+    this.rollupMeetings = options.rollupMeetings || parseInt(process.env.MEETING_SERIES_ROLLUP_MEETINGS) || 5;
+    this.textMatcher = new TextMatcher();
+    this.classifier = new MeetingClassifier();
+  }
+
+  /**
+   * Put a transcript into a series: the given one, or a matching series of
+   * the session when auto-detection is on. A second meeting that matches an
+   * earlier unassigned one starts a new series holding both.
+   *
+   * @param {Object} transcript - MeetingTranscript instance
+   * @param {Object} options - { seriesId }
+   * @returns {Promise<Object|null>} MeetingSeries, or null when none applies
+   */
+  async assignTranscript(transcript, options = {}) {
+    if (options.seriesId) {
+      const series = await MeetingSeries.findOne({
+        where: { id: options.seriesId, ...recordOwner(transcript) }
+      });
+      if (!series) {
+        throw new Error(`Meeting series not found: ${options.seriesId}`);
+      }
+      return await this.addTranscript(series, transcript);
+    }
+
+    if (!this.autoDetect || !hasOwner(transcript)) return null;
+
+    const profile = this.describeTranscript(transcript);
+    if (!profile.titleKey && profile.attendees.length < 2) return null;
+
+    const existing = await MeetingSeries.findByOwner(recordOwner(transcript));
+    const match = existing.find(series => this.matches(profile, this.describeSeries(series)));
+    if (match) {
+      console.log(`🔁 Transcript ${transcript.id} matched meeting series "${match.name}"`);
+      return await this.addTranscript(match, transcript);
+    }
+
+    const earlier = await MeetingTranscript.findAll({
+      where: {
+        ...recordOwner(transcript),
+        seriesId: null,
+        id: { [Op.ne]: transcript.id }
+      },
+      attributes: ['id', 'originalName', 'metadata', 'speakerTurns', 'sessionId', 'workspaceId', 'seriesId', 'createdAt'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const siblings = earlier.filter(other => this.matches(profile, this.describeTranscript(other)));
+    if (siblings.length === 0) return null;
+
+    const name = this.getSeriesName(transcript, profile);
+    const series = await MeetingSeries.create({
+      sessionId: transcript.sessionId,
+      workspaceId: transcript.workspaceId,
+      name,
+      meetingType: this.inferMeetingType(name) || transcript.metadata?.meetingType || null,
+      titleKey: profile.titleKey,
+      detection: 'auto'
+    });
+
+    for (const member of [...siblings, transcript]) {
+      await this.addTranscript(series, member);
+    }
+
+    console.log(`🔁 New meeting series "${series.name}" detected with ${siblings.length + 1} meetings`);
+    return series;
+  }
+
+  /**
+   * Add a transcript to a series, extending the series' attendee list
+   */
+  async addTranscript(series, transcript) {
+    transcript.seriesId = series.id;
+    await transcript.save();
+
+    series.addAttendees(this.describeTranscript(transcript).attendees);
+    const meetingDate = transcript.getMeetingDate();
+    if (!series.lastMeetingAt || meetingDate > new Date(series.lastMeetingAt)) {
+      series.lastMeetingAt = meetingDate;
+    }
+    await series.save();
+
+    return series;
+  }
+
+  /**
+   * Take a transcript out of its series
+   */
+  async removeTranscript(transcript) {
+    transcript.seriesId = null;
+    return await transcript.save();
+  }
+
+  /**
+   * Title key and attendees a transcript is matched on
+   */
+  describeTranscript(transcript) {
+    const title = transcript.metadata?.meetingTitle || (transcript.originalName || '').replace(/\.[a-z0-9]{2,5}$/i, '');
+    const speakers = (transcript.speakerTurns || []).map(turn => turn.speaker).filter(Boolean);
+    const attendees = [...new Set([...(transcript.metadata?.attendees || []), ...speakers])];
+
+    return { titleKey: this.normalizeTitle(title), attendees };
+  }
+
+  describeSeries(series) {
+    return { titleKey: series.titleKey || '', attendees: series.attendees || [] };
+  }
+
+  /**
+   * Whether a meeting belongs with another meeting or series. Equal titles
+   * match unless the attendees are known on both sides and entirely
+   * different; untitled meetings need mostly the same attendees.
+   */
+  matches(profile, other) {
+    const overlap = this.getAttendeeOverlap(profile.attendees, other.attendees);
+
+    if (profile.titleKey && other.titleKey) {
+      return profile.titleKey === other.titleKey && (overlap === null || overlap > 0);
+    }
+    if (profile.titleKey || other.titleKey) return false;
+
+    return overlap !== null && overlap >= this.attendeeOverlap &&
+      Math.min(profile.attendees.length, other.attendees.length) >= 2;
+  }
+
+  /**
+   * Share of the smaller attendee list found in the other (null if either is unknown)
+   */
+  getAttendeeOverlap(a = [], b = []) {
+    if (a.length === 0 || b.length === 0) return null;
+    const namesA = new Set(a.map(name => name.toLowerCase()));
+    const namesB = new Set(b.map(name => name.toLowerCase()));
+    const shared = [...namesB].filter(name => namesA.has(name)).length;
+    return shared / Math.min(namesA.size, namesB.size);
+  }
+
+  /**
+   * Lowercase a meeting title without dates, numbers, weekdays and
+   * punctuation; generic titles ("transcript", "notes") become ''
+   */
+  normalizeTitle(title) {
+    if (!title || typeof title !== 'string') return '';
+    const key = title
+      .toLowerCase()
+      .replace(/\b\d{1,4}[\/.\-]\d{1,2}(?:[\/.\-]\d{1,4})?\b/g, '')
+      .replace(new RegExp(`\\b(?:${MONTHS.join('|')})[a-z]*\\b`, 'g'), '')
+      .replace(new RegExp(`\\b(?:${WEEKDAYS.join('|')})[a-z]*day\\b`, 'g'), '')
+      .replace(/[^a-z]+/g, ' ')
+      .trim();
+
+    return GENERIC_TITLES.has(key) ? '' : key;
+  }
+
+  /**
+   * Name for an auto-detected series
+   */
+  getSeriesName(transcript, profile) {
+    if (transcript.metadata?.meetingTitle) return transcript.metadata.meetingTitle.slice(0, 255);
+    if (profile.titleKey) return profile.titleKey.replace(/\b\w/g, letter => letter.toUpperCase());
+    return `Meetings with ${profile.attendees.slice(0, 3).join(', ')}`.slice(0, 255);
+  }
+
+  /**
+   * Meeting type template a series name points to, or null
+   */
+  inferMeetingType(name = '') {
+    return this.classifier.classifyTitle(name);
+  }
+
+  /**
+   * Everything a roll-up of the series' last meetings is built from
+   *
+   * @param {Object} series - MeetingSeries instance
+   * @param {Object} options - { meetings: how many of the latest meetings to cover }
+   * @returns {Promise<Object>} { series, meetings, carryOver, repeatedBlockers }
+   */
+  async gatherRollupInput(series, options = {}) {
+    const count = Math.max(2, parseInt(options.meetings) || this.rollupMeetings);
+
+    const transcripts = await MeetingTranscript.findAll({ where: { seriesId: series.id } });
+    const ordered = transcripts.sort((a, b) => a.getMeetingDate() - b.getMeetingDate());
+    const window = ordered.slice(-count);
+    const windowIds = window.map(transcript => transcript.id);
+
+    const summaries = await Summary.findAll({
+      where: { transcriptId: windowIds, status: 'completed' },
+      order: [['createdAt', 'DESC']]
+    });
+
+    const meetings = window.map((transcript, index) => {
+      const summary = summaries.find(item => item.transcriptId === transcript.id);
+      return {
+        number: index + 1,
+        transcriptId: transcript.id,
+        summaryId: summary?.id || null,
+        title: transcript.metadata?.meetingTitle || transcript.originalName,
+        date: transcript.getMeetingDate().toISOString().split('T')[0],
+        attendees: this.describeTranscript(transcript).attendees,
+        // Meetings without a summary are represented by their transcript
+        source: summary ? 'summary' : 'transcript',
+        notes: summary ? summary.content : (transcript.content || '')
+      };
+    });
+
+    const items = await ActionItem.findAll({
+      where: { transcriptId: ordered.map(transcript => transcript.id) },
+      order: [['createdAt', 'ASC']]
+    });
+
+    return {
+      series: series.toApiJSON(),
+      meetings,
+      carryOver: this.buildCarryOver(items, ordered, window),
+      repeatedBlockers: this.findRepeatedBlockers(meetings)
+    };
+  }
+
+  /**
+   * Action items raised in the window, plus older ones still open, with how
+   * many meetings each has stayed open and whether it was completed
+   */
+  buildCarryOver(items, ordered, window) {
+    const positionOf = new Map(ordered.map((transcript, index) => [transcript.id, index]));
+    const windowStart = positionOf.get(window[0]?.id) ?? 0;
+    const latest = ordered.length - 1;
+
+    const tracked = items
+      .filter(item => item.isOpen() || positionOf.get(item.transcriptId) >= windowStart)
+      .map(item => {
+        const raisedAt = positionOf.get(item.transcriptId);
+        const raisedIn = ordered[raisedAt];
+        return {
+          id: item.id,
+          task: item.task,
+          owner: item.owner,
+          dueDate: item.dueDate,
+          dueText: item.dueText,
+          status: item.status,
+          overdue: item.isOverdue(),
+          raisedOn: raisedIn.getMeetingDate().toISOString().split('T')[0],
+          // Later meetings the item stayed open through
+          meetingsOpen: item.isOpen() ? latest - raisedAt : null,
+          timesCarriedOver: (item.mentions || []).filter(mention => mention.carriedOver).length,
+          timesMentioned: (item.mentions || []).length
+        };
+      });
+
+    return {
+      open: tracked.filter(item => item.status === 'open' || item.status === 'in_progress').length,
+      completed: tracked.filter(item => item.status === 'done').length,
+      carriedOver: tracked.filter(item => item.meetingsOpen > 0).length,
+      items: tracked
+    };
+  }
+
+  /**
+   * Blockers that came up in more than one meeting of the window
+   *
+   * @returns {Array} [{ text, meetings: [number], dates: [date], count }]
+   */
+  findRepeatedBlockers(meetings) {
+    const groups = [];
+
+    meetings.forEach(meeting => {
+      const blockers = meeting.notes
+        .split('\n')
+        // Headings ("## Blockers & Issues") and labels name the section, not a blocker
+        .filter(line => !/^\s*#/.test(line) && !/:\s*$/.test(line))
+        .map(line => line.replace(/^[\s>*•\-\d.)]+/, '').replace(/\s*\[(?:L\d+|\d{1,2}:\d{2})[^\]]*\]/g, '').trim())
+        .filter(line => line.length > 10 && BLOCKER_PATTERN.test(line));
+
+      blockers.forEach(text => {
+        const group = groups.find(candidate =>
+          candidate.texts.some(existing => this.textMatcher.similarity(existing, text) >= 0.5));
+
+        if (group) {
+          group.texts.push(text);
+          if (!group.meetings.includes(meeting.number)) {
+            group.meetings.push(meeting.number);
+            group.dates.push(meeting.date);
+          }
+        } else {
+          groups.push({ texts: [text], meetings: [meeting.number], dates: [meeting.date] });
+        }
+      });
+    });
+
+    return groups
+      .filter(group => group.meetings.length > 1)
+      .map(group => ({
+        text: group.texts[group.texts.length - 1].slice(0, 300),
+        meetings: group.meetings,
+        dates: group.dates,
+        count: group.meetings.length
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+}
+
+module.exports = MeetingSeriesService;
@@ -0,0 +1,280 @@
+/**
+ * OpenID Connect Service
+ *
+ * Authorization-code flow with PKCE against the configured identity provider:
+ * builds the authorization URL, exchanges the returned code for tokens,
+ * verifies the ID token against the provider's signing keys and turns its
+ * claims into an identity (account, workspace and role) to sign in with.
+ */
+
+const { createHash, createPublicKey, randomBytes, verify } = require('crypto');
+const { oidcConfig, isOidcEnabled, roleForGroups } = require('../config/oidc');
+const { ErrorTypes } = require('./errorHandler');
+
+// ID token signature algorithms and the digest each verifies with
+const SIGNING_ALGORITHMS = {
+  RS256: 'RSA-SHA256',
+  RS384: 'RSA-SHA384',
+  RS512: 'RSA-SHA512'
+};
+
+/**
+ * Error with the API status it maps to
+ */
+function oidcError(message, type, status, code) {
+  const error = new Error(message);
+  error.type = type;
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Random URL-safe value for state, nonce and PKCE verifiers
+ */
+const randomToken = () => randomBytes(32).toString('base64url');
+
+class OidcService {
+  constructor(config = oidcConfig) {
+    this.config = config;
+    this.metadata = null;
+    this.keys = null;
+  }
+
+  /**
+   * Whether single sign-on is configured
+   */
+  isEnabled() {
+    return isOidcEnabled();
+  }
+
+  /**
+   * Fetch a provider endpoint as JSON, failing with 502 when it is unreachable
+   */
+  async fetchJson(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const message = body.error_description || body.error || `HTTP ${response.status}`;
+        throw oidcError(`Identity provider rejected the request: ${message}`, ErrorTypes.AUTHENTICATION_ERROR, 401, 'SSO_REJECTED');
+      }
+      return body;
+    } catch (error) {
+      if (error.status) throw error;
+      throw oidcError(`Identity provider is unreachable: ${error.message}`, ErrorTypes.NETWORK_ERROR, 502, 'SSO_UNAVAILABLE');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * The provider's discovery document (cached)
+   */
+  async getMetadata() {
+    if (this.metadata) return this.metadata;
+
+    const metadata = await this.fetchJson(`${this.config.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer !== this.config.issuer) {
+      throw oidcError(`Discovery document is for issuer ${metadata.issuer}`, ErrorTypes.CONFIGURATION_ERROR, 502, 'SSO_UNAVAILABLE');
+    }
+
+    this.metadata = metadata;
+    return metadata;
+  }
+
+  /**
+   * Public key an ID token was signed with. The key set is fetched again once
+   * for an unknown key id, in case the provider rotated its keys.
+   */
+  async getSigningKey(kid) {
+    const findKey = () => (this.keys || []).find(key =>
+      key.kty === 'RSA' && (key.use || 'sig') === 'sig' && (!kid || key.kid === kid)
+    );
+
+    let jwk = findKey();
+    if (!jwk) {
+      const { jwks_uri: jwksUri } = await this.getMetadata();
+      this.keys = (await this.fetchJson(jwksUri)).keys || [];
+      jwk = findKey();
+    }
+
+    if (!jwk) {
+      throw oidcError('ID token was signed with an unknown key', ErrorTypes.AUTHENTICATION_ERROR, 401, 'SSO_INVALID_TOKEN');
+    }
+    return createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Start a sign-in: the values to keep with the session and the URL to send
+   * the browser to
+   *
+   * @returns {Promise<Object>} { state, nonce, codeVerifier, authorizationUrl }
+   */
+  async createLoginRequest() {
+    const metadata = await this.getMetadata();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      scope: this.config.scopes,
+      state,
+      nonce,
+      code_challenge: createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return { state, nonce, codeVerifier, authorizationUrl: url.toString() };
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   */
+  async exchangeCode(code, codeVerifier) {
+    const metadata = await this.getMetadata();
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.config.redirectUri,
+      code_verifier: codeVerifier,
+      client_id: this.config.clientId
+    });
+
+    if (this.config.clientSecret) {
+      const credentials = `${encodeURIComponent(this.config.clientId)}:${encodeURIComponent(this.config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await this.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers,
+      body: body.toString()
+    });
+
+    if (!tokens.id_token) {
+      throw oidcError('Identity provider returned no ID token', ErrorTypes.AUTHENTICATION_ERROR, 401, 'SSO_INVALID_TOKEN');
+    }
+    return tokens;
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, lifetime and nonce
+   *
+   * @returns {Promise<Object>} The token's claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const invalid = (reason) => oidcError(`Invalid ID token: ${reason}`, ErrorTypes.AUTHENTICATION_ERROR, 401, 'SSO_INVALID_TOKEN');
+    const parts = String(idToken).split('.');
+    if (parts.length !== 3) throw invalid('malformed');
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      throw invalid('malformed');
+    }
+
+    const digest = SIGNING_ALGORITHMS[header.alg];
+    if (!digest) throw invalid(`unsupported algorithm ${header.alg}`);
+
+    const key = await this.getSigningKey(header.kid);
+    const signed = verify(digest, Buffer.from(`${parts[0]}.${parts[1]}`), key, Buffer.from(parts[2], 'base64url'));
+    if (!signed) throw invalid('bad signature');
+
+    const now = Math.floor(Date.now() / 1000);
+    const skew = this.config.clockSkewSeconds;
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss !== this.config.issuer) throw invalid('wrong issuer');
+    if (!audiences.includes(this.config.clientId)) throw invalid('wrong audience');
+    if (audiences.length > 1 && claims.azp !== this.config.clientId) throw invalid('wrong authorized party');
+    if (!claims.exp || claims.exp + skew < now) throw invalid('expired');
+    if (claims.iat && claims.iat - skew > now) throw invalid('issued in the future');
+    if (claims.nonce !== nonce) throw invalid('nonce mismatch');
+    if (!claims.sub) throw invalid('no subject');
+
+    return claims;
+  }
+
+  /**
+   * Claims from the userinfo endpoint, for providers that leave groups out of
+   * the ID token
+   */
+  async fetchUserInfo(accessToken) {
+    const metadata = await this.getMetadata();
+    if (!metadata.userinfo_endpoint || !accessToken) return {};
+
+    return await this.fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+  }
+
+  /**
+   * Finish a sign-in from the provider's callback
+   *
+   * @param {Object} login - { code, codeVerifier, nonce }
+   * @returns {Promise<Object>} Identity, see describeIdentity
+   */
+  async completeLogin({ code, codeVerifier, nonce }) {
+    const tokens = await this.exchangeCode(code, codeVerifier);
+    let claims = await this.verifyIdToken(tokens.id_token, nonce);
+
+    if (claims[this.config.groupsClaim] === undefined) {
+      const userInfo = await this.fetchUserInfo(tokens.access_token);
+      // Userinfo claims only count for the subject the ID token names
+      if (userInfo.sub === claims.sub) {
+        claims = { ...userInfo, ...claims };
+      }
+    }
+
+    return this.describeIdentity(claims);
+  }
+
+  /**
+   * Map identity claims to the account, workspace and role to sign in with
+   *
+   * @returns {Object} { issuer, subject, email, emailVerified, name, groups,
+   *   workspaceKey, workspaceName, role } - role is null when no group grants access
+   */
+  describeIdentity(claims) {
+    const rawGroups = claims[this.config.groupsClaim];
+    const groups = (Array.isArray(rawGroups) ? rawGroups : rawGroups ? [rawGroups] : []).map(String);
+
+    let workspaceKey = this.config.issuer;
+    let workspaceName = this.config.workspaceName;
+    if (this.config.workspaceClaim) {
+      const workspaceValue = claims[this.config.workspaceClaim];
+      if (!workspaceValue) {
+        throw oidcError(`Identity has no ${this.config.workspaceClaim} claim to choose a workspace`, ErrorTypes.PERMISSION_ERROR, 403, 'SSO_NO_WORKSPACE');
+      }
+      workspaceKey = `${this.config.issuer}#${workspaceValue}`;
+      workspaceName = String(workspaceValue);
+    }
+
+    return {
+      issuer: this.config.issuer,
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || claims.preferred_username || null,
+      groups,
+      workspaceKey,
+      workspaceName,
+      role: roleForGroups(groups)
+    };
+  }
+}
+
+module.exports = OidcService;
@@ -6,7 +6,33 @@
  * Output limit: 32K tokens
  */
 
-const { getModelInfo } = require('../config/groq');
+const { getModelInfo } = require('../config/llm');
+const SummarySchema = require('./summarySchema');
+const PromptTemplates = require('./promptTemplates');
+
+// Appended to system prompts when transcript lines are numbered for citation
+const CITATION_GUIDELINES = `
+
+SOURCE CITATIONS:
+• Every transcript line starts with its line number in brackets, e.g. [L12]
+• End every bullet point, decision and action item with the line(s) that support it, e.g. [L12] or [L12-L15] or [L3, L40-L42]
+• Cite only line numbers that appear in the transcript; never invent them
+• Do not add line numbers to headings`;
+
+const CITATION_MERGE_GUIDELINES = `
+- Keep the [L..] line citations from the notes on every point you keep; when merging points, combine their citations`;
+
+// Skeleton of the structured summary shown to the model in JSON output mode
+const JSON_OUTPUT_EXAMPLE = {
+  schemaVersion: SummarySchema.SCHEMA_VERSION,
+  title: 'Short meeting title',
+  overview: 'Two to four sentences on the purpose and outcome of the meeting',
+  sections: [{ heading: 'Topic', points: [{ text: 'Key point', citations: ['L12'] }] }],
+  decisions: [{ text: 'What was decided', madeBy: 'Name or null', rationale: 'Why, as stated, or null', citations: ['L20-L22'] }],
+  actionItems: [{ task: 'What needs to be done', owner: 'Name or null', due: 'Deadline as stated or null', priority: 'high|medium|low|null', citations: ['L31'] }],
+  risks: [{ text: 'Risk or blocker', mitigation: 'Mitigation or null', citations: ['L40'] }],
+  openQuestions: [{ text: 'Unresolved question', owner: 'Name or null', citations: ['L44'] }]
+};
 
 class PromptEngine {
   constructor() {
@@ -23,6 +49,20 @@ class PromptEngine {
       this.systemPromptTokens - 
       this.formattingTokens - 
       this.safetyBuffer;
+
+    // Map-reduce settings for transcripts that exceed the context window
+    this.chunkTokens = Math.min(
+      parseInt(process.env.SUMMARY_CHUNK_TOKENS) || 16000,
+      this.maxTranscriptTokens
+    );
+    this.chunkOverlapTokens = parseInt(process.env.SUMMARY_CHUNK_OVERLAP_TOKENS) || 400;
+    this.chunkSummaryTokens = parseInt(process.env.SUMMARY_CHUNK_OUTPUT_TOKENS) || 1200;
+
+    // Ask the model to cite transcript lines for every summary point
+    this.citationsEnabled = process.env.SUMMARY_CITATIONS !== 'false';
+
+    // 'markdown' (free-form) or 'json' (structured summary schema)
+    this.defaultOutputFormat = process.env.SUMMARY_OUTPUT_FORMAT === 'json' ? 'json' : 'markdown';
   }
 
   /**
@@ -32,14 +72,28 @@ class PromptEngine {
     const {
       summaryStyle = 'executive',
       customInstructions = '',
-      transcriptMetadata = {}
+      transcriptMetadata = {},
+      citations = this.citationsEnabled,
+      outputFormat = this.defaultOutputFormat,
+      meetingType = null,
+      industry = null,
+      template = null,
+      length = null
     } = instructions;
 
-    // Get style-specific system prompt
-    const systemPrompt = this.getSystemPrompt(summaryStyle, customInstructions);
+    // Get style-specific system prompt (JSON mode carries its own citation rules)
+    const systemPrompt = this.getSystemPrompt(summaryStyle, customInstructions) +
+      this.getMeetingContextPrompt({ meetingType, industry, outputFormat, template }) +
+      this.getTemplatePrompt(template, outputFormat) +
+      this.getLengthPrompt(length) + (outputFormat === 'json' ?
+      this.getJSONOutputGuidelines(citations) :
+      (citations ? CITATION_GUIDELINES : ''));
     
-    // Format transcript with metadata
-    const formattedTranscript = this.formatTranscript(transcript, transcriptMetadata);
+    // Format transcript with metadata (numbered lines when citations are requested)
+    const formattedTranscript = this.formatTranscript(
+      citations ? this.numberTranscriptLines(transcript) : transcript,
+      transcriptMetadata
+    );
     
     // Build messages array for Groq API
     const messages = [
@@ -56,8 +110,205 @@ class PromptEngine {
     return {
       messages,
       estimatedTokens: this.estimateTokenCount(systemPrompt + formattedTranscript),
-      maxTokens: this.calculateOptimalMaxTokens(summaryStyle),
-      temperature: this.getOptimalTemperature(summaryStyle)
+      maxTokens: this.calculateOptimalMaxTokens(summaryStyle, length),
+      temperature: this.getOptimalTemperature(summaryStyle),
+      citations,
+      outputFormat,
+      length
+    };
+  }
+
+  /**
+   * Rebuild a single-pass prompt with strict grounding rules, listing the
+   * claims a previous draft made that the transcript does not support
+   */
+  buildStrictGroundingPrompt(promptData, unsupportedClaims = []) {
+    const notStatedRule = promptData.outputFormat === 'json' ?
+      'If an owner or deadline was not stated, set "owner" or "due" to null instead of guessing' :
+      'If an owner or deadline was not stated, write "Owner: not stated" or "Due: not stated" instead of guessing';
+    const claimList = unsupportedClaims
+      .slice(0, 20)
+      .map(claim => `• ${claim.text} (${claim.type})`)
+      .join('\n');
+
+    const strictRules = `
+
+STRICT GROUNDING (a previous draft failed this check):
+• Only mention people, owners, dates, times, numbers and email addresses that appear in the transcript or meeting metadata
+• ${notStatedRule}
+• Do not convert relative dates ("next Friday") into calendar dates
+• The previous draft included these details that are NOT in the transcript; remove or correct them:
+${claimList}`;
+
+    const messages = promptData.messages.map(message => (
+      message.role === 'system' ? { ...message, content: message.content + strictRules } : message
+    ));
+
+    return {
+      ...promptData,
+      messages,
+      estimatedTokens: promptData.estimatedTokens + this.estimateTokenCount(strictRules),
+      // Lowest temperature for the stricter attempt
+      temperature: Math.min(promptData.temperature, 0.05)
+    };
+  }
+
+  /**
+   * Ask the model to condense or expand a summary that missed its target
+   * length. Single-pass prompts continue the conversation so the transcript
+   * is still available; map-reduce summaries can only be condensed from the
+   * draft itself.
+   *
+   * @param {Object} promptData - Prompt (or map-reduce plan) the draft came from
+   * @param {string} draft - Summary that missed the target
+   * @param {Object} lengthCheck - ResponseProcessor#checkLength result
+   */
+  buildLengthAdjustmentPrompt(promptData, draft, lengthCheck) {
+    const { target, wordCount, status } = lengthCheck;
+    const condense = status === 'long';
+    const keepFormat = promptData.outputFormat === 'json' ?
+      'Respond with the complete revised JSON object in the same shape' :
+      'Keep the same headings, formatting and citation labels';
+
+    const request = condense ?
+      `Your summary is ${wordCount} words, far above the target of ${target.min}-${target.max} words. Condense it to ${target.min}-${target.max} words: merge related points and drop background detail, but keep every decision and action item with its owner and deadline. ${keepFormat}.` :
+      `Your summary is ${wordCount} words, far below the target of ${target.min}-${target.max} words. Expand it to ${target.min}-${target.max} words using only information from the transcript: add the context, reasoning and discussion points behind each item. Do not invent details. ${keepFormat}.`;
+
+    const messages = promptData.messages ?
+      [...promptData.messages, { role: 'assistant', content: draft }, { role: 'user', content: request }] :
+      [
+        {
+          role: 'system',
+          content: 'You edit meeting summaries to a target length. Keep their content accurate; never add information that is not already in the summary.'
+        },
+        { role: 'user', content: `${request}\n\nSUMMARY:\n${draft}` }
+      ];
+
+    const estimatedTokens = messages.reduce((sum, message) => sum + this.estimateTokenCount(message.content), 0);
+
+    return {
+      messages,
+      estimatedTokens,
+      maxTokens: promptData.instructions ?
+        this.calculateOptimalMaxTokens(promptData.instructions.summaryStyle, promptData.length) :
+        promptData.maxTokens,
+      temperature: promptData.temperature,
+      outputFormat: promptData.outputFormat
+    };
+  }
+
+  /**
+   * Send a summary back with reviewer feedback: the original summary prompt,
+   * the previous summary as the model's answer, then the feedback. A
+   * transcript too long to fit next to the summary is truncated (refining
+   * is a single call, not a map-reduce run).
+   *
+   * @param {string} transcript - Transcript content
+   * @param {Object} instructions - Same instructions as buildSummaryPrompt
+   * @param {string} previousSummary - Summary to revise (JSON text for structured summaries)
+   * @param {string} feedback - Reviewer feedback
+   */
+  buildRefinePrompt(transcript, instructions, previousSummary, feedback) {
+    const outputFormat = instructions.outputFormat || this.defaultOutputFormat;
+    const keepFormat = outputFormat === 'json' ?
+      'Respond with the complete revised JSON object in the same shape' :
+      'Keep the same headings, formatting and citation labels unless the feedback asks otherwise, and respond with the complete revised summary';
+
+    let request = `REVIEWER FEEDBACK ON YOUR SUMMARY:
+${feedback}
+
+Revise your summary to address this feedback. Change what the feedback asks for and keep everything else as it is. Use only information from the transcript: if the feedback asks for something the transcript does not support, leave it out rather than inventing it. ${keepFormat}.`;
+
+    // Leave room for the previous summary, the feedback and the answer
+    const maxTokens = this.calculateOptimalMaxTokens(instructions.summaryStyle || 'executive', instructions.length);
+    const transcriptBudget = Math.max(2000,
+      this.maxTranscriptTokens - maxTokens - this.estimateTokenCount(previousSummary + request));
+
+    let content = transcript;
+    if (this.estimateTokenCount(transcript) > transcriptBudget) {
+      content = this.intelligentTruncate(transcript, transcriptBudget * 4);
+      request += '\n\nThe transcript above was truncated to fit; keep the points of your summary it no longer covers unless the feedback says otherwise.';
+    }
+
+    const basePrompt = this.buildSummaryPrompt(content, { ...instructions, outputFormat });
+    const messages = [
+      ...basePrompt.messages,
+      { role: 'assistant', content: previousSummary },
+      { role: 'user', content: request }
+    ];
+
+    return {
+      ...basePrompt,
+      messages,
+      estimatedTokens: messages.reduce((sum, message) => sum + this.estimateTokenCount(message.content), 0),
+      maxTokens
+    };
+  }
+
+  /**
+   * Prefix each transcript line with its 1-based line number ("[L12] ...").
+   * Blank lines keep their number so citations map back to `content` lines.
+   */
+  numberTranscriptLines(transcript) {
+    return transcript
+      .split('\n')
+      .map((line, index) => (line.trim() ? `[L${index + 1}] ${line}` : line))
+      .join('\n');
+  }
+
+  /**
+   * Output rules for structured (JSON) summaries; they replace the
+   * markdown formatting rules of the style prompt
+   */
+  getJSONOutputGuidelines(citations = this.citationsEnabled) {
+    let guidelines = `
+
+OUTPUT FORMAT (overrides the formatting requirements above):
+• Respond with ONE JSON object and nothing else: no markdown, no code fences, no commentary
+• Follow this shape exactly (schema version ${SummarySchema.SCHEMA_VERSION}):
+${JSON.stringify(JSON_OUTPUT_EXAMPLE, null, 2)}
+• Use sections for the topics discussed, in meeting order; apply the summary style to what you include
+• Every array is required; use [] when there is nothing to report
+• Use null for an owner, due date, priority or mitigation that was not stated; never guess
+• Keep due dates as stated in the meeting ("next Friday", "end of Q3")
+• Plain text only inside strings: no bullet characters, headings or bold markers`;
+
+    if (citations) {
+      guidelines += `
+• Transcript lines are marked with their line number, e.g. [L12]. Put the labels that support each point, decision, action item, risk and question in its "citations" array, e.g. ["L12"] or ["L12-L15", "L40"]
+• Cite only line numbers that appear in the input; never invent them`;
+    } else {
+      guidelines += `
+• Leave every "citations" array empty`;
+    }
+
+    return guidelines;
+  }
+
+  /**
+   * Ask the model to fix structured output that failed to parse or validate.
+   * The transcript is not resent; only the broken output and the errors.
+   */
+  buildJSONRepairPrompt(rawContent, errors = [], options = {}) {
+    const { citations = this.citationsEnabled, maxTokens = this.calculateOptimalMaxTokens('custom') } = options;
+
+    const systemPrompt = `You repair meeting summaries that were supposed to be JSON. Keep the content of the summary; only fix its structure.${this.getJSONOutputGuidelines(citations)}`;
+    const userContent = `This output failed validation:
+${errors.slice(0, 10).map(error => `• ${error}`).join('\n')}
+
+OUTPUT TO REPAIR:
+${rawContent}`;
+
+    return {
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userContent }
+      ],
+      estimatedTokens: this.estimateTokenCount(systemPrompt + userContent),
+      maxTokens,
+      temperature: 0,
+      citations,
+      outputFormat: 'json'
     };
   }
 
@@ -157,6 +408,72 @@ IMPORTANT GUIDELINES:
     return finalPrompt;
   }
 
+  /**
+   * Meeting type focus and industry context for a detected or chosen
+   * template. The meeting type's suggested sections only apply to markdown
+   * without a summary template of its own sections; JSON output follows the
+   * summary schema instead.
+   */
+  getMeetingContextPrompt({ meetingType, industry, outputFormat, template } = {}) {
+    const meetingTemplate = meetingType && PromptTemplates.getMeetingTypeTemplates()[meetingType];
+    const industryTemplate = industry && PromptTemplates.getIndustryTemplates()[industry];
+    let prompt = '';
+
+    if (meetingTemplate) {
+      prompt += `\n${meetingTemplate.additionalInstructions}`;
+      if (outputFormat !== 'json' && !template?.sections?.length) {
+        prompt += `\n\nSUGGESTED SECTIONS FOR A ${meetingTemplate.name.toUpperCase()} (use where the transcript has content for them):${meetingTemplate.suggestedFormat}`;
+      }
+    }
+
+    if (industryTemplate) {
+      prompt += `\n\nINDUSTRY CONTEXT (${industryTemplate.name}):\n${industryTemplate.additionalContext}`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Instructions of a user-defined summary template: its prompt fragment
+   * and section outline (its target length is applied as the summary length).
+   * In JSON mode the schema fixes the layout, so the sections only say what
+   * to cover.
+   *
+   * @param {Object} template - SummaryTemplate#toPromptJSON()
+   */
+  getTemplatePrompt(template, outputFormat) {
+    if (!template) return '';
+
+    let prompt = `\n\nSUMMARY TEMPLATE: ${template.name}`;
+
+    if (template.promptFragment && template.promptFragment.trim()) {
+      prompt += `\n${template.promptFragment.trim()}`;
+    }
+
+    if (template.sections && template.sections.length > 0) {
+      prompt += outputFormat === 'json' ?
+        '\n\nMake sure the summary covers:\n' :
+        '\n\nREQUIRED SECTIONS (use these ## headings, in this order; write "None discussed" under a section the meeting did not cover):\n';
+      prompt += template.sections.map(section => `• ${section}`).join('\n');
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Target word count and quality guidelines of a length tier
+   * (brief, standard, comprehensive)
+   */
+  getLengthPrompt(length) {
+    const guidelines = length && PromptTemplates.getQualityGuidelines()[length];
+    if (!guidelines) return '';
+
+    return `
+
+TARGET LENGTH: ${guidelines.targetWords} words (excluding citation labels)
+${guidelines.guidelines.map(guideline => `• ${guideline}`).join('\n')}`;
+  }
+
   /**
    * Format transcript with metadata for optimal processing
    */
@@ -209,6 +526,458 @@ IMPORTANT GUIDELINES:
     return content.substring(0, targetLength);
   }
 
+  /**
+   * Check whether a transcript is too large for a single prompt
+   */
+  requiresChunking(transcript, metadata = {}) {
+    const headerTokens = this.estimateTokenCount(JSON.stringify(metadata));
+    return this.estimateTokenCount(transcript) + headerTokens > this.maxTranscriptTokens;
+  }
+
+  /**
+   * Split transcript into overlapping chunks on line/sentence boundaries
+   */
+  chunkTranscript(transcript, options = {}) {
+    const chunkChars = (options.chunkTokens || this.chunkTokens) * 4;
+    const overlapChars = (options.overlapTokens ?? this.chunkOverlapTokens) * 4;
+
+    // Break the transcript into units that never exceed a chunk on their own
+    const units = [];
+    let offset = 0;
+    for (const line of transcript.split('\n')) {
+      const pieces = line.length > chunkChars ? this.splitLongLine(line, chunkChars) : [line];
+      for (const piece of pieces) {
+        units.push({ text: piece, start: offset });
+        offset += piece.length;
+      }
+      offset += 1; // newline
+    }
+
+    const chunks = [];
+    let current = [];
+    let currentLength = 0;
+
+    const flush = () => {
+      const first = current[0];
+      const last = current[current.length - 1];
+      chunks.push({
+        index: chunks.length,
+        text: current.map(u => u.text).join('\n'),
+        startOffset: first.start,
+        endOffset: last.start + last.text.length
+      });
+    };
+
+    for (const unit of units) {
+      if (currentLength + unit.text.length + 1 > chunkChars && current.length > 0) {
+        flush();
+
+        // Carry trailing units into the next chunk so context spans the boundary
+        const overlap = [];
+        let overlapLength = 0;
+        for (let i = current.length - 1; i >= 0; i--) {
+          overlapLength += current[i].text.length + 1;
+          if (overlapLength > overlapChars) break;
+          overlap.unshift(current[i]);
+        }
+        const overlapSize = overlap.reduce((sum, u) => sum + u.text.length + 1, 0);
+        if (overlapSize + unit.text.length + 1 > chunkChars) {
+          current = [];
+          currentLength = 0;
+        } else {
+          current = overlap;
+          currentLength = overlapSize;
+        }
+      }
+
+      current.push(unit);
+      currentLength += unit.text.length + 1;
+    }
+
+    if (current.length > 0) {
+      flush();
+    }
+
+    return chunks.map(chunk => ({
+      ...chunk,
+      total: chunks.length,
+      estimatedTokens: this.estimateTokenCount(chunk.text)
+    }));
+  }
+
+  /**
+   * Split a single oversized line at sentence boundaries, then by length
+   */
+  splitLongLine(line, maxChars) {
+    const pieces = [];
+    let buffer = '';
+
+    for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+      if (buffer && buffer.length + sentence.length + 1 > maxChars) {
+        pieces.push(buffer);
+        buffer = '';
+      }
+
+      let remaining = sentence;
+      while (remaining.length > maxChars) {
+        pieces.push(remaining.substring(0, maxChars));
+        remaining = remaining.substring(maxChars);
+      }
+      buffer = buffer ? `${buffer} ${remaining}` : remaining;
+    }
+
+    if (buffer) pieces.push(buffer);
+    return pieces;
+  }
+
+  /**
+   * Build map-phase prompts for an oversized transcript
+   */
+  buildMapReducePrompts(transcript, instructions = {}) {
+    const {
+      summaryStyle = 'executive',
+      customInstructions = '',
+      transcriptMetadata = {},
+      citations = this.citationsEnabled,
+      outputFormat = this.defaultOutputFormat,
+      meetingType = null,
+      industry = null,
+      template = null,
+      length = null
+    } = instructions;
+
+    // Number lines before chunking so citations refer to the whole transcript
+    const chunks = this.chunkTranscript(citations ? this.numberTranscriptLines(transcript) : transcript);
+    const systemPrompt = this.getChunkSystemPrompt(summaryStyle, customInstructions) +
+      (citations ? CITATION_GUIDELINES : '');
+
+    const mapPrompts = chunks.map(chunk => {
+      const userContent = this.formatTranscriptChunk(chunk, transcriptMetadata);
+      return {
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userContent }
+        ],
+        estimatedTokens: this.estimateTokenCount(systemPrompt + userContent),
+        maxTokens: Math.min(this.chunkSummaryTokens, this.maxOutputTokens),
+        temperature: this.getOptimalTemperature(summaryStyle),
+        chunk: {
+          index: chunk.index,
+          total: chunk.total,
+          startOffset: chunk.startOffset,
+          endOffset: chunk.endOffset,
+          estimatedTokens: chunk.estimatedTokens
+        }
+      };
+    });
+
+    // Reduce input is bounded by the partial summaries the map phase can produce
+    const reduceInputTokens = mapPrompts.length * this.chunkSummaryTokens +
+      this.estimateTokenCount(this.getSystemPrompt(summaryStyle, customInstructions));
+    const reduceOutputTokens = this.calculateOptimalMaxTokens(summaryStyle, length);
+
+    return {
+      strategy: 'map-reduce',
+      mapPrompts,
+      // Map notes are always markdown; only the final reduce uses the output format
+      instructions: { summaryStyle, customInstructions, transcriptMetadata, citations, outputFormat, meetingType, industry, template, length },
+      outputFormat,
+      length,
+      estimatedTokens: mapPrompts.reduce((sum, p) => sum + p.estimatedTokens, 0) + reduceInputTokens,
+      maxTokens: mapPrompts.reduce((sum, p) => sum + p.maxTokens, 0) + reduceOutputTokens,
+      temperature: this.getOptimalTemperature(summaryStyle)
+    };
+  }
+
+  /**
+   * System prompt for summarizing a single chunk of a longer meeting
+   */
+  getChunkSystemPrompt(summaryStyle, customInstructions) {
+    let prompt = `You are an expert meeting summarizer working on one part of a long meeting transcript that has been split into sequential parts. Your notes will later be merged with notes from the other parts into a single ${summaryStyle} summary.
+
+FOR THIS PART, CAPTURE:
+• Topics discussed and the key points made
+• Decisions made, with who made them
+• Action items with owners and deadlines exactly as stated
+• Risks, blockers and open questions
+• Important numbers, dates and commitments
+
+RULES:
+• Only report what appears in this part of the transcript
+• Do not write an introduction or conclusion for the whole meeting
+• The start of this part may repeat the end of the previous part; do not treat repeated lines as new information
+• Use clean bullet points (•) grouped under short ## headings`;
+
+    if (customInstructions && customInstructions.trim()) {
+      prompt += `
+
+The final summary must follow these instructions, so capture any details they require:
+${customInstructions.trim()}`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Format a transcript chunk with metadata and position
+   */
+  formatTranscriptChunk(chunk, metadata = {}) {
+    let formattedContent = '';
+
+    if (Object.keys(metadata).length > 0) {
+      formattedContent += 'MEETING METADATA:\n';
+
+      if (metadata.date) formattedContent += `Date: ${metadata.date}\n`;
+      if (metadata.attendees) formattedContent += `Attendees: ${metadata.attendees}\n`;
+      if (metadata.duration) formattedContent += `Duration: ${metadata.duration}\n`;
+      if (metadata.meetingType) formattedContent += `Type: ${metadata.meetingType}\n`;
+
+      formattedContent += '\n';
+    }
+
+    formattedContent += `MEETING TRANSCRIPT (PART ${chunk.index + 1} OF ${chunk.total}):\n`;
+    formattedContent += chunk.text;
+
+    return formattedContent;
+  }
+
+  /**
+   * Group partial summaries so each group fits in a single reduce prompt
+   */
+  groupPartialSummaries(partials) {
+    const groups = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const partial of partials) {
+      const tokens = this.estimateTokenCount(partial);
+      if (currentTokens + tokens > this.maxTranscriptTokens && current.length > 0) {
+        groups.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(partial);
+      currentTokens += tokens;
+    }
+
+    if (current.length > 0) groups.push(current);
+    return groups;
+  }
+
+  /**
+   * Build reduce-phase prompt that merges partial summaries
+   *
+   * When `final` is false the result is an intermediate merge that feeds
+   * another reduce pass, so it keeps detail instead of applying the style.
+   */
+  buildReducePrompt(partials, instructions = {}, options = {}) {
+    const {
+      summaryStyle = 'executive',
+      customInstructions = '',
+      transcriptMetadata = {},
+      citations = this.citationsEnabled,
+      outputFormat = this.defaultOutputFormat,
+      meetingType = null,
+      industry = null,
+      template = null,
+      length = null
+    } = instructions;
+    const { final = true } = options;
+    const structured = final && outputFormat === 'json';
+
+    let systemPrompt;
+    if (final) {
+      systemPrompt = this.getSystemPrompt(summaryStyle, customInstructions) +
+        this.getMeetingContextPrompt({ meetingType, industry, outputFormat, template }) +
+        this.getTemplatePrompt(template, outputFormat) +
+        this.getLengthPrompt(length) + `
+
+MERGING PARTIAL SUMMARIES:
+- The input is a set of notes, each covering one consecutive part of the same meeting
+- Combine them into ONE summary of the whole meeting in the style described above
+- Merge duplicate points that appear in neighbouring parts
+- Keep every decision and action item, with owners and deadlines
+- When later parts revise earlier statements, report the final outcome`;
+    } else {
+      systemPrompt = `You are merging notes from consecutive parts of one long meeting. Combine them into a single set of notes that keeps every topic, decision, action item (with owner and deadline), risk and open question. Merge duplicates from overlapping parts. Use clean bullet points (•) grouped under short ## headings.`;
+    }
+
+    if (structured) {
+      systemPrompt += this.getJSONOutputGuidelines(citations);
+    } else if (citations) {
+      systemPrompt += CITATION_MERGE_GUIDELINES;
+    }
+
+    let userContent = '';
+    if (transcriptMetadata.date) userContent += `Date: ${transcriptMetadata.date}\n`;
+    if (transcriptMetadata.attendees) userContent += `Attendees: ${transcriptMetadata.attendees}\n`;
+    if (transcriptMetadata.duration) userContent += `Duration: ${transcriptMetadata.duration}\n`;
+    if (userContent) userContent = `MEETING METADATA:\n${userContent}\n`;
+
+    userContent += `PARTIAL SUMMARIES (${partials.length} parts, in meeting order):\n`;
+    partials.forEach((partial, index) => {
+      userContent += `\n--- PART ${index + 1} OF ${partials.length} ---\n${partial.trim()}\n`;
+    });
+
+    return {
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userContent }
+      ],
+      estimatedTokens: this.estimateTokenCount(systemPrompt + userContent),
+      maxTokens: final ?
+        this.calculateOptimalMaxTokens(summaryStyle, length) :
+        Math.min(this.chunkSummaryTokens * 2, this.maxOutputTokens),
+      temperature: this.getOptimalTemperature(summaryStyle),
+      outputFormat: structured ? 'json' : 'markdown'
+    };
+  }
+
+  /**
+   * Build a roll-up prompt across the latest meetings of a recurring series.
+   * The series' meeting type template (standup, retrospective, ...) supplies
+   * the focus and base format; roll-up sections for recurring blockers,
+   * action item carry-over and trends are added on top.
+   *
+   * @param {Object} input - MeetingSeriesService.gatherRollupInput() result
+   */
+  buildRollupPrompt(input, options = {}) {
+    const { series, meetings, carryOver, repeatedBlockers } = input;
+    const meetingType = options.meetingType || series.meetingType;
+    const template = PromptTemplates.getMeetingTypeTemplates()[meetingType];
+    const maxTokens = Math.min(2500, this.maxOutputTokens);
+
+    let systemPrompt = `You are an expert meeting analyst writing a roll-up summary of a recurring meeting series${template ? ` (${template.name})` : ''}. The input holds the notes of the last ${meetings.length} meetings, oldest first, plus the action item register and blockers that were raised more than once.
+
+ROLL-UP FOCUS:
+• Progress made across the meetings, by person or workstream, not meeting by meeting
+• Blockers that came up in more than one meeting, and whether they were resolved
+• Action items carried over from meeting to meeting, and which were completed
+• Trends worth attention: recurring themes, slipping deadlines, growing or shrinking scope
+• Use only the notes provided; do not invent names, dates or figures`;
+
+    if (template) {
+      systemPrompt += `\n${template.additionalInstructions}`;
+    }
+
+    systemPrompt += `
+
+FORMAT (markdown, clean bullet points):${template ? template.suggestedFormat : `
+## Progress
+• [Person or workstream]: [What moved forward across the meetings]`}
+
+## Recurring Blockers
+• [Blocker] - Raised in [N] meetings - [Resolved / still open]
+
+## Action Item Carry-over
+• [Task] - Owner: [Name] - Open for [N] meetings - [Status]
+
+## Trends
+• [Observation across the meetings]`;
+
+    // Split the context left after the prompt, register and answer between the meetings
+    const notesBudgetChars = Math.max(2000, (this.maxTranscriptTokens - maxTokens - 1500) * 4);
+    const perMeetingChars = Math.floor(notesBudgetChars / Math.max(1, meetings.length));
+
+    let userContent = `SERIES: ${series.name}${meetingType ? ` (${meetingType})` : ''}\n`;
+    if (series.attendees?.length > 0) userContent += `Attendees: ${series.attendees.join(', ')}\n`;
+
+    meetings.forEach(meeting => {
+      const notes = this.intelligentTruncate(meeting.notes, perMeetingChars);
+      userContent += `\n--- MEETING ${meeting.number} OF ${meetings.length}: ${meeting.date} — ${meeting.title} (${meeting.source === 'summary' ? 'summary' : 'transcript'}) ---\n${notes.trim()}\n`;
+    });
+
+    if (carryOver.items.length > 0) {
+      userContent += `\nACTION ITEM REGISTER (${carryOver.open} open, ${carryOver.completed} completed):\n`;
+      carryOver.items.forEach(item => {
+        const openFor = item.meetingsOpen > 0 ? `, open for ${item.meetingsOpen} later meeting${item.meetingsOpen === 1 ? '' : 's'}` : '';
+        userContent += `• [${item.status}${openFor}] ${item.task} - Owner: ${item.owner || 'not stated'} - Due: ${item.dueText || item.dueDate || 'not stated'} - Raised: ${item.raisedOn}${item.overdue ? ' - OVERDUE' : ''}\n`;
+      });
+    }
+
+    if (repeatedBlockers.length > 0) {
+      userContent += `\nBLOCKERS RAISED IN MORE THAN ONE MEETING:\n`;
+      repeatedBlockers.forEach(blocker => {
+        userContent += `• ${blocker.text} (meetings ${blocker.meetings.join(', ')})\n`;
+      });
+    }
+
+    return {
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userContent }
+      ],
+      estimatedTokens: this.estimateTokenCount(systemPrompt + userContent),
+      maxTokens,
+      temperature: this.getOptimalTemperature('detailed'),
+      outputFormat: 'markdown'
+    };
+  }
+
+  /**
+   * Build a prompt answering a question about one meeting from retrieved
+   * transcript passages, the meeting's summary and the conversation so far
+   *
+   * @param {Object} input
+   * @param {string} input.question - Question to answer
+   * @param {string} input.transcript - Full transcript content (passages are cut from it)
+   * @param {Array} input.passages - [{ startLine, endLine }] from TranscriptChat.retrievePassages
+   * @param {Array} input.history - Earlier messages ({ role, content }), oldest first
+   * @param {string} input.summary - Latest summary of the meeting, if any
+   * @param {Object} input.metadata - Meeting metadata (title, date, attendees)
+   */
+  buildChatPrompt({ question, transcript, passages = [], history = [], summary = null, metadata = {} }) {
+    const maxTokens = Math.min(800, this.maxOutputTokens);
+
+    const systemPrompt = `You are a meeting assistant answering questions about a single meeting. You are given excerpts of its transcript, selected for the question, and possibly a summary of the meeting.
+
+ANSWERING RULES:
+• Answer only from the transcript excerpts and the summary; never add names, dates, figures or decisions that are not in them
+• If the excerpts do not cover the question, say that the transcript does not mention it rather than guessing
+• Be concise: a direct answer first, then supporting detail as short bullet points when needed
+• Earlier questions and answers are context for follow-up questions; the transcript is the authority when they disagree
+
+SOURCE CITATIONS:
+• Every transcript line starts with its line number in brackets, e.g. [L12]
+• Cite the line(s) supporting each statement at the end of its sentence or bullet, e.g. [L12] or [L12-L15] or [L3, L40-L42]
+• Cite only line numbers that appear in the excerpts or the summary; never invent them`;
+
+    // Passages keep their transcript line numbers so citations map back to `content` lines
+    const numberedLines = this.numberTranscriptLines(transcript).split('\n');
+    const excerpts = passages.map(({ startLine, endLine }) =>
+      `--- LINES ${startLine}-${endLine} ---\n${numberedLines.slice(startLine - 1, endLine).join('\n').trim()}`);
+
+    let context = 'MEETING:';
+    if (metadata.meetingTitle) context += ` ${metadata.meetingTitle}`;
+    if (metadata.filename) context += ` (${metadata.filename})`;
+    if (metadata.date) context += `\nDate: ${metadata.date}`;
+    if (metadata.attendees) context += `\nAttendees: ${metadata.attendees}`;
+
+    context += excerpts.length > 0 ?
+      `\n\nTRANSCRIPT EXCERPTS:\n${excerpts.join('\n\n')}` :
+      '\n\nTRANSCRIPT EXCERPTS:\n(No transcript lines matched this question.)';
+
+    if (summary) {
+      context += `\n\nMEETING SUMMARY:\n${this.intelligentTruncate(summary, 6000).trim()}`;
+    }
+
+    const userContent = `${context}\n\nQUESTION:\n${question}`;
+    const historyMessages = history.map(message => ({ role: message.role, content: message.content }));
+
+    return {
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...historyMessages,
+        { role: 'user', content: userContent }
+      ],
+      estimatedTokens: this.estimateTokenCount(systemPrompt + userContent +
+        historyMessages.map(message => message.content).join('')),
+      maxTokens,
+      temperature: this.getOptimalTemperature('action-items'),
+      outputFormat: 'markdown'
+    };
+  }
+
   /**
    * Estimate token count (rough approximation: 1 token ≈ 4 characters)
    */
@@ -219,7 +988,14 @@ IMPORTANT GUIDELINES:
   /**
    * Calculate optimal max_tokens based on summary style
    */
-  calculateOptimalMaxTokens(summaryStyle) {
+  calculateOptimalMaxTokens(summaryStyle, length = null) {
+    // A length tier sizes the budget from its word ceiling: ~1.33 tokens a word,
+    // doubled for markdown, citation labels and JSON keys
+    const wordRange = length && PromptTemplates.getTargetWordRange(length);
+    if (wordRange) {
+      return Math.min(Math.ceil(wordRange.max * 2) + 200, this.maxOutputTokens);
+    }
+
     const styleTokenLimits = {
       executive: 1500,    // Concise executive summary
       'action-items': 2000, // Detailed action items
@@ -304,6 +1080,10 @@ IMPORTANT GUIDELINES:
    * Get prompt statistics for monitoring and optimization
    */
   getPromptStats(promptData) {
+    if (promptData.strategy === 'map-reduce') {
+      return this.getMapReduceStats(promptData);
+    }
+
     const { messages, estimatedTokens, maxTokens } = promptData;
 
     const systemPromptContent = messages.find(m => m.role === 'system')?.content || '';
@@ -324,11 +1104,32 @@ IMPORTANT GUIDELINES:
   }
 
   /**
-   * Estimate cost for the prompt
+   * Get aggregate statistics for a map-reduce plan
+   */
+  getMapReduceStats(plan) {
+    const { mapPrompts, estimatedTokens, maxTokens } = plan;
+
+    return {
+      strategy: 'map-reduce',
+      chunkCount: mapPrompts.length,
+      chunkTokens: this.chunkTokens,
+      chunkOverlapTokens: this.chunkOverlapTokens,
+      totalEstimatedTokens: estimatedTokens,
+      systemPromptTokens: this.estimateTokenCount(mapPrompts[0]?.messages[0]?.content || ''),
+      userPromptTokens: mapPrompts.reduce((sum, p) => sum + p.chunk.estimatedTokens, 0),
+      maxOutputTokens: maxTokens,
+      contextUtilization: (Math.max(...mapPrompts.map(p => p.estimatedTokens)) / this.maxContextTokens * 100).toFixed(1) + '%',
+      outputUtilization: (this.calculateOptimalMaxTokens(plan.instructions.summaryStyle) / this.maxOutputTokens * 100).toFixed(1) + '%',
+      estimatedCost: this.estimateCost(estimatedTokens, maxTokens)
+    };
+  }
+
+  /**
+   * Estimate cost for the prompt (on the primary model unless another is given)
    */
-  estimateCost(inputTokens, outputTokens) {
-    const inputCost = (inputTokens / 1000) * this.modelInfo.costPer1KTokens.input;
-    const outputCost = (outputTokens / 1000) * this.modelInfo.costPer1KTokens.output;
+  estimateCost(inputTokens, outputTokens, modelInfo = this.modelInfo) {
+    const inputCost = (inputTokens / 1000) * modelInfo.costPer1KTokens.input;
+    const outputCost = (outputTokens / 1000) * modelInfo.costPer1KTokens.output;
     return inputCost + outputCost;
   }
 }
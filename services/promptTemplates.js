@@ -100,7 +100,7 @@ Be extremely specific about who does what by when.`,
 
 ## Pending Decisions
 • [Decision requiring input] - Owner: [Name] - Due: [Date] - Stakeholders: [Who needs to be involved]
-• [Strategic decision point] - Owner: [Name] - Due: [Date] - Stakeholders: [Who needs to be involved]`
+• [Strategic decision point] - Owner: [Name] - Due: [Date] - Stakeholders: [Who needs to be involved]
 
 ## Follow-up Required
 • [Item] - Next step: [Action] - By: [Date]`
@@ -187,6 +187,7 @@ Preserve important nuances and different viewpoints discussed.`,
     return {
       standup: {
         name: 'Daily Standup',
+        keywords: ['yesterday', 'today', 'blocker', 'blocked', 'standup', 'working on', 'impediment'],
         additionalInstructions: `
 STANDUP MEETING FOCUS:
 - What was accomplished since last meeting
@@ -207,6 +208,7 @@ STANDUP MEETING FOCUS:
 
       retrospective: {
         name: 'Sprint Retrospective',
+        keywords: ['went well', 'retro', 'retrospective', 'improve', 'start doing', 'stop doing', 'lessons'],
         additionalInstructions: `
 RETROSPECTIVE FOCUS:
 - What went well (continue doing)
@@ -230,6 +232,7 @@ RETROSPECTIVE FOCUS:
 
       planning: {
         name: 'Planning Meeting',
+        keywords: ['plan', 'roadmap', 'milestone', 'estimate', 'priority', 'scope', 'timeline', 'capacity'],
         additionalInstructions: `
 PLANNING MEETING FOCUS:
 - Goals and objectives defined
@@ -254,6 +257,7 @@ PLANNING MEETING FOCUS:
 
       review: {
         name: 'Review Meeting',
+        keywords: ['review', 'demo', 'results', 'metrics', 'target', 'approve', 'outcome'],
         additionalInstructions: `
 REVIEW MEETING FOCUS:
 - Performance against goals
@@ -352,6 +356,17 @@ REVIEW MEETING FOCUS:
     };
   }
 
+  /**
+   * Target word range of a quality guideline tier ('100-300' becomes { min: 100, max: 300 })
+   */
+  static getTargetWordRange(length) {
+    const guidelines = this.getQualityGuidelines()[length];
+    if (!guidelines) return null;
+
+    const [min, max] = guidelines.targetWords.split('-').map(Number);
+    return { min, max };
+  }
+
   /**
    * Get formatting guidelines
    */
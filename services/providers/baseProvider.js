@@ -0,0 +1,111 @@
+/**
+ * Base LLM Provider
+ *
+ * Common contract for chat completion backends. Providers accept a
+ * normalized request and resolve with a normalized result so the summary
+ * pipeline never touches an SDK directly.
+ */
+
+const { ErrorTypes } = require('../errorHandler');
+
+class LLMProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.displayName = name;
+  }
+
+  /**
+   * Run a chat completion
+   *
+   * @param {Object} request - { model, messages, maxTokens, temperature, topP, frequencyPenalty, presencePenalty, responseFormat }
+   *   responseFormat 'json' asks the backend to constrain output to a JSON object
+   * @param {Object} options
+   * @param {Function} options.onDelta - Stream the completion and forward each token delta
+   * @returns {Promise<Object>} { content, usage, model, requestId, finishReason, provider }
+   */
+  async complete(request, options = {}) {
+    throw new Error(`${this.displayName} provider does not implement complete()`);
+  }
+
+  /**
+   * Embed texts for semantic search
+   *
+   * @param {Object} request - { model, input: [text] }
+   * @returns {Promise<Object>} { embeddings: [[number]], model, usage, provider }
+   */
+  async embed(request) {
+    throw new Error(`${this.displayName} provider does not support embeddings`);
+  }
+
+  /**
+   * Whether the provider has the settings it needs to make calls
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Build the normalized result and reject empty completions
+   */
+  buildResult(completion) {
+    if (!completion.choices || completion.choices.length === 0) {
+      throw new Error(`No completion choices returned from ${this.displayName}`);
+    }
+
+    const content = completion.choices[0]?.message?.content;
+    if (!content || content.trim().length === 0) {
+      throw new Error(`Empty content returned from ${this.displayName}`);
+    }
+
+    return {
+      content: content.trim(),
+      usage: completion.usage,
+      model: completion.model,
+      requestId: completion.id,
+      finishReason: completion.choices[0]?.finish_reason,
+      provider: this.name
+    };
+  }
+
+  /**
+   * Map transport and HTTP failures onto application error types
+   */
+  normalizeError(error) {
+    let normalized;
+
+    if (error.status === 429) {
+      normalized = new Error('Rate limit exceeded. Please try again in a moment.');
+      normalized.type = ErrorTypes.RATE_LIMIT_ERROR;
+      normalized.status = 429;
+    } else if (error.status === 401 || error.status === 403) {
+      normalized = new Error(`Invalid API key. Please check your ${this.displayName} configuration.`);
+      normalized.type = ErrorTypes.AUTHENTICATION_ERROR;
+      normalized.status = error.status;
+    } else if (error.status === 400) {
+      normalized = new Error(`Invalid request: ${error.error?.message || error.message}`);
+      normalized.type = ErrorTypes.VALIDATION_ERROR;
+      normalized.status = 400;
+    } else if (error.status >= 500) {
+      normalized = new Error(`${this.displayName} service temporarily unavailable. Please try again.`);
+      normalized.type = ErrorTypes.SERVICE_UNAVAILABLE;
+      normalized.status = error.status;
+    } else if (['ECONNREFUSED', 'ENOTFOUND'].includes(error.code || error.cause?.code) || error.message === 'fetch failed') {
+      normalized = new Error('Network connection failed. Please check your internet connection.');
+      normalized.type = ErrorTypes.NETWORK_ERROR;
+      normalized.code = error.code || error.cause?.code;
+    } else if (error.code === 'ETIMEDOUT' || error.name === 'AbortError' || error.message?.includes('timeout')) {
+      normalized = new Error('Request timed out. Please try again.');
+      normalized.type = ErrorTypes.TIMEOUT_ERROR;
+    } else {
+      // Default API error
+      normalized = error;
+      normalized.type = normalized.type || ErrorTypes.API_ERROR;
+    }
+
+    normalized.provider = this.name;
+    return normalized;
+  }
+}
+
+module.exports = LLMProvider;
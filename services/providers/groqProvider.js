@@ -0,0 +1,90 @@
+/**
+ * Groq Provider
+ *
+ * Chat completions through groq-sdk, with optional token streaming
+ */
+
+const LLMProvider = require('./baseProvider');
+const { getGroqClient } = require('../../config/groq');
+
+class GroqProvider extends LLMProvider {
+  constructor(name, config) {
+    super(name, config);
+    this.displayName = 'Groq';
+  }
+
+  /**
+   * Check that an API key is set
+   */
+  isConfigured() {
+    return Boolean(this.config.apiKey) && this.config.apiKey !== 'your_groq_api_key_here';
+  }
+
+  /**
+   * Run a chat completion against Groq
+   */
+  async complete(request, options = {}) {
+    try {
+      const groq = getGroqClient();
+
+      const response = await groq.chat.completions.create({
+        model: request.model,
+        messages: request.messages,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        stream: Boolean(options.onDelta),
+        top_p: request.topP,
+        frequency_penalty: request.frequencyPenalty,
+        presence_penalty: request.presencePenalty,
+        ...(request.responseFormat === 'json' && { response_format: { type: 'json_object' } })
+      });
+
+      const completion = options.onDelta ?
+        await this.collectStream(response, options.onDelta) :
+        response;
+
+      return this.buildResult(completion);
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Accumulate a streamed Groq completion into a non-streaming completion shape
+   */
+  async collectStream(stream, onDelta) {
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let id = null;
+    let model = null;
+
+    for await (const chunk of stream) {
+      id = id || chunk.id;
+      model = model || chunk.model;
+
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+      // Groq reports usage on the final chunk
+      if (chunk.x_groq?.usage) {
+        usage = chunk.x_groq.usage;
+      }
+    }
+
+    return {
+      id,
+      model,
+      usage,
+      choices: [{ message: { content }, finish_reason: finishReason }]
+    };
+  }
+}
+
+module.exports = GroqProvider;
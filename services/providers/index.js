@@ -0,0 +1,54 @@
+/**
+ * LLM Provider Registry
+ *
+ * Resolves provider names from config/llm.js to provider instances.
+ * Additional backends can be added with registerProviderType().
+ */
+
+const { providerConfig } = require('../../config/llm');
+const GroqProvider = require('./groqProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const LocalProvider = require('./localProvider');
+
+// Provider implementations keyed by config type
+const providerTypes = {
+  'groq': GroqProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  'local': LocalProvider
+};
+
+// Provider instances keyed by provider name
+const providers = new Map();
+
+/**
+ * Register a provider implementation for a config type
+ */
+const registerProviderType = (type, ProviderClass) => {
+  providerTypes[type] = ProviderClass;
+};
+
+/**
+ * Get (and lazily create) a provider instance by name
+ */
+const getProvider = (name) => {
+  if (!providers.has(name)) {
+    const config = providerConfig[name];
+    if (!config) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    const ProviderClass = providerTypes[config.type];
+    if (!ProviderClass) {
+      throw new Error(`No implementation registered for provider type: ${config.type}`);
+    }
+
+    providers.set(name, new ProviderClass(name, config));
+  }
+
+  return providers.get(name);
+};
+
+module.exports = {
+  getProvider,
+  registerProviderType
+};
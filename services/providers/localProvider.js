@@ -0,0 +1,171 @@
+/**
+ * Local Stub Provider
+ *
+ * Deterministic, offline stand-in for a model. It builds an extractive
+ * summary from the prompt itself, so the same prompt always yields the same
+ * output. Intended for development, demos and exercising the pipeline
+ * without network access or API cost. Its embeddings hash word stems and
+ * character trigrams, so they match related wording, not meaning.
+ */
+
+const LLMProvider = require('./baseProvider');
+const SummarySchema = require('../summarySchema');
+
+// Phrases that mark a transcript line as an action item or decision
+const ACTION_PATTERN = /\b(will|todo|to-do|action item|follow up|follow-up|by (monday|tuesday|wednesday|thursday|friday|next week|eod|end of))\b/i;
+const DECISION_PATTERN = /\b(decided|agreed|approved|we('ll| will) go with|decision)\b/i;
+
+// Size of the hashed feature vectors returned by embed()
+const EMBEDDING_DIMENSIONS = 256;
+
+class LocalProvider extends LLMProvider {
+  constructor(name, config) {
+    super(name, config);
+    this.displayName = 'Local stub';
+  }
+
+  /**
+   * Produce a deterministic summary of the prompt
+   */
+  async complete(request, options = {}) {
+    const userMessage = [...request.messages].reverse().find(message => message.role === 'user');
+    const promptText = request.messages.map(message => message.content).join('\n');
+    const content = request.responseFormat === 'json' ?
+      JSON.stringify(this.summarizeAsJSON(userMessage?.content || ''), null, 2) :
+      this.summarize(userMessage?.content || '');
+
+    if (this.config.latency) {
+      await new Promise(resolve => setTimeout(resolve, this.config.latency));
+    }
+
+    if (options.onDelta) {
+      // Emit word by word so streaming clients behave as with a real model
+      content.split(/(\s+)/).filter(Boolean).forEach(piece => options.onDelta(piece));
+    }
+
+    const promptTokens = Math.ceil(promptText.length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return this.buildResult({
+      id: `local-${this.hash(promptText)}`,
+      model: request.model,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      choices: [{ message: { content }, finish_reason: 'stop' }]
+    });
+  }
+
+  /**
+   * Embed texts as hashed word-stem and trigram features (unit length)
+   */
+  async embed(request) {
+    const embeddings = request.input.map(text => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length >= 3);
+
+      words.forEach(word => {
+        const stem = word.replace(/(?:ing|ed|es|s|e)$/, '') || word;
+        vector[parseInt(this.hash(stem), 16) % EMBEDDING_DIMENSIONS] += 1;
+        // Trigrams let inflections and compounds ("deploy", "redeployment") overlap
+        for (let i = 0; i + 3 <= stem.length; i++) {
+          vector[parseInt(this.hash(`#${stem.slice(i, i + 3)}`), 16) % EMBEDDING_DIMENSIONS] += 0.25;
+        }
+      });
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / norm);
+    });
+
+    const tokens = Math.ceil(request.input.join(' ').length / 4);
+    return {
+      embeddings,
+      model: request.model,
+      usage: { prompt_tokens: tokens, total_tokens: tokens },
+      provider: this.name
+    };
+  }
+
+  /**
+   * Build an extractive markdown summary from prompt text
+   */
+  summarize(text) {
+    const { overview, keyPoints, actions, decisions } = this.extractPoints(text);
+
+    const section = (title, items, empty) => [
+      `## ${title}`,
+      ...(items.length > 0 ? items.map(item => `- ${item}`) : [`- ${empty}`])
+    ].join('\n');
+
+    return [
+      '## Overview',
+      overview,
+      '',
+      section('Key Points', keyPoints, 'No key points identified'),
+      '',
+      section('Decisions', decisions, 'No decisions identified'),
+      '',
+      section('Action Items', actions, 'No action items identified')
+    ].join('\n');
+  }
+
+  /**
+   * Build an extractive summary in the structured summary schema, moving
+   * "[L12]" line prefixes into citations
+   */
+  summarizeAsJSON(text) {
+    const { overview, keyPoints, actions, decisions } = this.extractPoints(text);
+    const toItem = (line) => {
+      const match = line.match(/^\[(L\d+)\]\s*(.+)$/);
+      return match ? { text: match[2], citations: [match[1]] } : { text: line, citations: [] };
+    };
+
+    return {
+      schemaVersion: SummarySchema.SCHEMA_VERSION,
+      title: 'Meeting Summary',
+      overview: overview.replace(/\[L\d+\]\s*/g, ''),
+      sections: keyPoints.length > 0 ? [{ heading: 'Key Points', points: keyPoints.map(toItem) }] : [],
+      decisions: decisions.map(line => ({ ...toItem(line), madeBy: null, rationale: null })),
+      actionItems: actions.map(line => {
+        const { text: task, citations } = toItem(line);
+        return { task, owner: null, due: null, priority: null, citations };
+      }),
+      risks: [],
+      openQuestions: []
+    };
+  }
+
+  /**
+   * Pick overview, key point, action and decision lines from prompt text
+   */
+  extractPoints(text) {
+    const lines = text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 20 && !line.startsWith('#') && !line.endsWith(':'));
+
+    const overview = lines.slice(0, 3).join(' ') || 'No transcript content was provided.';
+
+    return {
+      overview: overview.length > 600 ? `${overview.slice(0, 597)}...` : overview,
+      keyPoints: lines.slice(0, 5),
+      actions: lines.filter(line => ACTION_PATTERN.test(line)).slice(0, 5),
+      decisions: lines.filter(line => DECISION_PATTERN.test(line)).slice(0, 5)
+    };
+  }
+
+  /**
+   * Stable short hash used for request ids
+   */
+  hash(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+  }
+}
+
+module.exports = LocalProvider;
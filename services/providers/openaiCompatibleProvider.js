@@ -0,0 +1,175 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Chat completions against any server exposing /chat/completions in the
+ * OpenAI wire format (vLLM, LM Studio, llama.cpp server, hosted gateways)
+ */
+
+const LLMProvider = require('./baseProvider');
+
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(name, config) {
+    super(name, config);
+    this.displayName = 'OpenAI-compatible endpoint';
+  }
+
+  /**
+   * Check that a base URL is set
+   */
+  isConfigured() {
+    return Boolean(this.config.baseURL);
+  }
+
+  /**
+   * Run a chat completion against the configured endpoint
+   */
+  async complete(request, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.config.apiKey) {
+        headers.Authorization = `Bearer ${this.config.apiKey}`;
+      }
+
+      const body = {
+        model: request.model,
+        messages: request.messages,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        top_p: request.topP,
+        frequency_penalty: request.frequencyPenalty,
+        presence_penalty: request.presencePenalty,
+        stream: Boolean(options.onDelta)
+      };
+      if (options.onDelta) {
+        body.stream_options = { include_usage: true };
+      }
+      if (request.responseFormat === 'json') {
+        body.response_format = { type: 'json_object' };
+      }
+
+      const response = await fetch(`${this.config.baseURL.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        const error = new Error(errorBody.error?.message || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.error = errorBody.error;
+        throw error;
+      }
+
+      const completion = options.onDelta ?
+        await this.collectStream(response.body, options.onDelta) :
+        await response.json();
+
+      return this.buildResult(completion);
+    } catch (error) {
+      throw this.normalizeError(error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Embed texts with the endpoint's /embeddings route
+   */
+  async embed(request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.config.apiKey) {
+        headers.Authorization = `Bearer ${this.config.apiKey}`;
+      }
+
+      const response = await fetch(`${this.config.baseURL.replace(/\/+$/, '')}/embeddings`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: request.model, input: request.input }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        const error = new Error(errorBody.error?.message || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.error = errorBody.error;
+        throw error;
+      }
+
+      const result = await response.json();
+      return {
+        // Servers may return the vectors out of order; `index` says which input each belongs to
+        embeddings: [...result.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+        model: result.model,
+        usage: result.usage,
+        provider: this.name
+      };
+    } catch (error) {
+      throw this.normalizeError(error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Parse a server-sent event stream of completion chunks
+   */
+  async collectStream(body, onDelta) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let id = null;
+    let model = null;
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      id = id || chunk.id;
+      model = model || chunk.model;
+
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    };
+
+    for await (const value of body) {
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return {
+      id,
+      model,
+      usage,
+      choices: [{ message: { content }, finish_reason: finishReason }]
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -9,10 +9,29 @@
  * - Multi-format output preparation
  */
 
-const { calculateCost } = require('../config/groq');
+const { calculateCost, getModelInfo } = require('../config/llm');
+const SummarySchema = require('./summarySchema');
+const PromptTemplates = require('./promptTemplates');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Capitalized words that start names-pattern matches without being people
+const NON_NAME_WORDS = new Set([
+  'the', 'this', 'that', 'these', 'those', 'a', 'an', 'and', 'or', 'but', 'if', 'when', 'we', 'our', 'they',
+  'it', 'he', 'she', 'i', 'all', 'next', 'key', 'action', 'actions', 'items', 'item', 'decision', 'decisions',
+  'owner', 'owners', 'due', 'deadline', 'team', 'teams', 'meeting', 'summary', 'overview', 'notes', 'risk', 'risks',
+  'open', 'questions', 'steps', 'follow', 'high', 'medium', 'low', 'priority', 'status', 'update', 'updates',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'today', 'tomorrow', 'yesterday',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'
+]);
+
+// Figures worth checking: currency, percentages, scaled amounts, or two or more digits
+const NUMBER_PATTERN = /(?:[$€£]\s?)?\b\d[\d,]*(?:\.\d+)?(?:\s?(?:%|percent|k|m|bn|million|billion|thousand)\b|%)?/gi;
 
 class ResponseProcessor {
   constructor() {
+    this.summarySchema = new SummarySchema();
+
     this.validationRules = {
       minLength: 50,           // Minimum summary length
       maxLength: 50000,        // Maximum summary length
@@ -57,7 +76,20 @@ class ResponseProcessor {
       names: /\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*(?:\s+\([^)]+\))?\b/g,
       
       // Email patterns
-      emails: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g
+      emails: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
+
+      // Source citations: [L12], [L12-L15], [L3, L40-L42], [00:12:05] or [00:12:05-00:13:40]
+      citations: /\[((?:L\d+|\d{1,2}:\d{2}(?::\d{2})?)(?:\s*[-–]\s*(?:L?\d+|\d{1,2}:\d{2}(?::\d{2})?))?(?:\s*[,;]\s*(?:L\d+|\d{1,2}:\d{2}(?::\d{2})?)(?:\s*[-–]\s*(?:L?\d+|\d{1,2}:\d{2}(?::\d{2})?))?)*)\]/g
+    };
+
+    // A summary missing its length tier's word range by more than this share
+    // of the range's bound (below min or above max) is re-prompted
+    this.lengthTolerance = parseFloat(process.env.SUMMARY_LENGTH_TOLERANCE) || 0.5;
+
+    // Each unsupported claim costs this much of the 0-1 quality score
+    this.groundingRules = {
+      penaltyPerClaim: 0.05,
+      maxPenalty: 0.3
     };
 
     this.styleRequirements = {
@@ -92,18 +124,29 @@ class ResponseProcessor {
     
     try {
       console.log('📝 Starting response processing pipeline...');
+
+      // Step 0: Structured output is parsed, repaired and validated, then rendered to markdown
+      const structured = context.outputFormat === 'json' ? this.parseStructuredOutput(rawResponse) : null;
+      const response = structured ?
+        { ...rawResponse, content: this.summarySchema.toMarkdown(structured.data) } :
+        rawResponse;
       
       // Step 1: Basic validation
-      const validation = this.validateResponse(rawResponse, context);
+      const validation = this.validateResponse(response, context);
       if (!validation.isValid) {
         throw new Error(`Response validation failed: ${validation.errors.join(', ')}`);
       }
       
-      // Step 2: Text normalization
-      const normalizedText = this.normalizeText(rawResponse.content);
+      // Step 2: Text normalization (rendered markdown is already normalized)
+      const normalizedText = structured ? response.content : this.normalizeText(response.content);
       
-      // Step 3: Structure extraction
-      const structure = this.extractStructure(normalizedText, context.summaryStyle);
+      // Step 3: Structure extraction (items come straight from the JSON in structured mode)
+      const structure = structured ?
+        this.extractStructuredItems(normalizedText, structured.data, context.summaryStyle) :
+        this.extractStructure(normalizedText, context.summaryStyle);
+
+      // Step 3b: Validate citations and resolve them against the transcript
+      structure.citations = this.resolveCitations(structure, context.transcript);
       
       // Step 4: Content analysis
       const analysis = this.analyzeContent(normalizedText, structure, context);
@@ -112,10 +155,10 @@ class ResponseProcessor {
       const quality = this.assessQuality(normalizedText, structure, analysis, context);
       
       // Step 6: Metadata enrichment
-      const metadata = this.enrichMetadata(rawResponse, context, analysis, quality);
+      const metadata = this.enrichMetadata(response, context, analysis, quality);
       
       // Step 7: Multi-format preparation
-      const formats = this.prepareFormats(normalizedText, structure, metadata);
+      const formats = this.prepareFormats(normalizedText, structure, metadata, structured);
       
       const processingTime = Date.now() - startTime;
       
@@ -136,6 +179,7 @@ class ResponseProcessor {
           processedAt: new Date().toISOString()
         },
         formats: formats,
+        structured: structured,
         validation: validation
       };
       
@@ -158,11 +202,35 @@ class ResponseProcessor {
           processingError: error.message
         },
         formats: {},
+        // Failed structured parses keep their errors so the caller can ask the model to repair them
+        structured: error.structured || null,
         validation: { isValid: false, errors: [error.message] }
       };
     }
   }
 
+  /**
+   * Parse structured (JSON) model output against the summary schema
+   *
+   * @returns {Object} { valid, data, errors, repairs, schemaVersion }
+   * @throws {Error} With the parse result attached when the output can't be repaired
+   */
+  parseStructuredOutput(rawResponse) {
+    const structured = this.summarySchema.parse(rawResponse?.content);
+
+    if (structured.repairs.length > 0) {
+      console.warn(`🔧 Structured output repaired: ${structured.repairs.join('; ')}`);
+    }
+
+    if (!structured.valid) {
+      const error = new Error(`Structured output failed schema validation: ${structured.errors.slice(0, 3).join('; ')}`);
+      error.structured = structured;
+      throw error;
+    }
+
+    return structured;
+  }
+
   /**
    * Validate AI response
    */
@@ -219,8 +287,14 @@ class ResponseProcessor {
       errors.push('Content appears to be empty or placeholder');
     }
     
+    // Requested length tier replaces the style's preferred length
+    const lengthCheck = context.length ? this.checkLength(content, context.length) : null;
+    if (lengthCheck && lengthCheck.status !== 'within') {
+      warnings.push(`Summary is ${lengthCheck.wordCount} words; ${context.length} target is ${lengthCheck.target.min}-${lengthCheck.target.max}`);
+    }
+
     // Style-specific validation
-    if (context.summaryStyle && this.styleRequirements[context.summaryStyle]) {
+    if (!lengthCheck && context.summaryStyle && this.styleRequirements[context.summaryStyle]) {
       const styleReq = this.styleRequirements[context.summaryStyle];
       
       // Length preferences
@@ -248,6 +322,7 @@ class ResponseProcessor {
       isValid: errors.length === 0,
       errors,
       warnings,
+      lengthCheck,
       stats: {
         contentLength: content.length,
         wordCount: wordCount,
@@ -256,6 +331,33 @@ class ResponseProcessor {
     };
   }
 
+  /**
+   * Compare a summary's word count with the target range of a length tier.
+   * Citation labels and markdown markers are not counted as words.
+   *
+   * @returns {Object|null} { length, target, wordCount, status: within|short|long, wideMiss }
+   */
+  checkLength(content, length) {
+    const target = PromptTemplates.getTargetWordRange(length);
+    if (!target) return null;
+
+    const words = content
+      .replace(this.structurePatterns.citations, ' ')
+      .replace(/[#>*_`•|]+/g, ' ')
+      .split(/\s+/)
+      .filter(word => /[\p{L}\p{N}]/u.test(word));
+    const wordCount = words.length;
+
+    let status = 'within';
+    if (wordCount < target.min) status = 'short';
+    if (wordCount > target.max) status = 'long';
+
+    const wideMiss = (status === 'short' && wordCount < target.min * (1 - this.lengthTolerance)) ||
+      (status === 'long' && wordCount > target.max * (1 + this.lengthTolerance));
+
+    return { length, target, wordCount, status, wideMiss };
+  }
+
   /**
    * Normalize text content
    */
@@ -440,8 +542,10 @@ class ResponseProcessor {
     
     // Extract bullet points
     while ((match = this.structurePatterns.bulletPoints.exec(content)) !== null) {
+      const { text, citations } = this.parseCitations(match[1]);
       structure.bulletPoints.push({
-        text: match[1].trim(),
+        text,
+        citations,
         position: match.index
       });
     }
@@ -449,8 +553,10 @@ class ResponseProcessor {
     
     // Extract numbered lists
     while ((match = this.structurePatterns.numberedLists.exec(content)) !== null) {
+      const { text, citations } = this.parseCitations(match[1]);
       structure.numberedLists.push({
-        text: match[1].trim(),
+        text,
+        citations,
         number: parseInt(match[0]),
         position: match.index
       });
@@ -460,9 +566,10 @@ class ResponseProcessor {
     // Extract action items
     while ((match = this.structurePatterns.actionItems.exec(content)) !== null) {
       structure.actionItems.push({
-        action: match[1] ? match[1].trim() : '',
-        owner: match[2] ? match[2].trim() : '',
-        deadline: match[3] ? match[3].trim() : '',
+        action: match[1] ? this.stripCitations(match[1]) : '',
+        owner: match[2] ? this.stripCitations(match[2]) : '',
+        deadline: match[3] ? this.stripCitations(match[3]) : '',
+        citations: this.parseCitations(match[0]).citations,
         position: match.index
       });
     }
@@ -470,8 +577,10 @@ class ResponseProcessor {
     
     // Extract decisions
     while ((match = this.structurePatterns.decisions.exec(content)) !== null) {
+      const { text, citations } = this.parseCitations(match[1]);
       structure.decisions.push({
-        text: match[1].trim(),
+        text,
+        citations,
         position: match.index
       });
     }
@@ -479,32 +588,37 @@ class ResponseProcessor {
     
     // Extract insights
     while ((match = this.structurePatterns.insights.exec(content)) !== null) {
+      const { text, citations } = this.parseCitations(match[1]);
       structure.insights.push({
-        text: match[1].trim(),
+        text,
+        citations,
         position: match.index
       });
     }
     this.structurePatterns.insights.lastIndex = 0;
     
+    // Entities come from the text without citation markers (timestamps are not meeting times)
+    const citationFree = this.stripCitations(content);
+
     // Extract dates
-    structure.dates = [...content.matchAll(this.structurePatterns.dates)].map(m => ({
+    structure.dates = [...citationFree.matchAll(this.structurePatterns.dates)].map(m => ({
       text: m[0],
       position: m.index
     }));
     
     // Extract times
-    structure.times = [...content.matchAll(this.structurePatterns.times)].map(m => ({
+    structure.times = [...citationFree.matchAll(this.structurePatterns.times)].map(m => ({
       text: m[0],
       position: m.index
     }));
     
     // Extract names (potential attendees)
-    structure.names = [...content.matchAll(this.structurePatterns.names)]
+    structure.names = [...citationFree.matchAll(this.structurePatterns.names)]
       .map(m => ({ text: m[0], position: m.index }))
       .filter(name => name.text.length > 2 && name.text.length < 50); // Filter reasonable names
     
     // Extract emails
-    structure.emails = [...content.matchAll(this.structurePatterns.emails)].map(m => ({
+    structure.emails = [...citationFree.matchAll(this.structurePatterns.emails)].map(m => ({
       text: m[0],
       position: m.index
     }));
@@ -529,6 +643,201 @@ class ResponseProcessor {
     return structure;
   }
 
+  /**
+   * Build the structure for a structured summary: headings, entities and
+   * sections come from the rendered markdown, while action items,
+   * decisions, risks and open questions are taken from the JSON as-is
+   */
+  extractStructuredItems(content, data, summaryStyle = 'executive') {
+    const structure = this.extractStructure(content, summaryStyle);
+    const citationsOf = (item) => (item.citations.length > 0 ?
+      this.parseCitations(`[${item.citations.join(', ')}]`).citations :
+      []);
+    const positionOf = (text) => content.indexOf(text);
+
+    structure.actionItems = data.actionItems.map(item => ({
+      action: item.task,
+      owner: item.owner || '',
+      deadline: item.due || '',
+      priority: item.priority,
+      citations: citationsOf(item),
+      position: positionOf(`**${item.task}**`)
+    }));
+
+    structure.decisions = data.decisions.map(decision => ({
+      text: decision.text,
+      madeBy: decision.madeBy,
+      rationale: decision.rationale,
+      citations: citationsOf(decision),
+      position: positionOf(decision.text)
+    }));
+
+    structure.risks = data.risks.map(risk => ({
+      text: risk.text,
+      mitigation: risk.mitigation,
+      citations: citationsOf(risk),
+      position: positionOf(risk.text)
+    }));
+
+    structure.openQuestions = data.openQuestions.map(question => ({
+      text: question.text,
+      owner: question.owner,
+      citations: citationsOf(question),
+      position: positionOf(question.text)
+    }));
+
+    return structure;
+  }
+
+  /**
+   * Split citation markers off an extracted item
+   *
+   * @returns {Object} { text, citations: [{ label, startLine, endLine } | { label, startMs, endMs }] }
+   */
+  parseCitations(rawText) {
+    const citations = [];
+
+    for (const match of rawText.matchAll(this.structurePatterns.citations)) {
+      match[1].split(/\s*[,;]\s*/).forEach(part => {
+        const [from, to = from] = part.split(/\s*[-–]\s*/);
+
+        if (from.startsWith('L')) {
+          const startLine = parseInt(from.slice(1), 10);
+          const endLine = parseInt(to.replace(/^L/, ''), 10);
+          citations.push({ label: part, startLine, endLine });
+        } else {
+          citations.push({ label: part, startMs: this.parseCitationTime(from), endMs: this.parseCitationTime(to) });
+        }
+      });
+    }
+
+    return { text: this.stripCitations(rawText), citations };
+  }
+
+  /**
+   * Remove citation markers from text
+   */
+  stripCitations(text) {
+    const withLeadingSpace = new RegExp(`[ \\t]*${this.structurePatterns.citations.source}`, 'g');
+    return text.replace(withLeadingSpace, '').trim();
+  }
+
+  /**
+   * Parse "MM:SS" or "HH:MM:SS" into milliseconds
+   */
+  parseCitationTime(value) {
+    const parts = value.split(':').map(Number);
+    while (parts.length < 3) parts.unshift(0);
+    return ((parts[0] * 60 + parts[1]) * 60 + parts[2]) * 1000;
+  }
+
+  /**
+   * Validate item citations against the transcript and resolve them to
+   * line ranges with timestamps, speakers and an excerpt. Citations that
+   * point outside the transcript are dropped.
+   *
+   * @param {Object} structure - Output of extractStructure (items are updated in place)
+   * @param {Object} transcript - { content, speakerTurns }
+   * @returns {Object} Citation statistics and the cited items
+   */
+  resolveCitations(structure, transcript = null) {
+    const itemGroups = ['bulletPoints', 'numberedLists', 'actionItems', 'decisions', 'insights', 'risks', 'openQuestions'];
+    const stats = {
+      validated: Boolean(transcript?.content),
+      citedItems: 0,
+      uncitedItems: 0,
+      total: 0,
+      resolved: 0,
+      invalid: 0,
+      coverage: 0,
+      items: []
+    };
+
+    const lines = transcript?.content ? transcript.content.split('\n') : null;
+    const turns = [...(transcript?.speakerTurns || [])]
+      .filter(turn => Number.isFinite(turn.line))
+      .sort((a, b) => a.line - b.line);
+
+    itemGroups.forEach(group => {
+      (structure[group] || []).forEach(item => {
+        const cited = item.citations || [];
+        stats.total += cited.length;
+
+        // Without the transcript the citations can't be checked; keep them as parsed
+        if (!lines) {
+          if (cited.length > 0) stats.citedItems++; else stats.uncitedItems++;
+          return;
+        }
+
+        item.citations = cited
+          .map(citation => this.resolveCitation(citation, lines, turns))
+          .filter(Boolean);
+
+        stats.resolved += item.citations.length;
+        stats.invalid += cited.length - item.citations.length;
+        if (item.citations.length > 0) stats.citedItems++; else stats.uncitedItems++;
+
+        if (item.citations.length > 0) {
+          stats.items.push({
+            type: group,
+            text: item.text || item.action,
+            position: item.position,
+            citations: item.citations
+          });
+        }
+      });
+    });
+
+    const itemCount = stats.citedItems + stats.uncitedItems;
+    stats.coverage = itemCount > 0 ? Math.round(stats.citedItems / itemCount * 100) / 100 : 0;
+
+    return stats;
+  }
+
+  /**
+   * Resolve one citation to a transcript line range, or null if it is invalid
+   */
+  resolveCitation(citation, lines, turns) {
+    let { startLine, endLine } = citation;
+
+    // Timestamp citations map to the lines of the turns they overlap
+    if (startLine === undefined) {
+      const overlapping = turns.filter((turn, index) => {
+        const turnEnd = Math.max(turn.endMs ?? turn.startMs, turns[index + 1]?.startMs ?? turn.startMs);
+        return Number.isFinite(turn.startMs) && turn.startMs <= citation.endMs &&
+          (turnEnd > citation.startMs || turn.startMs === citation.startMs);
+      });
+      if (overlapping.length === 0) return null;
+
+      startLine = overlapping[0].line;
+      endLine = overlapping[overlapping.length - 1].line;
+    }
+
+    if (endLine < startLine) [startLine, endLine] = [endLine, startLine];
+    if (!Number.isInteger(startLine) || startLine < 1 || startLine > lines.length) return null;
+    endLine = Math.min(endLine, lines.length);
+
+    // Turns covering the range supply timestamps and speakers
+    const covering = turns.filter((turn, index) => {
+      const nextLine = turns[index + 1]?.line ?? Infinity;
+      return turn.line <= endLine && nextLine > startLine;
+    });
+    const first = covering[0];
+    const last = covering[covering.length - 1];
+
+    const excerpt = lines.slice(startLine - 1, endLine).join(' ').replace(/\s+/g, ' ').trim();
+
+    return {
+      label: citation.label,
+      startLine,
+      endLine,
+      start: first?.start || null,
+      end: last?.end || null,
+      speakers: [...new Set(covering.map(turn => turn.speaker).filter(Boolean))],
+      excerpt: excerpt.length > 200 ? `${excerpt.substring(0, 197)}...` : excerpt
+    };
+  }
+
   /**
    * Analyze content for insights and metrics
    */
@@ -539,7 +848,8 @@ class ResponseProcessor {
       completeness: this.assessCompleteness(content, structure, context.summaryStyle),
       actionability: this.assessActionability(structure),
       coverage: this.assessCoverage(content, context),
-      entities: this.extractEntities(structure)
+      entities: this.extractEntities(structure),
+      grounding: this.checkGrounding(content, structure, context.transcript)
     };
     
     return analysis;
@@ -700,6 +1010,216 @@ class ResponseProcessor {
     };
   }
 
+  /**
+   * Check that the people, owners, dates, times, figures and emails in the
+   * summary appear in the source transcript or its metadata
+   *
+   * @param {string} content - Normalized summary
+   * @param {Object} structure - Output of extractStructure
+   * @param {Object} transcript - { content, metadata }
+   * @returns {Object|null} { checked, supported, unsupported, score, byType } or null without a transcript
+   */
+  checkGrounding(content, structure, transcript = null) {
+    if (!transcript?.content) return null;
+
+    const metadataText = Object.values(transcript.metadata || {})
+      .map(value => (Array.isArray(value) ? value.join(', ') : value))
+      .filter(value => typeof value === 'string');
+    const source = [transcript.content, ...metadataText].join('\n');
+    const sourceLower = source.toLowerCase();
+    const sourceWords = new Set(sourceLower.match(/[\p{L}\p{N}]+/gu) || []);
+    const sourceDates = this.collectDateKeys(source);
+    const sourceTimes = this.collectTimeKeys(source);
+    const sourceNumbers = new Set([...source.matchAll(NUMBER_PATTERN)].flatMap(m => this.numberKeys(m[0])));
+
+    const text = this.stripCitations(content);
+    const claims = [];
+    const seen = new Set();
+    const addClaim = (type, claimText, position, supported) => {
+      const key = `${type}:${claimText.toLowerCase()}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      claims.push({ type, text: claimText, position, supported });
+    };
+
+    const nameTokens = (name) => name
+      .replace(/\s*\([^)]*\)/g, '')
+      .replace(/['’]s\b/g, '')
+      .split(/\s+/)
+      .map(token => token.replace(/[^\p{L}\p{M}'’\-]/gu, ''))
+      .filter(Boolean);
+
+    // People: multi-word names and single names mid-sentence (sentence-initial words are ambiguous)
+    structure.names.forEach(name => {
+      const lineStart = text.lastIndexOf('\n', name.position - 1) + 1;
+      const before = text.substring(lineStart, name.position);
+      if (/^\s*#/.test(before)) return; // Headings
+
+      const tokens = nameTokens(name.text);
+      if (tokens.length === 0 || tokens.some(token => NON_NAME_WORDS.has(token.toLowerCase()))) return;
+
+      const sentenceStart = /^[\s•*\-\d.)]*$/.test(before) || /[.!?:]\s*(\*\*)?$/.test(before);
+      if (tokens.length === 1 && sentenceStart) return;
+
+      addClaim('person', tokens.join(' '), name.position,
+        tokens.every(token => sourceWords.has(token.toLowerCase())));
+    });
+
+    // Action item owners
+    structure.actionItems.forEach(item => {
+      const tokens = nameTokens(item.owner || '').filter(token => /^\p{Lu}/u.test(token));
+      if (tokens.length === 0 || tokens.some(token => NON_NAME_WORDS.has(token.toLowerCase()))) return;
+
+      addClaim('owner', tokens.join(' '), item.position,
+        tokens.every(token => sourceWords.has(token.toLowerCase())));
+    });
+
+    structure.dates.forEach(date => {
+      const keys = this.dateKeys(date.text);
+      if (keys.length === 0) return;
+      addClaim('date', date.text, date.position,
+        sourceLower.includes(date.text.toLowerCase()) || keys.some(key => sourceDates.has(key)));
+    });
+
+    structure.times.forEach(time => {
+      const keys = this.timeKeys(time.text);
+      addClaim('time', time.text, time.position,
+        sourceLower.includes(time.text.toLowerCase()) || keys.some(key => sourceTimes.has(key)));
+    });
+
+    structure.emails.forEach(email => {
+      addClaim('email', email.text, email.position, sourceLower.includes(email.text.toLowerCase()));
+    });
+
+    // Figures outside dates and times
+    const covered = [...structure.dates, ...structure.times].map(entity => [entity.position, entity.position + entity.text.length]);
+    for (const match of text.matchAll(NUMBER_PATTERN)) {
+      const figure = match[0].trim();
+      const digits = figure.replace(/\D/g, '');
+      const isScaled = /[$€£%]|percent|k|m|bn|million|billion|thousand/i.test(figure);
+      if (digits.length < 2 && !isScaled) continue;
+      if (covered.some(([start, end]) => match.index < end && match.index + figure.length > start)) continue;
+
+      // Numbered list markers ("10. ...")
+      const lineStart = text.lastIndexOf('\n', match.index - 1) + 1;
+      if (/^\s*$/.test(text.substring(lineStart, match.index)) && text[match.index + figure.length] === '.') continue;
+
+      addClaim('number', figure, match.index, this.numberKeys(figure).some(key => sourceNumbers.has(key)));
+    }
+
+    const unsupported = claims.filter(claim => !claim.supported).map(({ type, text: claimText, position }) => ({
+      type,
+      text: claimText,
+      position
+    }));
+
+    const byType = {};
+    claims.forEach(claim => {
+      byType[claim.type] = byType[claim.type] || { checked: 0, unsupported: 0 };
+      byType[claim.type].checked++;
+      if (!claim.supported) byType[claim.type].unsupported++;
+    });
+
+    return {
+      checked: claims.length,
+      supported: claims.length - unsupported.length,
+      unsupported,
+      score: claims.length > 0 ? Math.round((claims.length - unsupported.length) / claims.length * 100) / 100 : 1,
+      byType
+    };
+  }
+
+  /**
+   * Month/day keys for a date ("5-3"); numeric dates yield both day orders
+   */
+  dateKeys(text) {
+    const lower = text.toLowerCase();
+
+    const named = lower.match(/\b([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b/) ||
+      lower.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]{3})[a-z]*\b/);
+    if (named) {
+      const [monthText, day] = isNaN(named[1]) ? [named[1], named[2]] : [named[2], named[1]];
+      const month = MONTHS.indexOf(monthText) + 1;
+      return month > 0 ? [`${month}-${parseInt(day, 10)}`] : [];
+    }
+
+    const iso = lower.match(/\b\d{4}[\/\-](\d{1,2})[\/\-](\d{1,2})\b/);
+    if (iso) return [`${parseInt(iso[1], 10)}-${parseInt(iso[2], 10)}`];
+
+    const numeric = lower.match(/\b(\d{1,2})[\/\-](\d{1,2})(?:[\/\-]\d{2,4})?\b/);
+    if (numeric) {
+      const [a, b] = [parseInt(numeric[1], 10), parseInt(numeric[2], 10)];
+      return [`${a}-${b}`, `${b}-${a}`];
+    }
+
+    return [];
+  }
+
+  /**
+   * All month/day keys mentioned in the source, including dates without a year
+   */
+  collectDateKeys(source) {
+    const keys = new Set();
+    const patterns = [
+      this.structurePatterns.dates,
+      /\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?\b/gi,
+      /\b\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/gi,
+      /\b\d{1,2}\/\d{1,2}\b/g
+    ];
+
+    patterns.forEach(pattern => {
+      for (const match of source.matchAll(pattern)) {
+        this.dateKeys(match[0]).forEach(key => keys.add(key));
+      }
+    });
+
+    return keys;
+  }
+
+  /**
+   * Minutes-since-midnight keys for a time; times without am/pm yield both halves of the day
+   */
+  timeKeys(text) {
+    const match = text.toLowerCase().match(/(\d{1,2})(?::(\d{2}))?\s*([ap])?/);
+    if (!match) return [];
+
+    const hours = parseInt(match[1], 10) % 12;
+    const minutes = parseInt(match[2] || '0', 10);
+    if (match[3]) {
+      return [(hours + (match[3] === 'p' ? 12 : 0)) * 60 + minutes];
+    }
+
+    const clockHours = parseInt(match[1], 10);
+    return [clockHours * 60 + minutes, hours * 60 + minutes, (hours + 12) * 60 + minutes];
+  }
+
+  /**
+   * All times mentioned in the source ("3pm", "3:30 p.m.", "15:30")
+   */
+  collectTimeKeys(source) {
+    const keys = new Set();
+    for (const match of source.matchAll(/\b\d{1,2}(?::\d{2})?\s*[ap]\.?m\.?|\b\d{1,2}:\d{2}\b/gi)) {
+      this.timeKeys(match[0].replace(/\./g, '')).forEach(key => keys.add(key));
+    }
+    return keys;
+  }
+
+  /**
+   * Comparable keys for a figure: its digits, and the scaled value for k/m/bn
+   */
+  numberKeys(text) {
+    const lower = text.toLowerCase().replace(/,/g, '');
+    const value = parseFloat(lower.replace(/[^\d.]/g, ''));
+    if (Number.isNaN(value)) return [];
+
+    const scales = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, bn: 1e9, billion: 1e9 };
+    const suffix = (lower.match(/(k|thousand|bn|billion|m|million)\b/) || [])[1];
+
+    const keys = [String(value)];
+    if (suffix) keys.push(String(value * scales[suffix]));
+    return keys;
+  }
+
   /**
    * Extract entities from structured data
    */
@@ -769,6 +1289,18 @@ class ResponseProcessor {
       issues.push('Limited coverage');
     }
     
+    // Grounding: names, dates or figures missing from the transcript lower the score
+    const grounding = analysis.grounding;
+    if (grounding) {
+      if (grounding.unsupported.length === 0) {
+        strengths.push('Names, dates and figures match the transcript');
+      } else {
+        score -= Math.min(this.groundingRules.maxPenalty, grounding.unsupported.length * this.groundingRules.penaltyPerClaim);
+        score = Math.max(0, score);
+        issues.push(`Not found in transcript: ${grounding.unsupported.slice(0, 5).map(claim => claim.text).join(', ')}`);
+      }
+    }
+
     // Determine overall grade
     let grade;
     if (score >= 0.9) grade = 'A';
@@ -788,7 +1320,8 @@ class ResponseProcessor {
         completeness: Math.round(completenessScore * 100),
         structure: Math.round(structureScore * 100),
         actionability: Math.round(actionabilityScore * 100),
-        coverage: Math.round(coverageScore * 100)
+        coverage: Math.round(coverageScore * 100),
+        grounding: grounding ? Math.round(grounding.score * 100) : null
       }
     };
   }
@@ -797,14 +1330,16 @@ class ResponseProcessor {
    * Enrich metadata
    */
   enrichMetadata(rawResponse, context, analysis, quality) {
-    const cost = rawResponse.usage ? 
-      calculateCost(rawResponse.usage, context.modelUsed === 'fallback' ? 'fallback' : 'primary') : 0;
+    const modelType = context.modelUsed || 'primary';
+    const pricing = getModelInfo(modelType).costPer1KTokens;
+    const cost = rawResponse.usage ? calculateCost(rawResponse.usage, modelType) : 0;
     
     return {
       // AI model information
       model: {
         name: rawResponse.model || context.modelUsed || 'unknown',
-        type: context.modelUsed || 'primary',
+        type: modelType,
+        provider: rawResponse.provider || getModelInfo(modelType).provider,
         requestId: rawResponse.requestId || null
       },
       
@@ -818,10 +1353,8 @@ class ResponseProcessor {
       // Cost information
       cost: {
         total: cost,
-        inputCost: rawResponse.usage ? (rawResponse.usage.prompt_tokens / 1000) * 
-          (context.modelUsed === 'fallback' ? 0.00018 : 0.00059) : 0,
-        outputCost: rawResponse.usage ? (rawResponse.usage.completion_tokens / 1000) * 
-          (context.modelUsed === 'fallback' ? 0.00018 : 0.00079) : 0,
+        inputCost: rawResponse.usage ? (rawResponse.usage.prompt_tokens / 1000) * pricing.input : 0,
+        outputCost: rawResponse.usage ? (rawResponse.usage.completion_tokens / 1000) * pricing.output : 0,
         currency: 'USD'
       },
       
@@ -853,10 +1386,11 @@ class ResponseProcessor {
   }
 
   /**
-   * Prepare multiple output formats
+   * Prepare multiple output formats. Structured summaries render text and
+   * email from the JSON and add a `json` format.
    */
-  prepareFormats(content, structure, metadata) {
-    return {
+  prepareFormats(content, structure, metadata, structured = null) {
+    const formats = {
       // API JSON format
       api: {
         content: content,
@@ -878,6 +1412,7 @@ class ResponseProcessor {
         actionItems: structure.actionItems,
         decisions: structure.decisions,
         keyInsights: structure.insights,
+        citations: structure.citations,
         metadata: {
           model: metadata.model.name,
           cost: `$${metadata.cost.total.toFixed(6)}`,
@@ -907,6 +1442,21 @@ class ResponseProcessor {
         toc: this.generateTableOfContents(structure)
       }
     };
+
+    if (structured) {
+      formats.ui.title = structured.data.title;
+      formats.ui.structured = structured.data;
+      formats.email.body = this.summarySchema.toEmail(structured.data);
+      formats.text.content = this.summarySchema.toText(structured.data);
+      formats.markdown.content = content;
+      formats.json = {
+        schemaVersion: structured.schemaVersion,
+        data: structured.data,
+        repairs: structured.repairs
+      };
+    }
+
+    return formats;
   }
 
   /**
@@ -984,7 +1534,7 @@ class ResponseProcessor {
    * Format content for email
    */
   formatForEmail(content, structure) {
-    let emailBody = content;
+    let emailBody = this.stripCitations(content);
     
     // Add action items section if present
     if (structure.actionItems.length > 0) {
@@ -1004,7 +1554,7 @@ class ResponseProcessor {
    * Strip formatting for plain text
    */
   stripFormatting(content) {
-    return content
+    return this.stripCitations(content)
       .replace(/#{1,6}\s+/g, '')     // Remove markdown headers
       .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold
       .replace(/\*(.*?)\*/g, '$1')     // Remove italic
@@ -0,0 +1,472 @@
+/**
+ * Search Service
+ *
+ * Finds the meetings where something was discussed: full-text search over
+ * a session's transcripts, summaries, action items and decisions, filtered
+ * by meeting date, summary style, meeting type and speaker. PostgreSQL uses
+ * its built-in full-text search and SQLite an FTS5 table (see
+ * models/searchIndex.js). With the embedding index enabled, semantic matches
+ * are merged in by reciprocal rank fusion.
+ */
+
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, MeetingTranscript, Summary, ActionItem, Decision } = require('../models');
+const {
+  SEARCH_DOCUMENTS,
+  SEARCH_LANGUAGE,
+  FTS_TABLE,
+  textExpression,
+  tsvectorExpression,
+  getSearchMode
+} = require('../models/searchIndex');
+const EmbeddingIndex = require('./embeddingIndex');
+
+const SEARCH_TYPES = Object.keys(SEARCH_DOCUMENTS);
+
+// Reciprocal rank fusion constant; larger values flatten the gap between ranks
+const RRF_K = 60;
+
+// Marks around matched words in snippets (markdown bold)
+const HIGHLIGHT = '**';
+
+// Characters of context shown around a match when the database doesn't build the snippet
+const SNIPPET_CHARS = 200;
+
+// Models holding each document type, for LIKE matching and result details
+const DOCUMENT_MODELS = {
+  transcript: MeetingTranscript,
+  summary: Summary,
+  action_item: ActionItem,
+  decision: Decision
+};
+
+class SearchService {
+  constructor(options = {}) {
+    this.embeddingIndex = options.embeddingIndex || new EmbeddingIndex();
+    // Matches considered per document type before results are merged and paged
+    this.maxMatches = parseInt(process.env.SEARCH_MAX_MATCHES) || 200;
+  }
+
+  /**
+   * Search the meetings of a session or workspace
+   *
+   * @param {Object} owner - Where-clause from models/ownership (sessionOwner)
+   * @param {Object} filters - { q, types, from, to, style, meetingType, speaker, semantic, limit, offset }
+   * @returns {Promise<Object>} { results, total, mode, semantic }
+   */
+  async search(owner, filters = {}) {
+    const types = filters.types?.length ? filters.types : SEARCH_TYPES;
+    const limit = parseInt(filters.limit) || 20;
+    const offset = parseInt(filters.offset) || 0;
+    const mode = getSearchMode(sequelize);
+    const semantic = this.embeddingIndex.enabled && filters.semantic !== false;
+
+    const meetings = await this.findMeetings(owner, filters);
+    if (meetings.size === 0) {
+      return { results: [], total: 0, mode, semantic };
+    }
+
+    const transcriptIds = [...meetings.keys()];
+    const textMatches = await this.textSearch(mode, filters.q, types, transcriptIds);
+    const semanticMatches = semantic ?
+      await this.semanticSearch(filters.q, types, [...meetings.values()]) :
+      [];
+
+    const merged = await this.filterSummaries(this.mergeMatches(textMatches, semanticMatches), filters.style);
+    merged.sort((a, b) => b.score - a.score ||
+      meetings.get(b.transcriptId).getMeetingDate() - meetings.get(a.transcriptId).getMeetingDate());
+
+    return {
+      results: await this.describeResults(merged.slice(offset, offset + limit), meetings),
+      total: merged.length,
+      mode,
+      semantic
+    };
+  }
+
+  /**
+   * The owner's processed meetings that pass the date, meeting type,
+   * speaker and summary style filters
+   *
+   * @returns {Promise<Map>} transcriptId -> MeetingTranscript
+   */
+  async findMeetings(owner, filters = {}) {
+    const transcripts = await MeetingTranscript.findAll({
+      where: { ...owner, status: 'processed' },
+      attributes: ['id', 'sessionId', 'originalName', 'metadata', 'createdAt', 'updatedAt',
+        ...(filters.speaker ? ['speakerTurns'] : [])]
+    });
+
+    let matching = transcripts.filter(transcript => {
+      const date = transcript.getMeetingDate().toISOString().split('T')[0];
+      if (filters.from && date < filters.from) return false;
+      if (filters.to && date > filters.to) return false;
+      if (filters.meetingType && transcript.metadata?.meetingType !== filters.meetingType) return false;
+      if (filters.speaker && !this.hasSpeaker(transcript, filters.speaker)) return false;
+      return true;
+    });
+
+    // A style filter keeps the meetings summarized in that style
+    if (filters.style && matching.length > 0) {
+      const styled = await Summary.findAll({
+        where: {
+          transcriptId: matching.map(transcript => transcript.id),
+          summaryStyle: filters.style,
+          status: ['completed', 'edited']
+        },
+        attributes: ['transcriptId']
+      });
+      const styledIds = new Set(styled.map(summary => summary.transcriptId));
+      matching = matching.filter(transcript => styledIds.has(transcript.id));
+    }
+
+    return new Map(matching.map(transcript => [transcript.id, transcript]));
+  }
+
+  /**
+   * Whether a speaker (case-insensitive, part of the name is enough) spoke in
+   * or attended the meeting
+   */
+  hasSpeaker(transcript, speaker) {
+    const wanted = speaker.trim().toLowerCase();
+    const attendees = transcript.metadata?.attendees;
+    const names = [
+      ...(transcript.speakerTurns || []).map(turn => turn.speaker),
+      ...(Array.isArray(attendees) ? attendees : String(attendees || '').split(','))
+    ];
+
+    return names.some(name => name && name.toLowerCase().includes(wanted));
+  }
+
+  /**
+   * Full-text matches with the database's search
+   *
+   * @returns {Promise<Array>} [{ type, id, transcriptId, score, snippet }] best first
+   */
+  async textSearch(mode, q, types, transcriptIds) {
+    let matches;
+    if (mode === 'postgres') {
+      matches = await this.postgresSearch(q, types, transcriptIds);
+    } else if (mode === 'fts5') {
+      matches = await this.ftsSearch(q, types, transcriptIds);
+    } else {
+      matches = await this.likeSearch(q, types, transcriptIds);
+    }
+
+    return matches
+      .map(match => ({ ...match, score: Number(match.score) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * PostgreSQL full-text search; websearch syntax ("quoted phrases", or, -excluded)
+   */
+  async postgresSearch(q, types, transcriptIds) {
+    const query = `websearch_to_tsquery('${SEARCH_LANGUAGE}', :q)`;
+    const matches = [];
+
+    for (const type of types) {
+      const { table, transcriptColumn } = SEARCH_DOCUMENTS[type];
+      // Rank in the subquery so headlines are only built for the rows returned
+      const rows = await sequelize.query(
+        `SELECT m.type, m.id, m."transcriptId", m.score,
+          ts_headline('${SEARCH_LANGUAGE}', m.body, ${query}, :headline) AS snippet
+        FROM (
+          SELECT '${type}' AS type, d.id, d."${transcriptColumn}" AS "transcriptId", ${textExpression(type)} AS body,
+            ts_rank(${tsvectorExpression(type)}, ${query}) AS score
+          FROM "${table}" d
+          WHERE ${tsvectorExpression(type)} @@ ${query}
+            AND d."${transcriptColumn}" IN (:transcriptIds)
+          ORDER BY score DESC
+          LIMIT :limit
+        ) m`,
+        {
+          replacements: {
+            q,
+            transcriptIds,
+            limit: this.maxMatches,
+            headline: `StartSel=${HIGHLIGHT}, StopSel=${HIGHLIGHT}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`
+          },
+          type: QueryTypes.SELECT
+        }
+      );
+      matches.push(...rows);
+    }
+
+    return matches;
+  }
+
+  /**
+   * SQLite FTS5 search (porter stemming); bm25 is negated so higher is better
+   */
+  async ftsSearch(q, types, transcriptIds) {
+    const match = this.buildFtsQuery(q);
+    if (!match) return [];
+
+    return await sequelize.query(
+      `SELECT doc_type AS type, doc_id AS id, transcript_id AS "transcriptId",
+        -bm25(${FTS_TABLE}) AS score,
+        snippet(${FTS_TABLE}, 0, '${HIGHLIGHT}', '${HIGHLIGHT}', ' … ', 24) AS snippet
+      FROM ${FTS_TABLE}
+      WHERE ${FTS_TABLE} MATCH :match
+        AND doc_type IN (:types)
+        AND transcript_id IN (:transcriptIds)
+      ORDER BY bm25(${FTS_TABLE})
+      LIMIT :limit`,
+      {
+        replacements: { match, types, transcriptIds, limit: this.maxMatches * types.length },
+        type: QueryTypes.SELECT
+      }
+    );
+  }
+
+  /**
+   * Translate search text into an FTS5 query with the same syntax as
+   * PostgreSQL's websearch: words must all match, "quoted phrases" match in
+   * order, "or" between terms matches either and a leading "-" excludes.
+   * Every term is quoted, so FTS5 operators in the text have no effect.
+   *
+   * @returns {string|null} FTS5 query, or null when nothing is searchable
+   */
+  buildFtsQuery(q) {
+    const include = [];
+    const exclude = [];
+    let pendingOr = false;
+
+    for (const [, phrase, word] of q.matchAll(/"([^"]*)"|(\S+)/g)) {
+      const raw = phrase ?? word;
+      const negated = word?.startsWith('-');
+      if (word && word.toLowerCase() === 'or') {
+        pendingOr = include.length > 0;
+        continue;
+      }
+
+      const terms = (raw.match(/[\p{L}\p{N}]+/gu) || []);
+      if (terms.length === 0) continue;
+      const term = `"${terms.join(' ')}"`;
+
+      if (negated) {
+        exclude.push(term);
+      } else if (pendingOr) {
+        include[include.length - 1] = `${include[include.length - 1]} OR ${term}`;
+      } else {
+        include.push(term);
+      }
+      pendingOr = false;
+    }
+
+    if (include.length === 0) return null;
+
+    const groups = include.map(group => (group.includes(' OR ') ? `(${group})` : group));
+    if (exclude.length === 0) return groups.join(' AND ');
+
+    const positive = groups.length > 1 ? `(${groups.join(' AND ')})` : groups[0];
+    return `${positive}${exclude.map(term => ` NOT ${term}`).join('')}`;
+  }
+
+  /**
+   * Fallback without a full-text index: every word must appear in the text
+   */
+  async likeSearch(q, types, transcriptIds) {
+    const words = (q.replace(/(^|\s)-\S+/g, ' ').match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => word.toLowerCase() !== 'or');
+    if (words.length === 0) return [];
+
+    const matches = [];
+    for (const type of types) {
+      const { columns, transcriptColumn } = SEARCH_DOCUMENTS[type];
+      const rows = await DOCUMENT_MODELS[type].findAll({
+        where: {
+          [transcriptColumn]: transcriptIds,
+          [Op.and]: words.map(word => ({
+            [Op.or]: columns.map(column => ({ [column]: { [Op.like]: `%${word.replace(/[%_\\]/g, '\\$&')}%` } }))
+          }))
+        },
+        attributes: ['id', ...new Set([transcriptColumn, ...columns])],
+        limit: this.maxMatches
+      });
+
+      rows.forEach(row => {
+        const text = columns.map(column => row[column] || '').join(' ');
+        const lower = text.toLowerCase();
+        matches.push({
+          type,
+          id: row.id,
+          transcriptId: row[transcriptColumn],
+          // Occurrences of the words, relative to the text length
+          score: words.reduce((sum, word) => sum + lower.split(word.toLowerCase()).length - 1, 0) /
+            Math.sqrt(Math.max(1, text.length / 100)),
+          snippet: this.buildSnippet(text, words)
+        });
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Semantic matches from the embedding index (transcripts and summaries only)
+   */
+  async semanticSearch(q, types, transcripts) {
+    if (!types.includes('transcript') && !types.includes('summary')) return [];
+
+    try {
+      const matches = await this.embeddingIndex.search(q, transcripts, this.maxMatches);
+      const words = q.match(/[\p{L}\p{N}]+/gu) || [];
+      return matches
+        .filter(match => types.includes(match.type))
+        .map(match => ({ ...match, snippet: this.buildSnippet(match.text, words) }));
+    } catch (error) {
+      // Full-text results are still returned when the embedding provider is unavailable
+      console.error('❌ Semantic search failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Merge full-text and semantic matches by reciprocal rank fusion; a
+   * document found by both ranks above one found by either alone
+   *
+   * @returns {Array} [{ type, id, transcriptId, score, matchedBy, snippet, lines, similarity }]
+   */
+  mergeMatches(textMatches, semanticMatches) {
+    const merged = new Map();
+
+    textMatches.forEach((match, rank) => {
+      merged.set(`${match.type}:${match.id}`, {
+        type: match.type,
+        id: match.id,
+        transcriptId: match.transcriptId,
+        score: 1 / (RRF_K + rank + 1),
+        matchedBy: ['text'],
+        snippet: match.snippet
+      });
+    });
+
+    semanticMatches.forEach((match, rank) => {
+      const key = `${match.type}:${match.id}`;
+      const existing = merged.get(key);
+      const lines = { startLine: match.startLine, endLine: match.endLine };
+      const similarity = Math.round(match.score * 1000) / 1000;
+
+      if (existing) {
+        existing.score += 1 / (RRF_K + rank + 1);
+        existing.matchedBy.push('semantic');
+        Object.assign(existing, { lines, similarity });
+      } else {
+        merged.set(key, {
+          type: match.type,
+          id: match.id,
+          transcriptId: match.transcriptId,
+          score: 1 / (RRF_K + rank + 1),
+          matchedBy: ['semantic'],
+          snippet: match.snippet,
+          lines,
+          similarity
+        });
+      }
+    });
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Drop summary matches that aren't completed or (with a style filter)
+   * are of another style
+   */
+  async filterSummaries(matches, style) {
+    const summaryIds = matches.filter(match => match.type === 'summary').map(match => match.id);
+    if (summaryIds.length === 0) return matches;
+
+    const summaries = await Summary.findAll({
+      where: {
+        id: summaryIds,
+        status: ['completed', 'edited'],
+        ...(style && { summaryStyle: style })
+      },
+      attributes: ['id']
+    });
+    const kept = new Set(summaries.map(summary => summary.id));
+
+    return matches.filter(match => match.type !== 'summary' || kept.has(match.id));
+  }
+
+  /**
+   * Add the meeting and the matched item's details to a page of matches
+   */
+  async describeResults(matches, meetings) {
+    const idsOf = (type) => matches.filter(match => match.type === type).map(match => match.id);
+    const [summaries, actionItems, decisions] = await Promise.all([
+      idsOf('summary').length > 0 ?
+        Summary.findAll({ where: { id: idsOf('summary') }, attributes: ['id', 'summaryStyle', 'status', 'createdAt'] }) : [],
+      idsOf('action_item').length > 0 ?
+        ActionItem.findAll({ where: { id: idsOf('action_item') }, attributes: ['id', 'task', 'owner', 'dueDate', 'status'] }) : [],
+      idsOf('decision').length > 0 ?
+        Decision.findAll({ where: { id: idsOf('decision') }, attributes: ['id', 'text', 'owner', 'decidedOn', 'status'] }) : []
+    ]);
+
+    const details = new Map([
+      ...summaries.map(summary => [summary.id, {
+        summaryStyle: summary.summaryStyle,
+        status: summary.status,
+        createdAt: summary.createdAt
+      }]),
+      ...actionItems.map(item => [item.id, {
+        task: item.task,
+        owner: item.owner,
+        dueDate: item.dueDate,
+        status: item.status
+      }]),
+      ...decisions.map(decision => [decision.id, {
+        text: decision.text,
+        owner: decision.owner,
+        decidedOn: decision.decidedOn,
+        status: decision.status
+      }])
+    ]);
+
+    return matches.map(match => {
+      const transcript = meetings.get(match.transcriptId);
+      return {
+        ...match,
+        score: Math.round(match.score * 10000) / 10000,
+        meeting: {
+          id: transcript.id,
+          title: transcript.metadata?.meetingTitle || transcript.originalName,
+          date: transcript.getMeetingDate().toISOString().split('T')[0],
+          meetingType: transcript.metadata?.meetingType || null
+        },
+        ...(details.has(match.id) && { item: details.get(match.id) })
+      };
+    });
+  }
+
+  /**
+   * Excerpt of a text around the first of the words, with the words highlighted
+   */
+  buildSnippet(text, words = []) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    const lower = flat.toLowerCase();
+    const first = words
+      .map(word => lower.indexOf(word.toLowerCase()))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b)[0] ?? 0;
+
+    const start = Math.max(0, first - SNIPPET_CHARS / 4);
+    let snippet = flat.slice(start, start + SNIPPET_CHARS);
+    if (start > 0) snippet = `… ${snippet}`;
+    if (start + SNIPPET_CHARS < flat.length) snippet = `${snippet} …`;
+
+    const pattern = words
+      .filter(word => word.length >= 2)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    return pattern ?
+      snippet.replace(new RegExp(`(${pattern})`, 'gi'), `${HIGHLIGHT}$1${HIGHLIGHT}`) :
+      snippet;
+  }
+}
+
+SearchService.SEARCH_TYPES = SEARCH_TYPES;
+
+module.exports = SearchService;
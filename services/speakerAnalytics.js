@@ -0,0 +1,187 @@
+/**
+ * Speaker Analytics
+ *
+ * Builds speaker turns from plain-text transcripts ("Name: text" lines,
+ * optionally timestamped) and computes per-participant statistics: turn
+ * counts, talk time and share, and interruptions. Caption and platform
+ * imports already arrive as turns and are analyzed the same way.
+ */
+
+const CaptionParser = require('./captionParser');
+
+const TIME = '(\\d{1,2}:\\d{2}(?::\\d{2})?(?:[.,]\\d{1,3})?)';
+const NAME = "(\\p{Lu}[\\p{L}\\p{M}.'’\\-]*(?:\\s+[\\p{Lu}(][\\p{L}\\p{M}.'’\\-)]*){0,4})";
+// "Jane Doe: text", "[00:01:23] Jane Doe: text", "00:01:23 Jane Doe: text", "Jane Doe (01:23): text"
+const TURN_PATTERN = new RegExp(`^(?:\\[?${TIME}\\]?\\s+)?${NAME}\\s*(?:[(\\[]${TIME}[)\\]])?:\\s+(.+)$`, 'u');
+
+// Line labels that look like "Name:" prefixes but are not speakers
+const NON_SPEAKER_LABELS = new Set([
+  'action', 'action item', 'action items', 'agenda', 'attendees', 'date', 'decision', 'decisions',
+  'duration', 'location', 'meeting', 'note', 'notes', 'participants', 're', 'subject', 'summary', 'time', 'title', 'topic'
+]);
+
+// A turn ending like this was cut off by the next speaker
+const CUT_OFF_PATTERN = /(--|—|–|-|…|\.\.\.)$/;
+
+class SpeakerAnalytics {
+  constructor(options = {}) {
+    this.captionParser = options.captionParser || new CaptionParser();
+    // Used to estimate talk time when the transcript has no timestamps
+    this.wordsPerMinute = options.wordsPerMinute || parseInt(process.env.SPEAKER_WORDS_PER_MINUTE) || 150;
+    // Overlap below this is treated as normal turn-taking, not an interruption
+    this.overlapToleranceMs = options.overlapToleranceMs || parseInt(process.env.SPEAKER_OVERLAP_TOLERANCE_MS) || 500;
+  }
+
+  /**
+   * Parse "Name:" prefixed lines into speaker turns. Lines without a
+   * prefix continue the previous turn; consecutive lines from the same
+   * speaker are merged.
+   *
+   * @param {string} content - Transcript text
+   * @returns {Array} Turns in the caption segment shape
+   */
+  parseSpeakerTurns(content = '') {
+    const turns = [];
+
+    content.replace(/\r\n?/g, '\n').split('\n').forEach((rawLine, lineIndex) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      const match = line.match(TURN_PATTERN);
+      const speaker = match && !NON_SPEAKER_LABELS.has(match[2].toLowerCase()) ? match[2].trim() : null;
+      const previous = turns[turns.length - 1];
+
+      if (!speaker) {
+        if (previous) previous.text = `${previous.text} ${line}`;
+        return;
+      }
+
+      const timestamp = match[1] || match[3];
+      const startMs = timestamp ? this.captionParser.parseTimestamp(timestamp) : null;
+
+      if (previous && previous.speaker === speaker) {
+        previous.text = `${previous.text} ${match[4].trim()}`;
+        previous.cueCount++;
+        return;
+      }
+
+      turns.push({
+        startMs,
+        endMs: null,
+        speaker,
+        text: match[4].trim(),
+        cueCount: 1,
+        line: lineIndex + 1
+      });
+    });
+
+    // Timestamped turns run until the next turn starts
+    turns.forEach((turn, index) => {
+      const next = turns[index + 1];
+      if (turn.startMs !== null) {
+        turn.endMs = next && next.startMs !== null ? Math.max(turn.startMs, next.startMs) : turn.startMs;
+        turn.start = this.captionParser.formatTimestamp(turn.startMs);
+        turn.end = this.captionParser.formatTimestamp(turn.endMs);
+      } else {
+        turn.start = null;
+        turn.end = null;
+      }
+      turn.index = index;
+    });
+
+    return turns.length >= 2 ? turns : [];
+  }
+
+  /**
+   * Per-participant statistics for a list of speaker turns
+   *
+   * @param {Array} turns - Speaker turns ({ speaker, text, startMs, endMs })
+   * @returns {Object} { timing, totalTurns, totalWords, totalTalkTimeMs, participants }
+   */
+  analyze(turns = []) {
+    const attributed = turns.filter(turn => turn.speaker);
+    const timed = attributed.length > 0 && attributed.every(turn =>
+      Number.isFinite(turn.startMs) && Number.isFinite(turn.endMs) && turn.endMs >= turn.startMs);
+
+    // Untimed transcripts, or coarse ones (e.g. Meet stamps blocks, not turns), fall back to word counts
+    // (the last turn of a derived timeline has no end, so it is not counted against it)
+    const timedTurns = attributed.filter(turn => timed && turn.endMs > turn.startMs);
+    const useTimestamps = timed && timedTurns.length >= (attributed.length - 1) * 0.8;
+    const participants = new Map();
+
+    const getParticipant = (speaker) => {
+      if (!participants.has(speaker)) {
+        participants.set(speaker, {
+          speaker,
+          turnCount: 0,
+          wordCount: 0,
+          talkTimeMs: 0,
+          longestTurnMs: 0,
+          interruptions: 0,
+          interrupted: 0
+        });
+      }
+      return participants.get(speaker);
+    };
+
+    attributed.forEach((turn, index) => {
+      const participant = getParticipant(turn.speaker);
+      const words = this.countWords(turn.text);
+      // Zero-length turns (no known end) are estimated from their word count
+      const talkTimeMs = useTimestamps && turn.endMs > turn.startMs ?
+        turn.endMs - turn.startMs :
+        Math.round(words / this.wordsPerMinute * 60000);
+
+      participant.turnCount++;
+      participant.wordCount += words;
+      participant.talkTimeMs += talkTimeMs;
+      participant.longestTurnMs = Math.max(participant.longestTurnMs, talkTimeMs);
+
+      const previous = attributed[index - 1];
+      if (previous && previous.speaker !== turn.speaker && this.isInterruption(previous, turn, timed)) {
+        participant.interruptions++;
+        getParticipant(previous.speaker).interrupted++;
+      }
+    });
+
+    const totalTalkTimeMs = [...participants.values()].reduce((sum, p) => sum + p.talkTimeMs, 0);
+    const totalWords = [...participants.values()].reduce((sum, p) => sum + p.wordCount, 0);
+
+    return {
+      timing: useTimestamps ? 'timestamps' : 'estimated',
+      totalTurns: attributed.length,
+      totalWords,
+      totalTalkTimeMs,
+      totalTalkTime: this.captionParser.formatTimestamp(totalTalkTimeMs),
+      participants: [...participants.values()]
+        .map(participant => ({
+          ...participant,
+          talkTime: this.captionParser.formatTimestamp(participant.talkTimeMs),
+          talkTimeShare: totalTalkTimeMs > 0 ?
+            Math.round(participant.talkTimeMs / totalTalkTimeMs * 1000) / 10 : 0,
+          averageWordsPerTurn: Math.round(participant.wordCount / participant.turnCount)
+        }))
+        .sort((a, b) => b.talkTimeMs - a.talkTimeMs)
+    };
+  }
+
+  /**
+   * A turn interrupts the previous one when it starts before the previous
+   * turn ended, or when the previous turn was visibly cut off
+   */
+  isInterruption(previous, turn, timed) {
+    if (timed && turn.startMs < previous.endMs - this.overlapToleranceMs) {
+      return true;
+    }
+    return CUT_OFF_PATTERN.test(previous.text.trim());
+  }
+
+  /**
+   * Count whitespace-separated words
+   */
+  countWords(text = '') {
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+}
+
+module.exports = SpeakerAnalytics;
@@ -0,0 +1,205 @@
+/**
+ * Summary Revisions
+ *
+ * Presents a summary's editHistory as numbered revisions: revision 1 is the
+ * generated summary, each history entry adds the next one and the highest
+ * number is the current content. Any two revisions can be compared word by
+ * word, and restoring an earlier one adds it again as a new revision so no
+ * history is lost.
+ */
+
+// Labels of the edit types recorded in Summary.editHistory
+const EDIT_TYPE_LABELS = {
+  generated: 'Generated',
+  manual_edit: 'Manual edit',
+  ai_refine: 'Refined with feedback',
+  restore: 'Restored'
+};
+
+// Changed words past which two revisions are shown as one replacement
+// (keeps the diff trace small for rewritten summaries)
+const MAX_DIFF_EDITS = 2000;
+
+class SummaryRevisions {
+  /**
+   * All revisions of a summary, oldest first, without their content
+   *
+   * @param {Object} summary - Summary instance
+   * @returns {Array<Object>} { revision, editType, label, timestamp, wordCount, current, ... }
+   */
+  list(summary) {
+    return Array.from({ length: this.count(summary) }, (_, index) => this.describe(summary, index + 1));
+  }
+
+  /**
+   * A single revision with its content, or null when it does not exist
+   */
+  get(summary, revision) {
+    const count = this.count(summary);
+    if (!Number.isInteger(revision) || revision < 1 || revision > count) return null;
+
+    return {
+      ...this.describe(summary, revision),
+      content: this.getContent(summary, revision)
+    };
+  }
+
+  /**
+   * Number of revisions (history entries plus the current content)
+   */
+  count(summary) {
+    return (summary.editHistory || []).length + 1;
+  }
+
+  /**
+   * Word-level diff between two revisions
+   *
+   * @param {Object} summary - Summary instance
+   * @param {number} from - Older revision
+   * @param {number} to - Newer revision
+   * @returns {Object|null} { from, to, changes: [{ type, text }], stats } or null if either is missing
+   */
+  diff(summary, from, to) {
+    const fromRevision = this.get(summary, from);
+    const toRevision = this.get(summary, to);
+    if (!fromRevision || !toRevision) return null;
+
+    const changes = this.diffWords(fromRevision.content, toRevision.content);
+    const countWords = (type) => changes
+      .filter(change => change.type === type)
+      .reduce((sum, change) => sum + (change.text.match(/\S+/g) || []).length, 0);
+
+    return {
+      from: { revision: from, editType: fromRevision.editType, timestamp: fromRevision.timestamp },
+      to: { revision: to, editType: toRevision.editType, timestamp: toRevision.timestamp },
+      changes,
+      stats: {
+        added: countWords('insert'),
+        removed: countWords('delete'),
+        unchanged: countWords('equal')
+      }
+    };
+  }
+
+  /**
+   * Diff two texts as runs of equal, inserted and deleted words. Whitespace
+   * is kept with the words so the runs join back into either text.
+   * Myers' O(ND) algorithm, so near-identical revisions stay cheap.
+   */
+  diffWords(oldText = '', newText = '') {
+    const a = this.tokenize(oldText);
+    const b = this.tokenize(newText);
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const frontier = new Int32Array(2 * max + 3);
+    // Frontier before each step d, diagonals -d..d only
+    const trace = [];
+
+    let found = max === 0;
+    for (let d = 0; d <= max && !found; d++) {
+      if (d > MAX_DIFF_EDITS) {
+        return this.mergeRuns([
+          { type: 'delete', text: oldText },
+          { type: 'insert', text: newText }
+        ].filter(change => change.text));
+      }
+
+      trace.push(frontier.slice(offset - d, offset + d + 1));
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1])) ?
+          frontier[offset + k + 1] :
+          frontier[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < a.length && y < b.length && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        frontier[offset + k] = x;
+        if (x >= a.length && y >= b.length) {
+          found = true;
+          break;
+        }
+      }
+    }
+
+    // Walk the trace back from the end to recover the edit script
+    const changes = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const v = trace[d];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && v[d + k - 1] < v[d + k + 1])) ? k + 1 : k - 1;
+      const prevX = d === 0 ? 0 : v[d + prevK];
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        changes.push({ type: 'equal', text: a[--x] });
+        y--;
+      }
+      if (d > 0) {
+        if (x === prevX) changes.push({ type: 'insert', text: b[--y] });
+        else changes.push({ type: 'delete', text: a[--x] });
+      }
+    }
+
+    return this.mergeRuns(changes.reverse());
+  }
+
+  /**
+   * Words with their trailing whitespace ("Owner: " -> ["Owner: "])
+   */
+  tokenize(text) {
+    return text.match(/\s+|\S+\s*/g) || [];
+  }
+
+  /**
+   * Join consecutive changes of the same type
+   */
+  mergeRuns(changes) {
+    return changes.reduce((runs, change) => {
+      const last = runs[runs.length - 1];
+      if (last && last.type === change.type) {
+        last.text += change.text;
+      } else {
+        runs.push({ ...change });
+      }
+      return runs;
+    }, []);
+  }
+
+  /**
+   * Content of a revision: history entry N keeps the content from before
+   * edit N, which is revision N; the last revision is the current content
+   */
+  getContent(summary, revision) {
+    const history = summary.editHistory || [];
+    return revision <= history.length ? (history[revision - 1].previousContent || '') : (summary.content || '');
+  }
+
+  /**
+   * Revision details: the edit that produced it and its size
+   */
+  describe(summary, revision) {
+    const history = summary.editHistory || [];
+    // Revision 1 was generated; revision N > 1 was produced by history entry N - 1
+    const entry = revision > 1 ? history[revision - 2] : null;
+    const editType = entry ? entry.editType : 'generated';
+    const content = this.getContent(summary, revision);
+
+    return {
+      revision,
+      editType,
+      label: EDIT_TYPE_LABELS[editType] || editType,
+      timestamp: entry ? entry.timestamp : summary.createdAt,
+      wordCount: (content.match(/\S+/g) || []).length,
+      current: revision === history.length + 1,
+      ...(entry?.feedback && { feedback: entry.feedback }),
+      ...(entry?.restoredRevision && { restoredRevision: entry.restoredRevision }),
+      ...(entry?.aiModel && { aiModel: entry.aiModel }),
+      ...(entry?.cost !== undefined && { cost: entry.cost })
+    };
+  }
+}
+
+module.exports = SummaryRevisions;
@@ -0,0 +1,486 @@
+/**
+ * Structured Summary Schema
+ *
+ * Versioned JSON schema for summaries generated in structured (JSON) output
+ * mode, plus the parsing, repair and validation applied to model output and
+ * the renderers that turn a validated summary into markdown, plain text and
+ * email text. Bump SCHEMA_VERSION whenever the shape changes.
+ */
+
+const SCHEMA_VERSION = '1.1';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Owner/due values models use for "not stated"; normalized to null
+const NOT_STATED_PATTERN = /^(?:n\/?a|none|null|unknown|unassigned|tbd|tba|not (?:stated|specified|assigned|mentioned)|-+)$/i;
+
+const CITATION_LABEL_PATTERN = /^(?:L\d+(?:\s*[-–]\s*L?\d+)?|\d{1,2}:\d{2}(?::\d{2})?(?:\s*[-–]\s*\d{1,2}:\d{2}(?::\d{2})?)?)$/;
+
+const citationsProperty = {
+  type: 'array',
+  description: 'Transcript lines supporting the item, e.g. ["L12", "L40-L42"]',
+  items: { type: 'string' }
+};
+
+const SUMMARY_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `meeting-summary/v${SCHEMA_VERSION}`,
+  title: 'Meeting summary',
+  type: 'object',
+  required: ['schemaVersion', 'title', 'overview', 'sections', 'decisions', 'actionItems', 'risks', 'openQuestions'],
+  properties: {
+    schemaVersion: { type: 'string', const: SCHEMA_VERSION },
+    title: { type: 'string', minLength: 1, description: 'Short meeting title' },
+    overview: { type: 'string', minLength: 1, description: 'Two to four sentence overview of the meeting' },
+    sections: {
+      type: 'array',
+      description: 'Topics discussed, in meeting order',
+      items: {
+        type: 'object',
+        required: ['heading', 'points'],
+        properties: {
+          heading: { type: 'string', minLength: 1 },
+          points: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['text'],
+              properties: {
+                text: { type: 'string', minLength: 1 },
+                citations: citationsProperty
+              }
+            }
+          }
+        }
+      }
+    },
+    decisions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          madeBy: { type: ['string', 'null'], description: 'Who made or announced the decision, if stated' },
+          rationale: { type: ['string', 'null'], description: 'Why the decision was made, if stated' },
+          citations: citationsProperty
+        }
+      }
+    },
+    actionItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['task', 'owner', 'due', 'priority'],
+        properties: {
+          task: { type: 'string', minLength: 1 },
+          owner: { type: ['string', 'null'], description: 'Person responsible, or null if not stated' },
+          due: { type: ['string', 'null'], description: 'Deadline as stated in the meeting, or null' },
+          priority: { type: ['string', 'null'], enum: [...PRIORITIES, null] },
+          citations: citationsProperty
+        }
+      }
+    },
+    risks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          mitigation: { type: ['string', 'null'] },
+          citations: citationsProperty
+        }
+      }
+    },
+    openQuestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          owner: { type: ['string', 'null'], description: 'Who is expected to answer, if stated' },
+          citations: citationsProperty
+        }
+      }
+    }
+  }
+};
+
+class SummarySchema {
+  constructor() {
+    this.version = SCHEMA_VERSION;
+    this.schema = SUMMARY_SCHEMA;
+  }
+
+  /**
+   * Parse model output into a validated structured summary. Malformed JSON
+   * is repaired where possible and loose values are normalized before
+   * validation; every change made is listed in `repairs`.
+   *
+   * @param {string} text - Raw model output
+   * @returns {Object} { valid, data, errors, repairs, schemaVersion }
+   */
+  parse(text) {
+    const { value, repairs, error } = this.parseJSON(text || '');
+
+    if (value === undefined) {
+      return { valid: false, data: null, errors: [`Invalid JSON: ${error}`], repairs, schemaVersion: this.version };
+    }
+
+    const data = this.normalize(value, repairs);
+    const errors = this.validate(data);
+
+    return { valid: errors.length === 0, data, errors, repairs, schemaVersion: this.version };
+  }
+
+  /**
+   * JSON.parse with progressively more invasive repairs: code fences and
+   * surrounding prose, typographic quotes, trailing commas, and finally
+   * unterminated strings and brackets from truncated output
+   *
+   * @returns {Object} { value, repairs, error }
+   */
+  parseJSON(text) {
+    const repairs = [];
+    const attempt = (candidate) => {
+      try {
+        return { value: JSON.parse(candidate) };
+      } catch (error) {
+        return { error: error.message };
+      }
+    };
+
+    let candidate = text.trim();
+    let result = attempt(candidate);
+    if (!('error' in result)) return { value: result.value, repairs };
+    const firstError = result.error;
+
+    const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    if (fenced) {
+      candidate = fenced[1].trim();
+      repairs.push('Removed markdown code fence');
+    }
+
+    // Anything after the last closing brace is prose or a truncated item
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start !== -1) {
+      const sliced = candidate.slice(start, end > start ? end + 1 : undefined);
+      if (sliced !== candidate) {
+        candidate = sliced;
+        repairs.push('Removed text around the JSON object');
+      }
+    }
+
+    const steps = [
+      ['Replaced typographic quotes', value => value.replace(/[“”]/g, '"')],
+      ['Removed trailing commas', value => value.replace(/,(\s*[}\]])/g, '$1')],
+      ['Closed truncated JSON', value => this.closeTruncatedJSON(value)]
+    ];
+
+    result = attempt(candidate);
+    for (const [description, repair] of steps) {
+      if (!('error' in result)) break;
+      const repaired = repair(candidate);
+      if (repaired === candidate) continue;
+      candidate = repaired;
+      repairs.push(description);
+      result = attempt(candidate);
+    }
+
+    return 'error' in result ?
+      { value: undefined, repairs, error: firstError } :
+      { value: result.value, repairs };
+  }
+
+  /**
+   * Close an unterminated string and any open objects/arrays, dropping a
+   * dangling key or separator left where the output was cut off
+   */
+  closeTruncatedJSON(text) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (const char of text) {
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        stack.push(char === '{' ? '}' : ']');
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+      }
+    }
+
+    if (stack.length === 0 && !inString) return text;
+
+    let closed = inString ? `${text}"` : text;
+    closed = closed
+      .replace(/,\s*"[^"]*"\s*:?\s*$/, '')   // Dangling key ("owner" or "owner":)
+      .replace(/:\s*$/, ': null')
+      .replace(/,\s*$/, '');
+
+    return closed + stack.reverse().join('');
+  }
+
+  /**
+   * Coerce common model deviations into the schema shape: bare strings for
+   * items, missing arrays, "TBD" owners, capitalized priorities and
+   * citation strings. Changes are recorded in `repairs`.
+   */
+  normalize(value, repairs = []) {
+    const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    const note = (message) => {
+      if (!repairs.includes(message)) repairs.push(message);
+    };
+
+    const text = (input) => (typeof input === 'string' ? input.replace(/\s+/g, ' ').trim() : '');
+    const optionalText = (input, field) => {
+      const cleaned = text(input);
+      if (!cleaned || NOT_STATED_PATTERN.test(cleaned)) {
+        if (cleaned) note(`Set "not stated" ${field} values to null`);
+        return null;
+      }
+      return cleaned;
+    };
+    const citations = (input) => {
+      const labels = Array.isArray(input) ? input : typeof input === 'string' ? input.split(/\s*[,;]\s*/) : [];
+      if (typeof input === 'string') note('Split citation strings into arrays');
+      return labels
+        .map(label => text(String(label)).replace(/^\[|\]$/g, ''))
+        .filter(label => CITATION_LABEL_PATTERN.test(label));
+    };
+    const list = (input, field, toItem) => {
+      if (input === undefined || input === null) {
+        note(`Added missing "${field}" array`);
+        return [];
+      }
+      const items = Array.isArray(input) ? input : [input];
+      return items
+        .map(item => {
+          if (typeof item === 'string') {
+            note(`Converted plain strings in "${field}" to objects`);
+            return toItem({ text: item, task: item });
+          }
+          return item && typeof item === 'object' ? toItem(item) : null;
+        })
+        .filter(Boolean);
+    };
+
+    if (source.schemaVersion !== undefined && source.schemaVersion !== SCHEMA_VERSION) {
+      note(`Replaced schemaVersion "${source.schemaVersion}" with "${SCHEMA_VERSION}"`);
+    }
+
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      title: text(source.title) || 'Meeting Summary',
+      overview: text(source.overview || source.summary),
+      sections: list(source.sections, 'sections', section => {
+        const heading = text(section.heading || section.title);
+        const points = list(section.points || section.items || [], 'points', point => {
+          const pointText = text(point.text);
+          return pointText ? { text: pointText, citations: citations(point.citations) } : null;
+        });
+        return heading && points.length > 0 ? { heading, points } : null;
+      }),
+      decisions: list(source.decisions, 'decisions', decision => {
+        const decisionText = text(decision.text || decision.decision);
+        return decisionText ? {
+          text: decisionText,
+          madeBy: optionalText(decision.madeBy, 'madeBy'),
+          rationale: optionalText(decision.rationale || decision.reason, 'rationale'),
+          citations: citations(decision.citations)
+        } : null;
+      }),
+      actionItems: list(source.actionItems, 'actionItems', item => {
+        const task = text(item.task || item.action || item.text);
+        if (!task) return null;
+
+        const priority = text(item.priority).toLowerCase();
+        if (priority && !PRIORITIES.includes(priority)) note(`Dropped unknown priority "${item.priority}"`);
+
+        return {
+          task,
+          owner: optionalText(item.owner || item.assignee, 'owner'),
+          due: optionalText(item.due || item.deadline, 'due'),
+          priority: PRIORITIES.includes(priority) ? priority : null,
+          citations: citations(item.citations)
+        };
+      }),
+      risks: list(source.risks, 'risks', risk => {
+        const riskText = text(risk.text || risk.risk);
+        return riskText ? {
+          text: riskText,
+          mitigation: optionalText(risk.mitigation, 'mitigation'),
+          citations: citations(risk.citations)
+        } : null;
+      }),
+      openQuestions: list(source.openQuestions, 'openQuestions', question => {
+        const questionText = text(question.text || question.question);
+        return questionText ? {
+          text: questionText,
+          owner: optionalText(question.owner, 'owner'),
+          citations: citations(question.citations)
+        } : null;
+      })
+    };
+  }
+
+  /**
+   * Validate a value against the schema (the subset of JSON Schema it uses)
+   *
+   * @returns {Array<string>} Error messages, empty when valid
+   */
+  validate(data, schema = this.schema, path = '$') {
+    const errors = [];
+    const types = [].concat(schema.type || []);
+    const actualType = data === null ? 'null' : Array.isArray(data) ? 'array' : typeof data;
+
+    if (types.length > 0 && !types.includes(actualType)) {
+      return [`${path} must be ${types.join(' or ')}, got ${actualType}`];
+    }
+    if (schema.const !== undefined && data !== schema.const) {
+      errors.push(`${path} must be "${schema.const}"`);
+    }
+    if (schema.enum && !schema.enum.includes(data)) {
+      errors.push(`${path} must be one of ${schema.enum.map(String).join(', ')}`);
+    }
+    if (actualType === 'string' && schema.minLength && data.length < schema.minLength) {
+      errors.push(`${path} must not be empty`);
+    }
+
+    if (actualType === 'object') {
+      (schema.required || []).forEach(key => {
+        if (data[key] === undefined) errors.push(`${path}.${key} is required`);
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (data[key] !== undefined) {
+          errors.push(...this.validate(data[key], propertySchema, `${path}.${key}`));
+        }
+      });
+    }
+
+    if (actualType === 'array' && schema.items) {
+      data.forEach((item, index) => {
+        errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Render a structured summary as markdown. Citations are kept as [L..]
+   * markers so the UI and citation resolver treat it like model markdown.
+   */
+  toMarkdown(data) {
+    const cite = (item) => (item.citations && item.citations.length > 0 ? ` [${item.citations.join(', ')}]` : '');
+    const lines = [`# ${data.title}`, '', '## Summary', data.overview];
+
+    data.sections.forEach(section => {
+      lines.push('', `## ${section.heading}`);
+      section.points.forEach(point => lines.push(`- ${point.text}${cite(point)}`));
+    });
+
+    if (data.decisions.length > 0) {
+      lines.push('', '## Decisions');
+      data.decisions.forEach(decision => {
+        lines.push(`- ${this.describeDecision(decision)}${cite(decision)}`);
+      });
+    }
+
+    if (data.actionItems.length > 0) {
+      lines.push('', '## Action Items');
+      data.actionItems.forEach(item => {
+        lines.push(`- **${item.task}** — ${this.describeActionItem(item).join(' · ')}${cite(item)}`);
+      });
+    }
+
+    if (data.risks.length > 0) {
+      lines.push('', '## Risks');
+      data.risks.forEach(risk => {
+        lines.push(`- ${risk.text}${risk.mitigation ? ` (Mitigation: ${risk.mitigation})` : ''}${cite(risk)}`);
+      });
+    }
+
+    if (data.openQuestions.length > 0) {
+      lines.push('', '## Open Questions');
+      data.openQuestions.forEach(question => {
+        lines.push(`- ${question.text}${question.owner ? ` (${question.owner})` : ''}${cite(question)}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a structured summary as plain text
+   */
+  toText(data) {
+    const lines = [data.title, '', data.overview];
+    const block = (heading, entries) => {
+      if (entries.length === 0) return;
+      lines.push('', heading.toUpperCase(), ...entries);
+    };
+
+    data.sections.forEach(section => block(section.heading, section.points.map(point => `- ${point.text}`)));
+    block('Decisions', data.decisions.map(decision => `- ${this.describeDecision(decision)}`));
+    block('Action Items', data.actionItems.map((item, index) =>
+      `${index + 1}. ${item.task} (${this.describeActionItem(item).join(', ')})`));
+    block('Risks', data.risks.map(risk =>
+      `- ${risk.text}${risk.mitigation ? ` (Mitigation: ${risk.mitigation})` : ''}`));
+    block('Open Questions', data.openQuestions.map(question =>
+      `- ${question.text}${question.owner ? ` (${question.owner})` : ''}`));
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a structured summary as an email body, action items first
+   */
+  toEmail(data) {
+    let body = `${data.overview}\n`;
+    const block = (heading, entries) => {
+      if (entries.length === 0) return;
+      body += `\n--- ${heading.toUpperCase()} ---\n${entries.join('\n')}\n`;
+    };
+
+    block('Action Items', data.actionItems.map((item, index) =>
+      `${index + 1}. ${item.task} (${this.describeActionItem(item).join(', ')})`));
+    block('Decisions', data.decisions.map(decision => `- ${this.describeDecision(decision)}`));
+    data.sections.forEach(section => block(section.heading, section.points.map(point => `- ${point.text}`)));
+    block('Risks', data.risks.map(risk =>
+      `- ${risk.text}${risk.mitigation ? ` (Mitigation: ${risk.mitigation})` : ''}`));
+    block('Open Questions', data.openQuestions.map(question => `- ${question.text}`));
+
+    return body.trim();
+  }
+
+  /**
+   * Owner, due date and priority labels for an action item
+   */
+  describeActionItem(item) {
+    const parts = [`Owner: ${item.owner || 'not stated'}`, `Due: ${item.due || 'not stated'}`];
+    if (item.priority) parts.push(`Priority: ${item.priority}`);
+    return parts;
+  }
+
+  /**
+   * Decision text with who made it and why, when stated
+   */
+  describeDecision(decision) {
+    return `${decision.text}${decision.madeBy ? ` (${decision.madeBy})` : ''}` +
+      `${decision.rationale ? ` — Rationale: ${decision.rationale}` : ''}`;
+  }
+}
+
+SummarySchema.SCHEMA_VERSION = SCHEMA_VERSION;
+SummarySchema.SUMMARY_SCHEMA = SUMMARY_SCHEMA;
+
+module.exports = SummarySchema;
@@ -3,27 +3,57 @@
  * 
  * Core service that orchestrates meeting summary generation using:
  * - PromptEngine for optimized prompts
- * - Groq SDK for AI processing
+ * - Pluggable LLM providers (Groq, OpenAI-compatible, local stub)
  * - Database integration for persistence
  * - Error handling and retry logic
  */
 
-const { getGroqClient, calculateCost, getModelInfo } = require('../config/groq');
+const { calculateCost, getModelInfo } = require('../config/llm');
 const { FallbackDecisionEngine } = require('../config/fallback');
+const { getProvider } = require('./providers');
 const PromptEngine = require('./promptEngine');
 const ResponseProcessor = require('./responseProcessor');
+const ActionItemTracker = require('./actionItemTracker');
+const DecisionLog = require('./decisionLog');
+const MeetingSeriesService = require('./meetingSeries');
+const MeetingClassifier = require('./meetingClassifier');
+const TranscriptChat = require('./transcriptChat');
+const UsageQuotas = require('./usageQuotas');
+const CostBudgets = require('./costBudgets');
 const { errorHandler, userFeedbackSystem, ErrorTypes } = require('./errorHandler');
 const { findSessionByToken } = require('../middleware/sessionMiddleware');
-const { MeetingTranscript, Summary, UserSession } = require('../models');
+const { MeetingTranscript, Summary, SummaryTemplate, UserSession } = require('../models');
+const { sameOwner, recordOwner } = require('../models/ownership');
 
 class SummaryService {
   constructor() {
     this.promptEngine = new PromptEngine();
     this.responseProcessor = new ResponseProcessor();
+    this.actionItemTracker = new ActionItemTracker();
+    this.decisionLog = new DecisionLog();
+    this.meetingSeries = new MeetingSeriesService();
+    this.meetingClassifier = new MeetingClassifier();
+    this.transcriptChat = new TranscriptChat();
+    this.usageQuotas = new UsageQuotas();
+    this.costBudgets = new CostBudgets();
     this.primaryModel = getModelInfo('primary');
     this.fallbackModel = getModelInfo('fallback');
     this.fallbackEngine = new FallbackDecisionEngine();
 
+    // One stricter regeneration when a summary makes claims the transcript doesn't support
+    this.groundingRetry = {
+      enabled: process.env.GROUNDING_REGENERATE !== 'false',
+      minUnsupported: parseInt(process.env.GROUNDING_REGENERATE_MIN_UNSUPPORTED) || 2
+    };
+
+    // One condense/expand request when a summary misses its length tier by a wide margin
+    this.lengthRetry = {
+      enabled: process.env.SUMMARY_LENGTH_ADJUST !== 'false'
+    };
+
+    // Touch interval of a generating summary's record; an untouched one is taken over as abandoned
+    this.generationHeartbeatMs = parseInt(process.env.SUMMARY_GENERATION_HEARTBEAT_MS) || 30000;
+
     // Fallback statistics
     this.stats = {
       primaryAttempts: 0,
@@ -43,13 +73,25 @@ class SummaryService {
    * @param {Object} options - Generation options
    * @param {string} options.summaryStyle - Style of summary (executive, action-items, etc.)
    * @param {string} options.customInstructions - User's custom instructions
+   * @param {string} options.outputFormat - 'markdown' or 'json' (structured summary schema)
+   * @param {string} options.meetingType - Meeting type template override ('auto' or 'none' allowed)
+   * @param {string} options.industry - Industry template override ('auto' or 'none' allowed)
+   * @param {string} options.templateId - User-defined summary template (its base style replaces summaryStyle)
+   * @param {string} options.length - Length tier (brief, standard, comprehensive) the summary should fit
    * @param {string} options.sessionToken - User session token
+   * @param {string} options.sessionId - User session id (background jobs)
    * @param {boolean} options.useFallback - Force use of fallback model
+   * @param {Function} options.onStart - Called with the summary record once it is created
+   * @param {Function} options.onDelta - Called with each streamed token delta of the final summary
+   * @param {Function} options.onRetry - Called when a streamed attempt is discarded and retried
+   * @param {Function} options.onProgress - Called as map-reduce chunks complete
    * @returns {Promise<Object>} Generated summary with metadata
    */
   async generateSummary(transcriptId, options = {}) {
     const startTime = Date.now();
     let session = null; // Declare session in outer scope
+    let summaryRecord = null;
+    let heartbeat = null;
 
     try {
       console.log(`🚀 Starting summary generation for transcript: ${transcriptId}`);
@@ -57,38 +99,92 @@ class SummaryService {
       // Step 1: Load and validate transcript
       const transcript = await this.loadTranscript(transcriptId);
 
+      // Step 1a: Refuse once the owner's monthly summary or token quota is used up
+      await this.usageQuotas.checkQuota(recordOwner(transcript), { summaries: 1, tokens: 0 });
+
       // Step 2: Load user session if provided
-      session = options.sessionToken ?
-        await findSessionByToken(options.sessionToken) : null;
+      if (options.sessionToken) {
+        session = await findSessionByToken(options.sessionToken);
+      } else if (options.sessionId) {
+        session = await UserSession.findByPk(options.sessionId);
+      }
+
+      // Step 2a: Apply a user-defined summary template
+      let template = null;
+      if (options.templateId) {
+        template = await this.loadTemplate(options.templateId, transcript);
+        options = { ...options, summaryStyle: template.baseStyle, template: template.toPromptJSON() };
+      }
+
+      // Step 2b: Length tier: requested, else the template's, else the one saved with the instructions
+      options = {
+        ...options,
+        length: options.length || template?.targetLength || transcript.metadata?.instructions?.length || null
+      };
       
       // Step 3: Build optimized prompt
       const promptData = this.buildPrompt(transcript, options);
       
-      // Step 4: Validate prompt before API call
-      const validation = this.promptEngine.validatePrompt(promptData);
-      if (!validation.isValid) {
-        throw new Error(`Prompt validation failed: ${validation.errors.join(', ')}`);
+      // Step 4: Validate prompt(s) before API call
+      const prompts = promptData.strategy === 'map-reduce' ? promptData.mapPrompts : [promptData];
+      for (const prompt of prompts) {
+        const validation = this.promptEngine.validatePrompt(prompt);
+        if (!validation.isValid) {
+          throw new Error(`Prompt validation failed: ${validation.errors.join(', ')}`);
+        }
       }
+
+      // Step 4a: Check cost budgets; close to a limit the fallback model is used
+      const budget = await this.planBudget(promptData, session, transcript.workspaceId);
+      options = { ...options, budgetLimited: budget.downgrade };
       
       // Step 5: Create database record for tracking
-      const summaryRecord = await this.createSummaryRecord(transcript, options, promptData);
+      summaryRecord = await this.createSummaryRecord(transcript, options, promptData);
+      heartbeat = this.startGenerationHeartbeat(summaryRecord.id);
+      if (template) {
+        await template.recordUsage();
+      }
+      if (options.onStart) {
+        options.onStart({ summaryId: summaryRecord.id, strategy: promptData.strategy || 'single' });
+      }
       
       // Step 6: Intelligent model selection
       const modelDecision = await this.selectOptimalModel(transcript, promptData, options, session);
       console.log(`🤖 Model selected: ${modelDecision.model} (${modelDecision.reason})`);
 
-      // Step 7: Generate summary with fallback logic
-      const result = await this.generateWithFallback(promptData, modelDecision, options);
+      // Structured output is only useful once complete, so it is not streamed token by token
+      const generationOptions = promptData.outputFormat === 'json' ? { ...options, onDelta: null } : options;
+
+      // Step 7: Generate summary with fallback logic (map-reduce for oversized transcripts)
+      let result = promptData.strategy === 'map-reduce' ?
+        await this.generateWithMapReduce(promptData, modelDecision, generationOptions) :
+        await this.generateWithFallback(promptData, modelDecision, generationOptions);
       
       // Step 8: Process AI response
-      const processedResponse = await this.processAIResponse(result, {
-        summaryStyle: options.summaryStyle,
-        customInstructions: options.customInstructions,
-        modelUsed: result.fallbackInfo?.modelUsed || 'primary',
-        fallbackUsed: result.fallbackInfo?.fallbackTriggered || false,
-        attemptCount: result.fallbackInfo?.attemptCount || 1,
-        transcriptId: transcript.id
-      });
+      const buildProcessingContext = (generated) =>
+        this.getProcessingContext(transcript, promptData, options, generated);
+      let processedResponse = await this.processAIResponse(result, buildProcessingContext(result));
+
+      // Step 8a: Structured output that could not be repaired locally goes back to the model once
+      if (processedResponse.structured && !processedResponse.structured.valid) {
+        ({ result, processedResponse } = await this.repairStructuredOutput(
+          modelDecision, generationOptions, { result, processedResponse }, buildProcessingContext
+        ));
+      }
+
+      // Step 8b: Regenerate once with a stricter prompt if the summary isn't grounded
+      if (this.shouldRegenerateForGrounding(promptData, processedResponse)) {
+        ({ result, processedResponse } = await this.regenerateWithGrounding(
+          promptData, modelDecision, generationOptions, { result, processedResponse }, buildProcessingContext
+        ));
+      }
+
+      // Step 8c: Ask once for a condensed or expanded version when far off the target length
+      if (this.shouldAdjustLength(promptData, processedResponse)) {
+        ({ result, processedResponse } = await this.adjustLength(
+          promptData, modelDecision, generationOptions, { result, processedResponse }, buildProcessingContext
+        ));
+      }
 
       // Step 9: Save processed results
       const finalSummary = await this.processSummaryResult(
@@ -98,6 +194,27 @@ class SummaryService {
         startTime,
         session
       );
+      await this.usageQuotas.record(recordOwner(transcript), {
+        summaries: 1,
+        tokens: processedResponse.metadata.usage.totalTokens
+      });
+      await this.costBudgets.record(session, recordOwner(transcript), {
+        operation: 'summary',
+        transcriptId: transcript.id,
+        summaryId: summaryRecord.id,
+        summaryStyle: summaryRecord.summaryStyle,
+        aiModel: summaryRecord.aiModel,
+        modelSlot: result.fallbackInfo?.modelUsed || null,
+        inputTokens: processedResponse.metadata.usage.inputTokens,
+        outputTokens: processedResponse.metadata.usage.outputTokens,
+        cost: summaryRecord.cost
+      });
+
+      // Step 10: Record action items and decisions, updating earlier ones this meeting mentions
+      if (processedResponse.success) {
+        finalSummary.actionItemTracking = await this.trackActionItems(transcript, finalSummary, processedResponse);
+        finalSummary.decisionLog = await this.recordDecisions(transcript, finalSummary, processedResponse);
+      }
       
       console.log(`✅ Summary generated successfully: ${finalSummary.id}`);
       return finalSummary;
@@ -120,12 +237,132 @@ class SummaryService {
       const errorResult = await errorHandler.handleError(error, errorContext);
 
       // Update summary record with error if it exists
-      if (error.summaryId) {
-        await this.handleGenerationError(error.summaryId, error, errorResult);
+      const failedSummaryId = error.summaryId || summaryRecord?.id;
+      if (failedSummaryId) {
+        await this.handleGenerationError(failedSummaryId, error, errorResult);
       }
 
       // Return user-friendly error response
       throw userFeedbackSystem.generateErrorResponse(error, errorContext);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Run a queued summary generation job
+   *
+   * Owns the duplicate check: an existing completed summary is reused, and a
+   * summary still generating elsewhere fails the job unless it has gone stale.
+   */
+  async runGenerationJob(payload, context = {}) {
+    const { transcriptId, summaryStyle = 'executive' } = payload;
+
+    const transcript = await MeetingTranscript.findByPk(transcriptId);
+    const existingSummary = transcript && await this.findMatchingSummary(
+      transcriptId, summaryStyle, this.getSummaryVariant(transcript, payload), ['completed', 'generating']
+    );
+
+    // Templated summaries are always generated, never served from an earlier one
+    if (existingSummary && existingSummary.status === 'completed' && !payload.templateId) {
+      return { reused: true, summary: existingSummary };
+    }
+
+    if (existingSummary && existingSummary.status === 'generating') {
+      const staleBefore = Date.now() - (context.staleAfter || 0);
+      if (existingSummary.id === context.job?.summaryId || existingSummary.updatedAt.getTime() < staleBefore) {
+        // Left behind by an interrupted run
+        await this.abandonSummary(existingSummary.id, 'Generation was interrupted before completion');
+      } else {
+        throw new Error('Summary generation already in progress');
+      }
+    }
+
+    try {
+      const summary = await this.generateSummary(transcriptId, {
+        ...payload,
+        sessionId: context.job?.sessionId,
+        onStart: ({ summaryId }) => context.setSummaryId?.(summaryId)
+          .catch(error => console.error('Failed to link summary to job:', error.message)),
+        onProgress: (progress) => context.updateProgress?.(progress)
+          .catch(error => console.error('Failed to record job progress:', error.message))
+      });
+
+      return { reused: false, summary };
+    } catch (error) {
+      // generateSummary rejects with a pending user-facing error response
+      const failure = await Promise.resolve(error).catch(err => err);
+      const jobError = new Error(failure?.error?.message || failure?.message || 'Summary generation failed');
+      // Rate-limited, timed-out and unavailable provider calls are worth another attempt
+      jobError.retryable = Boolean(failure?.error?.retryable ?? failure?.retryable);
+      throw jobError;
+    }
+  }
+
+  /**
+   * Touch a generating summary's record until the returned timer is
+   * cleared, so a long run isn't taken over as abandoned by runGenerationJob
+   */
+  startGenerationHeartbeat(summaryId) {
+    const timer = setInterval(() => {
+      Summary.update({ updatedAt: new Date() }, { where: { id: summaryId, status: 'generating' } })
+        .catch(error => console.error(`❌ Summary heartbeat failed for ${summaryId}:`, error.message));
+    }, this.generationHeartbeatMs);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Generation settings besides the style that make two summaries of the
+   * same transcript differ; a summary is only reused for the same ones
+   *
+   * @returns {Object} { outputFormat, length, meetingType, industry }
+   */
+  getSummaryVariant(transcript, options = {}) {
+    const meetingContext = this.resolveMeetingContext(transcript, options);
+
+    return {
+      outputFormat: options.outputFormat || this.promptEngine.defaultOutputFormat,
+      // A template's own length tier is covered by the template itself
+      length: options.length || transcript.metadata?.instructions?.length || null,
+      meetingType: meetingContext.meetingType.value,
+      industry: meetingContext.industry.value
+    };
+  }
+
+  /**
+   * Whether a summary was generated with the given variant settings
+   */
+  matchesVariant(summary, variant) {
+    const metadata = summary.metadata || {};
+    return (metadata.outputFormat || 'markdown') === variant.outputFormat &&
+      (metadata.length || null) === variant.length &&
+      (metadata.meetingContext?.meetingType?.value || null) === variant.meetingType &&
+      (metadata.meetingContext?.industry?.value || null) === variant.industry;
+  }
+
+  /**
+   * Latest summary of a transcript with the given style, variant and status
+   */
+  async findMatchingSummary(transcriptId, summaryStyle, variant, status) {
+    const summaries = await Summary.findAll({
+      where: { transcriptId, summaryStyle, status },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return summaries.find(summary => this.matchesVariant(summary, variant)) || null;
+  }
+
+  /**
+   * Mark a summary that will never complete as errored
+   */
+  async abandonSummary(summaryId, reason) {
+    if (!summaryId) return;
+
+    const summary = await Summary.findByPk(summaryId);
+    if (summary && summary.status === 'generating') {
+      await summary.markError(reason);
+      console.warn(`⚠️ Summary ${summaryId} marked as error: ${reason}`);
     }
   }
 
@@ -165,35 +402,334 @@ class SummaryService {
     }
   }
 
+  /**
+   * Load a summary template owned by the transcript's session or workspace
+   */
+  async loadTemplate(templateId, transcript) {
+    const template = await SummaryTemplate.findByPk(templateId);
+
+    if (!template || !sameOwner(template, transcript)) {
+      const error = new Error(`Summary template not found: ${templateId}`);
+      error.type = ErrorTypes.VALIDATION_ERROR;
+      throw error;
+    }
+
+    console.log(`📐 Using summary template: ${template.name}`);
+    return template;
+  }
+
+  /**
+   * Meeting metadata shown to the model (segments and upload details stay out of the prompt)
+   */
+  getPromptMetadata(transcript) {
+    const { date, attendees, duration, meetingType, meetingTitle } = transcript.metadata || {};
+
+    return {
+      date: date || transcript.createdAt?.toISOString()?.split('T')[0],
+      filename: transcript.originalName,
+      ...(meetingTitle && { meetingTitle }),
+      ...(attendees && { attendees: Array.isArray(attendees) ? attendees.join(', ') : attendees }),
+      ...(duration && { duration }),
+      ...(meetingType && { meetingType })
+    };
+  }
+
+  /**
+   * Send structured output that failed to parse or validate back to the
+   * model with the validation errors. The repair call's usage and cost are
+   * added to the generation; the original result is kept if repair fails.
+   */
+  async repairStructuredOutput(modelDecision, options, original, buildProcessingContext) {
+    const { result } = original;
+    const { errors } = original.processedResponse.structured;
+    console.warn(`🔧 Structured output invalid (${errors.length} errors); asking the model to repair it`);
+
+    try {
+      const repairPrompt = this.promptEngine.buildJSONRepairPrompt(result.content, errors, {
+        maxTokens: this.promptEngine.calculateOptimalMaxTokens(options.summaryStyle || 'executive', options.length)
+      });
+      const repair = await this.generateWithFallback(repairPrompt, modelDecision, options);
+      const repaired = this.mergeFollowUpCall(result, repair, 'repair');
+
+      const processedResponse = await this.processAIResponse(repaired, buildProcessingContext(repaired));
+      if (processedResponse.structured) {
+        processedResponse.structured.modelRepair = { errors, succeeded: processedResponse.success };
+      }
+
+      console.log(`🔧 Structured output repair ${processedResponse.success ? 'succeeded' : 'failed'}`);
+      return { result: repaired, processedResponse };
+    } catch (error) {
+      console.error('❌ Structured output repair failed:', error.message);
+      return original;
+    }
+  }
+
+  /**
+   * A generation result whose content is replaced by a follow-up call that
+   * edited it (repair, length adjustment); usage, time and map-reduce cost
+   * cover both calls
+   */
+  mergeFollowUpCall(result, followUp, phase) {
+    const merged = {
+      ...result,
+      content: followUp.content,
+      usage: {
+        prompt_tokens: (result.usage?.prompt_tokens || 0) + (followUp.usage?.prompt_tokens || 0),
+        completion_tokens: (result.usage?.completion_tokens || 0) + (followUp.usage?.completion_tokens || 0),
+        total_tokens: (result.usage?.total_tokens || 0) + (followUp.usage?.total_tokens || 0)
+      },
+      processingTime: (result.processingTime || 0) + (followUp.processingTime || 0)
+    };
+
+    if (result.mapReduce) {
+      const modelType = followUp.fallbackInfo?.modelUsed || 'primary';
+      const cost = calculateCost(followUp.usage, modelType);
+
+      merged.mapReduce = {
+        ...result.mapReduce,
+        callCount: result.mapReduce.callCount + 1,
+        totalCost: result.mapReduce.totalCost + cost,
+        calls: [...result.mapReduce.calls, {
+          phase,
+          model: followUp.model,
+          provider: followUp.provider,
+          modelType,
+          usage: followUp.usage,
+          cost,
+          processingTime: followUp.processingTime,
+          attemptCount: followUp.fallbackInfo?.attemptCount || 1,
+          requestId: followUp.requestId
+        }]
+      };
+    }
+
+    return merged;
+  }
+
+  /**
+   * Whether a processed summary missed its target length by enough to ask
+   * for a condensed or expanded version. A map-reduce summary can only be
+   * condensed: expanding it would need the transcript again.
+   */
+  shouldAdjustLength(promptData, processedResponse) {
+    const lengthCheck = processedResponse.validation?.lengthCheck;
+
+    return this.lengthRetry.enabled &&
+      processedResponse.success &&
+      Boolean(lengthCheck?.wideMiss) &&
+      !(promptData.strategy === 'map-reduce' && lengthCheck.status === 'short');
+  }
+
+  /**
+   * Ask the model once to condense or expand a summary that missed its
+   * target length, and keep whichever version is closer to the target.
+   * A discarded adjustment's cost is recorded.
+   */
+  async adjustLength(promptData, modelDecision, options, original, buildProcessingContext) {
+    const lengthCheck = original.processedResponse.validation.lengthCheck;
+    const direction = lengthCheck.status === 'long' ? 'condense' : 'expand';
+    console.warn(`📏 Summary is ${lengthCheck.wordCount} words against a ${lengthCheck.target.min}-${lengthCheck.target.max} target; asking the model to ${direction} it`);
+
+    const adjustment = {
+      attempted: true,
+      direction,
+      kept: 'original',
+      originalWords: lengthCheck.wordCount,
+      adjustedWords: null,
+      discardedCost: 0
+    };
+
+    // Streaming clients discard what they have rendered so far
+    if (options.onRetry) {
+      options.onRetry({ attempt: 2, model: modelDecision.model, reason: 'length' });
+    }
+
+    let kept = original;
+    try {
+      const adjustmentPrompt = this.promptEngine.buildLengthAdjustmentPrompt(
+        promptData, original.result.content, lengthCheck
+      );
+      const followUp = await this.generateWithFallback(adjustmentPrompt, modelDecision, options);
+      const adjusted = this.mergeFollowUpCall(original.result, followUp, 'length');
+      const processedResponse = await this.processAIResponse(adjusted, buildProcessingContext(adjusted));
+      const adjustedCheck = processedResponse.validation?.lengthCheck;
+
+      adjustment.adjustedWords = adjustedCheck ? adjustedCheck.wordCount : null;
+
+      if (processedResponse.success && adjustedCheck &&
+          this.getLengthMiss(adjustedCheck) < this.getLengthMiss(lengthCheck)) {
+        adjustment.kept = 'adjusted';
+        kept = { result: adjusted, processedResponse };
+      } else {
+        adjustment.discardedCost = calculateCost(followUp.usage, followUp.fallbackInfo?.modelUsed || 'primary');
+      }
+    } catch (error) {
+      console.error('❌ Length adjustment failed, keeping original summary:', error.message);
+      adjustment.error = error.message;
+    }
+
+    console.log(`📏 Length adjustment kept the ${adjustment.kept} summary`);
+    kept.processedResponse.validation.lengthCheck.adjustment = adjustment;
+    return kept;
+  }
+
+  /**
+   * Words a summary is outside its target range by (0 when within it)
+   */
+  getLengthMiss(lengthCheck) {
+    if (lengthCheck.status === 'short') return lengthCheck.target.min - lengthCheck.wordCount;
+    if (lengthCheck.status === 'long') return lengthCheck.wordCount - lengthCheck.target.max;
+    return 0;
+  }
+
+  /**
+   * Whether a processed summary should get one stricter regeneration.
+   * Map-reduce summaries are only flagged: regenerating means re-running every chunk.
+   */
+  shouldRegenerateForGrounding(promptData, processedResponse) {
+    const grounding = processedResponse.content.analysis?.grounding;
+
+    return this.groundingRetry.enabled &&
+      promptData.strategy !== 'map-reduce' &&
+      Boolean(grounding) &&
+      grounding.unsupported.length >= this.groundingRetry.minUnsupported;
+  }
+
+  /**
+   * Regenerate with a strict grounding prompt and keep whichever attempt
+   * has fewer unsupported claims. The discarded attempt's cost is recorded.
+   */
+  async regenerateWithGrounding(promptData, modelDecision, options, original, buildProcessingContext) {
+    const originalGrounding = original.processedResponse.content.analysis.grounding;
+    console.warn(`🔎 Summary has ${originalGrounding.unsupported.length} unsupported claims; regenerating with strict grounding`);
+
+    const regeneration = {
+      attempted: true,
+      kept: 'original',
+      originalUnsupported: originalGrounding.unsupported.length,
+      regeneratedUnsupported: null,
+      discardedCost: 0
+    };
+
+    // Streaming clients discard what they have rendered so far
+    if (options.onRetry) {
+      options.onRetry({ attempt: 2, model: modelDecision.model, reason: 'grounding' });
+    }
+
+    let kept = original;
+    try {
+      const strictPrompt = this.promptEngine.buildStrictGroundingPrompt(promptData, originalGrounding.unsupported);
+      const result = await this.generateWithFallback(strictPrompt, modelDecision, options);
+      const processedResponse = await this.processAIResponse(result, buildProcessingContext(result));
+      const regeneratedGrounding = processedResponse.content.analysis?.grounding;
+
+      regeneration.regeneratedUnsupported = regeneratedGrounding ? regeneratedGrounding.unsupported.length : null;
+
+      if (processedResponse.success && regeneratedGrounding &&
+          regeneratedGrounding.unsupported.length < originalGrounding.unsupported.length) {
+        regeneration.kept = 'regenerated';
+        regeneration.discardedCost = original.processedResponse.metadata.cost.total;
+        kept = { result, processedResponse };
+      } else {
+        regeneration.discardedCost = processedResponse.metadata.cost.total;
+      }
+    } catch (error) {
+      console.error('❌ Grounding regeneration failed, keeping original summary:', error.message);
+      regeneration.error = error.message;
+    }
+
+    console.log(`🔎 Grounding regeneration kept the ${regeneration.kept} summary`);
+    kept.processedResponse.content.analysis.grounding.regeneration = regeneration;
+    return kept;
+  }
+
   /**
    * Build optimized prompt using PromptEngine
+   *
+   * Transcripts that exceed the context window get a map-reduce plan
+   * (one prompt per overlapping chunk) instead of a single prompt.
    */
   buildPrompt(transcript, options) {
+    const { instructions, meetingContext } = this.getPromptInstructions(transcript, options);
+    const metadata = instructions.transcriptMetadata;
+
+    const promptData = this.promptEngine.requiresChunking(transcript.content, metadata) ?
+      this.promptEngine.buildMapReducePrompts(transcript.content, instructions) :
+      this.promptEngine.buildSummaryPrompt(transcript.content, instructions);
+    
+    const stats = this.promptEngine.getPromptStats(promptData);
+    if (promptData.strategy === 'map-reduce') {
+      console.log(`🧩 Transcript split into ${stats.chunkCount} overlapping chunks for map-reduce summarization`);
+    }
+    console.log(`🧠 Prompt built: ${stats.totalEstimatedTokens} tokens, $${stats.estimatedCost.toFixed(6)} estimated cost`);
+    
+    promptData.meetingContext = meetingContext;
+    return promptData;
+  }
+
+  /**
+   * PromptEngine instructions for a transcript and generation options, with
+   * the meeting context they apply
+   */
+  getPromptInstructions(transcript, options) {
     const {
       summaryStyle = 'executive',
       customInstructions = ''
     } = options;
     
-    // Extract metadata from transcript
-    const metadata = {
-      date: transcript.createdAt?.toISOString()?.split('T')[0],
-      filename: transcript.originalName,
-      ...transcript.metadata
-    };
+    const meetingContext = this.resolveMeetingContext(transcript, options);
+    const metadata = this.getPromptMetadata(transcript);
+    // The prompt names the meeting type actually applied, not the detected one
+    delete metadata.meetingType;
+    if (meetingContext.meetingType.value) metadata.meetingType = meetingContext.meetingType.value;
     
-    const promptData = this.promptEngine.buildSummaryPrompt(
-      transcript.content,
-      {
-        summaryStyle,
-        customInstructions,
-        transcriptMetadata: metadata
+    const instructions = {
+      summaryStyle,
+      customInstructions,
+      transcriptMetadata: metadata,
+      outputFormat: options.outputFormat,
+      meetingType: meetingContext.meetingType.value,
+      industry: meetingContext.industry.value,
+      template: options.template,
+      length: options.length || null
+    };
+
+    return { instructions, meetingContext };
+  }
+
+  /**
+   * Meeting type and industry templates to apply, with where each came
+   * from: the request, the override saved in the instructions step, or
+   * detection ('auto'). 'none' at either level applies no template.
+   * Transcripts uploaded before classification existed are classified here.
+   *
+   * @returns {Object} { meetingType: { value, source }, industry: { value, source } }
+   */
+  resolveMeetingContext(transcript, options = {}) {
+    const metadata = transcript.metadata || {};
+    const saved = metadata.instructions || {};
+    let detected = null;
+
+    const resolve = (field) => {
+      const requested = options[field] && options[field] !== 'auto' ? options[field] : null;
+      const choice = requested || (saved[field] && saved[field] !== 'auto' ? saved[field] : null);
+
+      if (choice === 'none') return { value: null, source: requested ? 'request' : 'instructions' };
+      if (choice) return { value: choice, source: requested ? 'request' : 'instructions' };
+
+      if (!metadata.classification && this.meetingClassifier.enabled) {
+        detected = detected || this.meetingClassifier.classify(transcript.content || '', {
+          title: metadata.meetingTitle || transcript.originalName
+        });
+        return { value: detected[field].value, source: 'detected' };
       }
-    );
-    
-    const stats = this.promptEngine.getPromptStats(promptData);
-    console.log(`🧠 Prompt built: ${stats.totalEstimatedTokens} tokens, $${stats.estimatedCost.toFixed(6)} estimated cost`);
-    
-    return promptData;
+      return { value: metadata[field] || null, source: 'detected' };
+    };
+
+    return {
+      meetingType: resolve('meetingType'),
+      industry: resolve('industry')
+    };
   }
 
   /**
@@ -206,7 +742,7 @@ class SummaryService {
       transcriptId: transcript.id,
       summaryStyle: options.summaryStyle || 'executive',
       customInstructions: options.customInstructions || '',
-      aiModel: options.useFallback ? this.fallbackModel.name : this.primaryModel.name,
+      aiModel: options.useFallback ? this.fallbackModel.name : this.primaryModel.name, // Updated to the model actually used
       status: 'generating',
       tokenUsage: {
         estimatedInputTokens: stats.totalEstimatedTokens,
@@ -218,7 +754,11 @@ class SummaryService {
         promptStats: stats,
         generationStarted: new Date(),
         temperature: promptData.temperature,
-        maxTokens: promptData.maxTokens
+        maxTokens: promptData.maxTokens,
+        outputFormat: promptData.outputFormat,
+        length: promptData.length,
+        meetingContext: promptData.meetingContext,
+        template: options.template ? { id: options.template.id, name: options.template.name } : undefined
       }
     };
     
@@ -228,6 +768,25 @@ class SummaryService {
     return summary;
   }
 
+  /**
+   * Check the session's and workspace's cost budgets against a prompt's
+   * estimated cost on the primary and fallback models; throws when a budget
+   * can't cover it
+   */
+  async planBudget(promptData, session, workspaceId) {
+    const stats = this.promptEngine.getPromptStats(promptData);
+    const estimates = {
+      primary: stats.estimatedCost,
+      fallback: this.promptEngine.estimateCost(stats.totalEstimatedTokens, stats.maxOutputTokens, this.fallbackModel)
+    };
+
+    const budget = await this.costBudgets.planGeneration({ session, workspaceId }, estimates);
+    if (budget.downgrade) {
+      console.log(`💰 Budget close to its limit (${budget.reasons.join(', ')}), using the fallback model`);
+    }
+    return budget;
+  }
+
   /**
    * Select optimal model based on context and fallback logic
    */
@@ -245,6 +804,7 @@ class SummaryService {
       userPreference: options.useFallback ? 'fallback' : options.forceModel,
       sessionHistory: sessionHistory,
       urgency: options.urgency || 'normal',
+      budgetLimited: Boolean(options.budgetLimited),
       transcriptSize: transcript.contentLength,
       customInstructions: options.customInstructions
     };
@@ -274,14 +834,21 @@ class SummaryService {
       try {
         console.log(`🔄 Attempt ${attemptCount}: Using ${currentModel} model`);
 
-        const result = await this.callGroqAPI(promptData, currentModel === 'fallback');
+        if (attemptCount > 1 && options.onDelta && options.onRetry) {
+          // Deltas from the failed attempt are already on the wire
+          options.onRetry({ attempt: attemptCount, model: currentModel });
+        }
+
+        const result = await this.callLLM(promptData, currentModel, options.onDelta);
 
         // Update success statistics
         this.updateStats(currentModel, true, result.processingTime);
+        this.fallbackEngine.recordProviderResult(result.provider, true);
 
         // Add fallback metadata to result
         result.fallbackInfo = {
           modelUsed: currentModel,
+          provider: result.provider,
           originalDecision: modelDecision,
           attemptCount: attemptCount,
           fallbackTriggered: currentModel !== modelDecision.model
@@ -295,19 +862,14 @@ class SummaryService {
 
         // Update failure statistics
         this.updateStats(currentModel, false, 0);
-
-        // Check if error is retryable
-        if (!this.fallbackEngine.isRetryableError(error)) {
-          console.log('🚫 Non-retryable error, stopping attempts');
-          break;
-        }
+        this.fallbackEngine.recordProviderResult(getModelInfo(currentModel).provider, false, error);
 
         // Decide on next action
         const nextAction = this.decideNextAction(currentModel, error, attemptCount, maxRetries);
 
         if (nextAction.action === 'switch_model') {
           currentModel = nextAction.model;
-          console.log(`🔄 Switching to ${currentModel} model`);
+          console.log(`🔄 Switching to ${currentModel} model (${getModelInfo(currentModel).provider})`);
         } else if (nextAction.action === 'retry_same') {
           console.log(`⏳ Retrying with ${currentModel} model after delay`);
           await this.delay(this.fallbackEngine.calculateRetryDelay(attemptCount));
@@ -323,6 +885,97 @@ class SummaryService {
     throw new Error(`Summary generation failed after ${attemptCount} attempts. Last error: ${lastError?.message}`);
   }
 
+  /**
+   * Generate summary for an oversized transcript with map-reduce
+   *
+   * Each chunk is summarized independently (map), then the partial summaries
+   * are merged into the requested style (reduce). Usage and cost of every
+   * call are rolled up into a single result.
+   */
+  async generateWithMapReduce(plan, modelDecision, options) {
+    const calls = [];
+    const record = (phase, result, extra = {}) => {
+      const modelType = result.fallbackInfo?.modelUsed || 'primary';
+      calls.push({
+        phase,
+        ...extra,
+        model: result.model,
+        provider: result.provider,
+        modelType,
+        usage: result.usage,
+        cost: calculateCost(result.usage, modelType),
+        processingTime: result.processingTime,
+        attemptCount: result.fallbackInfo?.attemptCount || 1,
+        requestId: result.requestId
+      });
+    };
+
+    // Only the final reduce is streamed; intermediate passes report progress
+    const { onDelta, onRetry, onProgress, ...callOptions } = options;
+
+    // Map phase: summarize each chunk
+    let partials = [];
+    for (const mapPrompt of plan.mapPrompts) {
+      console.log(`🧩 Summarizing chunk ${mapPrompt.chunk.index + 1}/${mapPrompt.chunk.total}`);
+      const result = await this.generateWithFallback(mapPrompt, modelDecision, callOptions);
+      record('map', result, { chunk: mapPrompt.chunk });
+      partials.push(result.content);
+      if (onProgress) {
+        onProgress({ phase: 'map', completed: mapPrompt.chunk.index + 1, total: mapPrompt.chunk.total });
+      }
+    }
+
+    // Intermediate reduce passes while partials still exceed one prompt
+    let groups = this.promptEngine.groupPartialSummaries(partials);
+    while (groups.length > 1) {
+      console.log(`🧩 Merging ${partials.length} partial summaries in ${groups.length} groups`);
+      const merged = [];
+      for (const group of groups) {
+        const reducePrompt = this.promptEngine.buildReducePrompt(group, plan.instructions, { final: false });
+        const result = await this.generateWithFallback(reducePrompt, modelDecision, callOptions);
+        record('reduce', result, { final: false, inputs: group.length });
+        merged.push(result.content);
+      }
+      partials = merged;
+      groups = this.promptEngine.groupPartialSummaries(partials);
+      if (onProgress) {
+        onProgress({ phase: 'reduce', completed: partials.length, total: partials.length });
+      }
+    }
+
+    // Final reduce into the requested summary style
+    console.log(`🧩 Reducing ${partials.length} partial summaries into ${plan.instructions.summaryStyle} summary`);
+    const reducePrompt = this.promptEngine.buildReducePrompt(partials, plan.instructions);
+    const finalResult = await this.generateWithFallback(reducePrompt, modelDecision, { ...callOptions, onDelta, onRetry });
+    record('reduce', finalResult, { final: true, inputs: partials.length });
+
+    const usage = calls.reduce((acc, call) => {
+      acc.prompt_tokens += call.usage?.prompt_tokens || 0;
+      acc.completion_tokens += call.usage?.completion_tokens || 0;
+      acc.total_tokens += call.usage?.total_tokens || 0;
+      return acc;
+    }, { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+
+    return {
+      ...finalResult,
+      usage,
+      processingTime: calls.reduce((sum, call) => sum + (call.processingTime || 0), 0),
+      fallbackInfo: {
+        ...finalResult.fallbackInfo,
+        attemptCount: calls.reduce((sum, call) => sum + call.attemptCount, 0),
+        fallbackTriggered: calls.some(call => call.modelType !== modelDecision.model)
+      },
+      mapReduce: {
+        chunkCount: plan.mapPrompts.length,
+        chunkTokens: this.promptEngine.chunkTokens,
+        overlapTokens: this.promptEngine.chunkOverlapTokens,
+        callCount: calls.length,
+        totalCost: calls.reduce((sum, call) => sum + call.cost, 0),
+        calls
+      }
+    };
+  }
+
   /**
    * Decide next action after failure
    */
@@ -332,17 +985,29 @@ class SummaryService {
       return { action: 'stop' };
     }
 
-    // If we're using primary model and it's a retryable error, try fallback
-    if (currentModel === 'primary' && this.fallbackEngine.isRetryableError(error)) {
-      return { action: 'switch_model', model: 'fallback' };
+    // Provider outages (down, unreachable, bad credentials) move to another provider
+    if (this.fallbackEngine.isProviderOutage(error)) {
+      const alternate = this.fallbackEngine.selectAlternateModel(currentModel, error);
+      if (alternate) {
+        return { action: 'switch_model', model: alternate };
+      }
+    }
+
+    // Check if error is retryable
+    if (!this.fallbackEngine.isRetryableError(error)) {
+      console.log('🚫 Non-retryable error, stopping attempts');
+      return { action: 'stop' };
     }
 
-    // If we're using fallback model, retry same model with delay
-    if (currentModel === 'fallback') {
-      return { action: 'retry_same' };
+    // If we're using primary model and it's a retryable error, try fallback
+    if (currentModel === 'primary') {
+      const alternate = this.fallbackEngine.selectAlternateModel(currentModel, error);
+      if (alternate) {
+        return { action: 'switch_model', model: alternate };
+      }
     }
 
-    // Default: retry same model
+    // Default: retry same model with delay
     return { action: 'retry_same' };
   }
 
@@ -373,7 +1038,7 @@ class SummaryService {
       const summaries = await Summary.findAll({
         include: [{
           model: MeetingTranscript,
-          as: 'MeetingTranscript',
+          as: 'transcript',
           where: { sessionId: sessionId },
           attributes: []
         }],
@@ -404,93 +1069,65 @@ class SummaryService {
   }
 
   /**
-   * Call Groq API with optimized parameters
+   * Call the provider bound to a model slot with optimized parameters
+   *
+   * When onDelta is given the completion is streamed and each token delta
+   * is forwarded as it arrives; the resolved result has the same shape.
    */
-  async callGroqAPI(promptData, useFallback = false) {
-    const groq = getGroqClient();
-    const model = useFallback ? this.fallbackModel : this.primaryModel;
-    
-    console.log(`🤖 Calling Groq API with ${model.name}...`);
-    
+  async callLLM(promptData, modelType = 'primary', onDelta = null) {
+    const model = getModelInfo(modelType);
+    const provider = getProvider(model.provider);
+
+    console.log(`🤖 Calling ${provider.displayName} with ${model.name}...`);
+
     const requestStart = Date.now();
-    
+
     try {
-      const completion = await groq.chat.completions.create({
+      const result = await provider.complete({
         model: model.name,
         messages: promptData.messages,
-        max_tokens: promptData.maxTokens,
+        maxTokens: promptData.maxTokens,
         temperature: promptData.temperature,
-        stream: false, // We'll implement streaming in a future enhancement
-        // Add additional parameters for better control
-        top_p: 0.9,
-        frequency_penalty: 0.1, // Reduce repetition
-        presence_penalty: 0.1   // Encourage diverse content
-      });
-      
-      const requestTime = Date.now() - requestStart;
-      
-      // Validate response
-      if (!completion.choices || completion.choices.length === 0) {
-        throw new Error('No completion choices returned from Groq API');
-      }
-      
-      const content = completion.choices[0]?.message?.content;
-      if (!content || content.trim().length === 0) {
-        throw new Error('Empty content returned from Groq API');
-      }
-      
-      console.log(`✅ Groq API response received: ${content.length} chars in ${requestTime}ms`);
-      
-      return {
-        content: content.trim(),
-        usage: completion.usage,
-        model: completion.model,
-        requestId: completion.id,
-        processingTime: requestTime,
-        finishReason: completion.choices[0]?.finish_reason
-      };
-      
+        topP: 0.9,
+        frequencyPenalty: 0.1, // Reduce repetition
+        presencePenalty: 0.1,  // Encourage diverse content
+        ...(promptData.outputFormat === 'json' && { responseFormat: 'json' })
+      }, { onDelta });
+
+      result.processingTime = Date.now() - requestStart;
+
+      console.log(`✅ ${provider.displayName} response received: ${result.content.length} chars in ${result.processingTime}ms`);
+
+      return result;
+
     } catch (error) {
-      console.error(`❌ Groq API call failed:`, error.message);
-
-      // Enhanced error handling with proper error types
-      if (error.status === 429) {
-        const rateLimitError = new Error('Rate limit exceeded. Please try again in a moment.');
-        rateLimitError.type = ErrorTypes.RATE_LIMIT_ERROR;
-        rateLimitError.status = 429;
-        throw rateLimitError;
-      } else if (error.status === 401) {
-        const authError = new Error('Invalid API key. Please check your Groq configuration.');
-        authError.type = ErrorTypes.AUTHENTICATION_ERROR;
-        authError.status = 401;
-        throw authError;
-      } else if (error.status === 400) {
-        const validationError = new Error(`Invalid request: ${error.error?.message || error.message}`);
-        validationError.type = ErrorTypes.VALIDATION_ERROR;
-        validationError.status = 400;
-        throw validationError;
-      } else if (error.status >= 500) {
-        const serviceError = new Error('Groq service temporarily unavailable. Please try again.');
-        serviceError.type = ErrorTypes.SERVICE_UNAVAILABLE;
-        serviceError.status = error.status;
-        throw serviceError;
-      } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-        const networkError = new Error('Network connection failed. Please check your internet connection.');
-        networkError.type = ErrorTypes.NETWORK_ERROR;
-        networkError.code = error.code;
-        throw networkError;
-      } else if (error.code === 'ETIMEDOUT' || error.message?.includes('timeout')) {
-        const timeoutError = new Error('Request timed out. Please try again.');
-        timeoutError.type = ErrorTypes.TIMEOUT_ERROR;
-        throw timeoutError;
-      }
-
-      // Default API error
-      error.type = ErrorTypes.API_ERROR;
+      console.error(`❌ ${provider.displayName} call failed:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * ResponseProcessor context for a generation result
+   */
+  getProcessingContext(transcript, promptData, options, generated) {
+    return {
+      summaryStyle: options.summaryStyle,
+      customInstructions: options.customInstructions,
+      modelUsed: generated.fallbackInfo?.modelUsed || 'primary',
+      fallbackUsed: generated.fallbackInfo?.fallbackTriggered || false,
+      attemptCount: generated.fallbackInfo?.attemptCount || 1,
+      transcriptId: transcript.id,
+      outputFormat: promptData.outputFormat,
+      length: promptData.length,
+      // Citations and grounding are checked against the transcript and its prompt metadata
+      transcript: {
+        content: transcript.content,
+        speakerTurns: transcript.speakerTurns,
+        metadata: this.getPromptMetadata(transcript)
+      }
+    };
+  }
+
   /**
    * Process AI response using ResponseProcessor
    */
@@ -502,6 +1139,11 @@ class SummaryService {
 
       if (!processedResponse.success) {
         console.warn('⚠️ Response processing had issues:', processedResponse.error);
+        // Keep structured-output errors so the caller can ask the model for a repair
+        return {
+          ...this.buildMinimalProcessedResponse(result, context, processedResponse.error),
+          structured: processedResponse.structured
+        };
       }
 
       console.log(`✅ Response processed: Quality ${processedResponse.content.quality.grade}, ${processedResponse.content.structure.actionItems.length} actions`);
@@ -510,41 +1152,53 @@ class SummaryService {
 
     } catch (error) {
       console.error('❌ Response processing failed:', error.message);
-
-      // Return a minimal processed response for error cases
-      return {
-        success: false,
-        error: error.message,
-        content: {
-          raw: result.content || '',
-          normalized: result.content || '',
-          structure: { headings: [], actionItems: [], decisions: [] },
-          analysis: { readability: { score: 0 }, completeness: { score: 0 } },
-          quality: { score: 0, grade: 'F', issues: [error.message] }
-        },
-        metadata: {
-          model: { name: context.modelUsed || 'unknown', type: 'unknown' },
-          usage: { totalTokens: 0 },
-          cost: { total: 0 },
-          processing: { processingTime: 0 },
-          metrics: { qualityScore: 0, qualityGrade: 'F' },
-          context: context
-        },
-        formats: {},
-        validation: { isValid: false, errors: [error.message] }
-      };
+      return this.buildMinimalProcessedResponse(result, context, error.message);
     }
   }
 
+  /**
+   * Minimal processed response for error cases
+   */
+  buildMinimalProcessedResponse(result, context, message) {
+    return {
+      success: false,
+      error: message,
+      content: {
+        raw: result.content || '',
+        normalized: result.content || '',
+        structure: { headings: [], actionItems: [], decisions: [] },
+        analysis: { readability: { score: 0 }, completeness: { score: 0 } },
+        quality: { score: 0, grade: 'F', issues: [message] }
+      },
+      metadata: {
+        model: { name: context.modelUsed || 'unknown', type: 'unknown' },
+        usage: { totalTokens: 0 },
+        cost: { total: 0 },
+        processing: { processingTime: 0 },
+        metrics: { qualityScore: 0, qualityGrade: 'F' },
+        context: context
+      },
+      formats: {},
+      structured: null,
+      validation: { isValid: false, errors: [message] }
+    };
+  }
+
   /**
    * Process API result and update database
    */
   async processSummaryResult(summaryRecord, result, processedResponse, startTime, session) {
     const totalTime = Date.now() - startTime;
-    const cost = processedResponse.metadata.cost.total;
+    // Map-reduce results carry the exact per-call cost; use it over the single-call estimate
+    const grounding = processedResponse.content.analysis?.grounding || null;
+    const lengthCheck = processedResponse.validation?.lengthCheck || null;
+    const cost = (result.mapReduce ? result.mapReduce.totalCost : processedResponse.metadata.cost.total) +
+      (grounding?.regeneration?.discardedCost || 0) +
+      (lengthCheck?.adjustment?.discardedCost || 0);
 
     // Update summary record with processed results
     await summaryRecord.update({
+      aiModel: result.model || getModelInfo(result.fallbackInfo?.modelUsed).name,
       content: processedResponse.content.normalized,
       status: processedResponse.success ? 'completed' : 'error',
       processingTime: totalTime,
@@ -557,33 +1211,15 @@ class SummaryService {
       quality: Math.max(1, Math.min(5, Math.round(processedResponse.content.quality.score * 5))),
       metadata: {
         ...summaryRecord.metadata,
-        groqRequestId: result.requestId,
+        requestId: result.requestId,
+        provider: result.provider,
+        modelSlot: result.fallbackInfo?.modelUsed,
         finishReason: result.finishReason,
         actualModel: result.model,
         generationCompleted: new Date(),
         apiProcessingTime: result.processingTime,
-        // Add processed response metadata
-        responseProcessing: {
-          qualityGrade: processedResponse.content.quality.grade,
-          qualityScore: processedResponse.content.quality.score,
-          readabilityScore: processedResponse.content.analysis.readability.score,
-          completenessScore: processedResponse.content.analysis.completeness.score,
-          actionItemsCount: processedResponse.content.structure.actionItems.length,
-          decisionsCount: processedResponse.content.structure.decisions.length,
-          processingTime: processedResponse.metadata.processingTime,
-          validationIssues: processedResponse.validation.errors || [],
-          validationWarnings: processedResponse.validation.warnings || []
-        },
-        // Store structured data for future use
-        structuredData: {
-          headings: processedResponse.content.structure.headings,
-          actionItems: processedResponse.content.structure.actionItems,
-          decisions: processedResponse.content.structure.decisions,
-          insights: processedResponse.content.structure.insights,
-          entities: processedResponse.content.analysis.entities
-        },
-        // Store multiple formats
-        formats: processedResponse.formats
+        mapReduce: result.mapReduce,
+        ...this.getContentMetadata(processedResponse)
       }
     });
     
@@ -599,12 +1235,63 @@ class SummaryService {
     
     console.log(`📊 Summary completed: ${processedResponse.metadata.usage.totalTokens} tokens, $${cost.toFixed(6)} cost, ${totalTime}ms total`);
 
+    return this.formatSummaryResult(summaryRecord, result, processedResponse, { processingTime: totalTime, cost });
+  }
+
+  /**
+   * Summary metadata derived from the processed content: quality, structure,
+   * citations, grounding and the rendered formats
+   */
+  getContentMetadata(processedResponse) {
+    const grounding = processedResponse.content.analysis?.grounding || null;
+    const lengthCheck = processedResponse.validation?.lengthCheck || null;
+
+    return {
+      responseProcessing: {
+        qualityGrade: processedResponse.content.quality.grade,
+        qualityScore: processedResponse.content.quality.score,
+        readabilityScore: processedResponse.content.analysis.readability.score,
+        completenessScore: processedResponse.content.analysis.completeness.score,
+        actionItemsCount: processedResponse.content.structure.actionItems.length,
+        decisionsCount: processedResponse.content.structure.decisions.length,
+        groundingScore: grounding ? grounding.score : null,
+        processingTime: processedResponse.metadata.processingTime,
+        validationIssues: processedResponse.validation.errors || [],
+        validationWarnings: processedResponse.validation.warnings || []
+      },
+      // Word count against the requested length tier, and any condense/expand request
+      lengthCheck,
+      // Store structured data for future use
+      structuredData: {
+        headings: processedResponse.content.structure.headings,
+        actionItems: processedResponse.content.structure.actionItems,
+        decisions: processedResponse.content.structure.decisions,
+        insights: processedResponse.content.structure.insights,
+        entities: processedResponse.content.analysis.entities
+      },
+      // Transcript line ranges backing each summary point
+      citations: processedResponse.content.structure.citations,
+      // Names, dates, figures and owners not found in the transcript
+      grounding,
+      // Validated JSON behind structured summaries (content and formats are rendered from it)
+      structuredSummary: this.getStructuredSummary(processedResponse),
+      // Store multiple formats
+      formats: processedResponse.formats
+    };
+  }
+
+  /**
+   * Shape a saved summary and its processed response for callers
+   */
+  formatSummaryResult(summaryRecord, result, processedResponse, { processingTime, cost }) {
+    const grounding = processedResponse.content.analysis?.grounding || null;
+
     return {
       id: summaryRecord.id,
       content: processedResponse.content.normalized,
       rawContent: processedResponse.content.raw,
       summaryStyle: summaryRecord.summaryStyle,
-      processingTime: totalTime,
+      processingTime,
       tokenUsage: processedResponse.metadata.usage,
       cost: cost,
       model: result.model,
@@ -623,17 +1310,380 @@ class SummaryService {
         decisions: processedResponse.content.structure.decisions.length,
         insights: processedResponse.content.structure.insights.length
       },
+      citations: processedResponse.content.structure.citations,
+      structuredSummary: this.getStructuredSummary(processedResponse),
       analysis: {
         readability: processedResponse.content.analysis.readability,
         sentiment: processedResponse.content.analysis.sentiment,
         completeness: processedResponse.content.analysis.completeness,
-        actionability: processedResponse.content.analysis.actionability
+        actionability: processedResponse.content.analysis.actionability,
+        grounding
       },
       formats: processedResponse.formats,
       validation: processedResponse.validation
     };
   }
 
+  /**
+   * Revise a completed summary with reviewer feedback. The transcript, the
+   * summary's original instructions, the summary and the feedback go back to
+   * the model; the result replaces the content and the previous content is
+   * kept in editHistory as an 'ai_refine' revision.
+   *
+   * @param {Object} summary - Summary instance (completed or edited)
+   * @param {Object} options - { feedback, sessionId, useFallback }
+   * @returns {Promise<Object>} Refined summary with metadata and the new revision
+   */
+  async refineSummary(summary, options = {}) {
+    const startTime = Date.now();
+    const { feedback } = options;
+
+    if (!summary.isEditable()) {
+      const error = new Error(`Only completed summaries can be refined (status: ${summary.status})`);
+      error.type = ErrorTypes.VALIDATION_ERROR;
+      throw error;
+    }
+
+    const transcript = await this.loadTranscript(summary.transcriptId);
+    await this.usageQuotas.checkQuota(recordOwner(transcript), { tokens: 0 });
+    const session = options.sessionId ? await UserSession.findByPk(options.sessionId) : null;
+    const metadata = summary.metadata || {};
+
+    // The summary's own instructions; a template deleted since is no longer applied
+    const template = metadata.template ? await SummaryTemplate.findByPk(metadata.template.id) : null;
+    const refineOptions = {
+      summaryStyle: summary.summaryStyle,
+      customInstructions: summary.customInstructions || '',
+      outputFormat: metadata.outputFormat || 'markdown',
+      meetingType: metadata.meetingContext?.meetingType?.value || 'none',
+      industry: metadata.meetingContext?.industry?.value || 'none',
+      template: template && sameOwner(template, transcript) ? template.toPromptJSON() : undefined,
+      length: metadata.length || null,
+      useFallback: options.useFallback
+    };
+    const { instructions } = this.getPromptInstructions(transcript, refineOptions);
+
+    // Structured summaries are revised as the JSON their content is rendered from
+    const previousSummary = refineOptions.outputFormat === 'json' && metadata.structuredSummary?.data ?
+      JSON.stringify(metadata.structuredSummary.data, null, 2) :
+      summary.content;
+
+    const promptData = this.promptEngine.buildRefinePrompt(transcript.content, instructions, previousSummary, feedback);
+    const validation = this.promptEngine.validatePrompt(promptData);
+    if (!validation.isValid) {
+      throw new Error(`Refine prompt validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    console.log(`✏️ Refining summary ${summary.id} with reviewer feedback`);
+
+    const budget = await this.planBudget(promptData, session, transcript.workspaceId);
+    const modelDecision = await this.selectOptimalModel(transcript, promptData, { ...refineOptions, budgetLimited: budget.downgrade }, session);
+    let result = await this.generateWithFallback(promptData, modelDecision, {});
+
+    const buildProcessingContext = (generated) =>
+      this.getProcessingContext(transcript, promptData, refineOptions, generated);
+    let processedResponse = await this.processAIResponse(result, buildProcessingContext(result));
+
+    if (processedResponse.structured && !processedResponse.structured.valid) {
+      ({ result, processedResponse } = await this.repairStructuredOutput(
+        modelDecision, refineOptions, { result, processedResponse }, buildProcessingContext
+      ));
+    }
+
+    // A refinement that can't be processed leaves the summary untouched
+    if (!processedResponse.success) {
+      const error = new Error(`Refined summary could not be processed: ${processedResponse.error}`);
+      error.type = ErrorTypes.CONTENT_ERROR;
+      throw error;
+    }
+
+    const modelUsed = result.fallbackInfo?.modelUsed || 'primary';
+    const aiModel = result.model || getModelInfo(modelUsed).name;
+    const cost = processedResponse.metadata.cost.total;
+
+    // Content-derived metadata is replaced; the refinement's cost adds to the summary's
+    summary.cost = Number(summary.cost || 0) + cost;
+    summary.quality = Math.max(1, Math.min(5, Math.round(processedResponse.content.quality.score * 5)));
+    summary.metadata = {
+      ...metadata,
+      ...this.getContentMetadata(processedResponse),
+      lastRefinedAt: new Date()
+    };
+    await summary.updateContent(processedResponse.content.normalized, 'ai_refine', {
+      feedback,
+      aiModel,
+      tokenUsage: processedResponse.metadata.usage,
+      cost
+    });
+
+    if (session) {
+      await session.updateStatistics({
+        totalCost: (session.statistics?.totalCost || 0) + cost
+      });
+    }
+    await this.usageQuotas.record(recordOwner(transcript), { tokens: processedResponse.metadata.usage.totalTokens });
+    await this.costBudgets.record(session, recordOwner(transcript), {
+      operation: 'refine',
+      transcriptId: transcript.id,
+      summaryId: summary.id,
+      summaryStyle: summary.summaryStyle,
+      aiModel,
+      modelSlot: modelUsed,
+      inputTokens: processedResponse.metadata.usage.inputTokens,
+      outputTokens: processedResponse.metadata.usage.outputTokens,
+      cost
+    });
+
+    const refined = this.formatSummaryResult(summary, result, processedResponse, {
+      processingTime: Date.now() - startTime,
+      cost
+    });
+    refined.revision = summary.editHistory.length + 1; // Revision 1 is the generated summary
+
+    // Items the feedback added are recorded like those of a new summary
+    refined.actionItemTracking = await this.trackActionItems(transcript, refined, processedResponse);
+    refined.decisionLog = await this.recordDecisions(transcript, refined, processedResponse);
+
+    console.log(`✏️ Summary ${summary.id} refined (revision ${refined.revision}): $${cost.toFixed(6)} cost`);
+    return refined;
+  }
+
+  /**
+   * Replace a summary's content with a manual edit or a restored revision;
+   * the previous content is kept in editHistory. Structure, citations and
+   * formats are re-derived from the new content without a model call.
+   *
+   * @param {Object} summary - Summary instance
+   * @param {string} content - New content (markdown)
+   * @param {string} editType - 'manual_edit' or 'restore'
+   * @param {Object} details - Extra fields for the history entry
+   * @returns {Promise<Object>} The updated summary instance
+   */
+  async reviseContent(summary, content, editType = 'manual_edit', details = {}) {
+    const transcript = await MeetingTranscript.findByPk(summary.transcriptId);
+    const metadata = summary.metadata || {};
+
+    // Edited text is markdown even for structured summaries, whose JSON no longer matches it
+    const promptData = { outputFormat: 'markdown', length: metadata.length || null };
+    const options = { summaryStyle: summary.summaryStyle, customInstructions: summary.customInstructions };
+    const processedResponse = transcript ?
+      await this.processAIResponse({ content }, this.getProcessingContext(transcript, promptData, options, {})) :
+      null;
+
+    if (processedResponse?.success) {
+      summary.quality = Math.max(1, Math.min(5, Math.round(processedResponse.content.quality.score * 5)));
+      summary.metadata = { ...metadata, ...this.getContentMetadata(processedResponse) };
+    } else {
+      // Too short or malformed to analyse; keep the text but drop what described the old one
+      summary.metadata = { ...metadata, citations: [], structuredSummary: null, formats: {} };
+    }
+
+    await summary.updateContent(content, editType, details);
+    console.log(`✏️ Summary ${summary.id} revised (${editType}, revision ${summary.editHistory.length + 1})`);
+    return summary;
+  }
+
+  /**
+   * Generate a roll-up summary across the latest meetings of a series:
+   * progress, repeated blockers and action item carry-over. The result is
+   * stored on the series as its lastRollup.
+   *
+   * @param {Object} series - MeetingSeries instance
+   * @param {Object} options - { meetings, meetingType, useFallback, sessionId }
+   * @returns {Promise<Object>} Roll-up with content, covered meetings, carry-over and cost
+   */
+  async generateSeriesRollup(series, options = {}) {
+    const startTime = Date.now();
+    await this.usageQuotas.checkQuota(recordOwner(series), { tokens: 0 });
+    const session = options.sessionId ? await UserSession.findByPk(options.sessionId) : null;
+    const input = await this.meetingSeries.gatherRollupInput(series, options);
+
+    if (input.meetings.length < 2) {
+      const error = new Error('A roll-up needs at least two meetings in the series');
+      error.type = ErrorTypes.CONTENT_ERROR;
+      throw error;
+    }
+
+    const promptData = this.promptEngine.buildRollupPrompt(input, options);
+    const validation = this.promptEngine.validatePrompt(promptData);
+    if (!validation.isValid) {
+      throw new Error(`Roll-up prompt validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const contentLength = input.meetings.reduce((sum, meeting) => sum + meeting.notes.length, 0);
+    const budget = await this.planBudget(promptData, session, series.workspaceId);
+    const modelDecision = await this.selectOptimalModel({ contentLength }, promptData, { ...options, budgetLimited: budget.downgrade }, session);
+    const result = await this.generateWithFallback(promptData, modelDecision, {});
+    const modelUsed = result.fallbackInfo?.modelUsed || 'primary';
+
+    const rollup = {
+      content: result.content.trim(),
+      meetingType: options.meetingType || series.meetingType,
+      meetings: input.meetings.map(({ notes, ...meeting }) => meeting),
+      carryOver: input.carryOver,
+      repeatedBlockers: input.repeatedBlockers,
+      aiModel: result.model || getModelInfo(modelUsed).name,
+      tokenUsage: result.usage,
+      cost: result.usage ? calculateCost(result.usage, modelUsed) : 0,
+      processingTime: Date.now() - startTime,
+      generatedAt: new Date()
+    };
+
+    series.lastRollup = rollup;
+    await series.save();
+    await this.usageQuotas.record(recordOwner(series), { tokens: result.usage?.total_tokens || 0 });
+    await this.costBudgets.record(session, recordOwner(series), {
+      operation: 'rollup',
+      aiModel: rollup.aiModel,
+      modelSlot: modelUsed,
+      inputTokens: result.usage?.prompt_tokens || 0,
+      outputTokens: result.usage?.completion_tokens || 0,
+      cost: rollup.cost
+    });
+
+    console.log(`🔁 Roll-up generated for series "${series.name}": ${rollup.meetings.length} meetings, $${rollup.cost.toFixed(6)} cost`);
+    return rollup;
+  }
+
+  /**
+   * Answer a question about a transcript from its most relevant passages,
+   * its latest summary and the conversation so far. The question and the
+   * cited answer are stored with the answer's token usage and cost, which
+   * also count towards the session's total cost.
+   *
+   * @param {string} transcriptId - Transcript the conversation is about
+   * @param {string} question - Question text
+   * @param {Object} options - { sessionId, useFallback }
+   * @returns {Promise<Object>} { question, answer } ChatMessage instances
+   */
+  async answerQuestion(transcriptId, question, options = {}) {
+    const startTime = Date.now();
+    const transcript = await this.loadTranscript(transcriptId);
+    await this.usageQuotas.checkQuota(recordOwner(transcript), { tokens: 0 });
+    const session = options.sessionId ? await UserSession.findByPk(options.sessionId) : null;
+
+    const history = await this.transcriptChat.getHistory(transcript.id, options.sessionId);
+    const passages = this.transcriptChat.retrievePassages(
+      transcript,
+      this.transcriptChat.buildQuery(question, history)
+    );
+    const summary = await Summary.findOne({
+      where: { transcriptId: transcript.id, status: ['completed', 'edited'] },
+      order: [['updatedAt', 'DESC']]
+    });
+
+    const promptData = this.promptEngine.buildChatPrompt({
+      question,
+      transcript: transcript.content,
+      passages,
+      history,
+      summary: summary?.content,
+      metadata: this.getPromptMetadata(transcript)
+    });
+    const validation = this.promptEngine.validatePrompt(promptData);
+    if (!validation.isValid) {
+      throw new Error(`Chat prompt validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const budget = await this.planBudget(promptData, session, transcript.workspaceId);
+    const modelDecision = await this.selectOptimalModel(transcript, promptData, { ...options, budgetLimited: budget.downgrade }, session);
+    const result = await this.generateWithFallback(promptData, modelDecision, {});
+    const modelUsed = result.fallbackInfo?.modelUsed || 'primary';
+    const content = result.content.trim();
+
+    if (!content) {
+      const error = new Error('The model returned an empty answer');
+      error.type = ErrorTypes.CONTENT_ERROR;
+      throw error;
+    }
+
+    const cost = result.usage ? calculateCost(result.usage, modelUsed) : 0;
+    const exchange = await this.transcriptChat.recordExchange(transcript, options.sessionId || null, question, {
+      content,
+      citations: this.transcriptChat.resolveCitations(content, transcript),
+      passages,
+      aiModel: result.model || getModelInfo(modelUsed).name,
+      tokenUsage: {
+        inputTokens: result.usage?.prompt_tokens || 0,
+        outputTokens: result.usage?.completion_tokens || 0,
+        totalTokens: result.usage?.total_tokens || 0
+      },
+      cost,
+      processingTime: Date.now() - startTime
+    });
+
+    if (session) {
+      await session.updateStatistics({
+        questionsAnswered: (session.statistics?.questionsAnswered || 0) + 1,
+        totalCost: (session.statistics?.totalCost || 0) + cost
+      });
+    }
+    await this.usageQuotas.record(recordOwner(transcript), { tokens: exchange.answer.tokenUsage.totalTokens });
+    await this.costBudgets.record(session, recordOwner(transcript), {
+      operation: 'chat',
+      transcriptId: transcript.id,
+      aiModel: exchange.answer.aiModel,
+      modelSlot: modelUsed,
+      inputTokens: exchange.answer.tokenUsage.inputTokens,
+      outputTokens: exchange.answer.tokenUsage.outputTokens,
+      cost
+    });
+
+    console.log(`💬 Question answered for transcript ${transcript.id}: ${passages.length} passages, ${exchange.answer.tokenUsage.totalTokens} tokens, $${cost.toFixed(6)} cost`);
+    return exchange;
+  }
+
+  /**
+   * Sync the summary's action items with the ActionItem register. Tracking
+   * failures are logged and never fail the summary itself.
+   */
+  async trackActionItems(transcript, summary, processedResponse) {
+    try {
+      return await this.actionItemTracker.syncFromSummary(
+        transcript,
+        summary,
+        processedResponse.content.structure.actionItems
+      );
+    } catch (error) {
+      console.error('❌ Action item tracking failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Add the summary's decisions to the decision log. Like action item
+   * tracking, failures never fail the summary itself.
+   */
+  async recordDecisions(transcript, summary, processedResponse) {
+    try {
+      return await this.decisionLog.recordFromSummary(
+        transcript,
+        summary,
+        processedResponse.content.structure.decisions
+      );
+    } catch (error) {
+      console.error('❌ Decision log update failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Schema version, data and applied repairs of a structured summary, or null
+   */
+  getStructuredSummary(processedResponse) {
+    const structured = processedResponse.structured;
+    if (!structured) return null;
+
+    return {
+      schemaVersion: structured.schemaVersion,
+      valid: structured.valid,
+      data: structured.data,
+      errors: structured.errors,
+      repairs: structured.repairs,
+      modelRepair: structured.modelRepair || null
+    };
+  }
+
   /**
    * Handle generation errors with comprehensive error tracking
    */
@@ -0,0 +1,46 @@
+/**
+ * Text Matcher
+ *
+ * Keyword-based comparison of short texts (action items, decisions) used to
+ * recognize the same item across summaries and meetings without an LLM call.
+ */
+
+// Words that carry no meaning when matching items against each other or transcript lines
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'will', 'should', 'must', 'need', 'needs',
+  'have', 'has', 'are', 'was', 'were', 'been', 'about', 'our', 'their', 'them', 'they', 'your', 'you',
+  'all', 'any', 'can', 'could', 'would', 'make', 'sure', 'get', 'out', 'new', 'next', 'by', 'on', 'to',
+  'owner', 'due', 'not', 'stated', 'action', 'item', 'task', 'follow', 'up'
+]);
+
+class TextMatcher {
+  /**
+   * @param {Object} options - { stopWords: extra words to ignore }
+   */
+  constructor(options = {}) {
+    this.stopWords = new Set([...STOP_WORDS, ...(options.stopWords || [])]);
+  }
+
+  /**
+   * Significant lowercase word stems of a text
+   */
+  keywords(text = '') {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => word.length >= 3 && !this.stopWords.has(word))
+      .map(word => word.replace(/(?:ing|ed|es|s|e)$/, '') || word);
+  }
+
+  /**
+   * Keyword overlap between two texts (0-1, Dice coefficient)
+   */
+  similarity(a, b) {
+    const wordsA = new Set(this.keywords(a));
+    const wordsB = new Set(this.keywords(b));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return (2 * shared) / (wordsA.size + wordsB.size);
+  }
+}
+
+module.exports = TextMatcher;
@@ -0,0 +1,182 @@
+/**
+ * Transcript Chat
+ *
+ * Question answering over one meeting. Each question is matched against
+ * overlapping windows of transcript lines and only the best passages (or
+ * the whole transcript, when it is short) are sent to the model, together
+ * with the recent conversation. Answers cite transcript lines ([L12]) and
+ * the citations are resolved against the transcript before they are stored.
+ */
+
+const { ChatMessage } = require('../models');
+const ResponseProcessor = require('./responseProcessor');
+const TextMatcher = require('./textMatcher');
+
+// Question wording that says nothing about what to look for
+const QUESTION_STOP_WORDS = [
+  'what', 'who', 'whom', 'whose', 'when', 'where', 'why', 'how', 'which', 'did', 'does', 'doe',
+  'there', 'any', 'anyone', 'someone', 'meeting', 'said', 'say', 'says', 'mention', 'mentioned',
+  'talk', 'talked', 'discuss', 'discussed', 'tell', 'know', 'please', 'also', 'else'
+];
+
+// BM25 term saturation and window length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+class TranscriptChat {
+  constructor(options = {}) {
+    // Earlier messages sent with each question (questions and answers)
+    this.historyMessages = options.historyMessages || parseInt(process.env.CHAT_HISTORY_MESSAGES) || 10;
+    // Passages retrieved per question, and the lines in each passage window
+    this.maxPassages = options.maxPassages || parseInt(process.env.CHAT_PASSAGES) || 6;
+    this.passageLines = options.passageLines || parseInt(process.env.CHAT_PASSAGE_LINES) || 8;
+    // Transcripts up to this size (estimated tokens) are sent whole instead of as passages
+    this.fullTranscriptTokens = options.fullTranscriptTokens ?? (parseInt(process.env.CHAT_FULL_TRANSCRIPT_TOKENS) || 4000);
+    this.textMatcher = new TextMatcher({ stopWords: QUESTION_STOP_WORDS });
+    this.responseProcessor = new ResponseProcessor();
+  }
+
+  /**
+   * Recent messages of the session's conversation about a transcript, oldest first
+   */
+  async getHistory(transcriptId, sessionId) {
+    if (this.historyMessages <= 0) return [];
+    return await ChatMessage.findRecent(transcriptId, sessionId, this.historyMessages);
+  }
+
+  /**
+   * Retrieval query for a question. Follow-ups ("who owns it?") rarely name
+   * their topic, so the previous question is searched for as well.
+   */
+  buildQuery(question, history = []) {
+    const previous = [...history].reverse().find(message => message.role === 'user');
+    return previous ? `${question}\n${previous.content}` : question;
+  }
+
+  /**
+   * Transcript passages most relevant to a query, in transcript order
+   *
+   * @param {Object} transcript - { content }
+   * @param {string} query - Question text (see buildQuery)
+   * @returns {Array<Object>} [{ startLine, endLine, score }] with 1-based, inclusive lines;
+   *   score is null when the whole transcript is returned
+   */
+  retrievePassages(transcript, query) {
+    const lines = transcript.content.split('\n');
+
+    if (Math.ceil(transcript.content.length / 4) <= this.fullTranscriptTokens) {
+      return [{ startLine: 1, endLine: lines.length, score: null }];
+    }
+
+    const terms = [...new Set(this.textMatcher.keywords(query))];
+    if (terms.length === 0) return [];
+
+    // Overlapping windows so a passage split across two windows is still found whole
+    const step = Math.max(1, Math.floor(this.passageLines / 2));
+    const windows = [];
+    for (let start = 0; start < lines.length; start += step) {
+      const end = Math.min(lines.length, start + this.passageLines);
+      const words = this.textMatcher.keywords(lines.slice(start, end).join('\n'));
+      if (words.length > 0) {
+        const frequencies = new Map();
+        words.forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+        windows.push({ startLine: start + 1, endLine: end, length: words.length, frequencies });
+      }
+      if (end === lines.length) break;
+    }
+    if (windows.length === 0) return [];
+
+    // BM25 over the windows: rare terms in the question count most
+    const averageLength = windows.reduce((sum, window) => sum + window.length, 0) / windows.length;
+    const idf = new Map(terms.map(term => {
+      const containing = windows.filter(window => window.frequencies.has(term)).length;
+      return [term, Math.log(1 + (windows.length - containing + 0.5) / (containing + 0.5))];
+    }));
+
+    const scored = windows
+      .map(window => {
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * window.length / averageLength);
+        const score = terms.reduce((sum, term) => {
+          const frequency = window.frequencies.get(term) || 0;
+          return sum + idf.get(term) * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+        }, 0);
+        return { startLine: window.startLine, endLine: window.endLine, score };
+      })
+      .filter(window => window.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxPassages)
+      .sort((a, b) => a.startLine - b.startLine);
+
+    // Overlapping and adjacent windows become one passage with the best score
+    return scored.reduce((passages, window) => {
+      const last = passages[passages.length - 1];
+      if (last && window.startLine <= last.endLine + 1) {
+        last.endLine = Math.max(last.endLine, window.endLine);
+        last.score = Math.max(last.score, window.score);
+      } else {
+        passages.push({ ...window });
+      }
+      return passages;
+    }, []).map(passage => ({ ...passage, score: Math.round(passage.score * 1000) / 1000 }));
+  }
+
+  /**
+   * Resolve an answer's [L..] citations against the transcript; citations
+   * outside the transcript are dropped and repeated ones kept once
+   *
+   * @returns {Array<Object>} [{ label, startLine, endLine, start, end, speakers, excerpt }]
+   */
+  resolveCitations(answer, transcript) {
+    const lines = transcript.content.split('\n');
+    const turns = [...(transcript.speakerTurns || [])]
+      .filter(turn => Number.isFinite(turn.line))
+      .sort((a, b) => a.line - b.line);
+
+    const seen = new Set();
+    return this.responseProcessor.parseCitations(answer).citations
+      .map(citation => this.responseProcessor.resolveCitation(citation, lines, turns))
+      .filter(citation => {
+        if (!citation || seen.has(`${citation.startLine}-${citation.endLine}`)) return false;
+        seen.add(`${citation.startLine}-${citation.endLine}`);
+        return true;
+      });
+  }
+
+  /**
+   * Store a question and its answer
+   *
+   * @param {Object} transcript - MeetingTranscript instance
+   * @param {string} sessionId - Asking session
+   * @param {string} question - Question text
+   * @param {Object} answer - { content, citations, passages, aiModel, tokenUsage, cost, processingTime }
+   * @returns {Promise<Object>} { question, answer } ChatMessage instances
+   */
+  async recordExchange(transcript, sessionId, question, answer) {
+    const questionMessage = await ChatMessage.create({
+      sessionId,
+      transcriptId: transcript.id,
+      role: 'user',
+      content: question
+    });
+
+    const answerMessage = await ChatMessage.create({
+      sessionId,
+      transcriptId: transcript.id,
+      role: 'assistant',
+      ...answer
+    });
+
+    return { question: questionMessage, answer: answerMessage };
+  }
+
+  /**
+   * Delete the session's conversation about a transcript
+   *
+   * @returns {Promise<number>} Messages deleted
+   */
+  async clearConversation(transcriptId, sessionId) {
+    return await ChatMessage.destroy({ where: { transcriptId, sessionId } });
+  }
+}
+
+module.exports = TranscriptChat;
@@ -0,0 +1,411 @@
+/**
+ * Meeting Platform Transcript Importer
+ *
+ * Recognizes the transcript exports produced by Zoom (cloud recording JSON
+ * with a `timeline`), Microsoft Teams (DOCX with per-speaker paragraphs and
+ * timestamps) and Google Meet (Docs export with an attendee list and
+ * timestamp blocks of "Name: text" lines). Recognized exports are
+ * normalized into the same speaker-turn segments the caption parser
+ * produces, with attendees and meeting duration filled in.
+ *
+ * Layouts are only detected in the file types the platforms export, and
+ * Teams and Meet documents also need their header markers. An export with
+ * lines the parser can't place is left as it was uploaded rather than
+ * imported with those lines dropped.
+ */
+
+const CaptionParser = require('./captionParser');
+
+// Teams: "0:0:3.520 --> 0:0:7.100" timing line, speaker line, then text
+const TEAMS_TIMING_PATTERN = /^(\d+:\d{1,2}:\d{1,2}(?:[.,]\d+)?)\s*-->\s*(\d+:\d{1,2}:\d{1,2}(?:[.,]\d+)?)$/;
+// Teams: "Jane Doe   0:03" or "Doe, Jane (Guest)   1:02:15" speaker paragraph
+const TEAMS_SPEAKER_PATTERN = /^(\p{Lu}[\p{L}\p{M}.'’\-]*(?:,?\s+[\p{Lu}(][\p{L}\p{M}.'’\-)]*){0,4})\s+(\d{1,2}:\d{2}(?::\d{2})?)$/u;
+// Teams header duration, e.g. "1h 2m 3s" or "45m 12s"
+const TEAMS_DURATION_PATTERN = /^(?:(\d+)h\s*)?(?:(\d+)m\s*)?(?:(\d+)s)?$/;
+const TEAMS_EVENT_PATTERN = /\b(started|stopped) transcription$/i;
+// Teams header date line, e.g. "March 3, 2024, 2:00PM"
+const TEAMS_DATE_PATTERN = /\b\d{4}\b|\b\d{1,2}:\d{2}\s*[AP]M\b/i;
+
+// Meet: standalone "00:05:12" block markers followed by "Name: text" lines
+const MEET_TIMESTAMP_PATTERN = /^(\d{1,2}:\d{2}:\d{2})$/;
+const MEET_SPEAKER_PATTERN = /^(\p{Lu}[\p{L}\p{M}.'’\-]*(?:\s+[\p{Lu}(][\p{L}\p{M}.'’\-)]*){0,4}):\s+(.+)$/u;
+const MEET_ENDED_PATTERN = /^Meeting ended after (\d{1,2}:\d{2}:\d{2})/i;
+const MEET_ATTENDEES_PATTERN = /^Attendees$/i;
+const MEET_TRANSCRIPT_PATTERN = /^Transcript$/i;
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Upload types each platform exports its transcripts as
+const EXPORT_MIME_TYPES = {
+  teams: [DOCX_MIME_TYPE],
+  meet: [DOCX_MIME_TYPE, 'text/plain']
+};
+
+const MIN_TURNS = 2;
+
+class TranscriptImporter {
+  constructor(options = {}) {
+    this.captionParser = options.captionParser || new CaptionParser();
+  }
+
+  /**
+   * Detect a platform export layout
+   *
+   * @param {string} text - Extracted file text (raw JSON for .json uploads)
+   * @param {string} mimeType - Normalized upload MIME type
+   * @returns {string|null} 'zoom-json', 'teams-docx', 'meet-doc' or null
+   */
+  detect(text, mimeType = '') {
+    if (!text) return null;
+
+    if (mimeType === 'application/json') {
+      const data = this.parseJSON(text);
+      return data && Array.isArray(data.timeline) ? 'zoom-json' : null;
+    }
+
+    const lines = this.splitLines(text);
+
+    if (EXPORT_MIME_TYPES.teams.includes(mimeType)) {
+      // The older layout's "-->" timings are specific enough; speaker paragraphs need the Teams header
+      const timings = lines.filter(line => TEAMS_TIMING_PATTERN.test(line));
+      const speakers = lines.filter(line => TEAMS_SPEAKER_PATTERN.test(line));
+      if (timings.length >= MIN_TURNS) return 'teams-docx';
+      if (speakers.length >= MIN_TURNS && this.hasTeamsHeader(lines)) return 'teams-docx';
+    }
+
+    if (EXPORT_MIME_TYPES.meet.includes(mimeType)) {
+      const hasHeader = lines.some(line => MEET_ATTENDEES_PATTERN.test(line)) &&
+        lines.some(line => MEET_TRANSCRIPT_PATTERN.test(line));
+      const meetMarkers = lines.filter(line => MEET_TIMESTAMP_PATTERN.test(line));
+      const meetTurns = lines.filter(line => MEET_SPEAKER_PATTERN.test(line));
+      if (hasHeader && meetMarkers.length >= 1 && meetTurns.length >= MIN_TURNS) return 'meet-doc';
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the lines before the first speaker paragraph look like a Teams
+   * header: a transcription event or the meeting duration
+   */
+  hasTeamsHeader(lines) {
+    const firstTurn = lines.findIndex(line => TEAMS_SPEAKER_PATTERN.test(line));
+    return lines.slice(0, firstTurn).some(line => TEAMS_EVENT_PATTERN.test(line) || this.parseTeamsDuration(line) !== null);
+  }
+
+  /**
+   * Normalize a recognized export into speaker turns
+   *
+   * @returns {Object|null} { content, segments, attendees, durationMs, title, stats } or null if not recognized
+   */
+  normalize(text, mimeType = '') {
+    const layout = this.detect(text, mimeType);
+    if (!layout) return null;
+
+    let parsed;
+    switch (layout) {
+      case 'zoom-json':
+        parsed = this.parseZoomTimeline(this.parseJSON(text));
+        break;
+      case 'teams-docx':
+        parsed = this.parseTeams(this.splitLines(text));
+        break;
+      case 'meet-doc':
+        parsed = this.parseMeet(this.splitLines(text));
+        break;
+    }
+
+    if (parsed.turns.length === 0) return null;
+
+    // Not confident it is the export it looked like: keep the uploaded content
+    if (parsed.unrecognized.length > 0) {
+      console.log(`⚠️ Not importing ${layout} transcript: ${parsed.unrecognized.length} unrecognized lines`);
+      return null;
+    }
+
+    return this.buildResult(layout, parsed);
+  }
+
+  /**
+   * Zoom cloud recording JSON: { timeline: [{ ts, end_ts?, username?, users: [{ username }], text }] }
+   * Entries without text only mark the active speaker; their users still count as attendees.
+   */
+  parseZoomTimeline(data) {
+    const turns = [];
+    const participants = [];
+
+    data.timeline.forEach(entry => {
+      const users = (entry.users || []).map(user => user.username || user.display_name).filter(Boolean);
+      participants.push(...users);
+
+      const text = typeof entry.text === 'string' ? entry.text.replace(/\s+/g, ' ').trim() : '';
+      if (!text || !entry.ts) return;
+
+      turns.push({
+        startMs: this.captionParser.parseTimestamp(entry.ts),
+        endMs: entry.end_ts ? this.captionParser.parseTimestamp(entry.end_ts) : null,
+        speaker: entry.username || users[0] || null,
+        text
+      });
+    });
+
+    // Recording API payloads carry the meeting duration in minutes
+    const durationMs = Number.isFinite(data.duration) ? data.duration * 60000 : null;
+
+    return {
+      turns,
+      participants,
+      durationMs,
+      title: data.topic || null,
+      date: data.start_time || null,
+      unrecognized: []
+    };
+  }
+
+  /**
+   * Teams DOCX transcript. Handles both the current layout ("Name   0:03"
+   * paragraph followed by text) and the older caption-style layout
+   * (timing line, speaker line, text).
+   */
+  parseTeams(lines) {
+    const turns = [];
+    const header = [];
+    let current = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const timing = line.match(TEAMS_TIMING_PATTERN);
+      const speakerLine = !timing && line.match(TEAMS_SPEAKER_PATTERN);
+
+      if (timing) {
+        current = {
+          startMs: this.captionParser.parseTimestamp(timing[1]),
+          endMs: this.captionParser.parseTimestamp(timing[2]),
+          speaker: lines[i + 1] || null,
+          text: ''
+        };
+        turns.push(current);
+        i++; // Speaker line consumed
+      } else if (speakerLine) {
+        current = {
+          startMs: this.captionParser.parseTimestamp(speakerLine[2]),
+          endMs: null,
+          speaker: speakerLine[1].trim(),
+          text: ''
+        };
+        turns.push(current);
+      } else if (current) {
+        if (!TEAMS_EVENT_PATTERN.test(line)) {
+          current.text = current.text ? `${current.text} ${line}` : line;
+        }
+      } else {
+        header.push(line);
+      }
+    }
+
+    // Header: title, date/time, duration ("45m 12s") and transcription events
+    let durationMs = null;
+    const unrecognized = [];
+    header.slice(1).forEach(line => {
+      const duration = this.parseTeamsDuration(line);
+      if (duration !== null) {
+        durationMs = duration;
+      } else if (!TEAMS_DATE_PATTERN.test(line) && !TEAMS_EVENT_PATTERN.test(line)) {
+        unrecognized.push(line);
+      }
+    });
+
+    return {
+      turns: turns.filter(turn => turn.text),
+      participants: [],
+      durationMs,
+      title: header[0] || null,
+      date: null,
+      unrecognized
+    };
+  }
+
+  /**
+   * Milliseconds of a Teams header duration line, or null for other lines
+   */
+  parseTeamsDuration(line) {
+    const match = line.match(TEAMS_DURATION_PATTERN);
+    if (!match || !(match[1] || match[2] || match[3])) return null;
+    return (((parseInt(match[1]) || 0) * 60 + (parseInt(match[2]) || 0)) * 60 + (parseInt(match[3]) || 0)) * 1000;
+  }
+
+  /**
+   * Google Meet transcript (Docs export as DOCX or TXT)
+   */
+  parseMeet(lines) {
+    const turns = [];
+    const participants = [];
+    const unrecognized = [];
+    let title = null;
+    // Turns only follow a timestamp block marker
+    let blockStartMs = null;
+    let durationMs = null;
+    let inAttendees = false;
+    let current = null;
+
+    lines.forEach(line => {
+      const ended = line.match(MEET_ENDED_PATTERN);
+      if (ended) {
+        durationMs = this.captionParser.parseTimestamp(ended[1]);
+        return;
+      }
+
+      const marker = line.match(MEET_TIMESTAMP_PATTERN);
+      if (marker) {
+        blockStartMs = this.captionParser.parseTimestamp(marker[1]);
+        inAttendees = false;
+        current = null;
+        return;
+      }
+
+      if (MEET_ATTENDEES_PATTERN.test(line)) {
+        inAttendees = true;
+        return;
+      }
+      if (MEET_TRANSCRIPT_PATTERN.test(line)) {
+        inAttendees = false;
+        return;
+      }
+      if (inAttendees) {
+        participants.push(...line.split(',').map(name => name.trim()).filter(Boolean));
+        return;
+      }
+
+      const speakerLine = blockStartMs !== null && line.match(MEET_SPEAKER_PATTERN);
+      if (speakerLine) {
+        // Meet only timestamps each block; turns inherit the block start
+        current = {
+          startMs: blockStartMs,
+          endMs: null,
+          speaker: speakerLine[1].trim(),
+          text: speakerLine[2].trim()
+        };
+        turns.push(current);
+      } else if (current) {
+        current.text = `${current.text} ${line}`;
+      } else if (!title) {
+        title = line.replace(/\s*[-–]\s*Transcript$/i, '');
+      } else {
+        unrecognized.push(line);
+      }
+    });
+
+    return { turns, participants, durationMs, title, date: null, unrecognized };
+  }
+
+  /**
+   * Merge consecutive turns by the same speaker, fill in missing end times
+   * and build transcript content, attendees and duration
+   */
+  buildResult(layout, parsed) {
+    const segments = [];
+
+    parsed.turns.forEach(turn => {
+      const previous = segments[segments.length - 1];
+      if (previous && turn.speaker && previous.speaker === turn.speaker) {
+        previous.text = `${previous.text} ${turn.text}`;
+        previous.endMs = turn.endMs ?? previous.endMs;
+        previous.cueCount++;
+        return;
+      }
+      segments.push({ ...turn, cueCount: 1 });
+    });
+
+    // Turns without an end run until the next turn starts
+    segments.forEach((segment, index) => {
+      const next = segments[index + 1];
+      if (segment.endMs === null) {
+        segment.endMs = Math.max(segment.startMs, next ? next.startMs : parsed.durationMs || 0);
+      }
+    });
+
+    const lastEndMs = segments.reduce((max, segment) => Math.max(max, segment.endMs), 0);
+    const durationMs = parsed.durationMs || lastEndMs;
+
+    const lines = segments.map((segment, index) => {
+      segment.start = this.captionParser.formatTimestamp(segment.startMs);
+      segment.end = this.captionParser.formatTimestamp(segment.endMs);
+      segment.index = index;
+      segment.line = index + 1;
+      return segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text;
+    });
+
+    const speakers = [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+    const attendees = [...new Set([...parsed.participants, ...speakers])];
+    const content = lines.join('\n');
+
+    return {
+      content,
+      segments,
+      attendees,
+      durationMs,
+      title: parsed.title,
+      date: parsed.date,
+      stats: {
+        format: layout,
+        platform: layout.split('-')[0],
+        turnCount: segments.length,
+        speakers,
+        durationMs,
+        duration: this.captionParser.formatTimestamp(durationMs)
+      }
+    };
+  }
+
+  /**
+   * Transcript metadata fields consumed by the prompt builder
+   */
+  buildMeetingMetadata({ attendees = [], durationMs = 0 }) {
+    const metadata = {};
+    if (attendees.length > 0) metadata.attendees = attendees;
+    if (durationMs > 0) {
+      metadata.durationMs = durationMs;
+      metadata.duration = this.formatDuration(durationMs);
+    }
+    return metadata;
+  }
+
+  /**
+   * Format milliseconds as a readable duration ("1h 5m", "12m 30s")
+   */
+  formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return seconds > 0 ? `${minutes}m ${seconds}s` : `${minutes}m`;
+    return `${seconds}s`;
+  }
+
+  /**
+   * Split text into trimmed, non-empty lines
+   */
+  splitLines(text) {
+    return text
+      .replace(/^﻿/, '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Parse JSON, returning null for anything that is not valid JSON
+   */
+  parseJSON(text) {
+    try {
+      return JSON.parse(text.replace(/^﻿/, ''));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TranscriptImporter;
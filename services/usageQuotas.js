@@ -0,0 +1,116 @@
+/**
+ * Usage Quotas
+ *
+ * Monthly quotas for summaries generated, model tokens used and emails sent,
+ * counted per workspace, or per IP address for anonymous sessions (anyone can
+ * start a new session, so they don't count on their own). Quotas are set
+ * with QUOTA_SUMMARIES_PER_MONTH, QUOTA_TOKENS_PER_MONTH and
+ * QUOTA_EMAILS_PER_MONTH; 0 or unset means unlimited. Months are calendar
+ * months in UTC.
+ */
+
+const { UsageCounter, UserSession } = require('../models');
+const { ErrorTypes } = require('./errorHandler');
+
+const METRIC_LABELS = {
+  summaries: 'summaries',
+  tokens: 'model tokens',
+  emails: 'emails'
+};
+
+class UsageQuotas {
+  constructor() {
+    this.limits = {
+      summaries: parseInt(process.env.QUOTA_SUMMARIES_PER_MONTH) || 0,
+      tokens: parseInt(process.env.QUOTA_TOKENS_PER_MONTH) || 0,
+      emails: parseInt(process.env.QUOTA_EMAILS_PER_MONTH) || 0
+    };
+  }
+
+  /**
+   * Start of the month after a period (when its quotas reset)
+   */
+  getResetDate(period) {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 1));
+  }
+
+  /**
+   * Counter key of an owner; an anonymous session counts per the IP address
+   * it was started from
+   */
+  async getOwnerKey(owner) {
+    if (owner.workspaceId) return UsageCounter.ownerKey(owner);
+
+    const session = await UserSession.findByPk(owner.sessionId, { attributes: ['id', 'ipAddress'] });
+    return UsageCounter.ownerKey({ ...owner, ipAddress: session?.ipAddress });
+  }
+
+  /**
+   * This month's usage against the quotas
+   *
+   * @param {Object} owner - { workspaceId } or { sessionId } (see models/ownership)
+   * @returns {Promise<Object>} { countedFor, period, resetsAt, metrics: { <metric>: { used, limit, remaining } } }
+   */
+  async getUsage(owner) {
+    const period = UsageCounter.currentPeriod();
+    const ownerKey = await this.getOwnerKey(owner);
+    const counter = await UsageCounter.findUsage(ownerKey, period);
+    const used = counter ? counter.getUsage() : {};
+
+    const metrics = {};
+    for (const metric of UsageCounter.METRICS) {
+      const limit = this.limits[metric] || null;
+      metrics[metric] = {
+        used: used[metric] || 0,
+        limit,
+        remaining: limit === null ? null : Math.max(0, limit - (used[metric] || 0))
+      };
+    }
+
+    return { countedFor: ownerKey.split(':')[0], period, resetsAt: this.getResetDate(period), metrics };
+  }
+
+  /**
+   * Throw when a quota is used up
+   *
+   * @param {Object} owner - { workspaceId } or { sessionId }
+   * @param {Object} needed - Amount each metric is about to use, e.g. { summaries: 1 };
+   *   a metric listed with 0 only needs something left
+   */
+  async checkQuota(owner, needed) {
+    const metrics = Object.keys(needed).filter(metric => this.limits[metric]);
+    if (metrics.length === 0) return;
+
+    const usage = await this.getUsage(owner);
+    for (const metric of metrics) {
+      const { used, limit } = usage.metrics[metric];
+      if (used + Math.max(needed[metric], 1) > limit) {
+        // Not a 429: queued jobs must not retry a quota until it resets
+        const error = new Error(`This would exceed the monthly quota of ${limit} ${METRIC_LABELS[metric]} (${used} used); it resets on ${usage.resetsAt.toISOString().slice(0, 10)}`);
+        error.type = ErrorTypes.QUOTA_ERROR;
+        error.quota = { metric, used, limit, period: usage.period, resetsAt: usage.resetsAt };
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Count usage against the owner's quotas. Failures are logged and never
+   * fail the work that was already done.
+   *
+   * @param {Object} owner - { workspaceId } or { sessionId }
+   * @param {Object} increments - e.g. { summaries: 1, tokens: 1200 }
+   */
+  async record(owner, increments) {
+    if (!owner || (!owner.workspaceId && !owner.sessionId)) return;
+
+    try {
+      await UsageCounter.record(await this.getOwnerKey(owner), increments);
+    } catch (error) {
+      console.error('❌ Failed to record usage:', error.message);
+    }
+  }
+}
+
+module.exports = UsageQuotas;
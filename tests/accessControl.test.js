@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const { sequelize, initializeDatabase, UserSession, SpendRecord } = require('../models');
+const AccountService = require('../services/accountService');
+
+const accountService = new AccountService();
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/usage', require('../routes/usage'));
+  return app;
+};
+
+const signIn = (user, workspaceId) => UserSession.create({
+  sessionToken: crypto.randomBytes(32).toString('hex'),
+  userId: user.id,
+  workspaceId,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+let app;
+let owner;
+let workspaceId;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  expect(await initializeDatabase()).toBe(true);
+
+  app = createApp();
+  const account = await accountService.register({ email: 'owner@example.com', password: 'correct horse battery', name: 'Olive' });
+  owner = account.user;
+  workspaceId = account.membership.workspaceId;
+
+  await SpendRecord.create({ workspaceId, userId: owner.id, operation: 'summary', aiModel: 'test-model', cost: 0.02 });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('GET /api/usage/spend', () => {
+  it('reports spend per user to a signed-in workspace owner', async () => {
+    const session = await signIn(owner, workspaceId);
+
+    const response = await request(app).get('/api/usage/spend').set('X-Session-Token', session.sessionToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.report.byUser).toEqual([
+      expect.objectContaining({ type: 'user', email: 'owner@example.com', cost: 0.02 })
+    ]);
+  });
+
+  it('refuses workspace members below owner', async () => {
+    await accountService.register({ email: 'editor@example.com', password: 'correct horse battery' });
+    const membership = await accountService.addMember(workspaceId, 'editor@example.com', 'editor');
+    const session = await signIn(membership.user, workspaceId);
+
+    const response = await request(app).get('/api/usage/spend').set('X-Session-Token', session.sessionToken);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('FORBIDDEN');
+  });
+
+  it('refuses anonymous sessions', async () => {
+    const response = await request(app).get('/api/usage/spend');
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('ACCOUNT_REQUIRED');
+  });
+
+  it('refuses workspace API keys, whatever their scopes', async () => {
+    const { key } = await accountService.createApiKey(workspaceId, owner, { name: 'Reports', scopes: ['read'] });
+
+    const response = await request(app).get('/api/usage/spend').set('X-Api-Key', key);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('API_KEY_NOT_ACCEPTED');
+  });
+});
+
+describe('GET /api/usage', () => {
+  it('accepts an API key with the read scope', async () => {
+    const { key } = await accountService.createApiKey(workspaceId, owner, { name: 'Dashboard', scopes: ['read'] });
+
+    const response = await request(app).get('/api/usage').set('X-Api-Key', key);
+
+    expect(response.status).toBe(200);
+    expect(response.body.usage.countedFor).toBe('workspace');
+  });
+
+  it('refuses an API key without the read scope', async () => {
+    const { key } = await accountService.createApiKey(workspaceId, owner, { name: 'Uploads', scopes: ['upload'] });
+
+    const response = await request(app).get('/api/usage').set('X-Api-Key', key);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,136 @@
+const { sequelize, ActionItem, MeetingSeries, MeetingTranscript } = require('../models');
+const ActionItemTracker = require('../services/actionItemTracker');
+
+const SESSION_ID = '00000000-0000-4000-8000-000000000011';
+
+const createTranscript = (content, metadata, createdAt, seriesId = null) => MeetingTranscript.create({
+  sessionId: SESSION_ID,
+  seriesId,
+  filename: 'sync.txt',
+  originalName: 'sync.txt',
+  filePath: '/tmp/sync.txt',
+  fileSize: content.length,
+  content,
+  metadata,
+  status: 'processed',
+  createdAt
+});
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('ActionItemTracker', () => {
+  const tracker = new ActionItemTracker({ enabled: true });
+
+  describe('parseDueDate', () => {
+    // A Wednesday
+    const meeting = new Date('2024-03-06T10:00:00Z');
+
+    it('resolves stated and relative deadlines from the meeting date', () => {
+      expect(tracker.parseDueDate('2024-04-01', meeting)).toBe('2024-04-01');
+      expect(tracker.parseDueDate('March 14th', meeting)).toBe('2024-03-14');
+      expect(tracker.parseDueDate('2 Jan', meeting)).toBe('2025-01-02');
+      expect(tracker.parseDueDate('by Friday', meeting)).toBe('2024-03-08');
+      expect(tracker.parseDueDate('next Wednesday', meeting)).toBe('2024-03-13');
+      expect(tracker.parseDueDate('tomorrow', meeting)).toBe('2024-03-07');
+      expect(tracker.parseDueDate('end of the month', meeting)).toBe('2024-03-31');
+      expect(tracker.parseDueDate('next week', meeting)).toBe('2024-03-11');
+    });
+
+    it('leaves unstated and impossible deadlines empty', () => {
+      expect(tracker.parseDueDate('TBD', meeting)).toBeNull();
+      expect(tracker.parseDueDate('soon', meeting)).toBeNull();
+      expect(tracker.parseDueDate('February 30', meeting)).toBeNull();
+    });
+  });
+
+  it('reads the status a later meeting implies', () => {
+    expect(tracker.detectStatus('The vendor contract is signed off')).toBe('done');
+    expect(tracker.detectStatus("It isn't done yet")).toBe('in_progress');
+    expect(tracker.detectStatus('Still waiting on legal')).toBe('in_progress');
+    expect(tracker.detectStatus('We dropped it, no longer needed')).toBe('cancelled');
+    expect(tracker.detectStatus('What about the contract?')).toBeNull();
+  });
+
+  it('matches items on shared keywords', () => {
+    expect(tracker.similarity('Send the vendor contract to legal', 'send contract to legal')).toBeGreaterThanOrEqual(0.6);
+    expect(tracker.similarity('Send the vendor contract', 'Book the offsite venue')).toBe(0);
+  });
+
+  it('finds the line that mentions an item and the status of a short reply', () => {
+    const item = { task: 'Send the vendor contract to legal' };
+
+    const [mention] = tracker.detectMentions([item], [
+      'Jane: Good morning.',
+      'Jane: Did the vendor contract go to legal?',
+      'John: Done.'
+    ].join('\n'));
+
+    expect(mention).toMatchObject({ item, line: 2, detectedStatus: 'done' });
+  });
+
+  it('follows an item from the meeting that raised it through later meetings of its series', async () => {
+    const series = await MeetingSeries.create({ sessionId: SESSION_ID, name: 'Weekly sync' });
+    const first = await createTranscript('Jane: John, send the vendor contract to legal by Friday.',
+      { meetingTitle: 'Weekly sync', date: '2024-03-06' }, new Date('2024-03-06T10:00:00Z'), series.id);
+
+    const created = await tracker.syncFromSummary(first, { id: null }, [
+      { action: 'Send the vendor contract to legal', owner: 'John', deadline: 'by Friday' },
+      { action: 'Book the offsite venue', owner: 'Not stated', deadline: 'ASAP' }
+    ]);
+    const again = await tracker.syncFromSummary(first, { id: null }, [
+      { action: 'Send vendor contract to legal', owner: 'John' }
+    ]);
+
+    expect(created).toMatchObject({ created: 2, carriedOver: 0, mentioned: 0 });
+    expect(again.created).toBe(0);
+
+    const second = await createTranscript([
+      'Jane: Did the vendor contract go to legal?',
+      'John: Sent it out yesterday, done.',
+      'Jane: The offsite venue is still open.'
+    ].join('\n'), { meetingTitle: 'Weekly sync', date: '2024-03-13' }, new Date('2024-03-13T10:00:00Z'), series.id);
+
+    const followUp = await tracker.syncFromSummary(second, { id: null }, [
+      { action: 'Book the offsite venue', owner: 'Priya', deadline: 'March 20' }
+    ]);
+
+    const contract = await ActionItem.findOne({ where: { task: 'Send the vendor contract to legal' } });
+    const venue = await ActionItem.findOne({ where: { task: 'Book the offsite venue' } });
+
+    expect(followUp.created).toBe(0);
+    expect(followUp.carriedOver).toBe(1);
+    expect(followUp.statusChanges).toEqual(expect.arrayContaining([
+      expect.objectContaining({ task: 'Send the vendor contract to legal', from: 'open', to: 'done' }),
+      expect.objectContaining({ task: 'Book the offsite venue', from: 'open', to: 'in_progress' })
+    ]));
+    expect(contract).toMatchObject({ owner: 'John', dueDate: '2024-03-08', status: 'done' });
+    expect(contract.completedAt).toBeInstanceOf(Date);
+    expect(venue).toMatchObject({ owner: 'Priya', dueText: 'March 20', dueDate: '2024-03-20', priority: 'high', status: 'in_progress' });
+    expect(venue.mentions.map(mention => mention.carriedOver || false)).toEqual([false, true]);
+  });
+
+  it('reopening a done item clears its completion time', async () => {
+    const transcript = await createTranscript('Jane: Renew the domain.', {}, new Date('2024-03-06T10:00:00Z'));
+    const item = await ActionItem.create({ transcriptId: transcript.id, task: 'Renew the domain', dueDate: '2024-03-08', status: 'done' });
+    expect(item.completedAt).toBeInstanceOf(Date);
+
+    await item.update({ status: 'open' });
+
+    expect(item.completedAt).toBeNull();
+    expect(item.isOverdue('2024-04-01')).toBe(true);
+  });
+});
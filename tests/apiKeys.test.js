@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const { sequelize, initializeDatabase, UserSession, MeetingTranscript } = require('../models');
+const AccountService = require('../services/accountService');
+
+const accountService = new AccountService();
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/summaries', require('../routes/summaries'));
+  app.use('/api/jobs', require('../routes/jobs'));
+  return app;
+};
+
+// Unknown summary: a request that passes the key checks ends in a 404
+const deleteSummary = () => request(app).delete(`/api/summaries/${crypto.randomUUID()}`);
+
+let app;
+let owner;
+let workspaceId;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  expect(await initializeDatabase()).toBe(true);
+
+  app = createApp();
+  const account = await accountService.register({ email: 'keys@example.com', password: 'correct horse battery', name: 'Kim' });
+  owner = account.user;
+  workspaceId = account.membership.workspaceId;
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Workspace API keys', () => {
+  it('act for their workspace with a scope the route needs', async () => {
+    const { apiKey, key } = await accountService.createApiKey(workspaceId, owner, { name: 'CI', scopes: ['summaries:write'] });
+
+    const response = await deleteSummary().set('Authorization', `Bearer ${key}`);
+    const session = await UserSession.findForApiKey(apiKey.id);
+
+    expect(response.status).toBe(404);
+    expect(session.workspaceId).toBe(workspaceId);
+  });
+
+  it('are refused by routes needing a scope they lack', async () => {
+    const { key } = await accountService.createApiKey(workspaceId, owner, { name: 'Reader', scopes: ['read'] });
+
+    const response = await deleteSummary().set('X-Api-Key', key);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  it('stop working once revoked', async () => {
+    const { apiKey, key } = await accountService.createApiKey(workspaceId, owner, { name: 'Old', scopes: ['summaries:write'] });
+    await accountService.revokeApiKey(workspaceId, apiKey.id);
+
+    const response = await deleteSummary().set('X-Api-Key', key);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('INVALID_API_KEY');
+  });
+
+  it('stop working once expired', async () => {
+    const { apiKey, key } = await accountService.createApiKey(workspaceId, owner, { name: 'Temp', scopes: ['summaries:write'], expiresInDays: 1 });
+    await apiKey.update({ expiresAt: new Date(Date.now() - 1000) });
+
+    const response = await deleteSummary().set('X-Api-Key', key);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('are refused when unknown', async () => {
+    const response = await deleteSummary().set('X-Api-Key', `msk_${'a'.repeat(43)}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('poll the status of the jobs they queued', async () => {
+    const { key } = await accountService.createApiKey(workspaceId, owner, { name: 'Pipeline', scopes: ['read', 'summaries:write'] });
+    const transcript = await MeetingTranscript.create({
+      workspaceId,
+      filename: 'standup.txt',
+      originalName: 'standup.txt',
+      filePath: '/tmp/standup.txt',
+      fileSize: 64,
+      content: 'Alice: The release is on track.',
+      status: 'processed'
+    });
+
+    const queued = await request(app).post('/api/summaries/generate')
+      .set('X-Api-Key', key)
+      .send({ transcriptId: transcript.id });
+    const status = await request(app).get(queued.body.statusUrl).set('X-Api-Key', key);
+
+    expect(queued.status).toBe(202);
+    expect(status.status).toBe(200);
+    expect(status.body.job).toMatchObject({ id: queued.body.jobId, status: 'queued' });
+  });
+});
@@ -0,0 +1,90 @@
+const CaptionParser = require('../services/captionParser');
+
+const VTT = `WEBVTT
+
+NOTE Exported from Teams
+
+1
+00:00:01.000 --> 00:00:04.500
+<v Jane Doe>Welcome everyone to the <b>planning</b> call.</v>
+
+2
+00:00:05.000 --> 00:00:07.000
+<v Jane Doe>Let's start with the roadmap.</v>
+
+3
+00:00:08.000 --> 00:00:10.250
+<v John Smith>Q3 &amp; Q4 look fine.</v>
+`;
+
+const SRT = `1\r
+00:00:01,000 --> 00:00:03,000\r
+Alice: We ship on Friday.\r
+\r
+2\r
+00:00:03,500 --> 00:00:05,000\r
+[Bob] {\\an8}Sounds good.\r
+\r
+3\r
+00:01:30,000 --> 00:01:32,000\r
+Bob: One more thing.\r
+`;
+
+describe('CaptionParser', () => {
+  const parser = new CaptionParser({ maxMergeGapMs: 5000 });
+
+  it('parses WebVTT voice tags into speaker segments without markup', () => {
+    const { content, segments, stats } = parser.parse(VTT, 'vtt');
+
+    expect(content).toBe([
+      "Jane Doe: Welcome everyone to the planning call. Let's start with the roadmap.",
+      'John Smith: Q3 & Q4 look fine.'
+    ].join('\n'));
+    expect(segments[0]).toMatchObject({
+      line: 1,
+      speaker: 'Jane Doe',
+      start: '00:00:01.000',
+      end: '00:00:07.000',
+      cueCount: 2
+    });
+    expect(stats).toMatchObject({
+      format: 'vtt',
+      cueCount: 3,
+      segmentCount: 2,
+      speakers: ['Jane Doe', 'John Smith'],
+      duration: '00:00:10.250'
+    });
+  });
+
+  it('parses SubRip speaker prefixes and keeps far apart cues separate', () => {
+    const { content, segments } = parser.parse(SRT, 'srt');
+
+    expect(content).toBe([
+      'Alice: We ship on Friday.',
+      'Bob: Sounds good.',
+      'Bob: One more thing.'
+    ].join('\n'));
+    expect(segments.map(segment => segment.startMs)).toEqual([1000, 3500, 90000]);
+  });
+
+  it('keeps cues without a speaker as plain lines', () => {
+    const { content, stats } = parser.parse('WEBVTT\n\n00:01.000 --> 00:02.000\n- just some words\n', 'vtt');
+
+    expect(content).toBe('- just some words');
+    expect(stats.speakers).toEqual([]);
+  });
+
+  it('parses short and long timestamps', () => {
+    expect(parser.parseTimestamp('01:02.5')).toBe(62500);
+    expect(parser.parseTimestamp('1:00:00,001')).toBe(3600001);
+    expect(parser.formatTimestamp(3723004)).toBe('01:02:03.004');
+  });
+
+  it('detects caption formats from MIME type and extension', () => {
+    expect(parser.detectFormat('meeting.vtt', 'text/vtt')).toBe('vtt');
+    expect(parser.detectFormat('meeting.srt', 'application/octet-stream')).toBe('srt');
+    expect(parser.detectFormat('meeting.srt', '')).toBe('srt');
+    expect(parser.detectFormat('meeting.txt', 'text/plain')).toBeNull();
+    expect(parser.detectFormat('meeting.vtt', 'application/pdf')).toBeNull();
+  });
+});
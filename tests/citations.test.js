@@ -0,0 +1,92 @@
+const ResponseProcessor = require('../services/responseProcessor');
+const PromptEngine = require('../services/promptEngine');
+
+const transcript = {
+  content: 'Jane: We ship Friday.\nJohn: QA needs two days.\n\nJane: Then Monday.',
+  speakerTurns: [
+    { line: 1, speaker: 'Jane', startMs: 0, endMs: 5000, start: '00:00:00.000', end: '00:00:05.000' },
+    { line: 2, speaker: 'John', startMs: 5000, endMs: 9000, start: '00:00:05.000', end: '00:00:09.000' },
+    { line: 4, speaker: 'Jane', startMs: 12000, endMs: 15000, start: '00:00:12.000', end: '00:00:15.000' }
+  ]
+};
+
+describe('PromptEngine citations', () => {
+  const engine = new PromptEngine();
+
+  it('numbers transcript lines, keeping blank lines in the count', () => {
+    expect(engine.numberTranscriptLines('Jane: Hi\n\nJohn: Hello')).toBe('[L1] Jane: Hi\n\n[L3] John: Hello');
+  });
+
+  it('numbers the transcript only when citations are requested', () => {
+    const cited = engine.buildSummaryPrompt('Jane: Hi\nJohn: Hello', { citations: true });
+    const uncited = engine.buildSummaryPrompt('Jane: Hi\nJohn: Hello', { citations: false });
+
+    expect(cited.citations).toBe(true);
+    expect(cited.messages[1].content).toContain('[L2] John: Hello');
+    expect(cited.messages[0].content).toContain('SOURCE CITATIONS');
+    expect(uncited.messages[1].content).not.toContain('[L1]');
+    expect(uncited.messages[0].content).not.toContain('SOURCE CITATIONS');
+  });
+});
+
+describe('ResponseProcessor citations', () => {
+  const processor = new ResponseProcessor();
+
+  it('splits line ranges, lists and timestamps off an item', () => {
+    expect(processor.parseCitations('Ship on Friday [L3, L40-L42]')).toEqual({
+      text: 'Ship on Friday',
+      citations: [
+        { label: 'L3', startLine: 3, endLine: 3 },
+        { label: 'L40-L42', startLine: 40, endLine: 42 }
+      ]
+    });
+    expect(processor.parseCitations('Budget approved [00:12:05-00:13:40]').citations).toEqual([
+      { label: '00:12:05-00:13:40', startMs: 725000, endMs: 820000 }
+    ]);
+  });
+
+  it('extracts bullet points without their citation markers', () => {
+    const structure = processor.extractStructure('## Decisions\n• We ship on Friday [L1-L2]\n• QA starts Monday [L4]', 'executive');
+
+    expect(structure.bulletPoints.map(point => point.text)).toEqual(['We ship on Friday', 'QA starts Monday']);
+    expect(structure.bulletPoints[0].citations).toEqual([{ label: 'L1-L2', startLine: 1, endLine: 2 }]);
+  });
+
+  it('resolves citations to excerpts, speakers and timestamps and drops invalid ones', () => {
+    const structure = {
+      bulletPoints: [
+        { text: 'We ship Friday', citations: processor.parseCitations('x [L1-L2]').citations },
+        { text: 'Made up', citations: processor.parseCitations('x [L9]').citations },
+        { text: 'Uncited', citations: [] }
+      ],
+      decisions: [
+        { text: 'Monday', citations: processor.parseCitations('x [00:12]').citations }
+      ]
+    };
+
+    const stats = processor.resolveCitations(structure, transcript);
+
+    expect(structure.bulletPoints[0].citations).toEqual([{
+      label: 'L1-L2',
+      startLine: 1,
+      endLine: 2,
+      start: '00:00:00.000',
+      end: '00:00:09.000',
+      speakers: ['Jane', 'John'],
+      excerpt: 'Jane: We ship Friday. John: QA needs two days.'
+    }]);
+    expect(structure.bulletPoints[1].citations).toEqual([]);
+    expect(structure.decisions[0].citations[0]).toMatchObject({ startLine: 4, endLine: 4, speakers: ['Jane'], start: '00:00:12.000' });
+    expect(stats).toMatchObject({ validated: true, total: 3, resolved: 2, invalid: 1, citedItems: 2, uncitedItems: 2, coverage: 0.5 });
+    expect(stats.items.map(item => item.type)).toEqual(['bulletPoints', 'decisions']);
+  });
+
+  it('keeps citations unchecked when there is no transcript', () => {
+    const structure = { bulletPoints: [{ text: 'Point', citations: [{ label: 'L99', startLine: 99, endLine: 99 }] }] };
+
+    const stats = processor.resolveCitations(structure, null);
+
+    expect(stats).toMatchObject({ validated: false, total: 1, citedItems: 1, coverage: 1 });
+    expect(structure.bulletPoints[0].citations).toHaveLength(1);
+  });
+});
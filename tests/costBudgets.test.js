@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { sequelize, SpendRecord, Workspace } = require('../models');
+const CostBudgets = require('../services/costBudgets');
+const { ErrorTypes } = require('../services/errorHandler');
+
+const config = (overrides = {}) => ({
+  session: { daily: 0, monthly: 0 },
+  workspace: { daily: 0, monthly: 0 },
+  perSummary: 0,
+  downgradeAt: 0.8,
+  ...overrides
+});
+
+const spend = (fields, cost) => SpendRecord.create({ operation: 'summary', aiModel: 'test-model', cost, ...fields });
+
+let workspace;
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await SpendRecord.destroy({ where: {} });
+  workspace = await Workspace.create({ name: 'Team' });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('CostBudgets#planGeneration', () => {
+  it('uses the primary model well within the budgets', async () => {
+    const budgets = new CostBudgets(config({ workspace: { daily: 1, monthly: 0 } }));
+    await spend({ workspaceId: workspace.id }, 0.1);
+
+    const plan = await budgets.planGeneration({ workspaceId: workspace.id }, { primary: 0.05, fallback: 0.01 });
+
+    expect(plan).toMatchObject({ downgrade: false, reasons: [] });
+  });
+
+  it('downgrades to the fallback model past the threshold', async () => {
+    const budgets = new CostBudgets(config({ workspace: { daily: 1, monthly: 0 } }));
+    await spend({ workspaceId: workspace.id }, 0.78);
+
+    const plan = await budgets.planGeneration({ workspaceId: workspace.id }, { primary: 0.05, fallback: 0.01 });
+
+    expect(plan).toMatchObject({ downgrade: true, reasons: ['workspace_daily_budget'] });
+  });
+
+  it('refuses a generation the budget cannot cover even on the fallback model', async () => {
+    const budgets = new CostBudgets(config({ workspace: { daily: 1, monthly: 0 } }));
+    await spend({ workspaceId: workspace.id }, 0.995);
+
+    await expect(budgets.planGeneration({ workspaceId: workspace.id }, { primary: 0.05, fallback: 0.01 }))
+      .rejects.toMatchObject({ type: ErrorTypes.QUOTA_ERROR, budget: { scope: 'workspace', period: 'daily', limit: 1 } });
+  });
+
+  it('applies the per-summary budget to the estimate alone', async () => {
+    const budgets = new CostBudgets(config({ perSummary: 0.1 }));
+
+    await expect(budgets.planGeneration({ workspaceId: workspace.id }, { primary: 0.2, fallback: 0.05 }))
+      .resolves.toMatchObject({ downgrade: true, reasons: ['per_summary_budget'] });
+    await expect(budgets.planGeneration({ workspaceId: workspace.id }, { primary: 0.4, fallback: 0.2 }))
+      .rejects.toMatchObject({ budget: { scope: 'summary', limit: 0.1 } });
+  });
+
+  it('counts a session budget per session', async () => {
+    const budgets = new CostBudgets(config({ session: { daily: 0, monthly: 0.5 } }));
+    const session = { id: crypto.randomUUID() };
+    await spend({ sessionId: session.id }, 0.5);
+
+    await expect(budgets.planGeneration({ session }, { primary: 0.01, fallback: 0.01 }))
+      .rejects.toMatchObject({ budget: { scope: 'session', period: 'monthly' } });
+    await expect(budgets.planGeneration({ session: { id: crypto.randomUUID() } }, { primary: 0.01, fallback: 0.01 }))
+      .resolves.toMatchObject({ downgrade: false });
+  });
+});
+
+describe('CostBudgets#getWorkspaceLimit', () => {
+  it('lets owners only tighten the configured budgets', () => {
+    const budgets = new CostBudgets(config({ workspace: { daily: 5, monthly: 0 } }));
+
+    expect(budgets.getWorkspaceLimit({ budgets: { daily: 2 } }, 'daily')).toBe(2);
+    expect(budgets.getWorkspaceLimit({ budgets: { daily: 10 } }, 'daily')).toBe(5);
+    expect(budgets.getWorkspaceLimit({ budgets: { monthly: 30 } }, 'monthly')).toBe(30);
+    expect(budgets.getWorkspaceLimit({ budgets: null }, 'monthly')).toBe(0);
+  });
+});
@@ -0,0 +1,109 @@
+const { sequelize, Decision, MeetingTranscript } = require('../models');
+const DecisionLog = require('../services/decisionLog');
+
+const SESSION_ID = '00000000-0000-4000-8000-000000000012';
+
+const createTranscript = (date) => MeetingTranscript.create({
+  sessionId: SESSION_ID,
+  filename: `planning-${date}.txt`,
+  originalName: `planning-${date}.txt`,
+  filePath: `/tmp/planning-${date}.txt`,
+  fileSize: 64,
+  content: 'Jane: Let us decide.',
+  metadata: { date },
+  status: 'processed'
+});
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await Decision.destroy({ where: {} });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('DecisionLog', () => {
+  const decisionLog = new DecisionLog({ enabled: true });
+
+  it('splits the owner and rationale off a decision', () => {
+    expect(decisionLog.parseDecision({ text: '**Launch on March 3** because QA signed off (Jane Doe)' })).toEqual({
+      text: 'Launch on March 3',
+      rationale: 'QA signed off',
+      owner: 'Jane Doe'
+    });
+    expect(decisionLog.parseDecision({ text: 'Use Postgres', madeBy: 'John', rationale: 'Team knows it' })).toEqual({
+      text: 'Use Postgres',
+      rationale: 'Team knows it',
+      owner: 'John'
+    });
+  });
+
+  it('tells restatements, changes and unrelated decisions apart', () => {
+    expect(decisionLog.relate('Launch the beta on March 3', 'Launch the beta on March 3')).toBe('restates');
+    expect(decisionLog.relate('Launch the beta on March 3', 'Launch the beta on March 17')).toBe('supersedes');
+    expect(decisionLog.relate('Host the beta on AWS', 'Host the beta on GCP instead')).toBe('supersedes');
+    expect(decisionLog.relate('Launch the beta on March 3', 'Hire two backend engineers')).toBeNull();
+  });
+
+  it('supersedes an earlier decision that a later meeting changes', async () => {
+    const first = await createTranscript('2024-03-01');
+    const second = await createTranscript('2024-03-08');
+
+    await decisionLog.recordFromSummary(first, { id: null }, [
+      { text: 'Launch the beta on March 3' },
+      { text: 'Hire two backend engineers' }
+    ]);
+    const stats = await decisionLog.recordFromSummary(second, { id: null }, [
+      { text: 'Launch the beta on March 17 since QA needs another week' },
+      { text: 'Hire two backend engineers' }
+    ]);
+
+    const launch = await Decision.findOne({ where: { text: 'Launch the beta on March 3' } });
+    const replacement = await Decision.findOne({ where: { text: 'Launch the beta on March 17' } });
+    const hiring = await Decision.findOne({ where: { text: 'Hire two backend engineers' } });
+
+    expect(stats).toMatchObject({ created: 1, reaffirmed: 1 });
+    expect(stats.superseded).toEqual([{ id: launch.id, text: launch.text, supersededById: replacement.id }]);
+    expect(launch).toMatchObject({ status: 'superseded', supersededById: replacement.id });
+    expect(replacement).toMatchObject({ status: 'active', decidedOn: '2024-03-08', rationale: 'QA needs another week' });
+    expect(hiring.reaffirmations).toEqual([expect.objectContaining({ transcriptId: second.id, decidedOn: '2024-03-08' })]);
+  });
+
+  it('does not record the same transcript twice', async () => {
+    const transcript = await createTranscript('2024-03-01');
+
+    await decisionLog.recordFromSummary(transcript, { id: null }, [{ text: 'Launch the beta on March 3' }]);
+    const stats = await decisionLog.recordFromSummary(transcript, { id: null }, [{ text: 'Launch the beta on March 3' }]);
+
+    expect(stats).toEqual({ created: 0, reaffirmed: 0, superseded: [] });
+    expect(await Decision.count()).toBe(1);
+  });
+
+  it('returns the whole supersession chain and refuses circular ones', async () => {
+    const transcript = await createTranscript('2024-03-01');
+    const create = (text, decidedOn) => Decision.create({ sessionId: SESSION_ID, transcriptId: transcript.id, text, decidedOn });
+    const march3 = await create('Launch on March 3', '2024-03-01');
+    const march17 = await create('Launch on March 17', '2024-03-08');
+    const april1 = await create('Launch on April 1', '2024-03-15');
+    await march3.supersede(march17);
+    await march17.supersede(april1);
+
+    const history = await decisionLog.getHistory(march17);
+
+    expect(history.map(decision => decision.text)).toEqual(['Launch on March 3', 'Launch on March 17', 'Launch on April 1']);
+    expect(await decisionLog.wouldCycle(april1, march3)).toBe(true);
+    expect(await decisionLog.wouldCycle(march3, april1)).toBe(false);
+
+    await march17.restore();
+    expect(march17).toMatchObject({ status: 'active', supersededById: null });
+  });
+});
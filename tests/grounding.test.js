@@ -0,0 +1,154 @@
+const ResponseProcessor = require('../services/responseProcessor');
+const PromptEngine = require('../services/promptEngine');
+const SummaryService = require('../services/summaryService');
+const { errorHandler } = require('../services/errorHandler');
+
+const transcript = {
+  content: [
+    'Jane Doe: The vendor quoted $50,000 for the migration.',
+    'John Smith: We can start on the 5th of March.',
+    'Jane Doe: Let us meet again at 15:00. Send notes to jane@example.com.'
+  ].join('\n'),
+  metadata: { attendees: 'Jane Doe, John Smith, Priya Patel' }
+};
+
+const checkGrounding = (processor, summary) => {
+  const normalized = processor.normalizeText(summary);
+  return processor.checkGrounding(normalized, processor.extractStructure(normalized, 'executive'), transcript);
+};
+
+beforeAll(() => errorHandler.initializeLogging());
+
+describe('ResponseProcessor#checkGrounding', () => {
+  const processor = new ResponseProcessor();
+
+  it('accepts names, dates, times, figures and emails written differently than in the transcript', () => {
+    const grounding = checkGrounding(processor, [
+      '## Key Points',
+      '• The migration was quoted at $50k by the vendor, as John Smith and Priya Patel heard',
+      '• Work starts March 5, 2024 and the follow-up is at 3:00 pm',
+      '• Notes go to jane@example.com'
+    ].join('\n'));
+
+    expect(grounding.unsupported).toEqual([]);
+    expect(grounding.score).toBe(1);
+    expect(Object.keys(grounding.byType)).toEqual(expect.arrayContaining(['person', 'date', 'time', 'number', 'email']));
+  });
+
+  it('reports details the transcript does not contain', () => {
+    const grounding = checkGrounding(processor, [
+      '## Key Points',
+      '• The vendor, as Mark Twain noted, quoted $75,000',
+      '• Work starts April 9, 2024 and results go to cfo@example.com'
+    ].join('\n'));
+
+    expect(grounding.unsupported.map(claim => [claim.type, claim.text])).toEqual(expect.arrayContaining([
+      ['person', 'Mark Twain'],
+      ['number', '$75,000'],
+      ['date', 'April 9, 2024'],
+      ['email', 'cfo@example.com']
+    ]));
+    expect(grounding.score).toBeLessThan(1);
+  });
+
+  it('skips the check without a transcript', () => {
+    expect(processor.checkGrounding('• Point', processor.extractStructure('• Point', 'executive'), null)).toBeNull();
+  });
+
+  it('compares dates, times and figures by value', () => {
+    expect(processor.dateKeys('March 5th')).toEqual(['3-5']);
+    expect(processor.dateKeys('5 of March')).toEqual(['3-5']);
+    expect(processor.dateKeys('2024-03-05')).toEqual(['3-5']);
+    expect(processor.dateKeys('3/5')).toEqual(['3-5', '5-3']);
+    expect(processor.timeKeys('3pm')).toEqual([15 * 60]);
+    expect(processor.timeKeys('3:30')).toEqual(expect.arrayContaining([3 * 60 + 30, 15 * 60 + 30]));
+    expect(processor.numberKeys('$1.5m')).toEqual(['1.5', '1500000']);
+    expect(processor.numberKeys('12,000')).toEqual(['12000']);
+  });
+
+  it('lowers the quality score for each unsupported claim', () => {
+    const grounding = { score: 0.5, unsupported: [{ text: 'Mark Twain' }, { text: '$75,000' }] };
+    const quality = processor.assessQuality('text', processor.extractStructure('text', 'executive'), {
+      readability: { score: 80 },
+      completeness: { score: 1 },
+      actionability: { score: 1 },
+      coverage: { score: 1 },
+      grounding
+    }, { summaryStyle: 'executive' });
+
+    expect(quality.breakdown.grounding).toBe(50);
+    expect(quality.issues.join(' ')).toContain('Mark Twain, $75,000');
+  });
+});
+
+describe('PromptEngine#buildStrictGroundingPrompt', () => {
+  it('lists the unsupported details in the system prompt and lowers the temperature', () => {
+    const engine = new PromptEngine();
+    const promptData = engine.buildSummaryPrompt('Jane: Hi', {});
+
+    const strict = engine.buildStrictGroundingPrompt(promptData, [{ type: 'person', text: 'Mark Twain' }]);
+
+    expect(strict.messages[0].content).toContain('STRICT GROUNDING');
+    expect(strict.messages[0].content).toContain('• Mark Twain (person)');
+    expect(strict.messages[1]).toEqual(promptData.messages[1]);
+    expect(strict.temperature).toBe(Math.min(promptData.temperature, 0.05));
+    expect(strict.estimatedTokens).toBeGreaterThan(promptData.estimatedTokens);
+  });
+});
+
+describe('SummaryService grounding regeneration', () => {
+  const processed = (unsupported, cost) => ({
+    success: true,
+    content: { analysis: { grounding: { unsupported: Array.from({ length: unsupported }, (_, i) => ({ type: 'person', text: `Person ${i}` })) } } },
+    metadata: { cost: { total: cost } }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('regenerates single-pass summaries with enough unsupported claims only', () => {
+    const summaryService = new SummaryService();
+
+    expect(summaryService.shouldRegenerateForGrounding({}, processed(2, 0))).toBe(true);
+    expect(summaryService.shouldRegenerateForGrounding({}, processed(1, 0))).toBe(false);
+    expect(summaryService.shouldRegenerateForGrounding({ strategy: 'map-reduce' }, processed(5, 0))).toBe(false);
+  });
+
+  it('keeps the better grounded attempt and records the cost of the other', async () => {
+    const summaryService = new SummaryService();
+    const promptData = new PromptEngine().buildSummaryPrompt('Jane: Hi', {});
+    jest.spyOn(summaryService, 'generateWithFallback').mockResolvedValue({ content: 'strict' });
+    jest.spyOn(summaryService, 'processAIResponse').mockResolvedValue(processed(0, 0.02));
+    const original = { result: { content: 'draft' }, processedResponse: processed(3, 0.01) };
+
+    const kept = await summaryService.regenerateWithGrounding(promptData, { model: 'primary' }, {}, original, () => ({}));
+
+    expect(kept.result.content).toBe('strict');
+    expect(kept.processedResponse.content.analysis.grounding.regeneration).toMatchObject({
+      kept: 'regenerated',
+      originalUnsupported: 3,
+      regeneratedUnsupported: 0,
+      discardedCost: 0.01
+    });
+    expect(summaryService.generateWithFallback.mock.calls[0][0].messages[0].content).toContain('Person 0 (person)');
+  });
+
+  it('keeps the original when the stricter attempt is no better', async () => {
+    const summaryService = new SummaryService();
+    const promptData = new PromptEngine().buildSummaryPrompt('Jane: Hi', {});
+    jest.spyOn(summaryService, 'generateWithFallback').mockResolvedValue({ content: 'strict' });
+    jest.spyOn(summaryService, 'processAIResponse').mockResolvedValue(processed(3, 0.02));
+    const original = { result: { content: 'draft' }, processedResponse: processed(3, 0.01) };
+
+    const kept = await summaryService.regenerateWithGrounding(promptData, { model: 'primary' }, {}, original, () => ({}));
+
+    expect(kept.result.content).toBe('draft');
+    expect(kept.processedResponse.content.analysis.grounding.regeneration).toMatchObject({ kept: 'original', discardedCost: 0.02 });
+  });
+});
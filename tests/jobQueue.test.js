@@ -0,0 +1,292 @@
+const { sequelize, Job, MeetingTranscript, Summary } = require('../models');
+const { JobQueue } = require('../services/jobQueue');
+const SummaryService = require('../services/summaryService');
+const { userFeedbackSystem } = require('../services/errorHandler');
+
+const createRunningJob = async (queue, attributes = {}) => {
+  await Job.create({ type: 'test', payload: { value: 1 }, ...attributes });
+  return await Job.claimNext(queue.workerId, ['test']);
+};
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await Job.destroy({ where: {} });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Job.claimNext', () => {
+  it('claims a queued job for one worker only', async () => {
+    const job = await Job.create({ type: 'test', payload: {} });
+
+    const [first, second] = await Promise.all([
+      Job.claimNext('worker-a', ['test']),
+      Job.claimNext('worker-b', ['test'])
+    ]);
+    const claimed = [first, second].filter(Boolean);
+
+    expect(claimed).toHaveLength(1);
+    expect(claimed[0].id).toBe(job.id);
+    expect(claimed[0].status).toBe('running');
+    expect(claimed[0].attempts).toBe(1);
+  });
+
+  it('skips jobs scheduled for later', async () => {
+    await Job.create({ type: 'test', payload: {}, runAfter: new Date(Date.now() + 60000) });
+
+    expect(await Job.claimNext('worker-a', ['test'])).toBeNull();
+  });
+});
+
+describe('JobQueue#execute', () => {
+  it('completes a job with the handler result', async () => {
+    const queue = new JobQueue({ workerId: 'worker-a' });
+    queue.registerHandler('test', async (payload) => ({ doubled: payload.value * 2 }));
+
+    const job = await createRunningJob(queue);
+    await queue.execute(job);
+    await job.reload();
+
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ doubled: 2 });
+  });
+
+  it('requeues a retryable failure with a delay while attempts remain', async () => {
+    const queue = new JobQueue({ workerId: 'worker-a', retryDelay: 5000 });
+    queue.registerHandler('test', async () => {
+      const error = new Error('Rate limited');
+      error.retryable = true;
+      throw error;
+    });
+
+    const job = await createRunningJob(queue);
+    await queue.execute(job);
+    await job.reload();
+
+    expect(job.status).toBe('queued');
+    expect(job.error).toBe('Rate limited');
+    expect(job.lockedBy).toBeNull();
+    expect(job.runAfter.getTime()).toBeGreaterThan(Date.now() + 4000);
+  });
+
+  it('fails a retryable failure once attempts run out', async () => {
+    const queue = new JobQueue({ workerId: 'worker-a' });
+    queue.registerHandler('test', async () => {
+      const error = new Error('Rate limited');
+      error.retryable = true;
+      throw error;
+    });
+
+    const job = await createRunningJob(queue, { maxAttempts: 1 });
+    await queue.execute(job);
+    await job.reload();
+
+    expect(job.status).toBe('failed');
+  });
+
+  it('fails a non-retryable failure straight away', async () => {
+    const queue = new JobQueue({ workerId: 'worker-a' });
+    queue.registerHandler('test', async () => {
+      throw new Error('Transcript content is empty');
+    });
+
+    const job = await createRunningJob(queue);
+    await queue.execute(job);
+    await job.reload();
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('Transcript content is empty');
+  });
+});
+
+describe('JobQueue#recoverStaleJobs', () => {
+  it('requeues jobs whose lock went stale and reports them to the handler', async () => {
+    const queue = new JobQueue({ workerId: 'worker-a', staleAfter: 60000 });
+    const onInterrupted = jest.fn();
+    queue.registerHandler('test', async () => ({}), { onInterrupted });
+
+    const stale = await createRunningJob(queue);
+    await stale.update({ lockedAt: new Date(Date.now() - 120000) });
+
+    expect(await queue.recoverStaleJobs()).toBe(1);
+    await stale.reload();
+
+    expect(stale.status).toBe('queued');
+    expect(onInterrupted).toHaveBeenCalledWith(expect.objectContaining({ id: stale.id }));
+  });
+
+  it('leaves jobs with a fresh lock running', async () => {
+    const queue = new JobQueue({ workerId: 'worker-a', staleAfter: 60000 });
+    queue.registerHandler('test', async () => ({}));
+
+    const running = await createRunningJob(queue);
+
+    expect(await queue.recoverStaleJobs()).toBe(0);
+    await running.reload();
+    expect(running.status).toBe('running');
+  });
+});
+
+describe('SummaryService#runGenerationJob', () => {
+  let summaryService;
+  let transcript;
+
+  beforeEach(async () => {
+    await Summary.destroy({ where: {} });
+    summaryService = new SummaryService();
+    transcript = transcript || await MeetingTranscript.create({
+      sessionId: '00000000-0000-4000-8000-000000000001',
+      filename: 'standup.txt',
+      originalName: 'standup.txt',
+      filePath: '/tmp/standup.txt',
+      fileSize: 64,
+      content: 'Alice: The release is on track.',
+      status: 'processed'
+    });
+  });
+
+  const generatingSummary = (attributes = {}) => Summary.create({
+    transcriptId: transcript.id,
+    summaryStyle: 'executive',
+    aiModel: 'test-model',
+    status: 'generating',
+    metadata: { outputFormat: 'markdown', meetingContext: summaryService.resolveMeetingContext(transcript) },
+    ...attributes
+  });
+
+  it('marks provider failures the error handler classifies as retryable', async () => {
+    const rateLimited = Object.assign(new Error('Too many requests'), { status: 429 });
+    jest.spyOn(summaryService, 'generateSummary').mockImplementation(() =>
+      Promise.reject(userFeedbackSystem.generateErrorResponse(rateLimited, {}))
+    );
+
+    await expect(summaryService.runGenerationJob({ transcriptId: transcript.id }))
+      .rejects.toMatchObject({ retryable: true });
+  });
+
+  it('does not retry failures that another attempt cannot fix', async () => {
+    const invalid = Object.assign(new Error('Bad request'), { status: 400 });
+    jest.spyOn(summaryService, 'generateSummary').mockImplementation(() =>
+      Promise.reject(userFeedbackSystem.generateErrorResponse(invalid, {}))
+    );
+
+    await expect(summaryService.runGenerationJob({ transcriptId: transcript.id }))
+      .rejects.toMatchObject({ retryable: false });
+  });
+
+  it('leaves a summary that is still being generated alone', async () => {
+    await generatingSummary();
+    const generate = jest.spyOn(summaryService, 'generateSummary');
+
+    await expect(summaryService.runGenerationJob({ transcriptId: transcript.id }, { staleAfter: 60000 }))
+      .rejects.toThrow('Summary generation already in progress');
+    expect(generate).not.toHaveBeenCalled();
+  });
+
+  it('takes over a summary whose heartbeat stopped', async () => {
+    const abandoned = await generatingSummary();
+    await sequelize.query('UPDATE summaries SET "updatedAt" = ? WHERE id = ?', {
+      replacements: [new Date(Date.now() - 120000), abandoned.id]
+    });
+    jest.spyOn(summaryService, 'generateSummary').mockResolvedValue({ id: 'new-summary' });
+
+    const result = await summaryService.runGenerationJob({ transcriptId: transcript.id }, { staleAfter: 60000 });
+    await abandoned.reload();
+
+    expect(result).toEqual({ reused: false, summary: { id: 'new-summary' } });
+    expect(abandoned.status).toBe('error');
+  });
+
+  it('keeps a generating summary fresh while the heartbeat runs', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      const summary = await generatingSummary();
+      const update = jest.spyOn(Summary, 'update').mockResolvedValue([1]);
+
+      const heartbeat = summaryService.startGenerationHeartbeat(summary.id);
+      jest.advanceTimersByTime(summaryService.generationHeartbeatMs * 2);
+      clearInterval(heartbeat);
+
+      expect(update).toHaveBeenCalledTimes(2);
+      expect(update).toHaveBeenCalledWith(
+        expect.objectContaining({ updatedAt: expect.any(Date) }),
+        { where: { id: summary.id, status: 'generating' } }
+      );
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('reuses a completed summary of the same style', async () => {
+    const executive = await generatingSummary({ status: 'completed' });
+    const generate = jest.spyOn(summaryService, 'generateSummary').mockResolvedValue({ id: 'detailed-summary' });
+
+    const reused = await summaryService.runGenerationJob({ transcriptId: transcript.id });
+    const detailed = await summaryService.runGenerationJob({ transcriptId: transcript.id, summaryStyle: 'detailed' });
+
+    expect(reused).toEqual({ reused: true, summary: expect.objectContaining({ id: executive.id }) });
+    expect(detailed.reused).toBe(false);
+    expect(generate).toHaveBeenCalledTimes(1);
+  });
+
+  it('generates a separate summary for another output format', async () => {
+    const markdown = await generatingSummary({ status: 'completed' });
+    const generate = jest.spyOn(summaryService, 'generateSummary').mockResolvedValue({ id: 'json-summary' });
+
+    const reused = await summaryService.runGenerationJob({ transcriptId: transcript.id, outputFormat: 'markdown' });
+    const json = await summaryService.runGenerationJob({ transcriptId: transcript.id, outputFormat: 'json' });
+
+    expect(reused).toEqual({ reused: true, summary: expect.objectContaining({ id: markdown.id }) });
+    expect(json).toEqual({ reused: false, summary: { id: 'json-summary' } });
+    expect(generate).toHaveBeenCalledWith(transcript.id, expect.objectContaining({ outputFormat: 'json' }));
+  });
+
+  it('generates a separate summary for another meeting type', async () => {
+    const detected = await generatingSummary({ status: 'completed' });
+    const generate = jest.spyOn(summaryService, 'generateSummary').mockResolvedValue({ id: 'retro-summary' });
+
+    const reused = await summaryService.runGenerationJob({ transcriptId: transcript.id, meetingType: 'auto' });
+    const retro = await summaryService.runGenerationJob({ transcriptId: transcript.id, meetingType: 'retrospective' });
+
+    expect(reused).toEqual({ reused: true, summary: expect.objectContaining({ id: detected.id }) });
+    expect(retro).toEqual({ reused: false, summary: { id: 'retro-summary' } });
+    expect(generate).toHaveBeenCalledWith(transcript.id, expect.objectContaining({ meetingType: 'retrospective' }));
+  });
+
+  it('always generates templated summaries', async () => {
+    await generatingSummary({ status: 'completed' });
+    const generate = jest.spyOn(summaryService, 'generateSummary').mockResolvedValue({ id: 'templated-summary' });
+
+    const templated = await summaryService.runGenerationJob({
+      transcriptId: transcript.id,
+      templateId: '00000000-0000-4000-8000-000000000015'
+    });
+
+    expect(templated).toEqual({ reused: false, summary: { id: 'templated-summary' } });
+    expect(generate).toHaveBeenCalledTimes(1);
+  });
+
+  it('generates a separate summary for another length tier', async () => {
+    const standard = await generatingSummary({ status: 'completed' });
+    const generate = jest.spyOn(summaryService, 'generateSummary').mockResolvedValue({ id: 'brief-summary' });
+
+    const reused = await summaryService.runGenerationJob({ transcriptId: transcript.id });
+    const brief = await summaryService.runGenerationJob({ transcriptId: transcript.id, length: 'brief' });
+
+    expect(reused).toEqual({ reused: true, summary: expect.objectContaining({ id: standard.id }) });
+    expect(brief).toEqual({ reused: false, summary: { id: 'brief-summary' } });
+    expect(generate).toHaveBeenCalledWith(transcript.id, expect.objectContaining({ length: 'brief' }));
+  });
+});
@@ -0,0 +1,44 @@
+const loadConfig = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    let config;
+    jest.isolateModules(() => {
+      config = require('../config/llm');
+    });
+    return config;
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe('model slot pricing', () => {
+  it('uses the known price of a model', () => {
+    const { modelConfig, modelPricing } = loadConfig({ LLM_PRIMARY_PROVIDER: 'groq', LLM_PRIMARY_MODEL: 'llama-3.3-70b-versatile' });
+
+    expect(modelConfig.primary.costPer1KTokens).toEqual(modelPricing['llama-3.3-70b-versatile']);
+  });
+
+  it('keeps a configured cost of 0 for free models', () => {
+    const { modelConfig, calculateCost } = loadConfig({
+      LLM_PRIMARY_PROVIDER: 'groq',
+      LLM_PRIMARY_MODEL: 'llama-3.3-70b-versatile',
+      LLM_PRIMARY_COST_INPUT: '0',
+      LLM_PRIMARY_COST_OUTPUT: '0'
+    });
+
+    expect(modelConfig.primary.costPer1KTokens).toEqual({ input: 0, output: 0 });
+    expect(calculateCost({ prompt_tokens: 5000, completion_tokens: 800 }, 'primary')).toBe(0);
+  });
+
+  it('uses a configured cost for an unpriced model', () => {
+    const { modelConfig } = loadConfig({
+      LLM_FALLBACK_PROVIDER: 'openai',
+      LLM_FALLBACK_MODEL: 'my-local-model',
+      LLM_FALLBACK_COST_INPUT: '0.0002',
+      LLM_FALLBACK_COST_OUTPUT: 'not-a-number'
+    });
+
+    expect(modelConfig.fallback.costPer1KTokens).toEqual({ input: 0.0002, output: 0 });
+  });
+});
@@ -0,0 +1,86 @@
+const MeetingClassifier = require('../services/meetingClassifier');
+const SummaryService = require('../services/summaryService');
+const { errorHandler } = require('../services/errorHandler');
+
+const STANDUP = [
+  'Jane: Yesterday I fixed the login bug and the deployment pipeline.',
+  'John: Today I am working on the API tests, no blockers.',
+  'Priya: I am blocked on the database migration, that is my only impediment.',
+  'Jane: Testing the new feature starts today once the sprint board is updated.'
+].join('\n');
+
+describe('MeetingClassifier', () => {
+  const classifier = new MeetingClassifier({ enabled: true, minConfidence: 0.35 });
+
+  it('detects the meeting type and industry from keywords', () => {
+    const result = classifier.classify(STANDUP);
+
+    expect(result.meetingType.value).toBe('standup');
+    expect(result.industry.value).toBe('software');
+    expect(result.meetingType.confidence).toBe(result.meetingType.scores.standup);
+  });
+
+  it('lets the title decide a meeting type the keywords only hint at', () => {
+    const content = 'Jane: We should improve how we estimate.';
+
+    expect(classifier.classify(content).meetingType.value).toBeNull();
+    expect(classifier.classify(content, { title: 'Sprint 12 retro' }).meetingType.value).toBe('retrospective');
+    expect(classifier.classifyTitle('Quarterly business review')).toBe('review');
+    expect(classifier.classifyTitle('Lunch')).toBeNull();
+  });
+
+  it('matches keyword inflections as whole words only', () => {
+    const deploy = classifier.keywordPattern('deploy');
+
+    expect('deploys, deployed and deploying'.match(deploy)).toHaveLength(3);
+    expect('redeploy'.match(deploy)).toBeNull();
+    expect('Working  on it'.match(classifier.keywordPattern('working on'))).toHaveLength(1);
+  });
+
+  it('applies nothing below the confidence threshold', () => {
+    expect(classifier.pick({ standup: 0.2, review: 0.1 })).toEqual({
+      value: null,
+      confidence: 0.2,
+      scores: { standup: 0.2, review: 0.1 }
+    });
+    expect(classifier.classify('').meetingType.value).toBeNull();
+  });
+});
+
+describe('SummaryService#resolveMeetingContext', () => {
+  let summaryService;
+
+  beforeAll(() => errorHandler.initializeLogging());
+
+  beforeEach(() => {
+    summaryService = new SummaryService();
+  });
+
+  it('prefers the request over saved instructions over detection', () => {
+    const transcript = {
+      content: STANDUP,
+      metadata: {
+        instructions: { meetingType: 'planning', industry: 'auto' },
+        classification: {},
+        meetingType: 'standup',
+        industry: 'software'
+      }
+    };
+
+    expect(summaryService.resolveMeetingContext(transcript)).toEqual({
+      meetingType: { value: 'planning', source: 'instructions' },
+      industry: { value: 'software', source: 'detected' }
+    });
+    expect(summaryService.resolveMeetingContext(transcript, { meetingType: 'review', industry: 'none' })).toEqual({
+      meetingType: { value: 'review', source: 'request' },
+      industry: { value: null, source: 'request' }
+    });
+  });
+
+  it('classifies transcripts uploaded before classification existed', () => {
+    const context = summaryService.resolveMeetingContext({ content: STANDUP, metadata: {} });
+
+    expect(context.meetingType).toEqual({ value: 'standup', source: 'detected' });
+    expect(context.industry).toEqual({ value: 'software', source: 'detected' });
+  });
+});
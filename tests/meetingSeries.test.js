@@ -0,0 +1,128 @@
+const { sequelize, ActionItem, MeetingSeries, MeetingTranscript, Summary } = require('../models');
+const MeetingSeriesService = require('../services/meetingSeries');
+
+const SESSION_ID = '00000000-0000-4000-8000-000000000013';
+
+const createTranscript = (meetingTitle, date, attributes = {}) => MeetingTranscript.create({
+  sessionId: SESSION_ID,
+  filename: `${meetingTitle}.txt`,
+  originalName: `${meetingTitle}.txt`,
+  filePath: `/tmp/${meetingTitle}.txt`,
+  fileSize: 64,
+  content: 'Jane: Morning all.',
+  metadata: { meetingTitle, date, attendees: ['Jane', 'John'] },
+  status: 'processed',
+  ...attributes
+});
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await ActionItem.destroy({ where: {} });
+  await Summary.destroy({ where: {} });
+  await MeetingTranscript.destroy({ where: {} });
+  await MeetingSeries.destroy({ where: {} });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('MeetingSeriesService', () => {
+  const seriesService = new MeetingSeriesService({ autoDetect: true, rollupMeetings: 3 });
+
+  it('matches titles without their dates and untitled meetings on attendees', () => {
+    expect(seriesService.normalizeTitle('Team Standup - Monday March 4, 2024')).toBe('team standup');
+    expect(seriesService.normalizeTitle('Team standup 3/11')).toBe('team standup');
+    expect(seriesService.normalizeTitle('Meeting Notes')).toBe('');
+
+    expect(seriesService.matches(
+      { titleKey: 'team standup', attendees: ['Jane', 'John'] },
+      { titleKey: 'team standup', attendees: ['jane'] }
+    )).toBe(true);
+    expect(seriesService.matches(
+      { titleKey: 'team standup', attendees: ['Jane'] },
+      { titleKey: 'team standup', attendees: ['Priya'] }
+    )).toBe(false);
+    expect(seriesService.matches(
+      { titleKey: '', attendees: ['Jane', 'John', 'Priya'] },
+      { titleKey: '', attendees: ['Jane', 'John'] }
+    )).toBe(true);
+    expect(seriesService.inferMeetingType('Sprint 12 Retro')).toBe('retrospective');
+    expect(seriesService.inferMeetingType('Vendor call')).toBeNull();
+  });
+
+  it('starts a series when a second matching meeting arrives and adds later ones to it', async () => {
+    const first = await createTranscript('Team Standup 3/4', '2024-03-04');
+    const unrelated = await createTranscript('Board review', '2024-03-05');
+    expect(await seriesService.assignTranscript(first)).toBeNull();
+
+    const second = await createTranscript('Team Standup 3/5', '2024-03-05');
+    const series = await seriesService.assignTranscript(second);
+    const third = await createTranscript('Team Standup 3/6', '2024-03-06', {
+      speakerTurns: [{ speaker: 'Priya', text: 'Hi' }]
+    });
+    const joined = await seriesService.assignTranscript(third);
+
+    await Promise.all([first, unrelated, series].map(record => record.reload()));
+    expect(series).toMatchObject({ name: 'Team Standup 3/5', meetingType: 'standup', detection: 'auto' });
+    expect(joined.id).toBe(series.id);
+    expect(first.seriesId).toBe(series.id);
+    expect(unrelated.seriesId).toBeNull();
+    expect(series.attendees).toEqual(['Jane', 'John', 'Priya']);
+    expect(new Date(series.lastMeetingAt).toISOString()).toBe('2024-03-06T00:00:00.000Z');
+  });
+
+  it('gathers the latest meetings, carried-over items and repeated blockers for a roll-up', async () => {
+    const series = await MeetingSeries.create({ sessionId: SESSION_ID, name: 'Team standup', titleKey: 'team standup' });
+    const dates = ['2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07'];
+    const meetings = [];
+    for (const date of dates) {
+      meetings.push(await createTranscript(`Team standup ${date}`, date, { seriesId: series.id, content: `Transcript of ${date}` }));
+    }
+
+    const summarize = (transcript, content) => Summary.create({
+      transcriptId: transcript.id,
+      summaryStyle: 'executive',
+      aiModel: 'test-model',
+      status: 'completed',
+      content
+    });
+    await summarize(meetings[1], '## Blockers\n- Blocked on the staging database migration');
+    await summarize(meetings[3], '## Blockers\n- Still blocked on the staging database migration [L4]\n- Design is done');
+
+    const item = (transcript, task, status, mentions = []) => ActionItem.create({
+      sessionId: SESSION_ID, transcriptId: transcript.id, task, status, mentions
+    });
+    await item(meetings[0], 'Rotate the API keys', 'open', [{ carriedOver: true }, { carriedOver: true }]);
+    await item(meetings[0], 'Archive the old board', 'done');
+    await item(meetings[2], 'Write the migration runbook', 'done');
+
+    const rollup = await seriesService.gatherRollupInput(series);
+
+    expect(rollup.meetings.map(meeting => [meeting.number, meeting.date, meeting.source])).toEqual([
+      [1, '2024-03-05', 'summary'],
+      [2, '2024-03-06', 'transcript'],
+      [3, '2024-03-07', 'summary']
+    ]);
+    expect(rollup.meetings[1].notes).toBe('Transcript of 2024-03-06');
+    expect(rollup.carryOver).toMatchObject({ open: 1, completed: 1, carriedOver: 1 });
+    expect(rollup.carryOver.items.map(entry => [entry.task, entry.meetingsOpen, entry.timesCarriedOver])).toEqual([
+      ['Rotate the API keys', 3, 2],
+      ['Write the migration runbook', null, 0]
+    ]);
+    expect(rollup.repeatedBlockers).toEqual([{
+      text: 'Still blocked on the staging database migration',
+      meetings: [1, 3],
+      dates: ['2024-03-05', '2024-03-07'],
+      count: 2
+    }]);
+  });
+});
@@ -0,0 +1,112 @@
+const { generateKeyPairSync, sign } = require('crypto');
+const OidcService = require('../services/oidcService');
+const { errorHandler } = require('../services/errorHandler');
+
+const ISSUER = 'https://idp.example.com';
+const CLIENT_ID = 'meeting-summarizer';
+
+const createKey = (kid) => {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+};
+
+const signToken = (claims, key, header = {}) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', kid: key.kid, ...header })}.${encode(claims)}`;
+  return `${signingInput}.${sign('sha256', Buffer.from(signingInput), key.privateKey).toString('base64url')}`;
+};
+
+const validClaims = (overrides = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: 'user-1',
+    nonce: 'expected-nonce',
+    iat: now,
+    exp: now + 300,
+    ...overrides
+  };
+};
+
+const createService = (keys) => {
+  const service = new OidcService({
+    issuer: ISSUER,
+    clientId: CLIENT_ID,
+    clockSkewSeconds: 60,
+    groupsClaim: 'groups',
+    workspaceClaim: null,
+    workspaceName: 'Single sign-on',
+    timeout: 1000
+  });
+  service.keys = keys.map(key => key.jwk);
+  return service;
+};
+
+// Let the error handler finish setting up its log directory before the tests end
+beforeAll(() => errorHandler.initializeLogging());
+
+describe('OidcService#verifyIdToken', () => {
+  const key = createKey('key-1');
+  const otherKey = createKey('key-1');
+
+  it('returns the claims of a valid token', async () => {
+    const claims = await createService([key]).verifyIdToken(signToken(validClaims(), key), 'expected-nonce');
+
+    expect(claims).toMatchObject({ sub: 'user-1', iss: ISSUER });
+  });
+
+  it.each([
+    ['a bad signature', signToken(validClaims(), otherKey), 'bad signature'],
+    ['another issuer', signToken(validClaims({ iss: 'https://evil.example.com' }), key), 'wrong issuer'],
+    ['another audience', signToken(validClaims({ aud: 'other-client' }), key), 'wrong audience'],
+    ['several audiences without this client as authorized party', signToken(validClaims({ aud: [CLIENT_ID, 'other-client'] }), key), 'wrong authorized party'],
+    ['an expired token', signToken(validClaims({ exp: Math.floor(Date.now() / 1000) - 120 }), key), 'expired'],
+    ['a token issued in the future', signToken(validClaims({ iat: Math.floor(Date.now() / 1000) + 600 }), key), 'issued in the future'],
+    ['another nonce', signToken(validClaims({ nonce: 'replayed-nonce' }), key), 'nonce mismatch'],
+    ['no subject', signToken(validClaims({ sub: undefined }), key), 'no subject'],
+    ['an unsigned token', signToken(validClaims(), key, { alg: 'none' }), 'unsupported algorithm none'],
+    ['a malformed token', 'not-a-token', 'malformed']
+  ])('rejects %s', async (_, token, reason) => {
+    await expect(createService([key]).verifyIdToken(token, 'expected-nonce')).rejects.toMatchObject({
+      message: `Invalid ID token: ${reason}`,
+      status: 401,
+      code: 'SSO_INVALID_TOKEN'
+    });
+  });
+
+  it('fetches the key set again when the provider rotated its keys', async () => {
+    const rotated = createKey('key-2');
+    const service = createService([key]);
+    const fetchJson = jest.spyOn(service, 'fetchJson').mockImplementation(async (url) => (
+      url.endsWith('/.well-known/openid-configuration') ?
+        { issuer: ISSUER, jwks_uri: `${ISSUER}/jwks` } :
+        { keys: [rotated.jwk] }
+    ));
+
+    const claims = await service.verifyIdToken(signToken(validClaims(), rotated), 'expected-nonce');
+
+    expect(claims.sub).toBe('user-1');
+    expect(fetchJson).toHaveBeenCalledWith(`${ISSUER}/jwks`);
+  });
+});
+
+describe('OidcService#describeIdentity', () => {
+  it('normalizes the email and maps groups to a role', () => {
+    const identity = createService([]).describeIdentity({
+      sub: 'user-1',
+      email: ' Ada@Example.COM ',
+      email_verified: 'true',
+      groups: 'summarizer-owners'
+    });
+
+    expect(identity).toMatchObject({
+      issuer: ISSUER,
+      subject: 'user-1',
+      email: 'ada@example.com',
+      emailVerified: true,
+      groups: ['summarizer-owners'],
+      workspaceKey: ISSUER
+    });
+  });
+});
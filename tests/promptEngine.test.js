@@ -0,0 +1,164 @@
+const PromptEngine = require('../services/promptEngine');
+const SummaryService = require('../services/summaryService');
+const { errorHandler } = require('../services/errorHandler');
+
+const transcriptOf = (lineCount) =>
+  Array.from({ length: lineCount }, (_, index) => `Speaker ${index % 3}: Point number ${index} about the release plan.`).join('\n');
+
+const smallEngine = () => {
+  const engine = new PromptEngine();
+  engine.maxTranscriptTokens = 200;
+  engine.chunkTokens = 100;
+  engine.chunkOverlapTokens = 20;
+  engine.chunkSummaryTokens = 50;
+  return engine;
+};
+
+beforeAll(() => errorHandler.initializeLogging());
+
+describe('PromptEngine chunking', () => {
+  it('only chunks transcripts that exceed the prompt budget', () => {
+    const engine = smallEngine();
+
+    expect(engine.requiresChunking(transcriptOf(5))).toBe(false);
+    expect(engine.requiresChunking(transcriptOf(50))).toBe(true);
+  });
+
+  it('splits on line boundaries into chunks within the size limit', () => {
+    const engine = smallEngine();
+    const transcript = transcriptOf(50);
+
+    const chunks = engine.chunkTranscript(transcript);
+    const lines = new Set(transcript.split('\n'));
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk, index) => {
+      expect(chunk.index).toBe(index);
+      expect(chunk.total).toBe(chunks.length);
+      expect(chunk.text.length).toBeLessThanOrEqual(engine.chunkTokens * 4);
+      expect(chunk.text).toBe(transcript.substring(chunk.startOffset, chunk.endOffset));
+      chunk.text.split('\n').forEach(line => expect(lines.has(line)).toBe(true));
+    });
+    expect(chunks[0].startOffset).toBe(0);
+    expect(chunks[chunks.length - 1].endOffset).toBe(transcript.length);
+  });
+
+  it('repeats trailing lines of a chunk at the start of the next one', () => {
+    const engine = smallEngine();
+
+    const chunks = engine.chunkTranscript(transcriptOf(50));
+
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].startOffset).toBeLessThan(chunks[i - 1].endOffset);
+      expect(chunks[i - 1].text).toContain(chunks[i].text.split('\n')[0]);
+    }
+  });
+
+  it('leaves out overlap when chunks are to be contiguous', () => {
+    const engine = smallEngine();
+
+    const chunks = engine.chunkTranscript(transcriptOf(50), { overlapTokens: 0 });
+
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].startOffset).toBe(chunks[i - 1].endOffset + 1);
+    }
+  });
+
+  it('splits a single oversized line at sentence boundaries', () => {
+    const engine = smallEngine();
+    const sentence = 'We agreed to ship the beta next week.';
+    const line = `Alice: ${Array.from({ length: 40 }, () => sentence).join(' ')}`;
+
+    const chunks = engine.chunkTranscript(line, { overlapTokens: 0 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.text.length).toBeLessThanOrEqual(engine.chunkTokens * 4);
+      expect(chunk.text.endsWith('.')).toBe(true);
+    });
+  });
+});
+
+describe('PromptEngine#buildMapReducePrompts', () => {
+  it('builds one map prompt per chunk with line numbers of the whole transcript', () => {
+    const engine = smallEngine();
+    const transcript = transcriptOf(50);
+
+    const plan = engine.buildMapReducePrompts(transcript, { summaryStyle: 'detailed', citations: true });
+
+    expect(plan.strategy).toBe('map-reduce');
+    expect(plan.mapPrompts).toHaveLength(engine.chunkTranscript(engine.numberTranscriptLines(transcript)).length);
+    expect(plan.instructions.summaryStyle).toBe('detailed');
+    expect(plan.mapPrompts[0].messages[1].content).toContain('[L1]');
+    expect(plan.mapPrompts[plan.mapPrompts.length - 1].messages[1].content).toContain('[L50]');
+    plan.mapPrompts.forEach(prompt => {
+      expect(prompt.maxTokens).toBe(engine.chunkSummaryTokens);
+      expect(prompt.chunk.total).toBe(plan.mapPrompts.length);
+    });
+  });
+
+  it('groups partial summaries so each reduce prompt fits', () => {
+    const engine = smallEngine();
+    const partial = 'x'.repeat(300); // 75 tokens
+
+    const groups = engine.groupPartialSummaries([partial, partial, partial, partial, partial]);
+
+    expect(groups.map(group => group.length)).toEqual([2, 2, 1]);
+  });
+});
+
+describe('SummaryService#generateWithMapReduce', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('summarizes every chunk, merges the partials and rolls up usage', async () => {
+    const summaryService = new SummaryService();
+    summaryService.promptEngine = smallEngine();
+    const plan = summaryService.promptEngine.buildMapReducePrompts(transcriptOf(50), { citations: false });
+    const usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+    const generate = jest.spyOn(summaryService, 'generateWithFallback').mockImplementation(async (prompt) => ({
+      content: prompt.chunk ? `Notes for part ${prompt.chunk.index + 1}` : 'Final summary',
+      usage,
+      processingTime: 100,
+      model: 'test-model',
+      fallbackInfo: { attemptCount: 1 }
+    }));
+    const onProgress = jest.fn();
+
+    const result = await summaryService.generateWithMapReduce(plan, { model: 'primary' }, { onProgress });
+    const chunkCount = plan.mapPrompts.length;
+    const reducePrompt = generate.mock.calls[chunkCount][0];
+
+    expect(result.content).toBe('Final summary');
+    expect(generate).toHaveBeenCalledTimes(chunkCount + 1);
+    expect(reducePrompt.messages[1].content).toContain(`Notes for part ${chunkCount}`);
+    expect(result.usage.total_tokens).toBe(15 * (chunkCount + 1));
+    expect(result.mapReduce).toMatchObject({ chunkCount, callCount: chunkCount + 1 });
+    expect(result.fallbackInfo.attemptCount).toBe(chunkCount + 1);
+    expect(onProgress).toHaveBeenLastCalledWith({ phase: 'map', completed: chunkCount, total: chunkCount });
+  });
+
+  it('merges in several passes when the partials do not fit one prompt', async () => {
+    const summaryService = new SummaryService();
+    summaryService.promptEngine = smallEngine();
+    const plan = summaryService.promptEngine.buildMapReducePrompts(transcriptOf(50), { citations: false });
+    const generate = jest.spyOn(summaryService, 'generateWithFallback').mockImplementation(async (prompt) => ({
+      content: prompt.chunk ? 'x'.repeat(300) : 'merged',
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      model: 'test-model',
+      fallbackInfo: { attemptCount: 1 }
+    }));
+
+    const result = await summaryService.generateWithMapReduce(plan, { model: 'primary' }, {});
+    const phases = result.mapReduce.calls.map(call => call.final === false ? 'merge' : call.phase);
+
+    expect(phases.filter(phase => phase === 'merge').length).toBeGreaterThan(0);
+    expect(phases[phases.length - 1]).toBe('reduce');
+    expect(generate).toHaveBeenCalledTimes(result.mapReduce.callCount);
+  });
+});
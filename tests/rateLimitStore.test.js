@@ -0,0 +1,87 @@
+const { sequelize, RateLimitCounter } = require('../models');
+const { DatabaseStore } = require('../middleware/rateLimitStore');
+
+const createStore = (prefix = 'test', windowMs = 60000) => {
+  const store = new DatabaseStore(prefix);
+  store.init({ windowMs });
+  return store;
+};
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await RateLimitCounter.destroy({ where: {} });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('DatabaseStore', () => {
+  let store;
+
+  afterEach(() => {
+    store.shutdown();
+  });
+
+  it('counts hits within a window', async () => {
+    store = createStore();
+
+    const first = await store.increment('ip:1.2.3.4');
+    const second = await store.increment('ip:1.2.3.4');
+
+    expect(first.totalHits).toBe(1);
+    expect(second.totalHits).toBe(2);
+    expect(second.resetTime.getTime()).toBe(first.resetTime.getTime());
+    expect(first.resetTime.getTime()).toBeGreaterThan(Date.now());
+    expect(await store.get('ip:1.2.3.4')).toEqual({ totalHits: 2, resetTime: first.resetTime });
+  });
+
+  it('never loses concurrent hits', async () => {
+    store = createStore();
+
+    const results = await Promise.all(Array.from({ length: 20 }, () => store.increment('user:1')));
+    const counts = results.map(result => result.totalHits).sort((a, b) => a - b);
+
+    expect(counts).toEqual(Array.from({ length: 20 }, (_, index) => index + 1));
+    expect((await store.get('user:1')).totalHits).toBe(20);
+  });
+
+  it('starts a new window once the last one ended', async () => {
+    store = createStore();
+    await RateLimitCounter.create({ key: 'test:session:1', hits: 7, resetAt: new Date(Date.now() - 1000) });
+
+    expect(await store.get('session:1')).toBeUndefined();
+
+    const result = await store.increment('session:1');
+    expect(result.totalHits).toBe(1);
+    expect(result.resetTime.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('keeps separate counts per limiter', async () => {
+    store = createStore('upload');
+    const other = createStore('email');
+
+    await store.increment('ip:1.2.3.4');
+    await store.increment('ip:1.2.3.4');
+    const result = await other.increment('ip:1.2.3.4');
+    other.shutdown();
+
+    expect(result.totalHits).toBe(1);
+    expect((await store.get('ip:1.2.3.4')).totalHits).toBe(2);
+  });
+
+  it('takes back and resets hits', async () => {
+    store = createStore();
+    await store.increment('ip:1.2.3.4');
+    await store.increment('ip:1.2.3.4');
+
+    await store.decrement('ip:1.2.3.4');
+    expect((await store.get('ip:1.2.3.4')).totalHits).toBe(1);
+
+    await store.resetKey('ip:1.2.3.4');
+    expect(await store.get('ip:1.2.3.4')).toBeUndefined();
+  });
+});
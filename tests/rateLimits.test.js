@@ -0,0 +1,81 @@
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { sequelize, UserSession } = require('../models');
+const { rateLimitConfigs } = require('../middleware/security');
+
+const createSession = (fields = {}) => UserSession.create({
+  sessionToken: crypto.randomBytes(32).toString('hex'),
+  ipAddress: '127.0.0.1',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields
+});
+
+const createApp = () => {
+  const app = express();
+  app.post('/generate', rateLimitConfigs.aiProcessing, (req, res) => res.json({ success: true }));
+  return app;
+};
+
+const generate = (app, session) => request(app)
+  .post('/generate')
+  .set('X-Session-Token', session.sessionToken);
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('AI processing rate limit', () => {
+  it('counts anonymous sessions per IP, so new sessions get no new requests', async () => {
+    const app = createApp();
+
+    for (let i = 0; i < 5; i++) {
+      const response = await generate(app, await createSession());
+      expect(response.status).toBe(200);
+    }
+
+    const limited = await generate(app, await createSession());
+    expect(limited.status).toBe(429);
+    expect(limited.body).toMatchObject({ success: false, limit: 'aiProcessing', limitedBy: 'ip' });
+  });
+
+  it('counts signed-in users on their own', async () => {
+    const app = createApp();
+    const alice = await createSession({ userId: crypto.randomUUID() });
+    const bob = await createSession({ userId: crypto.randomUUID() });
+
+    for (let i = 0; i < 5; i++) {
+      expect((await generate(app, alice)).status).toBe(200);
+    }
+
+    expect((await generate(app, alice)).status).toBe(429);
+    expect((await generate(app, bob)).status).toBe(200);
+  });
+});
+
+describe('Single sign-on rate limit', () => {
+  it('counts only failed attempts', async () => {
+    const app = express();
+    app.get('/oidc/callback', rateLimitConfigs.sso, (req, res) => (
+      req.query.code ? res.redirect(302, '/') : res.status(400).json({ success: false })
+    ));
+
+    for (let i = 0; i < 10; i++) {
+      expect((await request(app).get('/oidc/callback?code=valid')).status).toBe(302);
+    }
+    for (let i = 0; i < 5; i++) {
+      expect((await request(app).get('/oidc/callback')).status).toBe(400);
+    }
+
+    const limited = await request(app).get('/oidc/callback?code=valid');
+    expect(limited.status).toBe(429);
+    expect(limited.body.limit).toBe('sso');
+  });
+});
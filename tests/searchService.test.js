@@ -0,0 +1,141 @@
+const { sequelize, initializeDatabase, MeetingTranscript, Summary } = require('../models');
+const SearchService = require('../services/searchService');
+const { recordOwner } = require('../models/ownership');
+
+const SESSION_ID = '00000000-0000-4000-8000-000000000020';
+const OWNER = recordOwner({ sessionId: SESSION_ID });
+
+const createTranscript = (meetingTitle, date, content) => MeetingTranscript.create({
+  sessionId: SESSION_ID,
+  filename: `${meetingTitle}.txt`,
+  originalName: `${meetingTitle}.txt`,
+  filePath: `/tmp/${meetingTitle}.txt`,
+  fileSize: content.length,
+  content,
+  metadata: { meetingTitle, date },
+  status: 'processed'
+});
+
+describe('SearchService#buildFtsQuery', () => {
+  const searchService = new SearchService({ embeddingIndex: { enabled: false } });
+
+  it('translates websearch syntax into a quoted FTS5 query', () => {
+    expect(searchService.buildFtsQuery('-foo "a b" or c')).toBe('("a b" OR "c") NOT "foo"');
+    expect(searchService.buildFtsQuery('budget review -hiring')).toBe('("budget" AND "review") NOT "hiring"');
+    expect(searchService.buildFtsQuery('budget review')).toBe('"budget" AND "review"');
+    expect(searchService.buildFtsQuery('budget or hiring roadmap')).toBe('("budget" OR "hiring") AND "roadmap"');
+  });
+
+  it('keeps FTS5 operators in the text from taking effect', () => {
+    expect(searchService.buildFtsQuery('NEAR(budget) AND title:x*')).toBe('"NEAR budget" AND "AND" AND "title x"');
+    expect(searchService.buildFtsQuery('or budget or')).toBe('"budget"');
+  });
+
+  it('returns null when nothing is searchable', () => {
+    expect(searchService.buildFtsQuery('-budget')).toBeNull();
+    expect(searchService.buildFtsQuery('"" --- ?')).toBeNull();
+  });
+});
+
+describe('SearchService#mergeMatches', () => {
+  const searchService = new SearchService({ embeddingIndex: { enabled: false } });
+
+  it('ranks documents found by both searches above either alone', () => {
+    const text = [
+      { type: 'summary', id: 's1', transcriptId: 't1', score: 9, snippet: 'first' },
+      { type: 'transcript', id: 't2', transcriptId: 't2', score: 4, snippet: 'second' }
+    ];
+    const semantic = [
+      { type: 'transcript', id: 't3', transcriptId: 't3', score: 0.91, startLine: 1, endLine: 12, snippet: 'third' },
+      { type: 'transcript', id: 't2', transcriptId: 't2', score: 0.8234, startLine: 13, endLine: 24, snippet: 'other' }
+    ];
+
+    const merged = searchService.mergeMatches(text, semantic).sort((a, b) => b.score - a.score);
+
+    expect(merged.map(match => [match.id, match.matchedBy])).toEqual([
+      ['t2', ['text', 'semantic']],
+      ['s1', ['text']],
+      ['t3', ['semantic']]
+    ]);
+    expect(merged[0]).toMatchObject({
+      score: 1 / 62 + 1 / 62,
+      snippet: 'second',
+      lines: { startLine: 13, endLine: 24 },
+      similarity: 0.823
+    });
+    expect(merged[1].score).toBe(1 / 61);
+    expect(merged[2].score).toBe(1 / 61);
+  });
+});
+
+describe('SearchService#search', () => {
+  let budget;
+  let roadmap;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    expect(await initializeDatabase()).toBe(true);
+
+    budget = await createTranscript('Budget review', '2024-03-04', 'Jane: The hiring budget is frozen until July.');
+    roadmap = await createTranscript('Roadmap sync', '2024-04-02', 'John: The roadmap moves the hiring plan to Q3.');
+    await Summary.create({
+      transcriptId: roadmap.id,
+      summaryStyle: 'executive',
+      aiModel: 'test-model',
+      status: 'completed',
+      content: 'The hiring plan moves to Q3.'
+    });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await sequelize.close();
+  });
+
+  it('finds the meetings that discussed a term with stemming and highlights', async () => {
+    const search = await new SearchService({ embeddingIndex: { enabled: false } }).search(OWNER, { q: 'hire' });
+
+    expect(search.mode).toBe('fts5');
+    expect(search.total).toBe(3);
+    expect(search.results.map(result => result.meeting.title)).toEqual(expect.arrayContaining(['Budget review', 'Roadmap sync']));
+    expect(search.results.find(result => result.type === 'summary')).toMatchObject({
+      snippet: 'The **hiring** plan moves to Q3.',
+      item: { summaryStyle: 'executive', status: 'completed' }
+    });
+  });
+
+  it('applies exclusions, alternatives and the date filter', async () => {
+    const searchService = new SearchService({ embeddingIndex: { enabled: false } });
+
+    const excluded = await searchService.search(OWNER, { q: '-roadmap "hiring budget" or Q3', types: ['transcript'] });
+    const dated = await searchService.search(OWNER, { q: 'hiring', from: '2024-04-01', types: ['transcript'] });
+
+    expect(excluded.results.map(result => result.id)).toEqual([budget.id]);
+    expect(dated.results.map(result => result.id)).toEqual([roadmap.id]);
+  });
+
+  it('only searches the meetings of the owner', async () => {
+    const search = await new SearchService({ embeddingIndex: { enabled: false } })
+      .search({ workspaceId: '00000000-0000-4000-8000-0000000000ff' }, { q: 'hiring' });
+
+    expect(search).toMatchObject({ results: [], total: 0 });
+  });
+
+  it('merges semantic matches and keeps text results when embedding fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const embeddingIndex = {
+      enabled: true,
+      search: jest.fn().mockResolvedValue([
+        { type: 'transcript', id: budget.id, transcriptId: budget.id, startLine: 1, endLine: 1, text: budget.content, score: 0.7 }
+      ])
+    };
+
+    const merged = await new SearchService({ embeddingIndex }).search(OWNER, { q: 'staffing freeze' });
+    embeddingIndex.search.mockRejectedValue(new Error('Embedding server unavailable'));
+    const fallback = await new SearchService({ embeddingIndex }).search(OWNER, { q: 'hiring', types: ['transcript'] });
+
+    expect(merged).toMatchObject({ total: 1, semantic: true });
+    expect(merged.results[0]).toMatchObject({ id: budget.id, matchedBy: ['semantic'], similarity: 0.7 });
+    expect(fallback.total).toBe(2);
+  });
+});
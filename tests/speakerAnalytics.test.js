@@ -0,0 +1,78 @@
+const SpeakerAnalytics = require('../services/speakerAnalytics');
+
+describe('SpeakerAnalytics', () => {
+  const analytics = new SpeakerAnalytics({ wordsPerMinute: 150, overlapToleranceMs: 500 });
+
+  describe('parseSpeakerTurns', () => {
+    it('reads timestamped "Name:" lines and merges continuation lines', () => {
+      const turns = analytics.parseSpeakerTurns([
+        'Agenda: roadmap',
+        '[00:00:05] Jane Doe: Hello all.',
+        '00:00:20 John Smith: Hi Jane.',
+        "It's good to be here.",
+        '[00:00:30] John Smith: One more thing.',
+        'Jane Doe (00:45): Thanks.'
+      ].join('\n'));
+
+      expect(turns.map(turn => [turn.speaker, turn.startMs, turn.endMs, turn.line])).toEqual([
+        ['Jane Doe', 5000, 20000, 2],
+        ['John Smith', 20000, 45000, 3],
+        ['Jane Doe', 45000, 45000, 6]
+      ]);
+      expect(turns[1]).toMatchObject({
+        text: "Hi Jane. It's good to be here. One more thing.",
+        cueCount: 2,
+        start: '00:00:20.000'
+      });
+    });
+
+    it('finds no turns in text with fewer than two speaker lines', () => {
+      expect(analytics.parseSpeakerTurns('Notes: ship on Friday\nJane Doe: agreed')).toEqual([]);
+      expect(analytics.parseSpeakerTurns('Just some meeting notes.')).toEqual([]);
+    });
+  });
+
+  describe('analyze', () => {
+    it('measures talk time from timestamps', () => {
+      const turns = analytics.parseSpeakerTurns([
+        '[00:00:05] Jane Doe: Hello all.',
+        '[00:00:20] John Smith: Hi Jane.',
+        '[00:00:45] Jane Doe: Thanks.'
+      ].join('\n'));
+
+      const result = analytics.analyze(turns);
+      const [john, jane] = result.participants;
+
+      expect(result.timing).toBe('timestamps');
+      expect(result.totalTurns).toBe(3);
+      // The last turn has no end, so its one word is estimated at 150 words per minute
+      expect(jane).toMatchObject({ speaker: 'Jane Doe', turnCount: 2, talkTimeMs: 15400, talkTimeShare: 38.1 });
+      expect(john).toMatchObject({ speaker: 'John Smith', turnCount: 1, talkTimeMs: 25000, talkTimeShare: 61.9 });
+      expect(result.totalTalkTimeMs).toBe(40400);
+    });
+
+    it('counts a turn starting well before the previous one ended as an interruption', () => {
+      const result = analytics.analyze([
+        { speaker: 'Ann', startMs: 0, endMs: 10000, text: 'We could move the launch' },
+        { speaker: 'Ben', startMs: 8000, endMs: 12000, text: 'No, the date is fixed' },
+        { speaker: 'Ann', startMs: 12000, endMs: 15000, text: 'Fine' }
+      ]);
+      const byName = Object.fromEntries(result.participants.map(p => [p.speaker, p]));
+
+      expect(byName.Ben).toMatchObject({ interruptions: 1, interrupted: 0, talkTimeMs: 4000 });
+      expect(byName.Ann).toMatchObject({ interruptions: 0, interrupted: 1, talkTimeMs: 13000, longestTurnMs: 10000 });
+    });
+
+    it('estimates talk time from words and spots cut-off turns without timestamps', () => {
+      const turns = analytics.parseSpeakerTurns('Alice: I think we should--\nBob: No, wait.\nAlice: Fine.');
+
+      const result = analytics.analyze(turns);
+      const byName = Object.fromEntries(result.participants.map(p => [p.speaker, p]));
+
+      expect(result.timing).toBe('estimated');
+      expect(result.totalWords).toBe(7);
+      expect(byName.Alice).toMatchObject({ wordCount: 5, talkTimeMs: 2000, interrupted: 1, averageWordsPerTurn: 3 });
+      expect(byName.Bob).toMatchObject({ wordCount: 2, talkTimeMs: 800, interruptions: 1 });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const ResponseProcessor = require('../services/responseProcessor');
+const PromptEngine = require('../services/promptEngine');
+const PromptTemplates = require('../services/promptTemplates');
+const SummaryService = require('../services/summaryService');
+const { errorHandler } = require('../services/errorHandler');
+
+const words = (count) => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+describe('ResponseProcessor#checkLength', () => {
+  const processor = new ResponseProcessor();
+
+  it('reads the target range of a length tier', () => {
+    expect(PromptTemplates.getTargetWordRange('brief')).toEqual({ min: 100, max: 300 });
+    expect(PromptTemplates.getTargetWordRange('epic')).toBeNull();
+  });
+
+  it('counts words without citation labels and markdown markers', () => {
+    const check = processor.checkLength(`## Summary\n• ${words(120)} [L1-L4]\n**Owner:** Jane`, 'brief');
+
+    expect(check).toMatchObject({ target: { min: 100, max: 300 }, wordCount: 123, status: 'within', wideMiss: false });
+  });
+
+  it('flags summaries that miss the range by more than the tolerance', () => {
+    expect(processor.checkLength(words(80), 'brief')).toMatchObject({ status: 'short', wideMiss: false });
+    expect(processor.checkLength(words(40), 'brief')).toMatchObject({ status: 'short', wideMiss: true });
+    expect(processor.checkLength(words(400), 'brief')).toMatchObject({ status: 'long', wideMiss: false });
+    expect(processor.checkLength(words(460), 'brief')).toMatchObject({ status: 'long', wideMiss: true });
+  });
+
+  it('checks the requested tier instead of the style length', () => {
+    const response = { content: words(40) };
+    const validation = processor.validateResponse(response, { summaryStyle: 'detailed', length: 'brief' });
+
+    expect(validation.lengthCheck.status).toBe('short');
+    expect(validation.warnings).toContain('Summary is 40 words; brief target is 100-300');
+    expect(validation.warnings.join('\n')).not.toContain('detailed style');
+  });
+});
+
+describe('PromptEngine length tiers', () => {
+  const engine = new PromptEngine();
+
+  it('states the target length and sizes the token budget from it', () => {
+    const brief = engine.buildSummaryPrompt('Jane: Hi', { length: 'brief' });
+    const comprehensive = engine.buildSummaryPrompt('Jane: Hi', { length: 'comprehensive' });
+
+    expect(brief.messages[0].content).toContain('TARGET LENGTH: 100-300 words (excluding citation labels)');
+    expect(brief).toMatchObject({ length: 'brief', maxTokens: 800 });
+    expect(comprehensive.maxTokens).toBeGreaterThan(brief.maxTokens);
+  });
+
+  it('continues the conversation to condense a single-pass summary', () => {
+    const promptData = engine.buildSummaryPrompt('Jane: Hi', { length: 'brief' });
+    const lengthCheck = { target: { min: 100, max: 300 }, wordCount: 700, status: 'long' };
+
+    const adjustment = engine.buildLengthAdjustmentPrompt(promptData, 'Long draft', lengthCheck);
+
+    expect(adjustment.messages.slice(0, 2)).toEqual(promptData.messages);
+    expect(adjustment.messages[2]).toEqual({ role: 'assistant', content: 'Long draft' });
+    expect(adjustment.messages[3].content).toMatch(/^Your summary is 700 words, far above .* Condense it to 100-300 words/);
+  });
+
+  it('expands a map-reduce summary from the draft alone', () => {
+    const plan = { outputFormat: 'json', maxTokens: 900, temperature: 0.2 };
+    const lengthCheck = { target: { min: 300, max: 800 }, wordCount: 90, status: 'short' };
+
+    const adjustment = engine.buildLengthAdjustmentPrompt(plan, '{"title": "x"}', lengthCheck);
+
+    expect(adjustment.messages).toHaveLength(2);
+    expect(adjustment.messages[1].content).toContain('Expand it to 300-800 words');
+    expect(adjustment.messages[1].content).toContain('Respond with the complete revised JSON object');
+    expect(adjustment.messages[1].content).toContain('SUMMARY:\n{"title": "x"}');
+    expect(adjustment.maxTokens).toBe(900);
+  });
+});
+
+describe('SummaryService length adjustment', () => {
+  let summaryService;
+  const processed = (wordCount, status) => ({
+    success: true,
+    validation: {
+      lengthCheck: {
+        target: { min: 100, max: 300 },
+        wordCount,
+        status,
+        wideMiss: status !== 'within'
+      }
+    }
+  });
+
+  beforeAll(() => errorHandler.initializeLogging());
+
+  beforeEach(() => {
+    summaryService = new SummaryService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only condenses map-reduce summaries', () => {
+    expect(summaryService.shouldAdjustLength({}, processed(40, 'short'))).toBe(true);
+    expect(summaryService.shouldAdjustLength({ strategy: 'map-reduce' }, processed(40, 'short'))).toBe(false);
+    expect(summaryService.shouldAdjustLength({ strategy: 'map-reduce' }, processed(700, 'long'))).toBe(true);
+    expect(summaryService.shouldAdjustLength({}, processed(200, 'within'))).toBe(false);
+  });
+
+  it('keeps the adjusted summary when it is closer to the target', async () => {
+    const promptData = new PromptEngine().buildSummaryPrompt('Jane: Hi', { length: 'brief' });
+    const followUp = { content: 'Shorter', usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } };
+    jest.spyOn(summaryService, 'generateWithFallback').mockResolvedValue(followUp);
+    jest.spyOn(summaryService, 'processAIResponse').mockResolvedValue(processed(320, 'long'));
+    const original = {
+      result: { content: 'Long draft', usage: { prompt_tokens: 100, completion_tokens: 900, total_tokens: 1000 } },
+      processedResponse: processed(700, 'long')
+    };
+
+    const kept = await summaryService.adjustLength(promptData, { model: 'primary' }, {}, original, () => ({}));
+
+    expect(kept.result).toMatchObject({ content: 'Shorter', usage: { total_tokens: 1015 } });
+    expect(kept.processedResponse.validation.lengthCheck.adjustment).toMatchObject({
+      direction: 'condense',
+      kept: 'adjusted',
+      originalWords: 700,
+      adjustedWords: 320,
+      discardedCost: 0
+    });
+  });
+
+  it('keeps the original when the adjustment misses by more', async () => {
+    const promptData = new PromptEngine().buildSummaryPrompt('Jane: Hi', { length: 'brief' });
+    jest.spyOn(summaryService, 'generateWithFallback').mockResolvedValue({ content: 'Still short', usage: {} });
+    jest.spyOn(summaryService, 'processAIResponse').mockResolvedValue(processed(30, 'short'));
+    const original = { result: { content: 'Short draft', usage: {} }, processedResponse: processed(40, 'short') };
+
+    const kept = await summaryService.adjustLength(promptData, { model: 'primary' }, {}, original, () => ({}));
+
+    expect(kept.result.content).toBe('Short draft');
+    expect(kept.processedResponse.validation.lengthCheck.adjustment).toMatchObject({ direction: 'expand', kept: 'original' });
+  });
+});
@@ -0,0 +1,147 @@
+const { sequelize, MeetingTranscript, Summary } = require('../models');
+const PromptEngine = require('../services/promptEngine');
+const SummaryService = require('../services/summaryService');
+const { errorHandler, ErrorTypes } = require('../services/errorHandler');
+
+const SESSION_ID = '00000000-0000-4000-8000-000000000017';
+const CONTENT = [
+  'Jane: The beta ships on Friday.',
+  'John: I will send the release notes before then.',
+  'Jane: Budget for the launch party is approved.'
+].join('\n');
+
+const REFINED = [
+  '## Executive Summary',
+  'The team confirmed the beta ships on Friday and approved the launch party budget. [L1] [L3]',
+  '',
+  '## Key Decisions',
+  '• The beta ships on Friday [L1]',
+  '',
+  '## Action Items',
+  '• John will send the release notes before Friday [L2]'
+].join('\n');
+
+describe('PromptEngine#buildRefinePrompt', () => {
+  const engine = new PromptEngine();
+  const instructions = { summaryStyle: 'executive', outputFormat: 'markdown' };
+
+  it('replays the summary as the model answer followed by the feedback', () => {
+    const prompt = engine.buildRefinePrompt(CONTENT, instructions, 'Old summary', 'Mention the budget');
+    const base = engine.buildSummaryPrompt(CONTENT, instructions);
+
+    expect(prompt.messages.slice(0, 2)).toEqual(base.messages);
+    expect(prompt.messages[2]).toEqual({ role: 'assistant', content: 'Old summary' });
+    expect(prompt.messages[3].content).toMatch(/^REVIEWER FEEDBACK ON YOUR SUMMARY:\nMention the budget\n/);
+    expect(prompt.messages[3].content).toContain('Keep the same headings, formatting and citation labels');
+    expect(prompt.messages[3].content).not.toContain('truncated');
+  });
+
+  it('asks for the revised JSON object of structured summaries', () => {
+    const prompt = engine.buildRefinePrompt(CONTENT, { ...instructions, outputFormat: 'json' }, '{}', 'Add risks');
+
+    expect(prompt.messages[3].content).toContain('Respond with the complete revised JSON object in the same shape');
+  });
+
+  it('truncates a transcript too long to fit next to the summary', () => {
+    const small = new PromptEngine();
+    small.maxTranscriptTokens = 3000;
+    const long = Array.from({ length: 2000 }, (_, i) => `Jane: Point number ${i} about the launch.`).join('\n');
+
+    const prompt = small.buildRefinePrompt(long, instructions, 'Old summary', 'Shorter please');
+
+    expect(prompt.messages[3].content).toContain('The transcript above was truncated to fit');
+    expect(prompt.estimatedTokens).toBeLessThan(small.estimateTokenCount(long));
+  });
+});
+
+describe('SummaryService#refineSummary', () => {
+  let summaryService;
+  let transcript;
+
+  const createSummary = (attributes = {}) => Summary.create({
+    transcriptId: transcript.id,
+    summaryStyle: 'executive',
+    aiModel: 'test-model',
+    status: 'completed',
+    content: '## Executive Summary\nThe beta ships on Friday. [L1]',
+    cost: 0.01,
+    metadata: { outputFormat: 'markdown' },
+    ...attributes
+  });
+
+  beforeAll(async () => {
+    await errorHandler.initializeLogging();
+    await sequelize.sync({ force: true });
+    transcript = await MeetingTranscript.create({
+      sessionId: SESSION_ID,
+      filename: 'launch.txt',
+      originalName: 'launch.txt',
+      filePath: '/tmp/launch.txt',
+      fileSize: CONTENT.length,
+      content: CONTENT,
+      metadata: { meetingTitle: 'Launch sync', attendees: ['Jane', 'John'] },
+      status: 'processed'
+    });
+  });
+
+  beforeEach(() => {
+    summaryService = new SummaryService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('replaces the content and keeps the previous one as an ai_refine revision', async () => {
+    const summary = await createSummary();
+    const generate = jest.spyOn(summaryService, 'generateWithFallback').mockResolvedValue({
+      content: REFINED,
+      usage: { prompt_tokens: 400, completion_tokens: 80, total_tokens: 480 },
+      model: 'test-model'
+    });
+
+    const refined = await summaryService.refineSummary(summary, { feedback: 'Mention the budget' });
+    await summary.reload();
+
+    const [promptData] = generate.mock.calls[0];
+    expect(promptData.messages[2].content).toBe('## Executive Summary\nThe beta ships on Friday. [L1]');
+    expect(refined.revision).toBe(2);
+    expect(summary.status).toBe('edited');
+    expect(summary.content).toContain('approved the launch party budget');
+    expect(summary.editHistory[0]).toMatchObject({
+      editType: 'ai_refine',
+      feedback: 'Mention the budget',
+      previousContent: '## Executive Summary\nThe beta ships on Friday. [L1]',
+      aiModel: 'test-model'
+    });
+    expect(Number(summary.cost)).toBeCloseTo(0.01 + summary.editHistory[0].cost, 6);
+    expect(summary.metadata).toMatchObject({ outputFormat: 'markdown', lastRefinedAt: expect.any(String) });
+  });
+
+  it('revises structured summaries from their stored JSON data', async () => {
+    const data = { title: 'Launch sync', overview: 'Beta ships Friday.' };
+    const summary = await createSummary({
+      metadata: { outputFormat: 'json', structuredSummary: { valid: true, data } }
+    });
+    const generate = jest.spyOn(summaryService, 'generateWithFallback').mockRejectedValue(new Error('stop'));
+
+    await expect(summaryService.refineSummary(summary, { feedback: 'Add risks' })).rejects.toThrow('stop');
+
+    expect(generate.mock.calls[0][0].messages[2].content).toBe(JSON.stringify(data, null, 2));
+  });
+
+  it('refuses summaries that are not complete', async () => {
+    const summary = await createSummary({ status: 'generating', content: null });
+
+    await expect(summaryService.refineSummary(summary, { feedback: 'Shorter' })).rejects.toMatchObject({
+      type: ErrorTypes.VALIDATION_ERROR,
+      message: 'Only completed summaries can be refined (status: generating)'
+    });
+  });
+});
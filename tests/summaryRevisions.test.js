@@ -0,0 +1,53 @@
+const SummaryRevisions = require('../services/summaryRevisions');
+
+const summary = () => ({
+  createdAt: new Date('2024-03-04T10:00:00Z'),
+  content: 'Beta ships Monday. Owner: John',
+  editHistory: [
+    { timestamp: new Date('2024-03-04T11:00:00Z'), editType: 'manual_edit', previousContent: 'Beta ships Friday.' },
+    { timestamp: new Date('2024-03-04T12:00:00Z'), editType: 'ai_refine', feedback: 'Name the owner', cost: 0.002, previousContent: 'Beta ships Monday.' }
+  ]
+});
+
+describe('SummaryRevisions', () => {
+  const revisions = new SummaryRevisions();
+
+  it('numbers the generated summary, each edit and the current content', () => {
+    expect(revisions.list(summary()).map(({ revision, editType, label, wordCount, current }) =>
+      [revision, editType, label, wordCount, current])).toEqual([
+      [1, 'generated', 'Generated', 3, false],
+      [2, 'manual_edit', 'Manual edit', 3, false],
+      [3, 'ai_refine', 'Refined with feedback', 5, true]
+    ]);
+    expect(revisions.get(summary(), 3)).toMatchObject({ feedback: 'Name the owner', cost: 0.002, content: 'Beta ships Monday. Owner: John' });
+    expect(revisions.get(summary(), 1).timestamp).toEqual(new Date('2024-03-04T10:00:00Z'));
+    expect(revisions.get(summary(), 4)).toBeNull();
+    expect(revisions.get(summary(), 0)).toBeNull();
+  });
+
+  it('diffs revisions word by word', () => {
+    const diff = revisions.diff(summary(), 1, 3);
+
+    expect(diff.changes).toEqual([
+      { type: 'equal', text: 'Beta ships ' },
+      { type: 'delete', text: 'Friday.' },
+      { type: 'insert', text: 'Monday. Owner: John' }
+    ]);
+    expect(diff.stats).toEqual({ added: 3, removed: 1, unchanged: 2 });
+    expect(diff.from).toMatchObject({ revision: 1, editType: 'generated' });
+    expect(revisions.diff(summary(), 1, 9)).toBeNull();
+  });
+
+  it('joins the runs of a diff back into either text', () => {
+    const oldText = 'The team agreed to ship on Friday and review the budget next week.';
+    const newText = 'The team agreed to ship on Monday, then review the hiring budget next week.';
+
+    const changes = revisions.diffWords(oldText, newText);
+    const join = (type) => changes.filter(change => change.type !== type).map(change => change.text).join('');
+
+    expect(join('insert')).toBe(oldText);
+    expect(join('delete')).toBe(newText);
+    expect(revisions.diffWords('', '')).toEqual([]);
+    expect(revisions.diffWords('', 'New text')).toEqual([{ type: 'insert', text: 'New text' }]);
+  });
+});
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const { sequelize, initializeDatabase, UserSession, MeetingTranscript, Summary } = require('../models');
+const SummaryService = require('../services/summaryService');
+const { errorHandler } = require('../services/errorHandler');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/summaries', require('../routes/summaries'));
+  return app;
+};
+
+let app;
+let session;
+let transcript;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await errorHandler.initializeLogging();
+  expect(await initializeDatabase()).toBe(true);
+
+  app = createApp();
+  session = await UserSession.create({
+    sessionToken: crypto.randomBytes(32).toString('hex'),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  transcript = await MeetingTranscript.create({
+    sessionId: session.id,
+    filename: 'standup.txt',
+    originalName: 'standup.txt',
+    filePath: '/tmp/standup.txt',
+    fileSize: 64,
+    content: 'Alice: The release is on track.',
+    status: 'processed'
+  });
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  await sequelize.close();
+});
+
+const createSummary = () => Summary.create({
+  transcriptId: transcript.id,
+  summaryStyle: 'executive',
+  aiModel: 'test-model',
+  status: 'completed',
+  content: 'The release is on track.'
+});
+
+const asOwner = (req) => req.set('X-Session-Token', session.sessionToken);
+
+describe('Summary routes', () => {
+  it('return a summary of the session with its transcript', async () => {
+    const summary = await createSummary();
+
+    const response = await asOwner(request(app).get(`/api/summaries/${summary.id}`));
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary.transcript).toMatchObject({ id: transcript.id, originalName: 'standup.txt' });
+  });
+
+  it('list the summaries of the session', async () => {
+    const response = await asOwner(request(app).get('/api/summaries'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.summaries.length).toBeGreaterThan(0);
+    expect(response.body.summaries[0].transcript.id).toBe(transcript.id);
+  });
+
+  it('save an edit, compare it and restore the generated revision', async () => {
+    const summary = await createSummary();
+    const edited = 'The release is on track for Friday.';
+
+    const saved = await asOwner(request(app).put(`/api/summaries/${summary.id}`)).send({ content: edited });
+    expect(saved.status).toBe(200);
+    expect(saved.body.summary).toMatchObject({ content: edited, status: 'edited', revision: 2 });
+
+    const revisions = await asOwner(request(app).get(`/api/summaries/${summary.id}/revisions`));
+    expect(revisions.body.revisions.map(revision => revision.editType)).toEqual(['generated', 'manual_edit']);
+
+    const diff = await asOwner(request(app).get(`/api/summaries/${summary.id}/diff`));
+    expect(diff.body.diff.changes).toEqual([
+      { type: 'equal', text: 'The release is on ' },
+      { type: 'delete', text: 'track.' },
+      { type: 'insert', text: 'track for Friday.' }
+    ]);
+
+    const restored = await asOwner(request(app).post(`/api/summaries/${summary.id}/revisions/1/restore`));
+    expect(restored.body.summary).toMatchObject({ content: 'The release is on track.', revision: 3 });
+    const current = await asOwner(request(app).post(`/api/summaries/${summary.id}/revisions/3/restore`));
+    expect(current.status).toBe(400);
+  });
+
+  it('delete a summary', async () => {
+    const summary = await createSummary();
+
+    const response = await asOwner(request(app).delete(`/api/summaries/${summary.id}`));
+
+    expect(response.status).toBe(200);
+    expect(await Summary.findByPk(summary.id)).toBeNull();
+  });
+});
+
+describe('SummaryService#getSessionHistory', () => {
+  it('returns the latest summaries of the session', async () => {
+    const history = await new SummaryService().getSessionHistory(session.id, 2);
+
+    expect(history).toHaveLength(2);
+    expect(history[0]).toMatchObject({ model: 'test-model', style: 'executive' });
+  });
+});
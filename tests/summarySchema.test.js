@@ -0,0 +1,97 @@
+const SummarySchema = require('../services/summarySchema');
+
+const { SCHEMA_VERSION } = SummarySchema;
+
+const validSummary = () => ({
+  schemaVersion: SCHEMA_VERSION,
+  title: 'Launch sync',
+  overview: 'The team agreed on the launch date.',
+  sections: [{ heading: 'Launch', points: [{ text: 'Beta ships Friday', citations: ['L2'] }] }],
+  decisions: [{ text: 'Launch on March 5', madeBy: 'Jane', rationale: 'QA signed off', citations: [] }],
+  actionItems: [{ task: 'Send the release notes', owner: 'John', due: 'Friday', priority: 'high', citations: ['L4-L5'] }],
+  risks: [],
+  openQuestions: []
+});
+
+describe('SummarySchema', () => {
+  const schema = new SummarySchema();
+
+  it('accepts a summary that matches the schema', () => {
+    const parsed = schema.parse(JSON.stringify(validSummary()));
+
+    expect(parsed).toEqual({ valid: true, data: validSummary(), errors: [], repairs: [], schemaVersion: SCHEMA_VERSION });
+  });
+
+  it('reports where a value breaks the schema', () => {
+    const summary = validSummary();
+    summary.title = 42;
+    summary.actionItems[0].priority = 'urgent';
+    delete summary.risks;
+
+    expect(schema.validate(summary)).toEqual([
+      '$.risks is required',
+      '$.title must be string, got number',
+      '$.actionItems[0].priority must be one of high, medium, low, null'
+    ]);
+  });
+
+  it('repairs fenced, commented and truncated model output', () => {
+    const text = 'Here is the summary:\n```json\n{"title": “Sync”, "overview": "Short.", "decisions": [], "actionItems": [{"task": "Ship it", "owner": "TBD",';
+
+    const parsed = schema.parse(text);
+
+    expect(parsed.valid).toBe(true);
+    expect(parsed.data.actionItems).toEqual([{ task: 'Ship it', owner: null, due: null, priority: null, citations: [] }]);
+    expect(parsed.repairs).toEqual(expect.arrayContaining([
+      'Removed markdown code fence',
+      'Replaced typographic quotes',
+      'Closed truncated JSON',
+      'Set "not stated" owner values to null',
+      'Added missing "sections" array'
+    ]));
+  });
+
+  it('rejects output that is not JSON', () => {
+    const parsed = schema.parse('I could not summarize this meeting.');
+
+    expect(parsed.valid).toBe(false);
+    expect(parsed.data).toBeNull();
+    expect(parsed.errors[0]).toMatch(/^Invalid JSON/);
+  });
+
+  it('migrates loosely shaped and older summaries to the current version', () => {
+    const parsed = schema.parse(JSON.stringify({
+      schemaVersion: '0.9',
+      title: 'Sync',
+      summary: 'Old overview field.',
+      sections: [{ title: 'Budget', items: ['Approved'] }],
+      decisions: ['Hire two engineers'],
+      actionItems: [{ action: 'Post the roles', assignee: 'Jane', priority: 'High', citations: 'L3, [L7-L9], page 2' }],
+      risks: [{ risk: 'Hiring is slow', mitigation: 'n/a' }],
+      openQuestions: [{ question: 'Remote?' }]
+    }));
+
+    expect(parsed.valid).toBe(true);
+    expect(parsed.data).toEqual({
+      schemaVersion: SCHEMA_VERSION,
+      title: 'Sync',
+      overview: 'Old overview field.',
+      sections: [{ heading: 'Budget', points: [{ text: 'Approved', citations: [] }] }],
+      decisions: [{ text: 'Hire two engineers', madeBy: null, rationale: null, citations: [] }],
+      actionItems: [{ task: 'Post the roles', owner: 'Jane', due: null, priority: 'high', citations: ['L3', 'L7-L9'] }],
+      risks: [{ text: 'Hiring is slow', mitigation: null, citations: [] }],
+      openQuestions: [{ text: 'Remote?', owner: null, citations: [] }]
+    });
+    expect(parsed.repairs).toContain(`Replaced schemaVersion "0.9" with "${SCHEMA_VERSION}"`);
+  });
+
+  it('renders markdown with citation markers and plain text without them', () => {
+    const summary = validSummary();
+
+    expect(schema.toMarkdown(summary)).toContain('- Launch on March 5 (Jane) — Rationale: QA signed off');
+    expect(schema.toMarkdown(summary)).toContain('- **Send the release notes** — Owner: John · Due: Friday · Priority: high [L4-L5]');
+    expect(schema.toText(summary)).toContain('1. Send the release notes (Owner: John, Due: Friday, Priority: high)');
+    expect(schema.toText(summary)).not.toContain('[L');
+    expect(schema.toEmail(summary).indexOf('ACTION ITEMS')).toBeLessThan(schema.toEmail(summary).indexOf('DECISIONS'));
+  });
+});
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const { sequelize, UserSession, SummaryTemplate } = require('../models');
+const PromptEngine = require('../services/promptEngine');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/templates', require('../routes/templates'));
+  return app;
+};
+
+const createSession = () => UserSession.create({
+  sessionToken: crypto.randomBytes(32).toString('hex'),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+const RETRO_TEMPLATE = {
+  name: 'Sprint retro',
+  baseStyle: 'action-items',
+  promptFragment: 'Quote the team where possible.',
+  sections: ['Went well', 'To improve', 'Actions'],
+  targetLength: 'brief'
+};
+
+let app;
+let session;
+let otherSession;
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+  app = createApp();
+  session = await createSession();
+  otherSession = await createSession();
+});
+
+beforeEach(async () => {
+  await SummaryTemplate.destroy({ where: {} });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+const as = (req, owner = session) => req.set('X-Session-Token', owner.sessionToken);
+
+describe('Summary template routes', () => {
+  it('creates, lists, updates and deletes a template of the session', async () => {
+    const created = await as(request(app).post('/api/templates')).send(RETRO_TEMPLATE).expect(201);
+    const { id } = created.body.template;
+
+    const list = await as(request(app).get('/api/templates')).expect(200);
+    expect(list.body.templates.map(template => template.name)).toEqual(['Sprint retro']);
+    expect(list.body.baseStyles['action-items']).toEqual({ name: expect.any(String) });
+    expect(Object.keys(list.body.targetLengths)).toEqual(expect.arrayContaining(['brief', 'standard', 'comprehensive']));
+
+    const updated = await as(request(app).patch(`/api/templates/${id}`)).send({ sections: ['Actions'], usageCount: 99 }).expect(200);
+    expect(updated.body.template).toMatchObject({ sections: ['Actions'], usageCount: 0 });
+
+    await as(request(app).patch(`/api/templates/${id}`)).send({ usageCount: 99 }).expect(400);
+    await as(request(app).delete(`/api/templates/${id}`)).expect(200);
+    await as(request(app).get(`/api/templates/${id}`)).expect(404);
+  });
+
+  it('rejects invalid templates', async () => {
+    const response = await as(request(app).post('/api/templates'))
+      .send({ ...RETRO_TEMPLATE, baseStyle: 'poem', targetLength: 'epic' })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+    expect(await SummaryTemplate.count()).toBe(0);
+  });
+
+  it('hides templates from other sessions', async () => {
+    const template = await SummaryTemplate.create({ ...RETRO_TEMPLATE, sessionId: otherSession.id });
+
+    await as(request(app).get(`/api/templates/${template.id}`)).expect(404);
+    await as(request(app).patch(`/api/templates/${template.id}`)).send({ name: 'Mine now' }).expect(404);
+    await as(request(app).delete(`/api/templates/${template.id}`)).expect(404);
+    const list = await as(request(app).get('/api/templates')).expect(200);
+    expect(list.body.templates).toEqual([]);
+  });
+
+  it('imports an exported template into another session as a new template', async () => {
+    const template = await SummaryTemplate.create({ ...RETRO_TEMPLATE, sessionId: session.id, usageCount: 4 });
+
+    const exported = await as(request(app).get(`/api/templates/${template.id}/export`)).expect(200);
+    expect(exported.headers['content-disposition']).toContain('sprint-retro.json');
+    expect(exported.body).toEqual({ format: SummaryTemplate.EXPORT_FORMAT, version: SummaryTemplate.EXPORT_VERSION, description: null, ...RETRO_TEMPLATE });
+
+    const imported = await as(request(app).post('/api/templates/import'), otherSession).send(exported.body).expect(201);
+
+    expect(imported.body.templates).toHaveLength(1);
+    expect(imported.body.templates[0]).toMatchObject({ ...RETRO_TEMPLATE, usageCount: 0 });
+    expect(imported.body.templates[0].id).not.toBe(template.id);
+  });
+
+  it('imports a whole export and refuses other formats and newer versions', async () => {
+    await SummaryTemplate.create({ ...RETRO_TEMPLATE, sessionId: session.id });
+    await SummaryTemplate.create({ ...RETRO_TEMPLATE, name: 'Board update', sessionId: session.id });
+
+    const exported = await as(request(app).get('/api/templates/export')).expect(200);
+    const imported = await as(request(app).post('/api/templates/import'), otherSession).send(exported.body).expect(201);
+    expect(imported.body.templates.map(template => template.name)).toEqual(['Board update', 'Sprint retro']);
+
+    const newer = await as(request(app).post('/api/templates/import'))
+      .send({ ...RETRO_TEMPLATE, format: SummaryTemplate.EXPORT_FORMAT, version: SummaryTemplate.EXPORT_VERSION + 1 })
+      .expect(400);
+    expect(newer.body.error).toContain('Template 1 is not a supported summary template export');
+    await as(request(app).post('/api/templates/import')).send({ ...RETRO_TEMPLATE, format: 'other-app' }).expect(400);
+  });
+});
+
+describe('PromptEngine#getTemplatePrompt', () => {
+  const engine = new PromptEngine();
+
+  it('adds the fragment and required sections to the system prompt', () => {
+    const prompt = engine.buildSummaryPrompt('Jane: Hi', {
+      meetingType: 'retrospective',
+      outputFormat: 'markdown',
+      template: RETRO_TEMPLATE
+    }).messages[0].content;
+
+    expect(prompt).toContain('SUMMARY TEMPLATE: Sprint retro\nQuote the team where possible.');
+    expect(prompt).toContain('REQUIRED SECTIONS (use these ## headings, in this order;');
+    expect(prompt).toContain('• Went well\n• To improve\n• Actions');
+    // The template's own sections replace the meeting type's suggested ones
+    expect(prompt).not.toContain('SUGGESTED SECTIONS');
+  });
+
+  it('only lists what to cover in JSON mode', () => {
+    const prompt = engine.getTemplatePrompt({ name: 'Short', sections: ['Risks'] }, 'json');
+
+    expect(prompt).toBe('\n\nSUMMARY TEMPLATE: Short\n\nMake sure the summary covers:\n• Risks');
+    expect(engine.getTemplatePrompt(null, 'markdown')).toBe('');
+  });
+});
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { sequelize, ChatMessage, MeetingTranscript, UserSession } = require('../models');
+const TranscriptChat = require('../services/transcriptChat');
+const PromptEngine = require('../services/promptEngine');
+const SummaryService = require('../services/summaryService');
+const { calculateCost } = require('../config/llm');
+const { errorHandler } = require('../services/errorHandler');
+
+const CONTENT = [
+  'Jane: Welcome everyone.',
+  'John: The vendor contract renews in June.',
+  'Jane: Priya owns the renewal negotiation.',
+  'Priya: I will ask for a two year term.'
+].join('\n');
+
+// A long transcript where only lines 41-42 talk about the budget
+const longTranscript = () => ({
+  content: Array.from({ length: 80 }, (_, i) => {
+    if (i === 40) return 'Jane: The marketing budget is frozen until July.';
+    if (i === 41) return 'John: Then the budget review moves to August.';
+    return `Speaker ${i % 3}: Update number ${i} on the roadmap and hiring plans.`;
+  }).join('\n')
+});
+
+describe('TranscriptChat', () => {
+  const chat = new TranscriptChat({ maxPassages: 2, passageLines: 4, fullTranscriptTokens: 200 });
+
+  it('sends short transcripts whole', () => {
+    expect(chat.retrievePassages({ content: CONTENT }, 'Who owns the renewal?')).toEqual([
+      { startLine: 1, endLine: 4, score: null }
+    ]);
+  });
+
+  it('retrieves the passages that match the question in transcript order', () => {
+    const passages = chat.retrievePassages(longTranscript(), 'What happened to the budget?');
+
+    expect(passages).toEqual([{ startLine: 39, endLine: 44, score: expect.any(Number) }]);
+    expect(chat.retrievePassages(longTranscript(), 'What was said?')).toEqual([]);
+  });
+
+  it('searches follow-up questions together with the previous question', () => {
+    const history = [
+      { role: 'user', content: 'When does the contract renew?' },
+      { role: 'assistant', content: 'In June [L2].' }
+    ];
+
+    expect(chat.buildQuery('Who owns it?', history)).toBe('Who owns it?\nWhen does the contract renew?');
+    expect(chat.buildQuery('Who owns it?')).toBe('Who owns it?');
+  });
+
+  it('resolves citations once and drops lines outside the transcript', () => {
+    const citations = chat.resolveCitations('Priya owns it [L3]. She wants two years [L3-L4], [L3], [L99].', { content: CONTENT });
+
+    expect(citations.map(({ label, startLine, endLine }) => [label, startLine, endLine])).toEqual([
+      ['L3', 3, 3],
+      ['L3-L4', 3, 4]
+    ]);
+    expect(citations[0].excerpt).toContain('Priya owns the renewal negotiation.');
+  });
+});
+
+describe('PromptEngine#buildChatPrompt', () => {
+  it('numbers the excerpts with their transcript lines and keeps the conversation', () => {
+    const prompt = new PromptEngine().buildChatPrompt({
+      question: 'Who owns it?',
+      transcript: CONTENT,
+      passages: [{ startLine: 2, endLine: 3 }],
+      history: [{ role: 'user', content: 'When does it renew?', id: 'x' }, { role: 'assistant', content: 'June [L2].' }],
+      summary: 'The contract renews in June.',
+      metadata: { meetingTitle: 'Vendor sync' }
+    });
+
+    expect(prompt.messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(prompt.messages[1]).toEqual({ role: 'user', content: 'When does it renew?' });
+    const question = prompt.messages[3].content;
+    expect(question).toContain('MEETING: Vendor sync');
+    expect(question).toContain('--- LINES 2-3 ---\n[L2] John: The vendor contract renews in June.\n[L3] Jane: Priya owns the renewal negotiation.');
+    expect(question).not.toContain('[L4]');
+    expect(question).toContain('MEETING SUMMARY:\nThe contract renews in June.');
+    expect(question).toMatch(/QUESTION:\nWho owns it\?$/);
+  });
+});
+
+describe('SummaryService#answerQuestion', () => {
+  let summaryService;
+  let session;
+  let transcript;
+
+  beforeAll(async () => {
+    await errorHandler.initializeLogging();
+    await sequelize.sync({ force: true });
+    session = await UserSession.create({
+      sessionToken: crypto.randomBytes(32).toString('hex'),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    transcript = await MeetingTranscript.create({
+      sessionId: session.id,
+      filename: 'vendor.txt',
+      originalName: 'vendor.txt',
+      filePath: '/tmp/vendor.txt',
+      fileSize: CONTENT.length,
+      content: CONTENT,
+      status: 'processed'
+    });
+  });
+
+  beforeEach(() => {
+    summaryService = new SummaryService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('stores the cited answer with its cost and adds the cost to the session', async () => {
+    const usage = { prompt_tokens: 1200, completion_tokens: 60, total_tokens: 1260 };
+    jest.spyOn(summaryService, 'generateWithFallback').mockResolvedValue({
+      content: '  Priya owns the renewal negotiation [L3].  ',
+      usage,
+      model: 'test-model'
+    });
+
+    const { question, answer } = await summaryService.answerQuestion(transcript.id, 'Who owns the renewal?', {
+      sessionId: session.id
+    });
+    await session.reload();
+
+    expect(question).toMatchObject({ role: 'user', content: 'Who owns the renewal?' });
+    expect(answer).toMatchObject({
+      role: 'assistant',
+      content: 'Priya owns the renewal negotiation [L3].',
+      aiModel: 'test-model',
+      tokenUsage: { inputTokens: 1200, outputTokens: 60, totalTokens: 1260 },
+      passages: [{ startLine: 1, endLine: 4, score: null }]
+    });
+    expect(answer.citations).toEqual([expect.objectContaining({ label: 'L3', startLine: 3, endLine: 3 })]);
+    expect(answer.cost).toBeCloseTo(calculateCost(usage, 'primary'), 8);
+    expect(session.statistics).toMatchObject({ questionsAnswered: 1, totalCost: answer.cost });
+  });
+
+  it('sends the earlier conversation with a follow-up question', async () => {
+    const generate = jest.spyOn(summaryService, 'generateWithFallback').mockResolvedValue({ content: 'In June [L2].', usage: null });
+
+    const { answer } = await summaryService.answerQuestion(transcript.id, 'When does it renew?', { sessionId: session.id });
+
+    const [promptData] = generate.mock.calls[0];
+    expect(promptData.messages.slice(1, 3).map(message => message.content)).toEqual([
+      'Who owns the renewal?',
+      'Priya owns the renewal negotiation [L3].'
+    ]);
+    expect(answer.cost).toBe(0);
+    expect(await ChatMessage.count({ where: { transcriptId: transcript.id } })).toBe(4);
+  });
+
+  it('stores nothing when the model returns an empty answer', async () => {
+    jest.spyOn(summaryService, 'generateWithFallback').mockResolvedValue({ content: '  ', usage: null });
+    const before = await ChatMessage.count();
+
+    await expect(summaryService.answerQuestion(transcript.id, 'Anything else?', { sessionId: session.id })).rejects.toThrow('The model returned an empty answer');
+    expect(await ChatMessage.count()).toBe(before);
+  });
+});
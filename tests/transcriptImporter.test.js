@@ -0,0 +1,174 @@
+const TranscriptImporter = require('../services/transcriptImporter');
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const ZOOM = JSON.stringify({
+  topic: 'Quarterly planning',
+  start_time: '2024-03-03T14:00:00Z',
+  duration: 30,
+  timeline: [
+    { ts: '00:00:01.000', username: 'Jane Doe', users: [{ username: 'Jane Doe' }], text: 'Welcome everyone.' },
+    { ts: '00:00:04.000', users: [{ username: 'Sam Lee' }] },
+    { ts: '00:00:05.000', username: 'Jane Doe', users: [{ username: 'Jane Doe' }], text: 'First the budget.' },
+    { ts: '00:00:09.500', username: 'John Smith', users: [{ username: 'John Smith' }], text: 'It is approved.' }
+  ]
+});
+
+const TEAMS = [
+  'Weekly sync',
+  'March 3, 2024, 2:00PM',
+  '45m 12s',
+  'Jane Doe started transcription',
+  'Jane Doe   0:03',
+  'Let us start with the roadmap.',
+  'Doe, John (Guest)   1:15',
+  'The beta ships on Friday.',
+  'It needs one more review.'
+].join('\n');
+
+const TEAMS_TIMED = [
+  'Design review',
+  '0:0:3.520 --> 0:0:7.100',
+  'Jane Doe',
+  'Welcome to the review.',
+  '',
+  '0:0:8.000 --> 0:0:12.250',
+  'John Smith',
+  'Thanks, I will share my screen.'
+].join('\n');
+
+const MEET = [
+  'Design review - Transcript',
+  'Attendees',
+  'Alice Smith, Bob Jones, Carol White',
+  'Transcript',
+  '00:00:00',
+  'Alice Smith: Let us begin.',
+  'Bob Jones: Sure, I have the mockups',
+  'ready to share.',
+  '00:01:10',
+  'Alice Smith: Next item.',
+  'Meeting ended after 00:02:00'
+].join('\n');
+
+describe('TranscriptImporter', () => {
+  const importer = new TranscriptImporter();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('imports a Zoom recording timeline', () => {
+    const imported = importer.normalize(ZOOM, 'application/json');
+
+    expect(imported.content).toBe([
+      'Jane Doe: Welcome everyone. First the budget.',
+      'John Smith: It is approved.'
+    ].join('\n'));
+    expect(imported.segments[0]).toMatchObject({ start: '00:00:01.000', end: '00:00:09.500', cueCount: 2 });
+    expect(imported.attendees).toEqual(['Jane Doe', 'Sam Lee', 'John Smith']);
+    expect(imported.durationMs).toBe(30 * 60000);
+    expect(imported.title).toBe('Quarterly planning');
+    expect(imported.stats).toMatchObject({ format: 'zoom-json', platform: 'zoom', turnCount: 2 });
+  });
+
+  it('refuses JSON without a timeline', () => {
+    expect(importer.detect('{"messages": []}', 'application/json')).toBeNull();
+    expect(importer.normalize('not json', 'application/json')).toBeNull();
+  });
+
+  it('imports a Teams transcript with its header and without transcription events', () => {
+    const imported = importer.normalize(TEAMS, DOCX);
+
+    expect(imported.content).toBe([
+      'Jane Doe: Let us start with the roadmap.',
+      'Doe, John (Guest): The beta ships on Friday. It needs one more review.'
+    ].join('\n'));
+    expect(imported.segments.map(segment => segment.startMs)).toEqual([3000, 75000]);
+    expect(imported.durationMs).toBe((45 * 60 + 12) * 1000);
+    expect(imported.title).toBe('Weekly sync');
+  });
+
+  it('imports the older timed Teams layout', () => {
+    const imported = importer.normalize(TEAMS_TIMED, DOCX);
+
+    expect(imported.content).toBe([
+      'Jane Doe: Welcome to the review.',
+      'John Smith: Thanks, I will share my screen.'
+    ].join('\n'));
+    expect(imported.segments[1]).toMatchObject({ startMs: 8000, endMs: 12250 });
+  });
+
+  it('imports a Google Meet transcript with its attendees', () => {
+    const imported = importer.normalize(MEET, DOCX);
+
+    expect(imported.content).toBe([
+      'Alice Smith: Let us begin.',
+      'Bob Jones: Sure, I have the mockups ready to share.',
+      'Alice Smith: Next item.'
+    ].join('\n'));
+    expect(imported.segments.map(segment => segment.startMs)).toEqual([0, 0, 70000]);
+    expect(imported.segments[2].endMs).toBe(120000);
+    expect(imported.attendees).toEqual(['Alice Smith', 'Bob Jones', 'Carol White']);
+    expect(imported.title).toBe('Design review');
+  });
+
+  it('leaves plain speaker-labelled text alone', () => {
+    expect(importer.normalize('Alice: Hello there.\nBob: Hi Alice.', 'text/plain')).toBeNull();
+  });
+
+  it('only detects each platform in the file types it exports', () => {
+    expect(importer.detect(TEAMS, 'text/plain')).toBeNull();
+    expect(importer.detect(TEAMS_TIMED, 'application/pdf')).toBeNull();
+    expect(importer.detect(MEET, 'text/plain')).toBe('meet-doc');
+    expect(importer.detect(MEET, 'application/pdf')).toBeNull();
+  });
+
+  it('does not mistake an agenda with times for a Teams transcript', () => {
+    const agenda = [
+      'Project agenda',
+      'Kickoff 9:30',
+      'Introductions and goals for the quarter.',
+      'Review 10:45',
+      'Walk through the open risks.'
+    ].join('\n');
+
+    expect(importer.detect(agenda, DOCX)).toBeNull();
+    expect(importer.detect(agenda, 'text/plain')).toBeNull();
+  });
+
+  it('needs the Meet header to import timestamped "Name: text" notes', () => {
+    const notes = [
+      'Weekly notes',
+      '10:15:00',
+      'Jane: We agreed on the budget.',
+      'John: I will follow up with finance.',
+      'Location: Room 4'
+    ].join('\n');
+
+    expect(importer.normalize(notes, 'text/plain')).toBeNull();
+    expect(importer.normalize(notes, DOCX)).toBeNull();
+  });
+
+  it('keeps the upload when an export has lines it cannot place', () => {
+    const teams = TEAMS.replace('45m 12s', '45m 12s\nConfidential - internal only');
+    const meet = MEET.replace('Transcript\n00:00:00', 'Transcript\nRecorded in Room 4\n00:00:00');
+
+    expect(importer.detect(teams, DOCX)).toBe('teams-docx');
+    expect(importer.normalize(teams, DOCX)).toBeNull();
+    expect(importer.detect(meet, DOCX)).toBe('meet-doc');
+    expect(importer.normalize(meet, DOCX)).toBeNull();
+  });
+
+  it('builds prompt metadata with a readable duration', () => {
+    expect(importer.buildMeetingMetadata({ attendees: ['Jane Doe'], durationMs: 3900000 }))
+      .toEqual({ attendees: ['Jane Doe'], durationMs: 3900000, duration: '1h 5m' });
+    expect(importer.buildMeetingMetadata({ attendees: [], durationMs: 0 })).toEqual({});
+    expect(importer.formatDuration(750000)).toBe('12m 30s');
+    expect(importer.formatDuration(45000)).toBe('45s');
+  });
+});
@@ -0,0 +1,73 @@
+process.env.QUOTA_SUMMARIES_PER_MONTH = '2';
+
+const crypto = require('crypto');
+const { sequelize, UsageCounter, UserSession } = require('../models');
+const UsageQuotas = require('../services/usageQuotas');
+const { ErrorTypes } = require('../services/errorHandler');
+
+const anonymousOwner = async (ipAddress) => {
+  const session = await UserSession.create({
+    sessionToken: crypto.randomBytes(32).toString('hex'),
+    ipAddress,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  return { sessionId: session.id, workspaceId: null };
+};
+
+let usageQuotas;
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+beforeEach(async () => {
+  await UsageCounter.destroy({ where: {} });
+  usageQuotas = new UsageQuotas();
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('UsageQuotas', () => {
+  it('refuses once the monthly quota is used up', async () => {
+    const owner = { workspaceId: crypto.randomUUID() };
+    await usageQuotas.record(owner, { summaries: 2 });
+
+    await expect(usageQuotas.checkQuota(owner, { summaries: 1 })).rejects.toMatchObject({
+      type: ErrorTypes.QUOTA_ERROR,
+      quota: { metric: 'summaries', used: 2, limit: 2 }
+    });
+  });
+
+  it('lets a workspace use what is left', async () => {
+    const owner = { workspaceId: crypto.randomUUID() };
+    await usageQuotas.record(owner, { summaries: 1 });
+
+    await expect(usageQuotas.checkQuota(owner, { summaries: 1 })).resolves.toBeUndefined();
+    const usage = await usageQuotas.getUsage(owner);
+    expect(usage.countedFor).toBe('workspace');
+    expect(usage.metrics.summaries).toEqual({ used: 1, limit: 2, remaining: 1 });
+  });
+
+  it('counts anonymous sessions from the same IP together', async () => {
+    await usageQuotas.record(await anonymousOwner('203.0.113.7'), { summaries: 1 });
+    await usageQuotas.record(await anonymousOwner('203.0.113.7'), { summaries: 1 });
+
+    const fresh = await anonymousOwner('203.0.113.7');
+    await expect(usageQuotas.checkQuota(fresh, { summaries: 1 })).rejects.toMatchObject({
+      type: ErrorTypes.QUOTA_ERROR
+    });
+    expect((await usageQuotas.getUsage(fresh)).countedFor).toBe('ip');
+
+    const elsewhere = await anonymousOwner('198.51.100.4');
+    await expect(usageQuotas.checkQuota(elsewhere, { summaries: 1 })).resolves.toBeUndefined();
+  });
+
+  it('does not count metrics without a quota', async () => {
+    const owner = { workspaceId: crypto.randomUUID() };
+    await usageQuotas.record(owner, { emails: 500 });
+
+    await expect(usageQuotas.checkQuota(owner, { emails: 1 })).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const { sequelize, initializeDatabase, UserSession, WorkspaceMember } = require('../models');
+const AccountService = require('../services/accountService');
+
+const accountService = new AccountService();
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/summaries', require('../routes/summaries'));
+  return app;
+};
+
+const signIn = (user, workspaceId) => UserSession.create({
+  sessionToken: crypto.randomBytes(32).toString('hex'),
+  userId: user.id,
+  workspaceId,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+// Unknown summary: a request the role check lets through ends in a 404
+const deleteSummary = (session) => request(app)
+  .delete(`/api/summaries/${crypto.randomUUID()}`)
+  .set('X-Session-Token', session.sessionToken);
+
+let app;
+let workspaceId;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  expect(await initializeDatabase()).toBe(true);
+
+  app = createApp();
+  const account = await accountService.register({ email: 'lead@example.com', password: 'correct horse battery', name: 'Lee' });
+  workspaceId = account.membership.workspaceId;
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('WorkspaceMember.hasRole', () => {
+  it('ranks viewer below editor below owner', () => {
+    expect(WorkspaceMember.hasRole('owner', 'editor')).toBe(true);
+    expect(WorkspaceMember.hasRole('editor', 'editor')).toBe(true);
+    expect(WorkspaceMember.hasRole('viewer', 'editor')).toBe(false);
+    expect(WorkspaceMember.hasRole(null, 'viewer')).toBe(false);
+  });
+});
+
+describe('Workspace roles on write routes', () => {
+  it('let editors through', async () => {
+    const { user } = await accountService.register({ email: 'editor@example.com', password: 'correct horse battery', name: 'Eda' });
+    await accountService.addMember(workspaceId, user.email, 'editor');
+
+    const response = await deleteSummary(await signIn(user, workspaceId));
+
+    expect(response.status).toBe(404);
+  });
+
+  it('refuse viewers', async () => {
+    const { user } = await accountService.register({ email: 'viewer@example.com', password: 'correct horse battery', name: 'Vic' });
+    await accountService.addMember(workspaceId, user.email, 'viewer');
+
+    const response = await deleteSummary(await signIn(user, workspaceId));
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('FORBIDDEN');
+  });
+
+  it('move accounts removed from the workspace to their own one', async () => {
+    const { user, membership } = await accountService.register({ email: 'former@example.com', password: 'correct horse battery', name: 'Fay' });
+    await accountService.addMember(workspaceId, user.email, 'editor');
+    const session = await signIn(user, workspaceId);
+    await accountService.removeMember(workspaceId, user.id);
+
+    const response = await deleteSummary(session);
+    await session.reload();
+
+    expect(response.status).toBe(404);
+    expect(session.workspaceId).toBe(membership.workspaceId);
+  });
+
+  it('leave anonymous sessions to their own records', async () => {
+    const session = await UserSession.create({
+      sessionToken: crypto.randomBytes(32).toString('hex'),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const response = await deleteSummary(session);
+
+    expect(response.status).toBe(404);
+  });
+});